@@ -24,9 +24,19 @@ import { carritoRoutes } from "./src/routes/carritoRoutes.js";
 import ventasRoutes from "./src/routes/ventasRoutes.js";
 import facturasRoutes from "./src/routes/facturasRoutes.js";
 import resenasRoutes from "./src/routes/resenasRoutes.js";
+import apiKeysRoutes from "./src/routes/apiKeysRoutes.js";
+import impersonacionesRoutes from "./src/routes/impersonacionesRoutes.js";
+import cotizacionesRoutes from "./src/routes/cotizacionesRoutes.js";
+import materialesRoutes from "./src/routes/materialesRoutes.js";
+import ordenesTrabajoRoutes from "./src/routes/ordenesTrabajoRoutes.js";
+import listasCorteRoutes from "./src/routes/listasCorteRoutes.js";
+import ubicacionesRoutes from "./src/routes/ubicacionesRoutes.js";
+import trasladosRoutes from "./src/routes/trasladosRoutes.js";
+import ordenesCompraRoutes from "./src/routes/ordenesCompraRoutes.js";
 
 // Importar middleware de manejo de errores
 import { errorHandler } from "./src/middlewares/errorHandler.js";
+import { verificarCsrf } from "./src/middlewares/auth/csrfMiddleware.js";
 
 // Cargar variables de entorno
 dotenv.config();
@@ -58,6 +68,11 @@ app.use(express.urlencoded({ extended: true }));
  */
 app.use(cookieParser());
 
+/**
+ * Protección CSRF de doble envío para las peticiones autenticadas con cookie (AUTH_TOKEN_MODE=cookie)
+ */
+app.use(verificarCsrf);
+
 // Routes de la API
 /**
  * Ruta base para verificar que el servidor esté funcionando
@@ -120,6 +135,51 @@ app.use("/api/ventas", ventasRoutes);
  */
 app.use("/api/facturas", facturasRoutes);
 
+/**
+ * Routes de gestión de API keys para integraciones
+ */
+app.use("/api/api-keys", apiKeysRoutes);
+
+/**
+ * Routes de impersonación de usuarios por el personal de soporte
+ */
+app.use("/api/impersonaciones", impersonacionesRoutes);
+
+/**
+ * Routes de cotizaciones de muebles a medida
+ */
+app.use("/api/cotizaciones", cotizacionesRoutes);
+
+/**
+ * Routes del inventario de materiales del taller
+ */
+app.use("/api/materiales", materialesRoutes);
+
+/**
+ * Routes de órdenes de trabajo y tablero del taller
+ */
+app.use("/api/ordenes-trabajo", ordenesTrabajoRoutes);
+
+/**
+ * Routes del optimizador de listas de corte
+ */
+app.use("/api/listas-corte", listasCorteRoutes);
+
+/**
+ * Routes de ubicaciones de inventario
+ */
+app.use("/api/ubicaciones", ubicacionesRoutes);
+
+/**
+ * Routes de traslados de stock entre ubicaciones
+ */
+app.use("/api/traslados", trasladosRoutes);
+
+/**
+ * Routes de órdenes de compra a proveedores
+ */
+app.use("/api/ordenes-compra", ordenesCompraRoutes);
+
 /**
  * Routes de reseñas de productos
  */
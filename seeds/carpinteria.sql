@@ -6,7 +6,10 @@ CREATE TABLE Roles (
     id_rol INT PRIMARY KEY AUTO_INCREMENT,
     nombre_rol VARCHAR(50) NOT NULL UNIQUE,
     descripcion TEXT,
-    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    requiere_2fa BOOLEAN NOT NULL DEFAULT FALSE,
+    id_rol_padre INT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_rol_padre) REFERENCES Roles(id_rol)
 );
 
 -- Creación de la tabla 'Permisos'
@@ -37,6 +40,14 @@ CREATE TABLE Usuarios (
     estado ENUM('ACTIVO', 'INACTIVO', 'PENDIENTE') DEFAULT 'ACTIVO',
     fecha_registro TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     ultimo_acceso TIMESTAMP NULL,
+    intentos_fallidos INT NOT NULL DEFAULT 0,
+    fecha_ultimo_fallo TIMESTAMP NULL,
+    bloqueado_hasta TIMESTAMP NULL,
+    totp_secreto VARCHAR(255) NULL,
+    totp_habilitado BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_ultimo_paso BIGINT NULL,
+    fecha_cambio_contraseña TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    debe_cambiar_contraseña BOOLEAN NOT NULL DEFAULT FALSE,
     FOREIGN KEY (id_rol) REFERENCES Roles(id_rol)
 );
 
@@ -78,18 +89,40 @@ CREATE TABLE Productos (
     stock INT NOT NULL DEFAULT 0,
     id_categoria INT NOT NULL,
     id_proveedor INT,
+    -- Horas de mano de obra para fabricar una unidad (parte de su lista de materiales)
+    horas_mano_obra DECIMAL(6, 2) NOT NULL DEFAULT 0,
     fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     estado ENUM('DISPONIBLE', 'AGOTADO', 'DESCONTINUADO') DEFAULT 'DISPONIBLE',
     FOREIGN KEY (id_categoria) REFERENCES Categorias(id_categoria),
     FOREIGN KEY (id_proveedor) REFERENCES Proveedores(id_proveedor)
 );
 
+-- Creación de la tabla 'Variantes_Producto'
+-- Versiones vendibles de un producto (tipo de madera, acabado, medidas) con SKU y stock propios.
+-- El precio es el absoluto de la variante o, si es NULL, el del producto más ajuste_precio
+CREATE TABLE Variantes_Producto (
+    id_variante INT PRIMARY KEY AUTO_INCREMENT,
+    id_producto INT NOT NULL,
+    sku VARCHAR(60) NOT NULL UNIQUE,
+    atributos JSON NOT NULL,
+    precio DECIMAL(10, 2),
+    ajuste_precio DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    stock INT NOT NULL DEFAULT 0,
+    estado ENUM('DISPONIBLE', 'AGOTADO', 'DESCONTINUADO') DEFAULT 'DISPONIBLE',
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    INDEX idx_variantes_producto (id_producto)
+);
+
 -- Creación de la tabla 'Imagenes_Producto'
+-- Las imágenes con id_variante pertenecen a una variante concreta del producto
 CREATE TABLE Imagenes_Producto (
     id_imagen INT PRIMARY KEY AUTO_INCREMENT,
     id_producto INT NOT NULL,
+    id_variante INT,
     url_imagen VARCHAR(255) NOT NULL,
-    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto)
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante)
 );
 
 -- Creación de la tabla 'Reseñas'
@@ -112,13 +145,19 @@ CREATE TABLE Carritos (
 );
 
 -- Creación de la tabla 'Productos_Carrito'
+-- id_variante es NULL para productos sin variantes; la clave única usa clave_variante porque
+-- MySQL admite varias filas con NULL en una clave única
 CREATE TABLE Productos_Carrito (
+    id_producto_carrito INT PRIMARY KEY AUTO_INCREMENT,
     id_carrito INT NOT NULL,
     id_producto INT NOT NULL,
+    id_variante INT,
+    clave_variante INT AS (COALESCE(id_variante, 0)) STORED,
     cantidad INT NOT NULL DEFAULT 1,
-    PRIMARY KEY (id_carrito, id_producto),
+    UNIQUE KEY uk_carrito_producto_variante (id_carrito, id_producto, clave_variante),
     FOREIGN KEY (id_carrito) REFERENCES Carritos(id_carrito),
-    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto)
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante)
 );
 
 -- Creación de la tabla 'Ventas'
@@ -132,15 +171,19 @@ CREATE TABLE Ventas (
 );
 
 -- Creación de la tabla 'Detalles_Venta'
+-- Las líneas sin id_producto (trabajos a medida de una cotización) se identifican por su descripción
 CREATE TABLE Detalles_Venta (
     id_detalle_venta INT PRIMARY KEY AUTO_INCREMENT,
     id_venta INT NOT NULL,
-    id_producto INT NOT NULL,
+    id_producto INT,
+    id_variante INT,
+    descripcion VARCHAR(255),
     cantidad INT NOT NULL,
     precio_unitario DECIMAL(10, 2) NOT NULL,
     subtotal_linea DECIMAL(10, 2),
     FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta),
-    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto)
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante)
 );
 
 -- Creación de la tabla 'Facturas'
@@ -152,4 +195,493 @@ CREATE TABLE Facturas (
     monto_total DECIMAL(10, 2) NOT NULL,
     estado ENUM('EMITIDA', 'PAGADA', 'ANULADA') DEFAULT 'EMITIDA',
     FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta)
-);
\ No newline at end of file
+);
+
+-- Creación de la tabla 'Sesiones'
+-- Cada fila es una familia de refresh tokens: al renovar se rota el hash vigente
+CREATE TABLE Sesiones (
+    id_sesion CHAR(36) PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    user_agent VARCHAR(255),
+    ip VARCHAR(45),
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ultimo_uso TIMESTAMP NULL,
+    fecha_expiracion TIMESTAMP NOT NULL,
+    revocada BOOLEAN NOT NULL DEFAULT FALSE,
+    fecha_revocacion TIMESTAMP NULL,
+    motivo_revocacion VARCHAR(50),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario)
+);
+
+-- Creación de la tabla 'Tokens_Usuario'
+-- Tokens de un solo uso enviados por correo (solo se guarda su hash)
+CREATE TABLE Tokens_Usuario (
+    id_token INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    tipo ENUM('RESTABLECER_CONTRASEÑA', 'VERIFICAR_CORREO', 'ENLACE_MAGICO') NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion TIMESTAMP NOT NULL,
+    fecha_uso TIMESTAMP NULL,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario)
+);
+
+-- Creación de la tabla 'Intentos_Login'
+-- Historial de todos los intentos de inicio de sesión (exitosos y fallidos)
+CREATE TABLE Intentos_Login (
+    id_intento INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NULL,
+    correo VARCHAR(100) NOT NULL,
+    ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    exitoso BOOLEAN NOT NULL,
+    motivo VARCHAR(50),
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_intentos_ip_fecha (ip, fecha),
+    INDEX idx_intentos_usuario_fecha (id_usuario, fecha),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario)
+);
+
+-- Creación de la tabla 'Codigos_Recuperacion'
+-- Códigos de un solo uso para iniciar sesión sin la aplicación de autenticación (solo se guarda su hash)
+CREATE TABLE Codigos_Recuperacion (
+    id_codigo INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    codigo_hash CHAR(64) NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_uso TIMESTAMP NULL,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario)
+);
+
+-- Creación de la tabla 'Api_Keys'
+-- Claves de acceso para integraciones; los permisos se toman del rol asignado (solo se guarda su hash)
+CREATE TABLE Api_Keys (
+    id_api_key INT PRIMARY KEY AUTO_INCREMENT,
+    nombre VARCHAR(100) NOT NULL,
+    prefijo VARCHAR(20) NOT NULL,
+    clave_hash CHAR(64) NOT NULL UNIQUE,
+    id_rol INT NOT NULL,
+    id_usuario_creador INT NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion TIMESTAMP NULL,
+    fecha_rotacion TIMESTAMP NULL,
+    ultimo_uso TIMESTAMP NULL,
+    ultima_ip VARCHAR(45),
+    revocada BOOLEAN NOT NULL DEFAULT FALSE,
+    fecha_revocacion TIMESTAMP NULL,
+    FOREIGN KEY (id_rol) REFERENCES Roles(id_rol),
+    FOREIGN KEY (id_usuario_creador) REFERENCES Usuarios(id_usuario)
+);
+
+-- Creación de la tabla 'Usuarios_Roles'
+-- Roles adicionales de un usuario, con vigencia opcional (además del rol principal de Usuarios.id_rol)
+CREATE TABLE Usuarios_Roles (
+    id_asignacion INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    id_rol INT NOT NULL,
+    fecha_inicio DATETIME NULL,
+    fecha_fin DATETIME NULL,
+    id_usuario_asignador INT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_rol) REFERENCES Roles(id_rol) ON DELETE CASCADE,
+    FOREIGN KEY (id_usuario_asignador) REFERENCES Usuarios(id_usuario),
+    INDEX idx_usuarios_roles_usuario (id_usuario, fecha_inicio, fecha_fin)
+);
+
+-- Creación de la tabla 'Impersonaciones'
+-- Periodos en los que un miembro del personal actúa como otro usuario para reproducir un problema
+CREATE TABLE Impersonaciones (
+    id_impersonacion CHAR(36) PRIMARY KEY,
+    id_usuario_admin INT NOT NULL,
+    id_usuario_objetivo INT NOT NULL,
+    motivo VARCHAR(255) NOT NULL,
+    ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    fecha_inicio TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion TIMESTAMP NOT NULL,
+    fecha_fin TIMESTAMP NULL,
+    FOREIGN KEY (id_usuario_admin) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_usuario_objetivo) REFERENCES Usuarios(id_usuario),
+    INDEX idx_impersonaciones_admin (id_usuario_admin, fecha_inicio),
+    INDEX idx_impersonaciones_objetivo (id_usuario_objetivo, fecha_inicio)
+);
+
+-- Creación de la tabla 'Registro_Impersonaciones'
+-- Cada petición realizada con un token de impersonación (incluidas las rechazadas)
+CREATE TABLE Registro_Impersonaciones (
+    id_registro BIGINT PRIMARY KEY AUTO_INCREMENT,
+    id_impersonacion CHAR(36) NOT NULL,
+    metodo VARCHAR(10) NOT NULL,
+    ruta VARCHAR(500) NOT NULL,
+    codigo_estado INT,
+    ip VARCHAR(45),
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_impersonacion) REFERENCES Impersonaciones(id_impersonacion),
+    INDEX idx_registro_impersonacion (id_impersonacion, fecha)
+);
+
+-- Creación de la tabla 'Historial_Contraseñas'
+-- Hashes de las contraseñas anteriores de cada usuario, para impedir su reutilización
+CREATE TABLE Historial_Contraseñas (
+    id_historial INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    contraseña_hash VARCHAR(255) NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    INDEX idx_historial_usuario (id_usuario, fecha_creacion)
+);
+
+-- Creación de la tabla 'Eventos_Seguridad'
+-- Registro de eventos relevantes para la seguridad de las cuentas: logins, renovaciones de token,
+-- cambios de contraseña y cambios de rol
+CREATE TABLE Eventos_Seguridad (
+    id_evento BIGINT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NULL,
+    tipo VARCHAR(30) NOT NULL,
+    exitoso BOOLEAN NOT NULL DEFAULT TRUE,
+    motivo VARCHAR(50),
+    ip VARCHAR(45),
+    user_agent VARCHAR(255),
+    id_usuario_autor INT NULL,
+    detalles JSON NULL,
+    fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_usuario_autor) REFERENCES Usuarios(id_usuario),
+    INDEX idx_eventos_usuario_fecha (id_usuario, fecha),
+    INDEX idx_eventos_tipo_fecha (tipo, fecha),
+    INDEX idx_eventos_ip_fecha (ip, fecha)
+);
+
+-- Creación de la tabla 'Cotizaciones'
+-- Solicitudes de muebles a medida: el cliente describe medidas, materiales y notas,
+-- y al aceptar la versión enviada se convierte en una venta (id_venta)
+CREATE TABLE Cotizaciones (
+    id_cotizacion INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    titulo VARCHAR(150) NOT NULL,
+    medidas VARCHAR(255),
+    materiales VARCHAR(255),
+    notas TEXT,
+    estado ENUM('SOLICITADA', 'ENVIADA', 'ACEPTADA', 'RECHAZADA', 'CANCELADA') NOT NULL DEFAULT 'SOLICITADA',
+    id_venta INT NULL,
+    fecha_solicitud TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta),
+    INDEX idx_cotizaciones_usuario (id_usuario, fecha_solicitud),
+    INDEX idx_cotizaciones_estado (estado, fecha_solicitud)
+);
+
+-- Creación de la tabla 'Versiones_Cotizacion'
+-- Cada propuesta de precio es una versión numerada; al enviar una nueva, la anterior queda REEMPLAZADA
+CREATE TABLE Versiones_Cotizacion (
+    id_version INT PRIMARY KEY AUTO_INCREMENT,
+    id_cotizacion INT NOT NULL,
+    numero_version INT NOT NULL,
+    estado ENUM('BORRADOR', 'ENVIADA', 'ACEPTADA', 'RECHAZADA', 'REEMPLAZADA') NOT NULL DEFAULT 'BORRADOR',
+    fecha_vencimiento DATE NOT NULL,
+    notas TEXT,
+    total_mano_obra DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    total_materiales DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    id_usuario_autor INT NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_envio TIMESTAMP NULL,
+    FOREIGN KEY (id_cotizacion) REFERENCES Cotizaciones(id_cotizacion),
+    FOREIGN KEY (id_usuario_autor) REFERENCES Usuarios(id_usuario),
+    UNIQUE KEY uk_version_cotizacion (id_cotizacion, numero_version)
+);
+
+-- Creación de la tabla 'Lineas_Cotizacion'
+-- Partidas de mano de obra y materiales de una versión de cotización
+CREATE TABLE Lineas_Cotizacion (
+    id_linea INT PRIMARY KEY AUTO_INCREMENT,
+    id_version INT NOT NULL,
+    tipo ENUM('MANO_OBRA', 'MATERIAL', 'OTRO') NOT NULL,
+    descripcion VARCHAR(255) NOT NULL,
+    cantidad DECIMAL(10, 2) NOT NULL,
+    unidad VARCHAR(20),
+    precio_unitario DECIMAL(10, 2) NOT NULL,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    FOREIGN KEY (id_version) REFERENCES Versiones_Cotizacion(id_version)
+);
+
+-- Creación de la tabla 'Materiales'
+-- Materia prima del taller (tablas, tableros, herrajes, barnices, tornillería), separada de los productos vendibles;
+-- stock_minimo marca cuándo un material entra en el reporte de stock bajo
+CREATE TABLE Materiales (
+    id_material INT PRIMARY KEY AUTO_INCREMENT,
+    nombre_material VARCHAR(150) NOT NULL,
+    descripcion TEXT,
+    unidad_medida ENUM('PIE_TABLAR', 'M2', 'LITRO', 'UNIDAD') NOT NULL,
+    costo_unitario DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    stock DECIMAL(12, 3) NOT NULL DEFAULT 0,
+    stock_minimo DECIMAL(12, 3) NOT NULL DEFAULT 0,
+    id_proveedor INT NULL,
+    estado ENUM('ACTIVO', 'DESCONTINUADO') NOT NULL DEFAULT 'ACTIVO',
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_proveedor) REFERENCES Proveedores(id_proveedor),
+    INDEX idx_materiales_estado (estado, nombre_material)
+);
+
+-- Creación de la tabla 'Movimientos_Material'
+-- Recepciones de proveedores, consumos del taller y devoluciones de ventas canceladas;
+-- cada movimiento guarda el stock resultante
+CREATE TABLE Movimientos_Material (
+    id_movimiento INT PRIMARY KEY AUTO_INCREMENT,
+    id_material INT NOT NULL,
+    tipo ENUM('RECEPCION', 'CONSUMO', 'DEVOLUCION') NOT NULL,
+    cantidad DECIMAL(12, 3) NOT NULL,
+    costo_unitario DECIMAL(10, 2) NOT NULL,
+    stock_resultante DECIMAL(12, 3) NOT NULL,
+    id_proveedor INT NULL,
+    referencia VARCHAR(100),
+    id_venta INT NULL,
+    notas TEXT,
+    id_usuario INT NOT NULL,
+    fecha_movimiento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_material) REFERENCES Materiales(id_material),
+    FOREIGN KEY (id_proveedor) REFERENCES Proveedores(id_proveedor),
+    FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    INDEX idx_movimientos_material (id_material, fecha_movimiento),
+    INDEX idx_movimientos_material_proveedor (id_proveedor, fecha_movimiento)
+);
+
+-- Creación de la tabla 'Materiales_Producto'
+-- Lista de materiales de un producto: cantidad de cada material (en su unidad de medida) por unidad fabricada;
+-- al completarse una venta se descuentan del inventario de materiales
+CREATE TABLE Materiales_Producto (
+    id_producto INT NOT NULL,
+    id_material INT NOT NULL,
+    cantidad DECIMAL(12, 3) NOT NULL,
+    PRIMARY KEY (id_producto, id_material),
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_material) REFERENCES Materiales(id_material)
+);
+
+-- Creación de la tabla 'Ordenes_Trabajo'
+-- Fabricación de una línea de venta en el taller; avanza por etapas hasta LISTO
+-- y compara las horas estimadas con las horas reales registradas
+CREATE TABLE Ordenes_Trabajo (
+    id_orden INT PRIMARY KEY AUTO_INCREMENT,
+    id_detalle_venta INT NOT NULL UNIQUE,
+    etapa ENUM('CORTE', 'ENSAMBLAJE', 'LIJADO', 'ACABADO', 'CONTROL_CALIDAD', 'LISTO') NOT NULL DEFAULT 'CORTE',
+    estado ENUM('ACTIVA', 'CANCELADA') NOT NULL DEFAULT 'ACTIVA',
+    id_usuario_asignado INT NULL,
+    horas_estimadas DECIMAL(7, 2) NOT NULL DEFAULT 0,
+    horas_reales DECIMAL(7, 2) NOT NULL DEFAULT 0,
+    notas TEXT,
+    id_usuario_creador INT NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    fecha_finalizacion TIMESTAMP NULL,
+    FOREIGN KEY (id_detalle_venta) REFERENCES Detalles_Venta(id_detalle_venta),
+    FOREIGN KEY (id_usuario_asignado) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_usuario_creador) REFERENCES Usuarios(id_usuario),
+    INDEX idx_ordenes_etapa (estado, etapa),
+    INDEX idx_ordenes_asignado (id_usuario_asignado, estado)
+);
+
+-- Creación de la tabla 'Historial_Ordenes_Trabajo'
+-- Cambios de etapa y horas trabajadas registradas en cada orden de trabajo
+CREATE TABLE Historial_Ordenes_Trabajo (
+    id_historial INT PRIMARY KEY AUTO_INCREMENT,
+    id_orden INT NOT NULL,
+    etapa_anterior ENUM('CORTE', 'ENSAMBLAJE', 'LIJADO', 'ACABADO', 'CONTROL_CALIDAD', 'LISTO') NOT NULL,
+    etapa_nueva ENUM('CORTE', 'ENSAMBLAJE', 'LIJADO', 'ACABADO', 'CONTROL_CALIDAD', 'LISTO') NOT NULL,
+    horas DECIMAL(7, 2) NOT NULL DEFAULT 0,
+    notas TEXT,
+    id_usuario INT NOT NULL,
+    fecha_registro TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_orden) REFERENCES Ordenes_Trabajo(id_orden),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    INDEX idx_historial_orden (id_orden, fecha_registro)
+);
+
+-- Creación de la tabla 'Ubicaciones'
+-- Lugares donde se guarda el stock de productos terminados (sala de exhibición, taller, bodega);
+-- la ubicación predeterminada recibe los movimientos que no indican ubicación
+CREATE TABLE Ubicaciones (
+    id_ubicacion INT PRIMARY KEY AUTO_INCREMENT,
+    nombre VARCHAR(100) NOT NULL UNIQUE,
+    tipo ENUM('EXHIBICION', 'TALLER', 'BODEGA') NOT NULL,
+    direccion VARCHAR(255),
+    es_predeterminada BOOLEAN NOT NULL DEFAULT FALSE,
+    estado ENUM('ACTIVA', 'INACTIVA') NOT NULL DEFAULT 'ACTIVA',
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Creación de la tabla 'Stock_Ubicacion'
+-- Stock de cada producto o variante en cada ubicación; el stock de Productos y Variantes_Producto
+-- es la suma de sus ubicaciones (las unidades en tránsito no están en ninguna)
+CREATE TABLE Stock_Ubicacion (
+    id_stock_ubicacion INT PRIMARY KEY AUTO_INCREMENT,
+    id_ubicacion INT NOT NULL,
+    id_producto INT NOT NULL,
+    id_variante INT NULL,
+    clave_variante INT AS (COALESCE(id_variante, 0)) STORED,
+    stock INT NOT NULL DEFAULT 0,
+    FOREIGN KEY (id_ubicacion) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante),
+    UNIQUE KEY uk_stock_ubicacion (id_ubicacion, id_producto, clave_variante),
+    INDEX idx_stock_ubicacion_producto (id_producto, clave_variante)
+);
+
+-- Creación de la tabla 'Traslados_Stock'
+-- Envíos de stock entre ubicaciones: las unidades salen del origen al enviarse y
+-- llegan al destino al recibirse (EN_TRANSITO mientras tanto)
+CREATE TABLE Traslados_Stock (
+    id_traslado INT PRIMARY KEY AUTO_INCREMENT,
+    id_ubicacion_origen INT NOT NULL,
+    id_ubicacion_destino INT NOT NULL,
+    estado ENUM('EN_TRANSITO', 'RECIBIDO', 'CANCELADO') NOT NULL DEFAULT 'EN_TRANSITO',
+    notas TEXT,
+    id_usuario_envio INT NOT NULL,
+    id_usuario_recepcion INT NULL,
+    fecha_envio TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_recepcion TIMESTAMP NULL,
+    FOREIGN KEY (id_ubicacion_origen) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_ubicacion_destino) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_usuario_envio) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_usuario_recepcion) REFERENCES Usuarios(id_usuario),
+    INDEX idx_traslados_estado (estado, fecha_envio)
+);
+
+-- Creación de la tabla 'Lineas_Traslado'
+CREATE TABLE Lineas_Traslado (
+    id_linea INT PRIMARY KEY AUTO_INCREMENT,
+    id_traslado INT NOT NULL,
+    id_producto INT NOT NULL,
+    id_variante INT NULL,
+    cantidad INT NOT NULL,
+    FOREIGN KEY (id_traslado) REFERENCES Traslados_Stock(id_traslado),
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante),
+    INDEX idx_lineas_traslado_producto (id_producto, id_variante)
+);
+
+-- Creación de la tabla 'Movimientos_Stock'
+-- Registro inmutable de los cambios de stock de productos y variantes en cada ubicación; la cantidad lleva signo
+-- (positiva suma, negativa resta) y la suma de los movimientos reproduce el stock actual
+CREATE TABLE Movimientos_Stock (
+    id_movimiento INT PRIMARY KEY AUTO_INCREMENT,
+    id_producto INT NOT NULL,
+    id_variante INT NULL,
+    id_ubicacion INT NOT NULL,
+    tipo ENUM('ENTRADA', 'SALIDA_VENTA', 'DEVOLUCION', 'AJUSTE', 'MERMA', 'TRASLADO_SALIDA', 'TRASLADO_ENTRADA') NOT NULL,
+    cantidad INT NOT NULL,
+    stock_resultante INT NOT NULL,
+    stock_ubicacion_resultante INT NOT NULL,
+    motivo VARCHAR(255),
+    referencia VARCHAR(100),
+    id_venta INT NULL,
+    id_traslado INT NULL,
+    id_usuario INT NULL,
+    fecha_movimiento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante),
+    FOREIGN KEY (id_ubicacion) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta),
+    FOREIGN KEY (id_traslado) REFERENCES Traslados_Stock(id_traslado),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    INDEX idx_movimientos_stock_producto (id_producto, fecha_movimiento),
+    INDEX idx_movimientos_stock_variante (id_variante, fecha_movimiento),
+    INDEX idx_movimientos_stock_tipo (tipo, fecha_movimiento),
+    INDEX idx_movimientos_stock_venta (id_venta)
+);
+
+-- Creación de la tabla 'Reservas_Stock'
+-- Unidades del carrito apartadas mientras el usuario paga; solo restan stock disponible
+-- las reservas ACTIVA cuya fecha de expiración no ha pasado. Con ubicación, apartan además
+-- el stock de esa ubicación (p. ej. para retirar en la sala de exhibición)
+CREATE TABLE Reservas_Stock (
+    id_reserva INT PRIMARY KEY AUTO_INCREMENT,
+    id_usuario INT NOT NULL,
+    id_producto INT NOT NULL,
+    id_variante INT NULL,
+    id_ubicacion INT NULL,
+    cantidad INT NOT NULL,
+    estado ENUM('ACTIVA', 'CONFIRMADA', 'LIBERADA', 'EXPIRADA') NOT NULL DEFAULT 'ACTIVA',
+    id_venta INT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion DATETIME NOT NULL,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante),
+    FOREIGN KEY (id_ubicacion) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_venta) REFERENCES Ventas(id_venta),
+    INDEX idx_reservas_producto (id_producto, estado, fecha_expiracion),
+    INDEX idx_reservas_variante (id_variante, estado, fecha_expiracion),
+    INDEX idx_reservas_usuario (id_usuario, estado),
+    INDEX idx_reservas_expiracion (estado, fecha_expiracion)
+);
+
+-- Creación de la tabla 'Ordenes_Compra'
+-- Pedidos de productos a proveedores: BORRADOR mientras se prepara, ENVIADA al proveedor,
+-- PARCIAL con recepciones incompletas y RECIBIDA cuando llegó todo (o CANCELADA)
+CREATE TABLE Ordenes_Compra (
+    id_orden_compra INT PRIMARY KEY AUTO_INCREMENT,
+    numero_orden VARCHAR(20) UNIQUE,
+    id_proveedor INT NOT NULL,
+    estado ENUM('BORRADOR', 'ENVIADA', 'PARCIAL', 'RECIBIDA', 'CANCELADA') NOT NULL DEFAULT 'BORRADOR',
+    fecha_entrega_esperada DATE NULL,
+    total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    notas TEXT,
+    motivo_cancelacion VARCHAR(255),
+    id_usuario_creador INT NOT NULL,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_envio TIMESTAMP NULL,
+    fecha_cierre TIMESTAMP NULL,
+    FOREIGN KEY (id_proveedor) REFERENCES Proveedores(id_proveedor),
+    FOREIGN KEY (id_usuario_creador) REFERENCES Usuarios(id_usuario),
+    INDEX idx_ordenes_compra_proveedor (id_proveedor, fecha_creacion),
+    INDEX idx_ordenes_compra_estado (estado, fecha_entrega_esperada)
+);
+
+-- Creación de la tabla 'Lineas_Orden_Compra'
+-- Productos pedidos con el costo acordado con el proveedor y lo recibido hasta ahora
+CREATE TABLE Lineas_Orden_Compra (
+    id_linea INT PRIMARY KEY AUTO_INCREMENT,
+    id_orden_compra INT NOT NULL,
+    id_producto INT NOT NULL,
+    id_variante INT NULL,
+    cantidad INT NOT NULL,
+    cantidad_recibida INT NOT NULL DEFAULT 0,
+    costo_unitario DECIMAL(10, 2) NOT NULL,
+    subtotal DECIMAL(12, 2) NOT NULL,
+    fecha_entrega_esperada DATE NULL,
+    FOREIGN KEY (id_orden_compra) REFERENCES Ordenes_Compra(id_orden_compra),
+    FOREIGN KEY (id_producto) REFERENCES Productos(id_producto),
+    FOREIGN KEY (id_variante) REFERENCES Variantes_Producto(id_variante),
+    INDEX idx_lineas_orden_compra_producto (id_producto, id_variante)
+);
+
+-- Creación de la tabla 'Recepciones_Compra'
+-- Entregas del proveedor contra una orden de compra; cada una suma stock en la ubicación donde se recibe
+CREATE TABLE Recepciones_Compra (
+    id_recepcion INT PRIMARY KEY AUTO_INCREMENT,
+    id_orden_compra INT NOT NULL,
+    id_ubicacion INT NOT NULL,
+    referencia VARCHAR(100),
+    notas TEXT,
+    id_usuario INT NOT NULL,
+    fecha_recepcion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_orden_compra) REFERENCES Ordenes_Compra(id_orden_compra),
+    FOREIGN KEY (id_ubicacion) REFERENCES Ubicaciones(id_ubicacion),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario),
+    INDEX idx_recepciones_compra_orden (id_orden_compra, fecha_recepcion)
+);
+
+-- Creación de la tabla 'Lineas_Recepcion_Compra'
+CREATE TABLE Lineas_Recepcion_Compra (
+    id_linea_recepcion INT PRIMARY KEY AUTO_INCREMENT,
+    id_recepcion INT NOT NULL,
+    id_linea INT NOT NULL,
+    cantidad INT NOT NULL,
+    FOREIGN KEY (id_recepcion) REFERENCES Recepciones_Compra(id_recepcion),
+    FOREIGN KEY (id_linea) REFERENCES Lineas_Orden_Compra(id_linea)
+);
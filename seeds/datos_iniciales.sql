@@ -104,6 +104,93 @@ INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES
 ('actualizar_facturas', 'Permite modificar facturas existentes', 'Facturas'),
 ('eliminar_facturas', 'Permite anular facturas', 'Facturas');
 
+-- Módulo: API Keys
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_api_keys', 'Permite crear API keys para integraciones', 'API Keys'),
+('leer_api_keys', 'Permite consultar las API keys', 'API Keys'),
+('actualizar_api_keys', 'Permite rotar API keys', 'API Keys'),
+('eliminar_api_keys', 'Permite revocar API keys', 'API Keys');
+
+-- Módulo: Impersonaciones
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('impersonar_usuarios', 'Permite actuar como otro usuario para reproducir un problema', 'Impersonaciones'),
+('leer_impersonaciones', 'Permite consultar el registro de auditoría de impersonaciones', 'Impersonaciones');
+
+-- Módulo: Seguridad
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('leer_eventos_seguridad', 'Permite consultar los eventos de seguridad de todas las cuentas', 'Seguridad');
+
+-- Módulo: Cotizaciones
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_cotizaciones', 'Permite solicitar cotizaciones de muebles a medida', 'Cotizaciones'),
+('leer_cotizaciones', 'Permite consultar las cotizaciones de todos los clientes', 'Cotizaciones'),
+('actualizar_cotizaciones', 'Permite preparar y enviar versiones de cotizaciones', 'Cotizaciones');
+
+-- Módulo: Materiales
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_materiales', 'Permite registrar materiales de taller, recepciones y consumos', 'Materiales'),
+('leer_materiales', 'Permite consultar el inventario de materiales y sus movimientos', 'Materiales'),
+('actualizar_materiales', 'Permite modificar materiales existentes', 'Materiales'),
+('eliminar_materiales', 'Permite eliminar materiales sin movimientos', 'Materiales');
+
+-- Módulo: Órdenes de Trabajo
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_ordenes_trabajo', 'Permite generar órdenes de trabajo a partir de las ventas', 'Ordenes_Trabajo'),
+('leer_ordenes_trabajo', 'Permite consultar las órdenes de trabajo y el tablero del taller', 'Ordenes_Trabajo'),
+('actualizar_ordenes_trabajo', 'Permite asignar órdenes de trabajo, avanzar etapas y registrar horas', 'Ordenes_Trabajo');
+
+-- Módulo: Movimientos de Stock
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_movimientos_stock', 'Permite registrar entradas, devoluciones, ajustes y mermas de stock', 'Movimientos_Stock'),
+('leer_movimientos_stock', 'Permite consultar los movimientos de stock y la conciliación de inventario', 'Movimientos_Stock');
+
+-- Módulo: Ubicaciones
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_ubicaciones', 'Permite crear ubicaciones de inventario', 'Ubicaciones'),
+('leer_ubicaciones', 'Permite consultar las ubicaciones y su stock', 'Ubicaciones'),
+('actualizar_ubicaciones', 'Permite modificar ubicaciones de inventario', 'Ubicaciones');
+
+-- Módulo: Traslados
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_traslados', 'Permite enviar stock de una ubicación a otra', 'Traslados'),
+('leer_traslados', 'Permite consultar los traslados de stock', 'Traslados'),
+('actualizar_traslados', 'Permite recibir o cancelar traslados en tránsito', 'Traslados');
+
+-- Módulo: Ordenes_Compra
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('crear_ordenes_compra', 'Permite crear órdenes de compra a proveedores', 'Ordenes_Compra'),
+('leer_ordenes_compra', 'Permite consultar las órdenes de compra y descargar su PDF', 'Ordenes_Compra'),
+('actualizar_ordenes_compra', 'Permite modificar, enviar y cancelar órdenes de compra', 'Ordenes_Compra'),
+('recibir_ordenes_compra', 'Permite registrar la recepción de mercancía de una orden de compra', 'Ordenes_Compra');
+
+-- Comodines: '<modulo>:*' concede todos los permisos de un módulo
+-- y 'leer_*' todos los permisos de consulta
+INSERT INTO Permisos (nombre_permiso, descripcion, modulo) VALUES 
+('usuarios:*', 'Permite todas las acciones del módulo de usuarios', 'Usuarios'),
+('roles:*', 'Permite todas las acciones del módulo de roles', 'Roles'),
+('direcciones:*', 'Permite todas las acciones del módulo de direcciones', 'Direcciones'),
+('proveedores:*', 'Permite todas las acciones del módulo de proveedores', 'Proveedores'),
+('categorias:*', 'Permite todas las acciones del módulo de categorías', 'Categorias'),
+('productos:*', 'Permite todas las acciones del módulo de productos', 'Productos'),
+('imagenes_producto:*', 'Permite todas las acciones sobre imágenes de productos', 'Imagenes_Producto'),
+('reseñas:*', 'Permite todas las acciones del módulo de reseñas', 'Reseñas'),
+('carritos:*', 'Permite todas las acciones del módulo de carritos', 'Carritos'),
+('productos_carrito:*', 'Permite todas las acciones sobre productos en carrito', 'Productos_Carrito'),
+('ventas:*', 'Permite todas las acciones del módulo de ventas', 'Ventas'),
+('detalles_venta:*', 'Permite todas las acciones sobre detalles de venta', 'Detalles_Venta'),
+('facturas:*', 'Permite todas las acciones del módulo de facturas', 'Facturas'),
+('api_keys:*', 'Permite todas las acciones sobre API keys', 'API Keys'),
+('impersonaciones:*', 'Permite todas las acciones sobre impersonaciones', 'Impersonaciones'),
+('seguridad:*', 'Permite todas las acciones del módulo de seguridad', 'Seguridad'),
+('cotizaciones:*', 'Permite todas las acciones del módulo de cotizaciones', 'Cotizaciones'),
+('materiales:*', 'Permite todas las acciones del módulo de materiales', 'Materiales'),
+('ordenes_trabajo:*', 'Permite todas las acciones sobre órdenes de trabajo', 'Ordenes_Trabajo'),
+('movimientos_stock:*', 'Permite todas las acciones sobre movimientos de stock', 'Movimientos_Stock'),
+('ubicaciones:*', 'Permite todas las acciones del módulo de ubicaciones', 'Ubicaciones'),
+('traslados:*', 'Permite todas las acciones del módulo de traslados', 'Traslados'),
+('ordenes_compra:*', 'Permite todas las acciones sobre órdenes de compra', 'Ordenes_Compra'),
+('leer_*', 'Permite consultar la información de todos los módulos', 'Sistema');
+
 -- Insertar roles básicos
 INSERT INTO Roles (nombre_rol, descripcion) VALUES 
 ('SuperAdmin', 'Acceso total e ilimitado al sistema - permisos universales'),
@@ -130,7 +217,9 @@ WHERE nombre_permiso IN (
     'leer_productos_carrito',
     'crear_productos_carrito',
     'actualizar_productos_carrito',
-    'eliminar_productos_carrito'
+    'eliminar_productos_carrito',
+    'crear_cotizaciones',
+    'leer_ubicaciones'
 );
 
 -- Los usuarios se crearán usando el script seed-usuarios.js
@@ -144,12 +233,20 @@ INSERT INTO Categorias (nombre_categoria, descripcion) VALUES
 ('Barnices y Pinturas', 'Productos de acabado para madera'),
 ('Tornillería', 'Tornillos, clavos y elementos de fijación');
 
+-- Ubicaciones de inventario; la bodega recibe el stock cuando no se indica ubicación
+INSERT INTO Ubicaciones (nombre, tipo, es_predeterminada) VALUES 
+('Bodega', 'BODEGA', TRUE),
+('Sala de exhibición', 'EXHIBICION', FALSE),
+('Taller', 'TALLER', FALSE);
+
 -- Mostrar resumen de datos insertados (sin usuarios, se crearán con el seed)
 SELECT 'Roles creados:' as Resumen, COUNT(*) as Total FROM Roles
 UNION ALL
 SELECT 'Permisos creados:', COUNT(*) FROM Permisos
 UNION ALL
-SELECT 'Categorías creadas:', COUNT(*) FROM Categorias;
+SELECT 'Categorías creadas:', COUNT(*) FROM Categorias
+UNION ALL
+SELECT 'Ubicaciones creadas:', COUNT(*) FROM Ubicaciones;
 
 -- Nota: Los usuarios se crearán ejecutando: node seed-usuarios.js
 
@@ -0,0 +1,203 @@
+/**
+ * Controlador de API Keys
+ * Maneja endpoints para crear, listar, rotar y revocar claves de integración
+ */
+
+import { ApiKeyService } from "../services/ApiKeyService.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+export class ApiKeyController {
+
+  /**
+   * Crea una nueva API key
+   * POST /api/api-keys
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearApiKey(req, res) {
+    try {
+      const { nombre, id_rol, dias_validez } = req.body;
+      const errores = [];
+
+      if (!nombre || typeof nombre !== 'string' || nombre.trim().length < 3 || nombre.trim().length > 100) {
+        errores.push({
+          campo: 'nombre',
+          mensaje: 'El nombre debe tener entre 3 y 100 caracteres'
+        });
+      }
+
+      const idRol = parseInt(id_rol);
+      if (!idRol || idRol < 1) {
+        errores.push({
+          campo: 'id_rol',
+          mensaje: 'ID de rol inválido'
+        });
+      }
+
+      const diasValidez = dias_validez !== undefined && dias_validez !== null ? parseInt(dias_validez) : null;
+      if (diasValidez !== null && (!diasValidez || diasValidez < 1 || diasValidez > 3650)) {
+        errores.push({
+          campo: 'dias_validez',
+          mensaje: 'Los días de validez deben estar entre 1 y 3650'
+        });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = await ApiKeyService.crearApiKey({
+        nombre: nombre.trim(),
+        id_rol: idRol,
+        dias_validez: diasValidez
+      }, req.usuario.id_usuario);
+
+      return ResponseProvider.creado(
+        res,
+        resultado,
+        'API key creada exitosamente. Guarda la clave: no se volverá a mostrar'
+      );
+
+    } catch (error) {
+      console.error('Error al crear API key:', error);
+
+      if (error.message === 'Rol no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Rol');
+      }
+
+      if (error.message.includes('permisos que no tienes')) {
+        return ResponseProvider.accesoDenegado(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene todas las API keys
+   * GET /api/api-keys
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerApiKeys(req, res) {
+    try {
+      const incluirRevocadas = req.query.incluir_revocadas === 'true';
+
+      const apiKeys = await ApiKeyService.obtenerApiKeys(incluirRevocadas);
+
+      return ResponseProvider.success(res, apiKeys, 'API keys obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener API keys:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una API key por su ID
+   * GET /api/api-keys/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerApiKeyPorId(req, res) {
+    try {
+      const idApiKey = parseInt(req.params.id);
+
+      if (!idApiKey || idApiKey < 1) {
+        return ResponseProvider.errorValidacion(res, [{
+          campo: 'id',
+          mensaje: 'ID de API key inválido'
+        }]);
+      }
+
+      const apiKey = await ApiKeyService.obtenerApiKeyPorId(idApiKey);
+
+      return ResponseProvider.success(res, apiKey, 'API key obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener API key:', error);
+
+      if (error.message === 'API key no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Rota una API key generando una clave nueva
+   * POST /api/api-keys/:id/rotar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async rotarApiKey(req, res) {
+    try {
+      const idApiKey = parseInt(req.params.id);
+
+      if (!idApiKey || idApiKey < 1) {
+        return ResponseProvider.errorValidacion(res, [{
+          campo: 'id',
+          mensaje: 'ID de API key inválido'
+        }]);
+      }
+
+      const resultado = await ApiKeyService.rotarApiKey(idApiKey);
+
+      return ResponseProvider.success(
+        res,
+        resultado,
+        'API key rotada exitosamente. La clave anterior ya no es válida'
+      );
+
+    } catch (error) {
+      console.error('Error al rotar API key:', error);
+
+      if (error.message === 'API key no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      if (error.message.includes('revocada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Revoca una API key
+   * DELETE /api/api-keys/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async revocarApiKey(req, res) {
+    try {
+      const idApiKey = parseInt(req.params.id);
+
+      if (!idApiKey || idApiKey < 1) {
+        return ResponseProvider.errorValidacion(res, [{
+          campo: 'id',
+          mensaje: 'ID de API key inválido'
+        }]);
+      }
+
+      await ApiKeyService.revocarApiKey(idApiKey);
+
+      return ResponseProvider.success(res, null, 'API key revocada exitosamente');
+
+    } catch (error) {
+      console.error('Error al revocar API key:', error);
+
+      if (error.message === 'API key no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      if (error.message.includes('ya está revocada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+}
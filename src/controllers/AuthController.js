@@ -4,8 +4,14 @@
  */
 
 import { AuthService } from "../services/AuthService.js";
+import { DosFactoresService } from "../services/DosFactoresService.js";
 import { ResponseProvider } from "../providers/ResponseProvider.js";
 import { Usuario } from "../models/Usuario.js";
+import {
+  usaModoCookie,
+  establecerCookiesSesion,
+  limpiarCookiesSesion
+} from "../utils/modoAutenticacion.js";
 
 export class AuthController {
   
@@ -19,33 +25,75 @@ export class AuthController {
     try {
       const { correo, contraseña } = req.body;
 
-      // Realizar login
-      const resultado = await AuthService.login(correo, contraseña);
+      // Realizar login registrando el dispositivo de la sesión
+      const resultado = await AuthService.login(correo, contraseña, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
 
-      // Configurar cookie httpOnly para el refresh token (opcional)
-      if (process.env.USE_REFRESH_COOKIE === 'true') {
-        res.cookie('refreshToken', resultado.refreshToken, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: parseInt(process.env.REFRESH_EXPIRATION) * 1000 || 7 * 24 * 60 * 60 * 1000 // 7 días
-        });
-      }
-
-      return ResponseProvider.success(res, {
-        usuario: resultado.usuario,
-        accessToken: resultado.accessToken,
-        refreshToken: resultado.refreshToken
-      }, 'Inicio de sesión exitoso');
+      return AuthController.responderInicioSesion(res, resultado);
 
     } catch (error) {
       console.error('Error en login:', error);
       
       if (error.message === 'Credenciales inválidas' || 
-          error.message === 'Usuario inactivo o pendiente de activación') {
+          error.message === 'Usuario inactivo') {
+        return ResponseProvider.noAutorizado(res, error.message);
+      }
+
+      if (error.message.includes('Cuenta bloqueada')) {
+        return ResponseProvider.error(res, error.message, 429, 'CUENTA_BLOQUEADA');
+      }
+
+      if (error.message.includes('Demasiados intentos') || 
+          error.message.includes('Debes esperar')) {
+        return ResponseProvider.error(res, error.message, 429, 'DEMASIADOS_INTENTOS');
+      }
+
+      // Código propio para que el frontend pueda ofrecer reenviar la verificación
+      if (error.message === 'Correo electrónico pendiente de verificación') {
+        return ResponseProvider.error(res, error.message, 403, 'CORREO_NO_VERIFICADO');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para completar el login con el segundo factor
+   * POST /api/auth/2fa/verificar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async verificarDosFactores(req, res) {
+    try {
+      const { token_desafio, codigo, codigo_recuperacion } = req.body;
+
+      const resultado = await AuthService.verificarSegundoFactor(
+        token_desafio,
+        { codigo, codigo_recuperacion },
+        { user_agent: req.get('User-Agent'), ip: req.ip }
+      );
+
+      return AuthController.responderInicioSesion(res, resultado);
+
+    } catch (error) {
+      console.error('Error en verificación de dos pasos:', error);
+
+      if (error.message.includes('inválido') || 
+          error.message === 'Usuario inactivo' ||
+          error.message === 'Usuario no encontrado') {
         return ResponseProvider.noAutorizado(res, error.message);
       }
 
+      if (error.message.includes('Cuenta bloqueada')) {
+        return ResponseProvider.error(res, error.message, 429, 'CUENTA_BLOQUEADA');
+      }
+
+      if (error.message.includes('no está configurada')) {
+        return ResponseProvider.error(res, error.message, 400, 'DOS_FACTORES_NO_CONFIGURADO');
+      }
+
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
@@ -63,7 +111,11 @@ export class AuthController {
       // Registrar usuario
       const usuarioCreado = await AuthService.registrar(datosUsuario);
 
-      return ResponseProvider.creado(res, usuarioCreado, 'Usuario registrado exitosamente');
+      return ResponseProvider.creado(
+        res, 
+        usuarioCreado, 
+        'Usuario registrado exitosamente. Revisa tu correo para verificar la cuenta'
+      );
 
     } catch (error) {
       console.error('Error en registro:', error);
@@ -75,7 +127,8 @@ export class AuthController {
 
       if (error.message.includes('obligatorio') || 
           error.message.includes('debe tener') || 
-          error.message.includes('inválido')) {
+          error.message.includes('inválido') ||
+          error.message.startsWith('La contraseña')) {
         return ResponseProvider.errorValidacion(res, [{ 
           campo: 'general', 
           mensaje: error.message 
@@ -86,6 +139,69 @@ export class AuthController {
     }
   }
 
+  /**
+   * Endpoint para verificar el correo electrónico de una cuenta
+   * GET /api/auth/verificar-correo/:token
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async verificarCorreo(req, res) {
+    try {
+      const { token } = req.params;
+
+      await AuthService.verificarCorreo(token);
+
+      return ResponseProvider.success(res, null, 'Correo verificado exitosamente, ya puedes iniciar sesión');
+
+    } catch (error) {
+      console.error('Error al verificar correo:', error);
+
+      if (error.message.includes('inválido o expirado')) {
+        return ResponseProvider.error(res, error.message, 400, 'TOKEN_INVALIDO');
+      }
+
+      if (error.message === 'Usuario inactivo') {
+        return ResponseProvider.accesoDenegado(res, error.message);
+      }
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para reenviar el correo de verificación
+   * POST /api/auth/reenviar-verificacion
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async reenviarVerificacion(req, res) {
+    try {
+      const { correo } = req.body;
+
+      await AuthService.reenviarVerificacionCorreo(correo);
+
+      return ResponseProvider.success(
+        res, 
+        null, 
+        'Si la cuenta está pendiente de verificación, recibirás un nuevo enlace en tu correo'
+      );
+
+    } catch (error) {
+      console.error('Error al reenviar verificación:', error);
+
+      if (error.message.includes('Debes esperar') || 
+          error.message.includes('límite de reenvíos')) {
+        return ResponseProvider.error(res, error.message, 429, 'DEMASIADAS_SOLICITUDES');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
   /**
    * Endpoint para renovar el access token
    * POST /api/auth/refresh
@@ -94,19 +210,27 @@ export class AuthController {
    */
   static async renovarToken(req, res) {
     try {
-      const { refreshToken } = req.body;
-
-      // Renovar token
-      const resultado = await AuthService.renovarToken(refreshToken);
-
-      return ResponseProvider.success(res, resultado, 'Token renovado exitosamente');
+      // Renovar token con los datos que verificó el middleware (el refresh token presentado queda invalidado)
+      const resultado = await AuthService.renovarToken(req.tokenData, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      return ResponseProvider.success(
+        res,
+        AuthController.entregarTokens(res, resultado),
+        'Token renovado exitosamente'
+      );
 
     } catch (error) {
       console.error('Error al renovar token:', error);
       
       if (error.message.includes('inválido') || 
-          error.message.includes('expirado') || 
-          error.message.includes('requerido')) {
+          error.message.includes('expirad') || 
+          error.message.includes('requerido') ||
+          error.message.includes('revocada') ||
+          error.message.includes('Sesión no encontrada') ||
+          error.message === 'Usuario inactivo') {
         return ResponseProvider.noAutorizado(res, error.message);
       }
 
@@ -155,7 +279,8 @@ export class AuthController {
       const resultado = await AuthService.cambiarContraseña(
         idUsuario, 
         contraseña_actual, 
-        nueva_contraseña
+        nueva_contraseña,
+        { user_agent: req.get('User-Agent'), ip: req.ip }
       );
 
       if (!resultado) {
@@ -171,7 +296,8 @@ export class AuthController {
         return ResponseProvider.error(res, error.message, 400);
       }
 
-      if (error.message.includes('debe tener al menos')) {
+      // Incumplimientos de la política de contraseñas o del historial
+      if (error.message.startsWith('La contraseña')) {
         return ResponseProvider.errorValidacion(res, [{ 
           campo: 'nueva_contraseña', 
           mensaje: error.message 
@@ -182,6 +308,353 @@ export class AuthController {
     }
   }
 
+  /**
+   * Endpoint para solicitar un enlace de inicio de sesión sin contraseña
+   * POST /api/auth/enlace-magico
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async solicitarEnlaceMagico(req, res) {
+    try {
+      const { correo } = req.body;
+
+      await AuthService.solicitarEnlaceMagico(correo);
+
+      // Misma respuesta exista o no el correo, para no revelar cuentas registradas
+      return ResponseProvider.success(
+        res,
+        null,
+        'Si el correo está registrado, recibirás un enlace para iniciar sesión'
+      );
+
+    } catch (error) {
+      console.error('Error al solicitar enlace mágico:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para iniciar sesión con el token de un enlace mágico
+   * POST /api/auth/enlace-magico/canjear
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async canjearEnlaceMagico(req, res) {
+    try {
+      const { token } = req.body;
+
+      const resultado = await AuthService.canjearEnlaceMagico(token, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      return AuthController.responderInicioSesion(res, resultado);
+
+    } catch (error) {
+      console.error('Error al canjear enlace mágico:', error);
+
+      if (error.message.includes('inválido o expirado') ||
+          error.message === 'Usuario inactivo' ||
+          error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noAutorizado(res, error.message);
+      }
+
+      if (error.message.includes('Cuenta bloqueada')) {
+        return ResponseProvider.error(res, error.message, 429, 'CUENTA_BLOQUEADA');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para solicitar el restablecimiento de contraseña
+   * POST /api/auth/olvide-contraseña
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async olvideContraseña(req, res) {
+    try {
+      const { correo } = req.body;
+
+      await AuthService.solicitarRestablecimientoContraseña(correo);
+
+      // Misma respuesta exista o no el correo, para no revelar cuentas registradas
+      return ResponseProvider.success(
+        res, 
+        null, 
+        'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña'
+      );
+
+    } catch (error) {
+      console.error('Error al solicitar restablecimiento de contraseña:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para restablecer la contraseña con un token enviado por correo
+   * POST /api/auth/restablecer-contraseña
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async restablecerContraseña(req, res) {
+    try {
+      const { token, nueva_contraseña } = req.body;
+
+      await AuthService.restablecerContraseña(token, nueva_contraseña, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      return ResponseProvider.success(res, null, 'Contraseña restablecida exitosamente');
+
+    } catch (error) {
+      console.error('Error al restablecer contraseña:', error);
+
+      if (error.message.includes('inválido o expirado')) {
+        return ResponseProvider.error(res, error.message, 400, 'TOKEN_INVALIDO');
+      }
+
+      if (error.message.startsWith('La contraseña')) {
+        return ResponseProvider.errorValidacion(res, [{
+          campo: 'nueva_contraseña',
+          mensaje: error.message
+        }]);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para completar un login que exige cambiar la contraseña
+   * POST /api/auth/cambio-contraseña-obligatorio
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cambiarContraseñaObligatoria(req, res) {
+    try {
+      const { token_cambio, nueva_contraseña } = req.body;
+
+      const resultado = await AuthService.cambiarContraseñaObligatoria(
+        token_cambio,
+        nueva_contraseña,
+        { user_agent: req.get('User-Agent'), ip: req.ip }
+      );
+
+      return ResponseProvider.success(res, {
+        usuario: resultado.usuario,
+        ...AuthController.entregarTokens(res, resultado)
+      }, 'Contraseña cambiada e inicio de sesión exitoso');
+
+    } catch (error) {
+      console.error('Error en cambio obligatorio de contraseña:', error);
+
+      if (error.message.includes('inválido o expirado') ||
+          error.message === 'Usuario inactivo' ||
+          error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noAutorizado(res, error.message);
+      }
+
+      if (error.message.startsWith('La contraseña')) {
+        return ResponseProvider.errorValidacion(res, [{
+          campo: 'nueva_contraseña',
+          mensaje: error.message
+        }]);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para consultar el estado de la verificación en dos pasos
+   * GET /api/auth/2fa
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerEstadoDosFactores(req, res) {
+    try {
+      const estado = await DosFactoresService.obtenerEstado(req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, estado, 'Estado de verificación en dos pasos obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener estado de verificación en dos pasos:', error);
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para iniciar la configuración de la verificación en dos pasos
+   * POST /api/auth/2fa/configurar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async configurarDosFactores(req, res) {
+    try {
+      const configuracion = await DosFactoresService.iniciarConfiguracion(req.usuario.id_usuario);
+
+      return ResponseProvider.success(
+        res, 
+        configuracion, 
+        'Escanea el código QR con tu aplicación de autenticación y confirma con un código'
+      );
+
+    } catch (error) {
+      console.error('Error al configurar verificación en dos pasos:', error);
+
+      if (error.message.includes('ya está activada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para activar la verificación en dos pasos con un código de la aplicación
+   * Si se llamó con el token de desafío del login, además completa el inicio de sesión
+   * POST /api/auth/2fa/activar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async activarDosFactores(req, res) {
+    try {
+      const { codigo } = req.body;
+      const idUsuario = req.usuario.id_usuario;
+
+      const codigosRecuperacion = await DosFactoresService.activar(idUsuario, codigo);
+
+      if (!req.desafio2FA) {
+        return ResponseProvider.success(
+          res, 
+          { codigos_recuperacion: codigosRecuperacion }, 
+          'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro'
+        );
+      }
+
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      const resultado = await AuthService.completarLogin(usuario, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      return ResponseProvider.success(res, {
+        codigos_recuperacion: codigosRecuperacion,
+        usuario: resultado.usuario,
+        ...AuthController.entregarTokens(res, resultado)
+      }, 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro');
+
+    } catch (error) {
+      console.error('Error al activar verificación en dos pasos:', error);
+
+      if (error.message.includes('ya está activada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      if (error.message.includes('inválido') || 
+          error.message.includes('Primero debes')) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'codigo', 
+          mensaje: error.message 
+        }]);
+      }
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para desactivar la verificación en dos pasos
+   * POST /api/auth/2fa/desactivar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async desactivarDosFactores(req, res) {
+    try {
+      const { contraseña, codigo, codigo_recuperacion } = req.body;
+
+      await DosFactoresService.desactivar(req.usuario.id_usuario, contraseña, {
+        codigo,
+        codigo_recuperacion
+      });
+
+      return ResponseProvider.success(res, null, 'Verificación en dos pasos desactivada exitosamente');
+
+    } catch (error) {
+      console.error('Error al desactivar verificación en dos pasos:', error);
+
+      if (error.message.includes('requiere la verificación')) {
+        return ResponseProvider.accesoDenegado(res, error.message);
+      }
+
+      if (error.message === 'Contraseña incorrecta' || 
+          error.message.includes('inválido') ||
+          error.message.includes('no está activada')) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'general', 
+          mensaje: error.message 
+        }]);
+      }
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para generar nuevos códigos de recuperación
+   * POST /api/auth/2fa/codigos-recuperacion
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async regenerarCodigosRecuperacion(req, res) {
+    try {
+      const { codigo } = req.body;
+
+      const codigosRecuperacion = await DosFactoresService.regenerarCodigosRecuperacion(
+        req.usuario.id_usuario,
+        codigo
+      );
+
+      return ResponseProvider.success(
+        res, 
+        { codigos_recuperacion: codigosRecuperacion }, 
+        'Códigos de recuperación generados. Los anteriores ya no son válidos'
+      );
+
+    } catch (error) {
+      console.error('Error al regenerar códigos de recuperación:', error);
+
+      if (error.message.includes('inválido')) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'codigo', 
+          mensaje: error.message 
+        }]);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
   /**
    * Endpoint para cerrar sesión
    * POST /api/auth/logout
@@ -190,9 +663,12 @@ export class AuthController {
    */
   static async logout(req, res) {
     try {
-      // Limpiar cookie del refresh token si se usa
-      if (process.env.USE_REFRESH_COOKIE === 'true') {
-        res.clearCookie('refreshToken');
+      // Revocar la sesión asociada al token de acceso
+      await AuthService.cerrarSesion(req.usuario.id_sesion);
+
+      // Limpiar las cookies del refresh token y CSRF si se usan
+      if (usaModoCookie()) {
+        limpiarCookiesSesion(res);
       }
 
       return ResponseProvider.success(res, null, 'Sesión cerrada exitosamente');
@@ -203,6 +679,73 @@ export class AuthController {
     }
   }
 
+  /**
+   * Endpoint para listar las sesiones activas del usuario autenticado
+   * GET /api/auth/sesiones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerSesiones(req, res) {
+    try {
+      const sesiones = await AuthService.obtenerSesiones(
+        req.usuario.id_usuario,
+        req.usuario.id_sesion
+      );
+
+      return ResponseProvider.success(res, sesiones, 'Sesiones obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener sesiones:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para cerrar una sesión específica del usuario autenticado
+   * DELETE /api/auth/sesiones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cerrarSesionRemota(req, res) {
+    try {
+      const { id } = req.params;
+
+      await AuthService.cerrarSesionDeUsuario(req.usuario.id_usuario, id);
+
+      return ResponseProvider.success(res, null, 'Sesión cerrada exitosamente');
+
+    } catch (error) {
+      console.error('Error al cerrar sesión remota:', error);
+
+      if (error.message === 'Sesión no encontrada') {
+        return ResponseProvider.noEncontrado(res, 'Sesión');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Endpoint para cerrar todas las sesiones del usuario excepto la actual
+   * DELETE /api/auth/sesiones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cerrarOtrasSesiones(req, res) {
+    try {
+      const cerradas = await AuthService.cerrarOtrasSesiones(
+        req.usuario.id_usuario,
+        req.usuario.id_sesion
+      );
+
+      return ResponseProvider.success(res, { sesiones_cerradas: cerradas }, 'Se cerraron las demás sesiones');
+
+    } catch (error) {
+      console.error('Error al cerrar las demás sesiones:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
   /**
    * Endpoint para verificar si el token es válido
    * GET /api/auth/verificar
@@ -247,7 +790,7 @@ export class AuthController {
       }
 
       // Verificar si el email ya existe
-      const usuarioExistente = await Usuario.buscarPorCorreo(correo.toLowerCase().trim());
+      const usuarioExistente = await Usuario.buscarPorCorreo(correo.toLowerCase().trim(), false);
       
       return ResponseProvider.success(res, {
         existe: !!usuarioExistente,
@@ -259,4 +802,56 @@ export class AuthController {
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
+
+  /**
+   * Responde al resultado de un inicio de sesión: emite los tokens o, si el login
+   * quedó pendiente, el desafío de dos pasos o el token para cambiar la contraseña
+   * @param {Object} res - Response object
+   * @param {Object} resultado - Resultado de AuthService (login, segundo factor o enlace mágico)
+   */
+  static responderInicioSesion(res, resultado) {
+    // Con verificación en dos pasos no se emiten tokens hasta validar el segundo factor
+    if (resultado.requiere_2fa) {
+      return ResponseProvider.success(res, {
+        requiere_2fa: true,
+        configuracion_pendiente: resultado.configuracion_pendiente,
+        token_desafio: resultado.tokenDesafio
+      }, resultado.configuracion_pendiente
+        ? 'Tu rol requiere configurar la verificación en dos pasos'
+        : 'Ingresa el código de verificación en dos pasos');
+    }
+
+    // Con la contraseña marcada o expirada no se emiten tokens hasta cambiarla
+    if (resultado.requiere_cambio_contraseña) {
+      return ResponseProvider.success(res, {
+        requiere_cambio_contraseña: true,
+        motivo: resultado.motivo,
+        token_cambio: resultado.tokenCambioContraseña
+      }, resultado.motivo === 'EXPIRADA'
+        ? 'Tu contraseña expiró, debes cambiarla para continuar'
+        : 'Debes cambiar tu contraseña para continuar');
+    }
+
+    return ResponseProvider.success(res, {
+      usuario: resultado.usuario,
+      ...AuthController.entregarTokens(res, resultado)
+    }, 'Inicio de sesión exitoso');
+  }
+
+  /**
+   * Entrega los tokens de una sesión según AUTH_TOKEN_MODE
+   * En modo 'body' ambos tokens van en la respuesta; en modo 'cookie' el refresh token
+   * se guarda en una cookie httpOnly y la respuesta incluye el token CSRF en su lugar
+   * @param {Object} res - Response object
+   * @param {Object} tokens - { accessToken, refreshToken }
+   * @returns {Object} - Tokens a incluir en el cuerpo de la respuesta
+   */
+  static entregarTokens(res, { accessToken, refreshToken }) {
+    if (!usaModoCookie()) {
+      return { accessToken, refreshToken };
+    }
+
+    const csrfToken = establecerCookiesSesion(res, refreshToken);
+    return { accessToken, csrfToken };
+  }
 }
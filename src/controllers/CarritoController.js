@@ -43,7 +43,7 @@ export class CarritoController {
   static async agregarProducto(req, res) {
     try {
       const idUsuario = req.usuario.id_usuario;
-      const { id_producto, cantidad = 1 } = req.body;
+      const { id_producto, id_variante = null, cantidad = 1 } = req.body;
       
       // Validaciones
       if (!id_producto) {
@@ -60,7 +60,19 @@ export class CarritoController {
         });
       }
       
-      await Carrito.agregarProducto(idUsuario, id_producto, cantidad);
+      if (id_variante !== null && isNaN(parseInt(id_variante))) {
+        return ResponseProvider.error(res, {
+          message: "El ID de la variante debe ser válido",
+          statusCode: 400
+        });
+      }
+      
+      await Carrito.agregarProducto(
+        idUsuario,
+        id_producto,
+        cantidad,
+        id_variante !== null ? parseInt(id_variante) : null
+      );
       
       return ResponseProvider.success(res, {
         message: "Producto agregado al carrito exitosamente"
@@ -71,6 +83,7 @@ export class CarritoController {
       
       if (error.message.includes('no encontrado') || 
           error.message.includes('no disponible') ||
+          error.message.includes('requiere seleccionar una variante') ||
           error.message.includes('Stock insuficiente') ||
           error.message.includes('excede el stock')) {
         return ResponseProvider.error(res, {
@@ -96,6 +109,7 @@ export class CarritoController {
       const idUsuario = req.usuario.id_usuario;
       const { id_producto } = req.params;
       const { cantidad } = req.body;
+      const idVariante = req.query.id_variante ? parseInt(req.query.id_variante) : null;
       
       // Validaciones
       if (!cantidad || cantidad < 0) {
@@ -105,7 +119,7 @@ export class CarritoController {
         });
       }
       
-      const resultado = await Carrito.actualizarCantidad(idUsuario, parseInt(id_producto), cantidad);
+      const resultado = await Carrito.actualizarCantidad(idUsuario, parseInt(id_producto), cantidad, idVariante);
       
       if (!resultado) {
         return ResponseProvider.error(res, {
@@ -122,7 +136,8 @@ export class CarritoController {
       console.error('Error en actualizarCantidad:', error);
       
       if (error.message.includes('Stock insuficiente') ||
-          error.message.includes('no disponible')) {
+          error.message.includes('no disponible') ||
+          error.message.includes('requiere seleccionar una variante')) {
         return ResponseProvider.error(res, {
           message: error.message,
           statusCode: 400
@@ -145,8 +160,9 @@ export class CarritoController {
     try {
       const idUsuario = req.usuario.id_usuario;
       const { id_producto } = req.params;
+      const idVariante = req.query.id_variante ? parseInt(req.query.id_variante) : null;
       
-      const resultado = await Carrito.eliminarProducto(idUsuario, parseInt(id_producto));
+      const resultado = await Carrito.eliminarProducto(idUsuario, parseInt(id_producto), idVariante);
       
       if (!resultado) {
         return ResponseProvider.error(res, {
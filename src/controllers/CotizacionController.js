@@ -0,0 +1,453 @@
+/**
+ * Controlador de Cotizaciones
+ * Maneja la solicitud de cotizaciones de muebles a medida, sus versiones y la respuesta del cliente
+ */
+
+import { CotizacionService } from "../services/CotizacionService.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const ESTADOS_COTIZACION = ['SOLICITADA', 'ENVIADA', 'ACEPTADA', 'RECHAZADA', 'CANCELADA'];
+const TIPOS_LINEA = ['MANO_OBRA', 'MATERIAL', 'OTRO'];
+const MAX_LINEAS = 100;
+
+export class CotizacionController {
+
+  /**
+   * Solicita una cotización
+   * POST /api/cotizaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async solicitarCotizacion(req, res) {
+    try {
+      const errores = CotizacionController.validarSolicitud(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const { titulo, medidas, materiales, notas } = req.body;
+      const cotizacion = await CotizacionService.solicitar(req.usuario.id_usuario, {
+        titulo: titulo.trim(),
+        medidas: medidas?.trim() || null,
+        materiales: materiales?.trim() || null,
+        notas: notas?.trim() || null
+      });
+
+      return ResponseProvider.creado(res, cotizacion, 'Cotización solicitada exitosamente');
+
+    } catch (error) {
+      console.error('Error al solicitar cotización:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene las cotizaciones del usuario autenticado
+   * GET /api/cotizaciones/mis-cotizaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMisCotizaciones(req, res) {
+    req.query.id_usuario = req.usuario.id_usuario;
+    return CotizacionController.obtenerCotizaciones(req, res);
+  }
+
+  /**
+   * Obtiene cotizaciones con filtros
+   * GET /api/cotizaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerCotizaciones(req, res) {
+    try {
+      const { pagina = 1, limite = 20, id_usuario, estado } = req.query;
+
+      if (estado && !ESTADOS_COTIZACION.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_COTIZACION.join(', ')}`, 400);
+      }
+
+      const resultado = await CotizacionService.obtenerCotizaciones(
+        {
+          id_usuario: parseInt(id_usuario) || null,
+          estado: estado || null
+        },
+        {
+          pagina: parseInt(pagina) || 1,
+          limite: parseInt(limite) || 20
+        }
+      );
+
+      return ResponseProvider.success(res, resultado, 'Cotizaciones obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener cotizaciones:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una cotización con sus versiones
+   * GET /api/cotizaciones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerCotizacionPorId(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      if (isNaN(idCotizacion)) {
+        return ResponseProvider.error(res, 'ID de cotización inválido', 400);
+      }
+
+      const cotizacion = await CotizacionService.obtenerCotizacion(
+        idCotizacion,
+        CotizacionController.obtenerAcceso(req)
+      );
+
+      return ResponseProvider.success(res, cotizacion, 'Cotización obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Crea una nueva versión (borrador) con el precio línea a línea
+   * POST /api/cotizaciones/:id/versiones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearVersion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      if (isNaN(idCotizacion)) {
+        return ResponseProvider.error(res, 'ID de cotización inválido', 400);
+      }
+
+      const errores = CotizacionController.validarVersion(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const version = await CotizacionService.crearVersion(
+        idCotizacion,
+        CotizacionController.normalizarVersion(req.body),
+        req.usuario.id_usuario
+      );
+
+      return ResponseProvider.creado(res, version, 'Versión de cotización creada exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear versión de cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Reemplaza el contenido de una versión en borrador
+   * PUT /api/cotizaciones/:id/versiones/:numero
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarVersion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      const numeroVersion = parseInt(req.params.numero);
+      if (isNaN(idCotizacion) || isNaN(numeroVersion)) {
+        return ResponseProvider.error(res, 'ID de cotización o número de versión inválido', 400);
+      }
+
+      const errores = CotizacionController.validarVersion(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const version = await CotizacionService.actualizarVersion(
+        idCotizacion,
+        numeroVersion,
+        CotizacionController.normalizarVersion(req.body)
+      );
+
+      return ResponseProvider.success(res, version, 'Versión de cotización actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar versión de cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Envía una versión en borrador al cliente
+   * POST /api/cotizaciones/:id/versiones/:numero/enviar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async enviarVersion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      const numeroVersion = parseInt(req.params.numero);
+      if (isNaN(idCotizacion) || isNaN(numeroVersion)) {
+        return ResponseProvider.error(res, 'ID de cotización o número de versión inválido', 400);
+      }
+
+      const version = await CotizacionService.enviarVersion(idCotizacion, numeroVersion);
+
+      return ResponseProvider.success(res, version, 'Cotización enviada al cliente exitosamente');
+
+    } catch (error) {
+      console.error('Error al enviar versión de cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Descarga el PDF de una versión de cotización
+   * GET /api/cotizaciones/:id/versiones/:numero/pdf
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async descargarPDF(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      const numeroVersion = parseInt(req.params.numero);
+      if (isNaN(idCotizacion) || isNaN(numeroVersion)) {
+        return ResponseProvider.error(res, 'ID de cotización o número de versión inválido', 400);
+      }
+
+      const pdfBuffer = await CotizacionService.generarPDF(
+        idCotizacion,
+        numeroVersion,
+        CotizacionController.obtenerAcceso(req)
+      );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="Cotizacion_${idCotizacion}_v${numeroVersion}.pdf"`);
+      res.setHeader('Content-Length', pdfBuffer.length);
+
+      res.end(pdfBuffer);
+
+    } catch (error) {
+      console.error('Error al generar PDF de cotización:', error);
+
+      if (error.message.includes('no encontrada')) {
+        return CotizacionController.responderError(res, error);
+      }
+
+      return ResponseProvider.error(res, 'Error al generar PDF de la cotización', 500);
+    }
+  }
+
+  /**
+   * Acepta la versión enviada: genera la venta y su factura
+   * POST /api/cotizaciones/:id/aceptar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async aceptarCotizacion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      if (isNaN(idCotizacion)) {
+        return ResponseProvider.error(res, 'ID de cotización inválido', 400);
+      }
+
+      const resultado = await CotizacionService.aceptar(idCotizacion, req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, resultado, 'Cotización aceptada, se generó la venta y su factura');
+
+    } catch (error) {
+      console.error('Error al aceptar cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Rechaza la versión enviada
+   * POST /api/cotizaciones/:id/rechazar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async rechazarCotizacion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      if (isNaN(idCotizacion)) {
+        return ResponseProvider.error(res, 'ID de cotización inválido', 400);
+      }
+
+      const cotizacion = await CotizacionService.rechazar(idCotizacion, req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, cotizacion, 'Cotización rechazada');
+
+    } catch (error) {
+      console.error('Error al rechazar cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Cancela una cotización aún no respondida
+   * POST /api/cotizaciones/:id/cancelar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cancelarCotizacion(req, res) {
+    try {
+      const idCotizacion = parseInt(req.params.id);
+      if (isNaN(idCotizacion)) {
+        return ResponseProvider.error(res, 'ID de cotización inválido', 400);
+      }
+
+      const cotizacion = await CotizacionService.cancelar(
+        idCotizacion,
+        CotizacionController.obtenerAcceso(req)
+      );
+
+      return ResponseProvider.success(res, cotizacion, 'Cotización cancelada');
+
+    } catch (error) {
+      console.error('Error al cancelar cotización:', error);
+      return CotizacionController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Determina quién consulta: el personal (leer_cotizaciones o *) ve todas las cotizaciones
+   * @param {Object} req - Request object
+   * @returns {Object} - { idUsuario, esPersonal }
+   */
+  static obtenerAcceso(req) {
+    const permisos = req.usuario.permisos || [];
+
+    return {
+      idUsuario: req.usuario.id_usuario,
+      esPersonal: permisos.includes('*') || permisos.includes('leer_cotizaciones')
+    };
+  }
+
+  /**
+   * Traduce los errores del servicio a respuestas HTTP
+   * @param {Object} res - Response object
+   * @param {Error} error - Error lanzado por el servicio
+   */
+  static responderError(res, error) {
+    if (error.message === 'Cotización no encontrada') {
+      return ResponseProvider.noEncontrado(res, 'Cotización');
+    }
+
+    if (error.message === 'Versión no encontrada') {
+      return ResponseProvider.noEncontrado(res, 'Versión');
+    }
+
+    if (error.message.startsWith('No se pueden') ||
+        error.message.startsWith('Solo se pueden') ||
+        error.message.startsWith('Ya existe') ||
+        error.message.includes('vencida') ||
+        error.message.includes('vencimiento') ||
+        error.message.includes('pendiente de respuesta')) {
+      return ResponseProvider.conflicto(res, error.message);
+    }
+
+    return ResponseProvider.error(res, 'Error interno del servidor', 500);
+  }
+
+  /**
+   * Valida los datos de una solicitud de cotización
+   * @param {Object} datos - Datos recibidos
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarSolicitud(datos) {
+    const errores = [];
+    const { titulo, medidas, materiales, notas } = datos;
+
+    if (typeof titulo !== 'string' || titulo.trim().length < 1 || titulo.trim().length > 150) {
+      errores.push({ campo: 'titulo', mensaje: 'El título es requerido y no puede exceder 150 caracteres' });
+    }
+
+    if (medidas !== undefined && medidas !== null && (typeof medidas !== 'string' || medidas.length > 255)) {
+      errores.push({ campo: 'medidas', mensaje: 'Las medidas deben ser un texto de hasta 255 caracteres' });
+    }
+
+    if (materiales !== undefined && materiales !== null && (typeof materiales !== 'string' || materiales.length > 255)) {
+      errores.push({ campo: 'materiales', mensaje: 'Los materiales deben ser un texto de hasta 255 caracteres' });
+    }
+
+    if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+      errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Valida el contenido de una versión de cotización
+   * @param {Object} datos - Datos recibidos (lineas, fecha_vencimiento, notas)
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarVersion(datos) {
+    const errores = [];
+    const { lineas, fecha_vencimiento, notas } = datos;
+
+    if (!Array.isArray(lineas) || lineas.length === 0 || lineas.length > MAX_LINEAS) {
+      errores.push({ campo: 'lineas', mensaje: `La versión debe tener entre 1 y ${MAX_LINEAS} líneas` });
+    } else {
+      lineas.forEach((linea, indice) => {
+        const campo = `lineas[${indice}]`;
+
+        if (!linea || !TIPOS_LINEA.includes(linea.tipo)) {
+          errores.push({ campo: `${campo}.tipo`, mensaje: `El tipo debe ser: ${TIPOS_LINEA.join(', ')}` });
+          return;
+        }
+
+        if (typeof linea.descripcion !== 'string' || linea.descripcion.trim().length < 1 || linea.descripcion.trim().length > 255) {
+          errores.push({ campo: `${campo}.descripcion`, mensaje: 'La descripción es requerida y no puede exceder 255 caracteres' });
+        }
+
+        if (isNaN(parseFloat(linea.cantidad)) || parseFloat(linea.cantidad) <= 0) {
+          errores.push({ campo: `${campo}.cantidad`, mensaje: 'La cantidad debe ser un número mayor a 0' });
+        }
+
+        if (isNaN(parseFloat(linea.precio_unitario)) || parseFloat(linea.precio_unitario) < 0) {
+          errores.push({ campo: `${campo}.precio_unitario`, mensaje: 'El precio unitario debe ser un número mayor o igual a 0' });
+        }
+
+        if (linea.unidad !== undefined && linea.unidad !== null && (typeof linea.unidad !== 'string' || linea.unidad.length > 20)) {
+          errores.push({ campo: `${campo}.unidad`, mensaje: 'La unidad debe ser un texto de hasta 20 caracteres (ej: h, m2, unidad)' });
+        }
+      });
+    }
+
+    if (fecha_vencimiento !== undefined && fecha_vencimiento !== null) {
+      const esFecha = typeof fecha_vencimiento === 'string' &&
+        /^\d{4}-\d{2}-\d{2}$/.test(fecha_vencimiento) &&
+        !isNaN(Date.parse(fecha_vencimiento));
+
+      if (!esFecha) {
+        errores.push({ campo: 'fecha_vencimiento', mensaje: 'La fecha de vencimiento debe tener el formato YYYY-MM-DD' });
+      }
+    }
+
+    if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+      errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Normaliza el contenido ya validado de una versión
+   * @param {Object} datos - Datos recibidos
+   * @returns {Object} - Datos listos para el servicio
+   */
+  static normalizarVersion(datos) {
+    return {
+      fecha_vencimiento: datos.fecha_vencimiento || null,
+      notas: datos.notas?.trim() || null,
+      lineas: datos.lineas.map(linea => ({
+        tipo: linea.tipo,
+        descripcion: linea.descripcion.trim(),
+        cantidad: parseFloat(linea.cantidad),
+        unidad: linea.unidad?.trim() || null,
+        precio_unitario: parseFloat(linea.precio_unitario)
+      }))
+    };
+  }
+}
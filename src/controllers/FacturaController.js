@@ -154,7 +154,7 @@ export class FacturaController {
             const { id } = req.params;
             const { motivo } = req.body;
 
-            const factura = await Factura.anularFactura(id, motivo);
+            const factura = await Factura.anularFactura(id, motivo, req.usuario.id_usuario);
 
             return ResponseProvider.success(res, {
                 message: 'Factura anulada exitosamente',
@@ -0,0 +1,169 @@
+/**
+ * Controlador de Impersonaciones
+ * Maneja endpoints para iniciar y finalizar impersonaciones y consultar su auditoría
+ */
+
+import { ImpersonacionService } from "../services/ImpersonacionService.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+export class ImpersonacionController {
+
+  /**
+   * Inicia la impersonación de un usuario
+   * POST /api/impersonaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async iniciarImpersonacion(req, res) {
+    try {
+      const { id_usuario, motivo } = req.body;
+      const idUsuario = parseInt(id_usuario);
+      const errores = [];
+
+      if (!idUsuario || idUsuario < 1) {
+        errores.push({
+          campo: 'id_usuario',
+          mensaje: 'ID de usuario inválido'
+        });
+      }
+
+      if (!motivo || typeof motivo !== 'string' || motivo.trim().length < 5 || motivo.trim().length > 255) {
+        errores.push({
+          campo: 'motivo',
+          mensaje: 'El motivo debe tener entre 5 y 255 caracteres'
+        });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = await ImpersonacionService.iniciar(
+        req.usuario.id_usuario,
+        { id_usuario: idUsuario, motivo: motivo.trim() },
+        { user_agent: req.get('User-Agent'), ip: req.ip }
+      );
+
+      return ResponseProvider.creado(res, resultado, 'Impersonación iniciada exitosamente');
+
+    } catch (error) {
+      console.error('Error al iniciar impersonación:', error);
+
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      if (error.message.includes('permisos que no tienes')) {
+        return ResponseProvider.accesoDenegado(res, error.message);
+      }
+
+      if (error.message.includes('ti mismo') || error.message.includes('usuarios activos')) {
+        return ResponseProvider.error(res, error.message, 400);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Finaliza la impersonación del token actual
+   * POST /api/impersonaciones/finalizar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async finalizarImpersonacionActual(req, res) {
+    try {
+      if (!req.usuario.id_impersonacion) {
+        return ResponseProvider.error(res, 'El token no corresponde a una impersonación', 400);
+      }
+
+      const impersonacion = await ImpersonacionService.finalizar(req.usuario.id_impersonacion);
+
+      return ResponseProvider.success(res, impersonacion, 'Impersonación finalizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al finalizar impersonación:', error);
+
+      if (error.message.includes('ya finalizada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Finaliza una impersonación por su ID (p. ej. una que quedó abierta)
+   * DELETE /api/impersonaciones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async finalizarImpersonacion(req, res) {
+    try {
+      const impersonacion = await ImpersonacionService.finalizar(req.params.id);
+
+      return ResponseProvider.success(res, impersonacion, 'Impersonación finalizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al finalizar impersonación:', error);
+
+      if (error.message.includes('ya finalizada')) {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene el registro de impersonaciones
+   * GET /api/impersonaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerImpersonaciones(req, res) {
+    try {
+      const { pagina = 1, limite = 20, id_usuario_admin, id_usuario_objetivo } = req.query;
+
+      const resultado = await ImpersonacionService.obtenerImpersonaciones(
+        {
+          id_usuario_admin: parseInt(id_usuario_admin) || null,
+          id_usuario_objetivo: parseInt(id_usuario_objetivo) || null
+        },
+        {
+          pagina: parseInt(pagina) || 1,
+          limite: parseInt(limite) || 20
+        }
+      );
+
+      return ResponseProvider.success(res, resultado, 'Impersonaciones obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener impersonaciones:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una impersonación con las peticiones realizadas durante ella
+   * GET /api/impersonaciones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerImpersonacionPorId(req, res) {
+    try {
+      const impersonacion = await ImpersonacionService.obtenerImpersonacionPorId(req.params.id);
+
+      return ResponseProvider.success(res, impersonacion, 'Impersonación obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener impersonación:', error);
+
+      if (error.message === 'Impersonación no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Controlador de listas de corte
+ * Recibe el despiece de un trabajo y devuelve cómo cortarlo de los tableros disponibles,
+ * en JSON o como diagrama SVG/PDF para el taller
+ */
+
+import { ListaCorteService, ESPESOR_CORTE_DEFECTO } from "../services/ListaCorteService.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const MAX_LINEAS_PIEZA = 200;
+const MAX_UNIDADES = 1000;
+const MAX_TAMAÑOS_TABLERO = 10;
+const MAX_MEDIDA = 10000;
+const MAX_ESPESOR_CORTE = 20;
+const VETAS = ['LARGO', 'ANCHO', 'SIN_VETA'];
+const FORMATOS = ['json', 'svg', 'pdf'];
+
+export class ListaCorteController {
+
+  /**
+   * Optimiza una lista de corte
+   * POST /api/listas-corte/optimizar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async optimizar(req, res) {
+    try {
+      const formato = (req.query.formato || 'json').toLowerCase();
+      if (!FORMATOS.includes(formato)) {
+        return ResponseProvider.error(res, `Formato inválido. Valores permitidos: ${FORMATOS.join(', ')}`, 400);
+      }
+
+      const errores = ListaCorteController.validarLista(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = ListaCorteService.optimizar(ListaCorteController.normalizarLista(req.body));
+
+      if (formato === 'svg') {
+        res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+        return res.send(ListaCorteService.generarSVG(resultado.tableros));
+      }
+
+      if (formato === 'pdf') {
+        const pdfBuffer = await ListaCorteService.generarPDF(resultado);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'attachment; filename="Lista_Corte.pdf"');
+        res.setHeader('Content-Length', pdfBuffer.length);
+
+        return res.end(pdfBuffer);
+      }
+
+      const mensaje = resultado.piezas_sin_ubicar.length > 0
+        ? `Lista de corte optimizada: ${resultado.piezas_sin_ubicar.length} pieza(s) no se pudieron ubicar`
+        : 'Lista de corte optimizada exitosamente';
+
+      return ResponseProvider.success(res, resultado, mensaje);
+
+    } catch (error) {
+      console.error('Error al optimizar lista de corte:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida las piezas, los tableros y el espesor de corte
+   * @param {Object} datos - Datos recibidos
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarLista(datos) {
+    const errores = [];
+    const { piezas, tableros, espesor_corte } = datos;
+
+    if (espesor_corte !== undefined &&
+        (isNaN(parseFloat(espesor_corte)) || parseFloat(espesor_corte) < 0 || parseFloat(espesor_corte) > MAX_ESPESOR_CORTE)) {
+      errores.push({ campo: 'espesor_corte', mensaje: `El espesor de corte debe ser un número entre 0 y ${MAX_ESPESOR_CORTE} mm` });
+    }
+
+    if (!Array.isArray(piezas) || piezas.length === 0 || piezas.length > MAX_LINEAS_PIEZA) {
+      errores.push({ campo: 'piezas', mensaje: `Las piezas deben ser una lista de 1 a ${MAX_LINEAS_PIEZA} elementos` });
+    } else {
+      let unidades = 0;
+
+      piezas.forEach((pieza, indice) => {
+        ListaCorteController.validarMedidas(pieza, `piezas[${indice}]`, errores);
+
+        const cantidad = Number(pieza?.cantidad);
+        if (!Number.isInteger(cantidad) || cantidad < 1) {
+          errores.push({ campo: `piezas[${indice}].cantidad`, mensaje: 'La cantidad debe ser un número entero mayor a 0' });
+        } else {
+          unidades += cantidad;
+        }
+
+        if (pieza?.veta !== undefined && !VETAS.includes(pieza.veta)) {
+          errores.push({ campo: `piezas[${indice}].veta`, mensaje: `Veta inválida. Valores permitidos: ${VETAS.join(', ')}` });
+        }
+      });
+
+      if (unidades > MAX_UNIDADES) {
+        errores.push({ campo: 'piezas', mensaje: `La lista no puede superar ${MAX_UNIDADES} piezas en total` });
+      }
+    }
+
+    if (!Array.isArray(tableros) || tableros.length === 0 || tableros.length > MAX_TAMAÑOS_TABLERO) {
+      errores.push({ campo: 'tableros', mensaje: `Los tableros deben ser una lista de 1 a ${MAX_TAMAÑOS_TABLERO} tamaños` });
+    } else {
+      tableros.forEach((tablero, indice) => {
+        ListaCorteController.validarMedidas(tablero, `tableros[${indice}]`, errores);
+
+        if (tablero?.cantidad !== undefined && tablero.cantidad !== null &&
+            (!Number.isInteger(Number(tablero.cantidad)) || Number(tablero.cantidad) < 1)) {
+          errores.push({ campo: `tableros[${indice}].cantidad`, mensaje: 'La cantidad disponible debe ser un número entero mayor a 0' });
+        }
+      });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Valida largo, ancho, nombre y material de una pieza o tablero
+   * @param {Object} elemento - Pieza o tablero
+   * @param {string} campo - Prefijo del campo para los errores
+   * @param {Array} errores - Lista de errores a completar
+   */
+  static validarMedidas(elemento, campo, errores) {
+    for (const medida of ['largo', 'ancho']) {
+      const valor = parseFloat(elemento?.[medida]);
+      if (isNaN(valor) || valor <= 0 || valor > MAX_MEDIDA) {
+        errores.push({ campo: `${campo}.${medida}`, mensaje: `El ${medida} debe ser un número mayor a 0 y hasta ${MAX_MEDIDA} mm` });
+      }
+    }
+
+    for (const texto of ['nombre', 'material']) {
+      const valor = elemento?.[texto];
+      if (valor !== undefined && valor !== null && (typeof valor !== 'string' || valor.length > 100)) {
+        errores.push({ campo: `${campo}.${texto}`, mensaje: `El ${texto} debe ser un texto de hasta 100 caracteres` });
+      }
+    }
+  }
+
+  /**
+   * Convierte los datos validados al formato del servicio
+   * @param {Object} datos - Datos validados
+   * @returns {Object} - { piezas, tableros, espesor_corte }
+   */
+  static normalizarLista(datos) {
+    return {
+      espesor_corte: datos.espesor_corte !== undefined ? parseFloat(datos.espesor_corte) : ESPESOR_CORTE_DEFECTO,
+      piezas: datos.piezas.map(pieza => ({
+        nombre: pieza.nombre?.trim() || null,
+        largo: parseFloat(pieza.largo),
+        ancho: parseFloat(pieza.ancho),
+        cantidad: Number(pieza.cantidad),
+        veta: pieza.veta || 'SIN_VETA',
+        material: pieza.material?.trim() || ''
+      })),
+      tableros: datos.tableros.map(tablero => ({
+        nombre: tablero.nombre?.trim() || null,
+        largo: parseFloat(tablero.largo),
+        ancho: parseFloat(tablero.ancho),
+        material: tablero.material?.trim() || '',
+        cantidad: tablero.cantidad !== undefined && tablero.cantidad !== null ? Number(tablero.cantidad) : null
+      }))
+    };
+  }
+}
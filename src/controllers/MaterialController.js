@@ -0,0 +1,457 @@
+/**
+ * Controlador de Materiales
+ * Maneja el inventario de materia prima del taller: alta de materiales, recepciones
+ * de proveedores, consumos y reporte de stock bajo
+ */
+
+import { Material } from "../models/Material.js";
+import { Proveedor } from "../models/Proveedor.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const UNIDADES_MEDIDA = ['PIE_TABLAR', 'M2', 'LITRO', 'UNIDAD'];
+const ESTADOS_MATERIAL = ['ACTIVO', 'DESCONTINUADO'];
+const TIPOS_MOVIMIENTO = ['RECEPCION', 'CONSUMO', 'DEVOLUCION'];
+
+export class MaterialController {
+
+  /**
+   * Obtiene materiales con filtros y paginación
+   * GET /api/materiales
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMateriales(req, res) {
+    try {
+      const { pagina = 1, limite = 20, busqueda = '', unidad_medida, estado, id_proveedor } = req.query;
+
+      if (unidad_medida && !UNIDADES_MEDIDA.includes(unidad_medida)) {
+        return ResponseProvider.error(res, `La unidad de medida debe ser: ${UNIDADES_MEDIDA.join(', ')}`, 400);
+      }
+
+      if (estado && !ESTADOS_MATERIAL.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_MATERIAL.join(', ')}`, 400);
+      }
+
+      let paginaNumero = parseInt(pagina) || 1;
+      let limiteNumero = parseInt(limite) || 20;
+      if (paginaNumero < 1) paginaNumero = 1;
+      if (limiteNumero < 1 || limiteNumero > 100) limiteNumero = 20;
+
+      const resultado = await Material.obtenerTodos(
+        {
+          busqueda: busqueda.trim(),
+          unidad_medida: unidad_medida || null,
+          estado: estado || null,
+          id_proveedor: parseInt(id_proveedor) || null
+        },
+        paginaNumero,
+        limiteNumero
+      );
+
+      return ResponseProvider.success(res, resultado, 'Materiales obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener materiales:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene los materiales activos en o por debajo de su stock mínimo
+   * GET /api/materiales/stock-bajo
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerStockBajo(req, res) {
+    try {
+      const materiales = await Material.obtenerStockBajo();
+      return ResponseProvider.success(res, materiales, 'Materiales con stock bajo obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener materiales con stock bajo:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene un material por su ID
+   * GET /api/materiales/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMaterialPorId(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      const material = await Material.buscarPorId(idMaterial);
+      if (!material) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      return ResponseProvider.success(res, material, 'Material obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener material:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Crea un material
+   * POST /api/materiales
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearMaterial(req, res) {
+    try {
+      const errores = MaterialController.validarDatosMaterial(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const datos = MaterialController.normalizarDatosMaterial(req.body);
+
+      if (datos.id_proveedor && !await Proveedor.buscarPorId(datos.id_proveedor)) {
+        return ResponseProvider.noEncontrado(res, 'Proveedor');
+      }
+
+      const idMaterial = await Material.crear(datos);
+      const material = await Material.buscarPorId(idMaterial);
+
+      return ResponseProvider.creado(res, material, 'Material creado exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear material:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Actualiza un material; los campos no enviados conservan su valor
+   * El stock no se edita directamente: cambia con recepciones y consumos
+   * PUT /api/materiales/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarMaterial(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      const existente = await Material.buscarPorId(idMaterial);
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      const errores = MaterialController.validarDatosMaterial(req.body, true);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const datos = {
+        nombre_material: existente.nombre_material,
+        descripcion: existente.descripcion,
+        unidad_medida: existente.unidad_medida,
+        costo_unitario: existente.costo_unitario,
+        stock_minimo: existente.stock_minimo,
+        id_proveedor: existente.id_proveedor,
+        estado: existente.estado,
+        ...MaterialController.normalizarDatosMaterial(req.body, true)
+      };
+
+      if (datos.id_proveedor && datos.id_proveedor !== existente.id_proveedor &&
+          !await Proveedor.buscarPorId(datos.id_proveedor)) {
+        return ResponseProvider.noEncontrado(res, 'Proveedor');
+      }
+
+      await Material.actualizar(idMaterial, datos);
+      const material = await Material.buscarPorId(idMaterial);
+
+      return ResponseProvider.success(res, material, 'Material actualizado exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar material:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Elimina un material sin movimientos
+   * DELETE /api/materiales/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async eliminarMaterial(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      if (!await Material.buscarPorId(idMaterial)) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      await Material.eliminar(idMaterial);
+      return ResponseProvider.success(res, null, 'Material eliminado exitosamente');
+
+    } catch (error) {
+      console.error('Error al eliminar material:', error);
+
+      if (error.message.includes('movimientos registrados') ||
+          error.message.includes('lista de materiales')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Registra la recepción de un material entregado por un proveedor
+   * Si no se indica proveedor se usa el proveedor habitual del material
+   * POST /api/materiales/:id/recepciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async registrarRecepcion(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      const material = await Material.buscarPorId(idMaterial);
+      if (!material) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      const { cantidad, costo_unitario, id_proveedor, referencia, notas } = req.body;
+      const errores = MaterialController.validarCantidad(cantidad);
+
+      if (isNaN(parseFloat(costo_unitario)) || parseFloat(costo_unitario) < 0) {
+        errores.push({ campo: 'costo_unitario', mensaje: 'El costo unitario debe ser un número mayor o igual a 0' });
+      }
+
+      const idProveedor = parseInt(id_proveedor) || material.id_proveedor;
+      if (!idProveedor) {
+        errores.push({ campo: 'id_proveedor', mensaje: 'Indica el proveedor (el material no tiene proveedor habitual)' });
+      }
+
+      if (referencia !== undefined && referencia !== null && (typeof referencia !== 'string' || referencia.length > 100)) {
+        errores.push({ campo: 'referencia', mensaje: 'La referencia debe ser un texto de hasta 100 caracteres' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      if (!await Proveedor.buscarPorId(idProveedor)) {
+        return ResponseProvider.noEncontrado(res, 'Proveedor');
+      }
+
+      const resultado = await Material.registrarRecepcion(idMaterial, {
+        cantidad: parseFloat(cantidad),
+        costo_unitario: parseFloat(costo_unitario),
+        id_proveedor: idProveedor,
+        referencia: referencia?.trim() || null,
+        notas: typeof notas === 'string' ? notas.trim() || null : null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      if (!resultado) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      return ResponseProvider.creado(res, resultado, 'Recepción de material registrada exitosamente');
+
+    } catch (error) {
+      console.error('Error al registrar recepción de material:', error);
+
+      if (error.message.includes('descontinuado')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Registra el consumo de un material en el taller
+   * POST /api/materiales/:id/consumos
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async registrarConsumo(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      const { cantidad, id_venta, notas } = req.body;
+      const errores = MaterialController.validarCantidad(cantidad);
+
+      if (id_venta !== undefined && id_venta !== null && !(parseInt(id_venta) > 0)) {
+        errores.push({ campo: 'id_venta', mensaje: 'ID de venta inválido' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = await Material.registrarConsumo(idMaterial, {
+        cantidad: parseFloat(cantidad),
+        id_venta: parseInt(id_venta) || null,
+        notas: typeof notas === 'string' ? notas.trim() || null : null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      if (!resultado) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      return ResponseProvider.creado(res, resultado, 'Consumo de material registrado exitosamente');
+
+    } catch (error) {
+      console.error('Error al registrar consumo de material:', error);
+
+      if (error.message.includes('Stock insuficiente')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return ResponseProvider.noEncontrado(res, 'Venta');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene los movimientos (recepciones y consumos) de un material
+   * GET /api/materiales/:id/movimientos
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMovimientos(req, res) {
+    try {
+      const idMaterial = parseInt(req.params.id);
+      if (isNaN(idMaterial)) {
+        return ResponseProvider.error(res, 'ID de material inválido', 400);
+      }
+
+      const { pagina = 1, limite = 20, tipo } = req.query;
+
+      if (tipo && !TIPOS_MOVIMIENTO.includes(tipo)) {
+        return ResponseProvider.error(res, `El tipo debe ser: ${TIPOS_MOVIMIENTO.join(', ')}`, 400);
+      }
+
+      if (!await Material.buscarPorId(idMaterial)) {
+        return ResponseProvider.noEncontrado(res, 'Material');
+      }
+
+      let paginaNumero = parseInt(pagina) || 1;
+      let limiteNumero = parseInt(limite) || 20;
+      if (paginaNumero < 1) paginaNumero = 1;
+      if (limiteNumero < 1 || limiteNumero > 100) limiteNumero = 20;
+
+      const resultado = await Material.obtenerMovimientos(
+        idMaterial,
+        { tipo: tipo || null },
+        paginaNumero,
+        limiteNumero
+      );
+
+      return ResponseProvider.success(res, resultado, 'Movimientos del material obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener movimientos de material:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida la cantidad de una recepción o consumo
+   * @param {*} cantidad - Cantidad recibida
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarCantidad(cantidad) {
+    if (isNaN(parseFloat(cantidad)) || parseFloat(cantidad) <= 0) {
+      return [{ campo: 'cantidad', mensaje: 'La cantidad debe ser un número mayor a 0' }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Valida los datos de un material
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es una actualización (los campos son opcionales)
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarDatosMaterial(datos, parcial = false) {
+    const errores = [];
+    const { nombre_material, descripcion, unidad_medida, costo_unitario, stock_minimo, id_proveedor, estado } = datos;
+
+    if (!parcial || nombre_material !== undefined) {
+      if (typeof nombre_material !== 'string' || nombre_material.trim().length < 1 || nombre_material.trim().length > 150) {
+        errores.push({ campo: 'nombre_material', mensaje: 'El nombre es requerido y no puede exceder 150 caracteres' });
+      }
+    }
+
+    if (descripcion !== undefined && descripcion !== null && typeof descripcion !== 'string') {
+      errores.push({ campo: 'descripcion', mensaje: 'La descripción debe ser un texto' });
+    }
+
+    if (!parcial || unidad_medida !== undefined) {
+      if (!UNIDADES_MEDIDA.includes(unidad_medida)) {
+        errores.push({ campo: 'unidad_medida', mensaje: `La unidad de medida debe ser: ${UNIDADES_MEDIDA.join(', ')}` });
+      }
+    }
+
+    if (costo_unitario !== undefined && (isNaN(parseFloat(costo_unitario)) || parseFloat(costo_unitario) < 0)) {
+      errores.push({ campo: 'costo_unitario', mensaje: 'El costo unitario debe ser un número mayor o igual a 0' });
+    }
+
+    if (stock_minimo !== undefined && (isNaN(parseFloat(stock_minimo)) || parseFloat(stock_minimo) < 0)) {
+      errores.push({ campo: 'stock_minimo', mensaje: 'El stock mínimo debe ser un número mayor o igual a 0' });
+    }
+
+    if (id_proveedor !== undefined && id_proveedor !== null && !(parseInt(id_proveedor) > 0)) {
+      errores.push({ campo: 'id_proveedor', mensaje: 'ID de proveedor inválido' });
+    }
+
+    if (estado !== undefined && !ESTADOS_MATERIAL.includes(estado)) {
+      errores.push({ campo: 'estado', mensaje: `El estado debe ser: ${ESTADOS_MATERIAL.join(', ')}` });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Normaliza los datos ya validados de un material
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es una actualización (solo devuelve los campos enviados)
+   * @returns {Object} - Datos listos para el modelo
+   */
+  static normalizarDatosMaterial(datos, parcial = false) {
+    const { nombre_material, descripcion, unidad_medida, costo_unitario, stock_minimo, id_proveedor, estado } = datos;
+    const normalizados = {};
+
+    if (!parcial || nombre_material !== undefined) normalizados.nombre_material = nombre_material.trim();
+    if (descripcion !== undefined) normalizados.descripcion = descripcion?.trim() || null;
+    if (!parcial || unidad_medida !== undefined) normalizados.unidad_medida = unidad_medida;
+    if (costo_unitario !== undefined) normalizados.costo_unitario = parseFloat(costo_unitario);
+    if (stock_minimo !== undefined) normalizados.stock_minimo = parseFloat(stock_minimo);
+    if (id_proveedor !== undefined) normalizados.id_proveedor = id_proveedor === null ? null : parseInt(id_proveedor);
+    if (estado !== undefined) normalizados.estado = estado;
+
+    return normalizados;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Controlador de la lista de materiales de los productos
+ * Define qué materiales y cuántas horas de mano de obra lleva fabricar un producto
+ * y cuántas unidades se pueden fabricar con el stock actual de materiales
+ */
+
+import { Material } from "../models/Material.js";
+import { MaterialProducto } from "../models/MaterialProducto.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const MAX_COMPONENTES = 100;
+
+export class MaterialProductoController {
+
+  /**
+   * Obtiene la lista de materiales de un producto con su costo
+   * GET /api/productos/:id/materiales
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerListaMateriales(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const lista = await MaterialProducto.obtenerLista(idProducto);
+      if (!lista) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      return ResponseProvider.success(res, lista, 'Lista de materiales obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener lista de materiales:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Reemplaza la lista de materiales y las horas de mano de obra de un producto
+   * PUT /api/productos/:id/materiales
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarListaMateriales(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const errores = MaterialProductoController.validarLista(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const componentes = req.body.componentes.map(componente => ({
+        id_material: parseInt(componente.id_material),
+        cantidad: parseFloat(componente.cantidad)
+      }));
+
+      for (const componente of componentes) {
+        if (!await Material.buscarPorId(componente.id_material)) {
+          return ResponseProvider.noEncontrado(res, `Material ${componente.id_material}`);
+        }
+      }
+
+      const actualizada = await MaterialProducto.reemplazarLista(idProducto, {
+        horas_mano_obra: parseFloat(req.body.horas_mano_obra ?? 0),
+        componentes
+      });
+
+      if (!actualizada) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const lista = await MaterialProducto.obtenerLista(idProducto);
+      return ResponseProvider.success(res, lista, 'Lista de materiales actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar lista de materiales:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Calcula cuántas unidades del producto se pueden fabricar con los materiales en stock
+   * GET /api/productos/:id/capacidad-fabricacion
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerCapacidadFabricacion(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const capacidad = await MaterialProducto.calcularCapacidad(idProducto);
+      if (!capacidad) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const mensaje = capacidad.unidades_fabricables === null
+        ? 'El producto no tiene lista de materiales definida'
+        : 'Capacidad de fabricación calculada exitosamente';
+
+      return ResponseProvider.success(res, capacidad, mensaje);
+
+    } catch (error) {
+      console.error('Error al calcular capacidad de fabricación:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida una lista de materiales
+   * @param {Object} datos - Datos recibidos (horas_mano_obra y componentes)
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarLista(datos) {
+    const errores = [];
+    const { horas_mano_obra, componentes } = datos;
+
+    if (horas_mano_obra !== undefined &&
+        (isNaN(parseFloat(horas_mano_obra)) || parseFloat(horas_mano_obra) < 0 || parseFloat(horas_mano_obra) > 9999)) {
+      errores.push({ campo: 'horas_mano_obra', mensaje: 'Las horas de mano de obra deben ser un número entre 0 y 9999' });
+    }
+
+    if (!Array.isArray(componentes) || componentes.length > MAX_COMPONENTES) {
+      errores.push({ campo: 'componentes', mensaje: `Los componentes deben ser una lista de hasta ${MAX_COMPONENTES} materiales` });
+      return errores;
+    }
+
+    const vistos = new Set();
+    componentes.forEach((componente, indice) => {
+      const idMaterial = parseInt(componente?.id_material);
+
+      if (!(idMaterial > 0)) {
+        errores.push({ campo: `componentes[${indice}].id_material`, mensaje: 'ID de material inválido' });
+      } else if (vistos.has(idMaterial)) {
+        errores.push({ campo: `componentes[${indice}].id_material`, mensaje: 'El material está repetido en la lista' });
+      } else {
+        vistos.add(idMaterial);
+      }
+
+      if (isNaN(parseFloat(componente?.cantidad)) || parseFloat(componente.cantidad) <= 0) {
+        errores.push({ campo: `componentes[${indice}].cantidad`, mensaje: 'La cantidad debe ser un número mayor a 0' });
+      }
+    });
+
+    return errores;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Controlador de Movimientos de Stock
+ * Consulta del historial de stock de un producto, registro de entradas, devoluciones, ajustes y mermas
+ * en una ubicación, y conciliación del stock registrado con el que resulta de sumar los movimientos
+ */
+
+import { MovimientoStock, TIPOS_MOVIMIENTO_STOCK } from "../models/MovimientoStock.js";
+import { Producto } from "../models/Producto.js";
+import { Ubicacion } from "../models/Ubicacion.js";
+import { VarianteProducto } from "../models/VarianteProducto.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+/**
+ * Tipos que se pueden registrar a mano; las salidas por venta solo las genera el proceso de compra
+ * y los movimientos de traslado los generan los traslados entre ubicaciones
+ */
+const TIPOS_MANUALES = ['ENTRADA', 'DEVOLUCION', 'AJUSTE', 'MERMA'];
+
+export class MovimientoStockController {
+
+  /**
+   * Obtiene los movimientos de stock de un producto y sus variantes
+   * GET /api/productos/:id/movimientos
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMovimientos(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const { tipo, id_variante, id_ubicacion, fecha_desde, fecha_hasta } = req.query;
+      const pagina = Math.max(1, parseInt(req.query.pagina) || 1);
+      const limite = Math.min(100, Math.max(1, parseInt(req.query.limite) || 20));
+
+      if (tipo && TIPOS_MOVIMIENTO_STOCK[tipo] === undefined) {
+        return ResponseProvider.error(res, `Tipo inválido. Valores permitidos: ${Object.keys(TIPOS_MOVIMIENTO_STOCK).join(', ')}`, 400);
+      }
+
+      const fechaValida = /^\d{4}-\d{2}-\d{2}$/;
+      if ((fecha_desde && !fechaValida.test(fecha_desde)) || (fecha_hasta && !fechaValida.test(fecha_hasta))) {
+        return ResponseProvider.error(res, 'Las fechas deben tener el formato AAAA-MM-DD', 400);
+      }
+
+      if (!await Producto.buscarPorId(idProducto)) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const resultado = await MovimientoStock.obtenerPorProducto(idProducto, {
+        tipo: tipo || null,
+        id_variante: parseInt(id_variante) || null,
+        id_ubicacion: parseInt(id_ubicacion) || null,
+        fecha_desde: fecha_desde || null,
+        fecha_hasta: fecha_hasta || null
+      }, pagina, limite);
+
+      return ResponseProvider.success(res, resultado, 'Movimientos de stock obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener movimientos de stock:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Registra una entrada, devolución, ajuste o merma de stock de un producto o de una de sus variantes
+   * POST /api/productos/:id/movimientos
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async registrarMovimiento(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const errores = MovimientoStockController.validarMovimiento(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const { tipo, motivo, referencia } = req.body;
+      const idVariante = req.body.id_variante ? parseInt(req.body.id_variante) : null;
+      const idUbicacion = req.body.id_ubicacion ? parseInt(req.body.id_ubicacion) : null;
+      const cantidad = parseInt(req.body.cantidad);
+
+      if (!await Producto.buscarPorId(idProducto)) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      if (idVariante) {
+        const variante = await VarianteProducto.buscarPorId(idVariante);
+        if (!variante || variante.id_producto !== idProducto) {
+          return ResponseProvider.noEncontrado(res, 'Variante');
+        }
+      }
+
+      if (idUbicacion) {
+        const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+        if (!ubicacion || ubicacion.estado !== 'ACTIVA') {
+          return ResponseProvider.noEncontrado(res, 'Ubicación');
+        }
+      }
+
+      const movimiento = await MovimientoStock.registrarManual({
+        id_producto: idProducto,
+        id_variante: idVariante,
+        id_ubicacion: idUbicacion,
+        tipo,
+        // Las mermas se envían en positivo y restan stock; los ajustes llevan su propio signo
+        cantidad: tipo === 'MERMA' ? -Math.abs(cantidad) : cantidad,
+        motivo: motivo.trim(),
+        referencia: referencia?.trim() || null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      return ResponseProvider.creado(res, movimiento, 'Movimiento de stock registrado exitosamente');
+
+    } catch (error) {
+      console.error('Error al registrar movimiento de stock:', error);
+
+      if (error.message.includes('Stock insuficiente') || error.message.includes('ubicación predeterminada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Compara el stock registrado de cada producto y variante con la suma de sus movimientos
+   * GET /api/productos/conciliacion-stock
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerConciliacion(req, res) {
+    try {
+      const idProducto = req.query.id_producto ? parseInt(req.query.id_producto) : null;
+      if (req.query.id_producto && isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const conciliacion = await MovimientoStock.conciliar({
+        id_producto: idProducto,
+        solo_diferencias: req.query.solo_diferencias !== 'false'
+      });
+
+      const { total_con_diferencias, ubicaciones_con_diferencias } = conciliacion.resumen;
+      const mensaje = total_con_diferencias + ubicaciones_con_diferencias > 0
+        ? `Se encontraron ${total_con_diferencias + ubicaciones_con_diferencias} diferencias entre el stock y los movimientos`
+        : 'El stock coincide con los movimientos registrados';
+
+      return ResponseProvider.success(res, conciliacion, mensaje);
+
+    } catch (error) {
+      console.error('Error al conciliar stock:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida un movimiento manual
+   * @param {Object} datos - Datos recibidos
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarMovimiento(datos) {
+    const errores = [];
+    const { tipo, cantidad, motivo, referencia, id_variante, id_ubicacion } = datos;
+
+    if (!TIPOS_MANUALES.includes(tipo)) {
+      errores.push({ campo: 'tipo', mensaje: `Tipo inválido. Valores permitidos: ${TIPOS_MANUALES.join(', ')}` });
+    }
+
+    const unidades = Number(cantidad);
+    if (!Number.isInteger(unidades) || unidades === 0) {
+      errores.push({ campo: 'cantidad', mensaje: 'La cantidad debe ser un número entero distinto de 0' });
+    } else if (unidades < 0 && tipo !== 'AJUSTE') {
+      errores.push({ campo: 'cantidad', mensaje: 'Solo los ajustes admiten cantidades negativas' });
+    }
+
+    if (!motivo || typeof motivo !== 'string' || motivo.trim() === '' || motivo.length > 255) {
+      errores.push({ campo: 'motivo', mensaje: 'El motivo es requerido y no puede exceder 255 caracteres' });
+    }
+
+    if (referencia !== undefined && referencia !== null && (typeof referencia !== 'string' || referencia.length > 100)) {
+      errores.push({ campo: 'referencia', mensaje: 'La referencia debe ser un texto de hasta 100 caracteres' });
+    }
+
+    if (id_variante !== undefined && id_variante !== null && !(parseInt(id_variante) > 0)) {
+      errores.push({ campo: 'id_variante', mensaje: 'ID de variante inválido' });
+    }
+
+    if (id_ubicacion !== undefined && id_ubicacion !== null && !(parseInt(id_ubicacion) > 0)) {
+      errores.push({ campo: 'id_ubicacion', mensaje: 'ID de ubicación inválido' });
+    }
+
+    return errores;
+  }
+}
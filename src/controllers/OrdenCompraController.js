@@ -0,0 +1,511 @@
+/**
+ * Controlador de Órdenes de Compra
+ * Maneja los pedidos de productos a proveedores: borradores, envío, cancelación,
+ * recepción de mercancía (que suma stock) y el PDF para el proveedor
+ */
+
+import { OrdenCompra, ESTADOS_ORDEN_COMPRA } from "../models/OrdenCompra.js";
+import { Proveedor } from "../models/Proveedor.js";
+import { Ubicacion } from "../models/Ubicacion.js";
+import { FacturaPDFService } from "../services/FacturaPDFService.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const MAX_LINEAS = 100;
+
+export class OrdenCompraController {
+
+  /**
+   * Obtiene órdenes de compra con filtros y paginación
+   * GET /api/ordenes-compra
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerOrdenes(req, res) {
+    return await OrdenCompraController.listar(req, res, parseInt(req.query.id_proveedor) || null);
+  }
+
+  /**
+   * Obtiene el historial de órdenes de compra de un proveedor
+   * GET /api/proveedores/:id/ordenes-compra
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerPorProveedor(req, res) {
+    try {
+      const idProveedor = parseInt(req.params.id);
+      if (isNaN(idProveedor)) {
+        return ResponseProvider.error(res, 'ID de proveedor inválido', 400);
+      }
+
+      if (!await Proveedor.buscarPorId(idProveedor)) {
+        return ResponseProvider.noEncontrado(res, 'Proveedor');
+      }
+
+      return await OrdenCompraController.listar(req, res, idProveedor);
+
+    } catch (error) {
+      console.error('Error al obtener órdenes de compra del proveedor:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Lista órdenes de compra con los filtros de la consulta
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {number} idProveedor - Proveedor de las órdenes (opcional)
+   */
+  static async listar(req, res, idProveedor) {
+    try {
+      const { estado, vencidas } = req.query;
+      const pagina = Math.max(1, parseInt(req.query.pagina) || 1);
+      const limite = Math.min(100, Math.max(1, parseInt(req.query.limite) || 20));
+
+      if (estado && !ESTADOS_ORDEN_COMPRA.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_ORDEN_COMPRA.join(', ')}`, 400);
+      }
+
+      const resultado = await OrdenCompra.obtenerTodas({
+        id_proveedor: idProveedor,
+        estado: estado || null,
+        vencidas: vencidas === 'true'
+      }, pagina, limite);
+
+      return ResponseProvider.success(res, resultado, 'Órdenes de compra obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener órdenes de compra:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una orden de compra con sus líneas y recepciones
+   * GET /api/ordenes-compra/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerOrdenPorId(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      if (!orden) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      return ResponseProvider.success(res, orden, 'Orden de compra obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener orden de compra:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Crea una orden de compra en borrador
+   * POST /api/ordenes-compra
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearOrden(req, res) {
+    try {
+      const errores = OrdenCompraController.validarOrden(req.body);
+
+      if (!(parseInt(req.body.id_proveedor) > 0)) {
+        errores.unshift({ campo: 'id_proveedor', mensaje: 'El proveedor es requerido' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const idProveedor = parseInt(req.body.id_proveedor);
+      if (!await Proveedor.buscarPorId(idProveedor)) {
+        return ResponseProvider.noEncontrado(res, 'Proveedor');
+      }
+
+      const idOrden = await OrdenCompra.crear({
+        id_proveedor: idProveedor,
+        ...OrdenCompraController.normalizarOrden(req.body),
+        id_usuario: req.usuario.id_usuario
+      });
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      return ResponseProvider.creado(res, orden, 'Orden de compra creada exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear orden de compra:', error);
+      return OrdenCompraController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Actualiza una orden en borrador; los campos no enviados conservan su valor
+   * y las líneas enviadas reemplazan a las anteriores
+   * PUT /api/ordenes-compra/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarOrden(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      const existente = await OrdenCompra.buscarPorId(idOrden);
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      const errores = OrdenCompraController.validarOrden(req.body, true);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const actualizada = await OrdenCompra.actualizar(idOrden, {
+        fecha_entrega_esperada: existente.fecha_entrega_esperada,
+        notas: existente.notas,
+        lineas: null,
+        ...OrdenCompraController.normalizarOrden(req.body, true)
+      });
+
+      if (!actualizada) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      return ResponseProvider.success(res, orden, 'Orden de compra actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar orden de compra:', error);
+      return OrdenCompraController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Marca una orden en borrador como enviada al proveedor
+   * POST /api/ordenes-compra/:id/enviar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async enviarOrden(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      if (!await OrdenCompra.buscarPorId(idOrden)) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      if (!await OrdenCompra.enviar(idOrden)) {
+        return ResponseProvider.conflicto(res, 'Solo se pueden enviar órdenes de compra en borrador');
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      return ResponseProvider.success(res, orden, 'Orden de compra enviada exitosamente');
+
+    } catch (error) {
+      console.error('Error al enviar orden de compra:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Cancela una orden que aún no se recibió completa
+   * POST /api/ordenes-compra/:id/cancelar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cancelarOrden(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      const motivo = req.body?.motivo;
+      if (motivo !== undefined && motivo !== null && (typeof motivo !== 'string' || motivo.length > 255)) {
+        return ResponseProvider.errorValidacion(res, [
+          { campo: 'motivo', mensaje: 'El motivo debe ser un texto de hasta 255 caracteres' }
+        ]);
+      }
+
+      if (!await OrdenCompra.buscarPorId(idOrden)) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      if (!await OrdenCompra.cancelar(idOrden, motivo?.trim() || null)) {
+        return ResponseProvider.conflicto(res, 'La orden de compra ya fue recibida o cancelada');
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      return ResponseProvider.success(res, orden, 'Orden de compra cancelada exitosamente');
+
+    } catch (error) {
+      console.error('Error al cancelar orden de compra:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Registra la recepción de mercancía de una orden enviada; las cantidades recibidas suman stock
+   * POST /api/ordenes-compra/:id/recepciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async registrarRecepcion(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      const errores = OrdenCompraController.validarRecepcion(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const { lineas, id_ubicacion, referencia, notas } = req.body;
+      const idUbicacion = id_ubicacion ? parseInt(id_ubicacion) : null;
+
+      if (idUbicacion) {
+        const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+        if (!ubicacion || ubicacion.estado !== 'ACTIVA') {
+          return ResponseProvider.noEncontrado(res, 'Ubicación');
+        }
+      }
+
+      const idRecepcion = await OrdenCompra.registrarRecepcion(idOrden, {
+        lineas: lineas.map(linea => ({ id_linea: parseInt(linea.id_linea), cantidad: parseInt(linea.cantidad) })),
+        id_ubicacion: idUbicacion,
+        referencia: referencia?.trim() || null,
+        notas: typeof notas === 'string' ? notas.trim() || null : null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      if (!idRecepcion) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      return ResponseProvider.creado(res, { id_recepcion: idRecepcion, orden }, 'Recepción de mercancía registrada exitosamente');
+
+    } catch (error) {
+      console.error('Error al registrar recepción de orden de compra:', error);
+      return OrdenCompraController.responderError(res, error);
+    }
+  }
+
+  /**
+   * Descarga el PDF de una orden de compra para enviarlo al proveedor
+   * GET /api/ordenes-compra/:id/pdf
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async descargarPDF(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de compra inválido', 400);
+      }
+
+      const orden = await OrdenCompra.buscarPorId(idOrden);
+      if (!orden) {
+        return ResponseProvider.noEncontrado(res, 'Orden de compra');
+      }
+
+      const pdfBuffer = await FacturaPDFService.generarPDFOrdenCompra(orden);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="Orden_Compra_${orden.numero_orden}.pdf"`);
+      res.setHeader('Content-Length', pdfBuffer.length);
+
+      res.end(pdfBuffer);
+
+    } catch (error) {
+      console.error('Error al generar PDF de orden de compra:', error);
+      return ResponseProvider.error(res, 'Error al generar PDF de la orden de compra', 500);
+    }
+  }
+
+  /**
+   * Traduce los errores de negocio del modelo a respuestas HTTP
+   * @param {Object} res - Response object
+   * @param {Error} error - Error capturado
+   */
+  static responderError(res, error) {
+    if (error.message === 'Producto no encontrado' || error.message === 'Variante no encontrada' ||
+        error.message === 'Ubicación no encontrada o inactiva') {
+      return ResponseProvider.error(res, error.message, 404);
+    }
+
+    if (error.message.startsWith('Solo se') || error.message.includes('supera lo pendiente') ||
+        error.message.includes('ubicación predeterminada')) {
+      return ResponseProvider.conflicto(res, error.message);
+    }
+
+    if (error.message.includes('no pertenece a la orden')) {
+      return ResponseProvider.error(res, error.message, 400);
+    }
+
+    return ResponseProvider.error(res, 'Error interno del servidor', 500);
+  }
+
+  /**
+   * Valida los datos de una orden de compra
+   * @param {Object} datos - Datos recibidos (fecha_entrega_esperada, notas, lineas)
+   * @param {boolean} parcial - Si es true, las líneas son opcionales
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarOrden(datos, parcial = false) {
+    const errores = [];
+    const { fecha_entrega_esperada, notas, lineas } = datos;
+
+    if (!parcial || lineas !== undefined) {
+      if (!Array.isArray(lineas) || lineas.length === 0 || lineas.length > MAX_LINEAS) {
+        errores.push({ campo: 'lineas', mensaje: `La orden debe tener entre 1 y ${MAX_LINEAS} líneas` });
+      } else {
+        const claves = new Set();
+
+        lineas.forEach((linea, indice) => {
+          const campo = `lineas[${indice}]`;
+
+          if (!linea || !(parseInt(linea.id_producto) > 0)) {
+            errores.push({ campo: `${campo}.id_producto`, mensaje: 'ID de producto inválido' });
+            return;
+          }
+
+          if (linea.id_variante !== undefined && linea.id_variante !== null && !(parseInt(linea.id_variante) > 0)) {
+            errores.push({ campo: `${campo}.id_variante`, mensaje: 'ID de variante inválido' });
+          }
+
+          const cantidad = Number(linea.cantidad);
+          if (!Number.isInteger(cantidad) || cantidad < 1) {
+            errores.push({ campo: `${campo}.cantidad`, mensaje: 'La cantidad debe ser un número entero mayor a 0' });
+          }
+
+          if (isNaN(parseFloat(linea.costo_unitario)) || parseFloat(linea.costo_unitario) < 0) {
+            errores.push({ campo: `${campo}.costo_unitario`, mensaje: 'El costo unitario debe ser un número mayor o igual a 0' });
+          }
+
+          if (linea.fecha_entrega_esperada !== undefined && linea.fecha_entrega_esperada !== null &&
+              !OrdenCompraController.esFecha(linea.fecha_entrega_esperada)) {
+            errores.push({ campo: `${campo}.fecha_entrega_esperada`, mensaje: 'La fecha de entrega debe tener el formato YYYY-MM-DD' });
+          }
+
+          const clave = `${parseInt(linea.id_producto)}-${parseInt(linea.id_variante) || 0}`;
+          if (claves.has(clave)) {
+            errores.push({ campo, mensaje: 'El producto o variante está repetido en la orden' });
+          }
+          claves.add(clave);
+        });
+      }
+    }
+
+    if (fecha_entrega_esperada !== undefined && fecha_entrega_esperada !== null &&
+        !OrdenCompraController.esFecha(fecha_entrega_esperada)) {
+      errores.push({ campo: 'fecha_entrega_esperada', mensaje: 'La fecha de entrega debe tener el formato YYYY-MM-DD' });
+    }
+
+    if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+      errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Normaliza los datos ya validados de una orden de compra
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es true, solo incluye los campos presentes
+   * @returns {Object} - Datos listos para el modelo
+   */
+  static normalizarOrden(datos, parcial = false) {
+    const normalizados = {};
+
+    if (!parcial || datos.fecha_entrega_esperada !== undefined) {
+      normalizados.fecha_entrega_esperada = datos.fecha_entrega_esperada || null;
+    }
+
+    if (!parcial || datos.notas !== undefined) {
+      normalizados.notas = typeof datos.notas === 'string' ? datos.notas.trim() || null : null;
+    }
+
+    if (!parcial || datos.lineas !== undefined) {
+      normalizados.lineas = datos.lineas.map(linea => ({
+        id_producto: parseInt(linea.id_producto),
+        id_variante: linea.id_variante ? parseInt(linea.id_variante) : null,
+        cantidad: parseInt(linea.cantidad),
+        costo_unitario: parseFloat(linea.costo_unitario),
+        fecha_entrega_esperada: linea.fecha_entrega_esperada || null
+      }));
+    }
+
+    return normalizados;
+  }
+
+  /**
+   * Valida una recepción de mercancía
+   * @param {Object} datos - Datos recibidos (lineas, id_ubicacion, referencia, notas)
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarRecepcion(datos) {
+    const errores = [];
+    const { lineas, id_ubicacion, referencia, notas } = datos;
+
+    if (!Array.isArray(lineas) || lineas.length === 0 || lineas.length > MAX_LINEAS) {
+      errores.push({ campo: 'lineas', mensaje: `La recepción debe tener entre 1 y ${MAX_LINEAS} líneas` });
+    } else {
+      const idsLinea = new Set();
+
+      lineas.forEach((linea, indice) => {
+        const campo = `lineas[${indice}]`;
+
+        if (!linea || !(parseInt(linea.id_linea) > 0)) {
+          errores.push({ campo: `${campo}.id_linea`, mensaje: 'ID de línea inválido' });
+          return;
+        }
+
+        const cantidad = Number(linea.cantidad);
+        if (!Number.isInteger(cantidad) || cantidad < 1) {
+          errores.push({ campo: `${campo}.cantidad`, mensaje: 'La cantidad debe ser un número entero mayor a 0' });
+        }
+
+        if (idsLinea.has(parseInt(linea.id_linea))) {
+          errores.push({ campo, mensaje: 'La línea está repetida en la recepción' });
+        }
+        idsLinea.add(parseInt(linea.id_linea));
+      });
+    }
+
+    if (id_ubicacion !== undefined && id_ubicacion !== null && !(parseInt(id_ubicacion) > 0)) {
+      errores.push({ campo: 'id_ubicacion', mensaje: 'ID de ubicación inválido' });
+    }
+
+    if (referencia !== undefined && referencia !== null && (typeof referencia !== 'string' || referencia.length > 100)) {
+      errores.push({ campo: 'referencia', mensaje: 'La referencia debe ser un texto de hasta 100 caracteres' });
+    }
+
+    if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+      errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Indica si un valor es una fecha válida con formato YYYY-MM-DD
+   * @param {*} valor - Valor a comprobar
+   * @returns {boolean} - True si es una fecha válida
+   */
+  static esFecha(valor) {
+    return typeof valor === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(Date.parse(valor));
+  }
+}
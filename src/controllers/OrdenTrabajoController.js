@@ -0,0 +1,329 @@
+/**
+ * Controlador de Órdenes de Trabajo
+ * Maneja la fabricación de las ventas en el taller: generación de órdenes, asignación,
+ * avance por etapas, registro de horas y tablero por etapa
+ */
+
+import { OrdenTrabajo, ETAPAS_ORDEN } from "../models/OrdenTrabajo.js";
+import { Usuario } from "../models/Usuario.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const ESTADOS_ORDEN = ['ACTIVA', 'CANCELADA'];
+
+export class OrdenTrabajoController {
+
+  /**
+   * Genera órdenes de trabajo para las líneas de una venta
+   * POST /api/ordenes-trabajo/desde-venta/:idVenta
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async generarDesdeVenta(req, res) {
+    try {
+      const idVenta = parseInt(req.params.idVenta);
+      if (isNaN(idVenta)) {
+        return ResponseProvider.error(res, 'ID de venta inválido', 400);
+      }
+
+      const { id_detalles, id_usuario_asignado } = req.body;
+      const errores = [];
+
+      if (id_detalles !== undefined && id_detalles !== null &&
+          (!Array.isArray(id_detalles) || id_detalles.length === 0 || id_detalles.some(id => !(parseInt(id) > 0)))) {
+        errores.push({ campo: 'id_detalles', mensaje: 'Las líneas deben ser una lista de IDs de detalle de venta' });
+      }
+
+      if (id_usuario_asignado !== undefined && id_usuario_asignado !== null && !(parseInt(id_usuario_asignado) > 0)) {
+        errores.push({ campo: 'id_usuario_asignado', mensaje: 'ID de usuario inválido' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const idAsignado = parseInt(id_usuario_asignado) || null;
+      if (idAsignado && !await OrdenTrabajoController.esUsuarioActivo(idAsignado)) {
+        return ResponseProvider.noEncontrado(res, 'Usuario asignado');
+      }
+
+      const idsOrden = await OrdenTrabajo.generarDesdeVenta(idVenta, {
+        id_detalles: id_detalles ? id_detalles.map(id => parseInt(id)) : null,
+        id_usuario_asignado: idAsignado,
+        id_usuario_creador: req.usuario.id_usuario
+      });
+
+      if (!idsOrden) {
+        return ResponseProvider.noEncontrado(res, 'Venta');
+      }
+
+      if (idsOrden.length === 0) {
+        return ResponseProvider.conflicto(res, 'Todas las líneas indicadas ya tienen una orden de trabajo');
+      }
+
+      const resultado = await OrdenTrabajo.obtenerTodas({ id_venta: idVenta }, 1, 100);
+      const ordenes = resultado.ordenes.filter(orden => idsOrden.includes(orden.id_orden));
+
+      return ResponseProvider.creado(res, ordenes, 'Órdenes de trabajo generadas exitosamente');
+
+    } catch (error) {
+      console.error('Error al generar órdenes de trabajo:', error);
+
+      if (error.message.includes('venta cancelada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      if (error.message.includes('no pertenece a la venta')) {
+        return ResponseProvider.error(res, error.message, 400);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene órdenes de trabajo con filtros
+   * GET /api/ordenes-trabajo
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerOrdenes(req, res) {
+    try {
+      const { pagina = 1, limite = 20, etapa, estado, id_usuario_asignado, id_venta } = req.query;
+
+      if (etapa && !ETAPAS_ORDEN.includes(etapa)) {
+        return ResponseProvider.error(res, `La etapa debe ser: ${ETAPAS_ORDEN.join(', ')}`, 400);
+      }
+
+      if (estado && !ESTADOS_ORDEN.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_ORDEN.join(', ')}`, 400);
+      }
+
+      let paginaNumero = parseInt(pagina) || 1;
+      let limiteNumero = parseInt(limite) || 20;
+      if (paginaNumero < 1) paginaNumero = 1;
+      if (limiteNumero < 1 || limiteNumero > 100) limiteNumero = 20;
+
+      const resultado = await OrdenTrabajo.obtenerTodas(
+        {
+          etapa: etapa || null,
+          estado: estado || null,
+          id_usuario_asignado: parseInt(id_usuario_asignado) || null,
+          id_venta: parseInt(id_venta) || null
+        },
+        paginaNumero,
+        limiteNumero
+      );
+
+      return ResponseProvider.success(res, resultado, 'Órdenes de trabajo obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener órdenes de trabajo:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene el tablero del taller: órdenes activas agrupadas por etapa
+   * GET /api/ordenes-trabajo/tablero
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerTablero(req, res) {
+    try {
+      const { id_usuario_asignado, dias_listas = 7 } = req.query;
+
+      const dias = parseInt(dias_listas);
+      if (isNaN(dias) || dias < 0 || dias > 365) {
+        return ResponseProvider.error(res, 'dias_listas debe ser un número entre 0 y 365', 400);
+      }
+
+      const tablero = await OrdenTrabajo.obtenerTablero({
+        id_usuario_asignado: parseInt(id_usuario_asignado) || null,
+        dias_listas: dias
+      });
+
+      return ResponseProvider.success(res, tablero, 'Tablero de órdenes de trabajo obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener tablero de órdenes de trabajo:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una orden de trabajo con su historial
+   * GET /api/ordenes-trabajo/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerOrdenPorId(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de trabajo inválido', 400);
+      }
+
+      const orden = await OrdenTrabajo.buscarPorId(idOrden);
+      if (!orden) {
+        return ResponseProvider.noEncontrado(res, 'Orden de trabajo');
+      }
+
+      return ResponseProvider.success(res, orden, 'Orden de trabajo obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener orden de trabajo:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Actualiza la asignación, las horas estimadas o las notas de una orden
+   * Los campos no enviados conservan su valor
+   * PUT /api/ordenes-trabajo/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarOrden(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de trabajo inválido', 400);
+      }
+
+      const existente = await OrdenTrabajo.buscarPorId(idOrden);
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Orden de trabajo');
+      }
+
+      const { id_usuario_asignado, horas_estimadas, notas } = req.body;
+      const errores = [];
+
+      if (id_usuario_asignado !== undefined && id_usuario_asignado !== null && !(parseInt(id_usuario_asignado) > 0)) {
+        errores.push({ campo: 'id_usuario_asignado', mensaje: 'ID de usuario inválido' });
+      }
+
+      if (horas_estimadas !== undefined && !OrdenTrabajoController.sonHorasValidas(horas_estimadas)) {
+        errores.push({ campo: 'horas_estimadas', mensaje: 'Las horas estimadas deben ser un número entre 0 y 9999' });
+      }
+
+      if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+        errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      if (existente.estado === 'CANCELADA') {
+        return ResponseProvider.conflicto(res, 'No se puede modificar una orden de trabajo cancelada');
+      }
+
+      const datos = {
+        id_usuario_asignado: existente.id_usuario_asignado,
+        horas_estimadas: existente.horas_estimadas,
+        notas: existente.notas
+      };
+
+      if (id_usuario_asignado !== undefined) {
+        datos.id_usuario_asignado = id_usuario_asignado === null ? null : parseInt(id_usuario_asignado);
+
+        if (datos.id_usuario_asignado && !await OrdenTrabajoController.esUsuarioActivo(datos.id_usuario_asignado)) {
+          return ResponseProvider.noEncontrado(res, 'Usuario asignado');
+        }
+      }
+
+      if (horas_estimadas !== undefined) datos.horas_estimadas = parseFloat(horas_estimadas);
+      if (notas !== undefined) datos.notas = notas?.trim() || null;
+
+      await OrdenTrabajo.actualizar(idOrden, datos);
+      const orden = await OrdenTrabajo.buscarPorId(idOrden);
+
+      return ResponseProvider.success(res, orden, 'Orden de trabajo actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar orden de trabajo:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Registra un avance de la orden: cambio de etapa y/o horas trabajadas
+   * POST /api/ordenes-trabajo/:id/avances
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async registrarAvance(req, res) {
+    try {
+      const idOrden = parseInt(req.params.id);
+      if (isNaN(idOrden)) {
+        return ResponseProvider.error(res, 'ID de orden de trabajo inválido', 400);
+      }
+
+      const { etapa, horas, notas } = req.body;
+      const errores = [];
+
+      if (etapa === undefined && horas === undefined) {
+        errores.push({ campo: 'etapa', mensaje: 'Indica la nueva etapa, las horas trabajadas o ambas' });
+      }
+
+      if (etapa !== undefined && !ETAPAS_ORDEN.includes(etapa)) {
+        errores.push({ campo: 'etapa', mensaje: `La etapa debe ser: ${ETAPAS_ORDEN.join(', ')}` });
+      }
+
+      if (horas !== undefined && (!OrdenTrabajoController.sonHorasValidas(horas) || parseFloat(horas) > 24 * 31)) {
+        errores.push({ campo: 'horas', mensaje: 'Las horas trabajadas deben ser un número entre 0 y 744' });
+      }
+
+      if (notas !== undefined && notas !== null && typeof notas !== 'string') {
+        errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const registrado = await OrdenTrabajo.registrarAvance(idOrden, {
+        etapa: etapa || null,
+        horas: horas !== undefined ? parseFloat(horas) : 0,
+        notas: notas?.trim() || null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      if (!registrado) {
+        return ResponseProvider.noEncontrado(res, 'Orden de trabajo');
+      }
+
+      const orden = await OrdenTrabajo.buscarPorId(idOrden);
+      return ResponseProvider.success(res, orden, 'Avance de la orden de trabajo registrado exitosamente');
+
+    } catch (error) {
+      console.error('Error al registrar avance de orden de trabajo:', error);
+
+      if (error.message.includes('cancelada')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Comprueba que un valor de horas sea válido
+   * @param {*} horas - Valor recibido
+   * @returns {boolean} - True si es un número entre 0 y 9999
+   */
+  static sonHorasValidas(horas) {
+    const valor = parseFloat(horas);
+    return !isNaN(valor) && valor >= 0 && valor <= 9999;
+  }
+
+  /**
+   * Comprueba que el usuario a asignar exista y esté activo
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<boolean>} - True si se le puede asignar trabajo
+   */
+  static async esUsuarioActivo(idUsuario) {
+    const usuario = await Usuario.buscarPorId(idUsuario);
+    return Boolean(usuario) && usuario.estado === 'ACTIVO';
+  }
+}
@@ -4,6 +4,8 @@
  */
 
 import { Producto } from "../models/Producto.js";
+import { VarianteProducto } from "../models/VarianteProducto.js";
+import { Ubicacion } from "../models/Ubicacion.js";
 import { ResponseProvider } from "../providers/ResponseProvider.js";
 
 export class ProductoController {
@@ -21,11 +23,13 @@ export class ProductoController {
         busqueda = '',
         categoria = null,
         proveedor = null,
-        estado = null
+        estado = null,
+        ubicacion = null // Incluye el stock en esa ubicación además del total
       } = req.query;
       
       const categoriaNum = categoria ? parseInt(categoria) : null;
       const proveedorNum = proveedor ? parseInt(proveedor) : null;
+      const ubicacionNum = ubicacion ? parseInt(ubicacion) || null : null;
       
       // Si no hay límite, traer todos los productos
       if (!limite) {
@@ -33,7 +37,8 @@ export class ProductoController {
           busqueda, 
           categoriaNum, 
           proveedorNum, 
-          estado
+          estado,
+          ubicacionNum
         );
         return ResponseProvider.success(res, {
           message: "Productos obtenidos exitosamente",
@@ -50,7 +55,8 @@ export class ProductoController {
         busqueda, 
         categoriaNum, 
         proveedorNum, 
-        estado
+        estado,
+        ubicacionNum
       );
       
       return ResponseProvider.success(res, {
@@ -92,9 +98,12 @@ export class ProductoController {
         });
       }
       
+      // Incluir las variantes del producto (tipo de madera, acabado, medidas)
+      const variantes = await VarianteProducto.obtenerPorProducto(producto.id_producto);
+      
       return ResponseProvider.success(res, {
         message: "Producto obtenido exitosamente",
-        data: producto
+        data: { ...producto, variantes }
       });
       
     } catch (error) {
@@ -181,7 +190,8 @@ export class ProductoController {
         stock: stock !== undefined ? parseInt(stock) : 0,
         id_categoria: parseInt(id_categoria),
         id_proveedor: id_proveedor ? parseInt(id_proveedor) : null,
-        estado
+        estado,
+        id_usuario: req.usuario.id_usuario
       };
       
       const nuevoProductoId = await Producto.crear(datosProducto);
@@ -291,13 +301,14 @@ export class ProductoController {
         nombre_producto: nombre_producto.trim(),
         descripcion: descripcion ? descripcion.trim() : null,
         precio: parseFloat(precio),
-        stock: stock !== undefined ? parseInt(stock) : productoExistente.stock,
+        // El stock solo se ajusta si se envía, para no pisar ventas ocurridas mientras tanto
+        stock: stock !== undefined ? parseInt(stock) : undefined,
         id_categoria: parseInt(id_categoria),
         id_proveedor: id_proveedor ? parseInt(id_proveedor) : null,
         estado: estado || productoExistente.estado
       };
       
-      const actualizado = await Producto.actualizar(parseInt(id), datosActualizar);
+      const actualizado = await Producto.actualizar(parseInt(id), datosActualizar, req.usuario.id_usuario);
       
       if (!actualizado) {
         return ResponseProvider.error(res, {
@@ -315,6 +326,15 @@ export class ProductoController {
       
     } catch (error) {
       console.error('Error en actualizarProducto:', error);
+      
+      // Un recuento menor que lo guardado en la ubicación ajustada no puede dejarla en negativo
+      if (error.message.includes('Stock insuficiente')) {
+        return ResponseProvider.error(res, {
+          message: error.message,
+          statusCode: 409
+        });
+      }
+      
       return ResponseProvider.error(res, {
         message: "Error interno del servidor",
         statusCode: 500
@@ -365,7 +385,8 @@ export class ProductoController {
       console.error('Error en eliminarProducto:', error);
       
       if (error.message.includes('carritos de compra') || 
-          error.message.includes('ventas asociadas')) {
+          error.message.includes('ventas asociadas') ||
+          error.message.includes('movimientos de stock')) {
         return ResponseProvider.error(res, {
           message: error.message,
           statusCode: 409
@@ -380,14 +401,16 @@ export class ProductoController {
   }
 
   /**
-   * Actualiza el stock de un producto
+   * Actualiza el stock de un producto a partir de un recuento
+   * La diferencia con el stock actual queda registrada como un AJUSTE en los movimientos de stock
+   * Con id_ubicacion el recuento es el de esa ubicación; sin ella, el total (ajustado en la predeterminada)
    * @param {Request} req - Objeto de solicitud HTTP
    * @param {Response} res - Objeto de respuesta HTTP
    */
   static async actualizarStock(req, res) {
     try {
       const { id } = req.params;
-      const { stock } = req.body;
+      const { stock, motivo, referencia, id_ubicacion } = req.body;
       
       if (!id || isNaN(parseInt(id))) {
         return ResponseProvider.error(res, {
@@ -403,6 +426,21 @@ export class ProductoController {
         });
       }
       
+      if ((motivo !== undefined && (typeof motivo !== 'string' || motivo.length > 255)) ||
+          (referencia !== undefined && (typeof referencia !== 'string' || referencia.length > 100))) {
+        return ResponseProvider.error(res, {
+          message: "El motivo no puede exceder 255 caracteres ni la referencia 100",
+          statusCode: 400
+        });
+      }
+      
+      if (id_ubicacion !== undefined && id_ubicacion !== null && !(parseInt(id_ubicacion) > 0)) {
+        return ResponseProvider.error(res, {
+          message: "ID de ubicación inválido",
+          statusCode: 400
+        });
+      }
+      
       // Verificar que el producto existe
       const productoExistente = await Producto.buscarPorId(parseInt(id));
       if (!productoExistente) {
@@ -412,7 +450,22 @@ export class ProductoController {
         });
       }
       
-      const actualizado = await Producto.actualizarStock(parseInt(id), parseInt(stock));
+      if (id_ubicacion) {
+        const ubicacion = await Ubicacion.buscarPorId(parseInt(id_ubicacion));
+        if (!ubicacion || ubicacion.estado !== 'ACTIVA') {
+          return ResponseProvider.error(res, {
+            message: "Ubicación no encontrada o inactiva",
+            statusCode: 404
+          });
+        }
+      }
+      
+      const actualizado = await Producto.actualizarStock(parseInt(id), parseInt(stock), {
+        id_ubicacion: id_ubicacion ? parseInt(id_ubicacion) : null,
+        motivo: motivo?.trim() || undefined,
+        referencia: referencia?.trim() || null,
+        id_usuario: req.usuario.id_usuario
+      });
       
       if (!actualizado) {
         return ResponseProvider.error(res, {
@@ -430,6 +483,15 @@ export class ProductoController {
       
     } catch (error) {
       console.error('Error en actualizarStock:', error);
+      
+      // Un recuento menor que lo guardado en la ubicación ajustada no puede dejarla en negativo
+      if (error.message.includes('Stock insuficiente')) {
+        return ResponseProvider.error(res, {
+          message: error.message,
+          statusCode: 409
+        });
+      }
+      
       return ResponseProvider.error(res, {
         message: "Error interno del servidor",
         statusCode: 500
@@ -438,16 +500,17 @@ export class ProductoController {
   }
 
   /**
-   * Obtiene productos con stock bajo
+   * Obtiene productos con stock bajo, en total o en una ubicación (?ubicacion=)
    * @param {Request} req - Objeto de solicitud HTTP
    * @param {Response} res - Objeto de respuesta HTTP
    */
   static async obtenerStockBajo(req, res) {
     try {
-      const { limite = 10 } = req.query;
+      const { limite = 10, ubicacion = null } = req.query;
       
       const limiteStock = Math.max(0, parseInt(limite));
-      const productos = await Producto.obtenerStockBajo(limiteStock);
+      const ubicacionNum = ubicacion ? parseInt(ubicacion) || null : null;
+      const productos = await Producto.obtenerStockBajo(limiteStock, ubicacionNum);
       
       return ResponseProvider.success(res, {
         message: "Productos con stock bajo obtenidos exitosamente",
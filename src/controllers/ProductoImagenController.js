@@ -2,14 +2,24 @@ import db from '../utils/db.js';
 import path from 'path';
 import fs from 'fs';
 
+// Con :idVariante en la ruta la imagen pertenece a esa variante del producto
+async function varianteDelProducto(id_producto, id_variante) {
+  const [[variante]] = await db.query('SELECT id_variante FROM Variantes_Producto WHERE id_variante = ? AND id_producto = ?', [id_variante, id_producto]);
+  return Boolean(variante);
+}
+
 export async function subirImagen(req, res) {
   const id_producto = req.params.id;
+  const id_variante = req.params.idVariante || null;
   console.log('Subir imagen', id_producto);
   console.log(req.body.file);
   if (!req.file) return res.status(400).json({ error: 'No se envió imagen' });
   const url_imagen = `/uploads/productos/${req.file.filename}`;
   try {
-    await db.query('INSERT INTO Imagenes_Producto (id_producto, url_imagen) VALUES (?, ?)', [id_producto, url_imagen]);
+    if (id_variante && !await varianteDelProducto(id_producto, id_variante)) {
+      return res.status(404).json({ error: 'Variante no encontrada' });
+    }
+    await db.query('INSERT INTO Imagenes_Producto (id_producto, id_variante, url_imagen) VALUES (?, ?, ?)', [id_producto, id_variante, url_imagen]);
     res.status(201).json({ message: 'Imagen subida', url_imagen });
   } catch (err) {
     res.status(500).json({ error: 'Error al guardar imagen en BD' });
@@ -18,8 +28,11 @@ export async function subirImagen(req, res) {
 
 export async function listarImagenes(req, res) {
   const id_producto = req.params.id;
+  const id_variante = req.params.idVariante || null;
   try {
-    const [imagenes] = await db.query('SELECT * FROM Imagenes_Producto WHERE id_producto = ?', [id_producto]);
+    const [imagenes] = id_variante
+      ? await db.query('SELECT * FROM Imagenes_Producto WHERE id_producto = ? AND id_variante = ?', [id_producto, id_variante])
+      : await db.query('SELECT * FROM Imagenes_Producto WHERE id_producto = ?', [id_producto]);
     res.json(imagenes);
   } catch (err) {
     res.status(500).json({ error: 'Error al obtener imágenes' });
@@ -350,9 +350,11 @@ export class ProveedorController {
     } catch (error) {
       console.error('Error en eliminarProveedor:', error);
       
-      if (error.message === 'No se puede eliminar el proveedor porque tiene productos asociados') {
+      if (error.message === 'No se puede eliminar el proveedor porque tiene productos asociados' ||
+          error.message === 'No se puede eliminar el proveedor porque tiene materiales asociados' ||
+          error.message === 'No se puede eliminar el proveedor porque tiene órdenes de compra asociadas') {
         return ResponseProvider.error(res, {
-          message: "No se puede eliminar el proveedor porque tiene productos asociados",
+          message: error.message,
           statusCode: 409
         });
       }
@@ -4,6 +4,7 @@
  */
 
 import { Rol } from "../models/Rol.js";
+import { Permiso } from "../models/Permiso.js";
 import { ResponseProvider } from "../providers/ResponseProvider.js";
 
 export class RolController {
@@ -82,7 +83,16 @@ export class RolController {
         return ResponseProvider.noEncontrado(res, 'Rol');
       }
 
-      return ResponseProvider.success(res, rolConPermisos, 'Rol con permisos obtenido exitosamente');
+      const permisosEfectivos = await Permiso.obtenerPermisosEfectivosRol(idRol);
+
+      return ResponseProvider.success(res, {
+        ...rolConPermisos,
+        jerarquia: await Rol.obtenerJerarquia(idRol),
+        permisos_heredados: permisosEfectivos.filter(
+          permiso => permiso.origen === 'HEREDADO' && !permiso.concedido_por
+        ),
+        permisos_efectivos: permisosEfectivos
+      }, 'Rol con permisos obtenido exitosamente');
 
     } catch (error) {
       console.error('Error al obtener rol con permisos:', error);
@@ -98,7 +108,7 @@ export class RolController {
    */
   static async crearRol(req, res) {
     try {
-      const { nombre_rol, descripcion } = req.body;
+      const { nombre_rol, descripcion, requiere_2fa, id_rol_padre } = req.body;
 
       // Validaciones básicas
       if (!nombre_rol || nombre_rol.trim().length < 2) {
@@ -115,9 +125,26 @@ export class RolController {
         }]);
       }
 
+      if (requiere_2fa !== undefined && typeof requiere_2fa !== 'boolean') {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'requiere_2fa', 
+          mensaje: 'requiere_2fa debe ser verdadero o falso' 
+        }]);
+      }
+
+      const idRolPadre = RolController.parsearRolPadre(id_rol_padre);
+      if (idRolPadre === false) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id_rol_padre', 
+          mensaje: 'ID de rol padre inválido' 
+        }]);
+      }
+
       const idRol = await Rol.crear({
         nombre_rol: nombre_rol.trim(),
-        descripcion: descripcion.trim()
+        descripcion: descripcion.trim(),
+        requiere_2fa: requiere_2fa === true,
+        id_rol_padre: idRolPadre ?? null
       });
 
       const rolCreado = await Rol.buscarPorId(idRol);
@@ -131,6 +158,10 @@ export class RolController {
         return ResponseProvider.conflicto(res, error.message);
       }
 
+      if (error.message === 'Rol padre no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Rol padre');
+      }
+
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
@@ -144,7 +175,7 @@ export class RolController {
   static async actualizarRol(req, res) {
     try {
       const { id } = req.params;
-      const { nombre_rol, descripcion } = req.body;
+      const { nombre_rol, descripcion, requiere_2fa, id_rol_padre } = req.body;
       const idRol = parseInt(id);
 
       if (!idRol || idRol < 1) {
@@ -169,9 +200,30 @@ export class RolController {
         }]);
       }
 
+      if (requiere_2fa !== undefined && typeof requiere_2fa !== 'boolean') {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'requiere_2fa', 
+          mensaje: 'requiere_2fa debe ser verdadero o falso' 
+        }]);
+      }
+
+      const idRolPadre = RolController.parsearRolPadre(id_rol_padre);
+      if (idRolPadre === false) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id_rol_padre', 
+          mensaje: 'ID de rol padre inválido' 
+        }]);
+      }
+
+      // La herencia se valida primero para no dejar el rol a medio actualizar si forma un ciclo
+      if (idRolPadre !== undefined) {
+        await Rol.asignarPadre(idRol, idRolPadre);
+      }
+
       const actualizado = await Rol.actualizar(idRol, {
         nombre_rol: nombre_rol.trim(),
-        descripcion: descripcion.trim()
+        descripcion: descripcion.trim(),
+        requiere_2fa
       });
 
       if (!actualizado) {
@@ -189,6 +241,14 @@ export class RolController {
         return ResponseProvider.conflicto(res, error.message);
       }
 
+      if (error.message === 'Rol padre no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Rol padre');
+      }
+
+      if (error.message.includes('heredar de sí mismo') || error.message.includes('ciclos')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
@@ -236,7 +296,7 @@ export class RolController {
     } catch (error) {
       console.error('Error al eliminar rol:', error);
       
-      if (error.message.includes('tiene usuarios asignados')) {
+      if (error.message.includes('tiene usuarios asignados') || error.message.includes('heredan de él')) {
         return ResponseProvider.error(res, error.message, 400);
       }
 
@@ -335,4 +395,23 @@ export class RolController {
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
+
+  /**
+   * Interpreta el rol padre recibido en el cuerpo de la petición
+   * @param {*} valor - Valor de id_rol_padre
+   * @returns {number|null|undefined|false} - ID del rol padre, null para quitar la herencia,
+   *   undefined si no se envió o false si es inválido
+   */
+  static parsearRolPadre(valor) {
+    if (valor === undefined) {
+      return undefined;
+    }
+
+    if (valor === null) {
+      return null;
+    }
+
+    const idRolPadre = parseInt(valor);
+    return idRolPadre && idRolPadre > 0 ? idRolPadre : false;
+  }
 }
@@ -0,0 +1,231 @@
+/**
+ * Controlador de Traslados de Stock
+ * Envío de productos terminados entre ubicaciones, recepción en el destino y cancelación
+ * de los envíos que siguen en tránsito
+ */
+
+import { Traslado, ESTADOS_TRASLADO } from "../models/Traslado.js";
+import { Ubicacion } from "../models/Ubicacion.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+export class TrasladoController {
+
+  /**
+   * Obtiene los traslados con filtros y paginación
+   * GET /api/traslados
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerTraslados(req, res) {
+    try {
+      const { estado, id_ubicacion, id_producto } = req.query;
+      const pagina = Math.max(1, parseInt(req.query.pagina) || 1);
+      const limite = Math.min(100, Math.max(1, parseInt(req.query.limite) || 20));
+
+      if (estado && !ESTADOS_TRASLADO.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_TRASLADO.join(', ')}`, 400);
+      }
+
+      const resultado = await Traslado.obtenerTodos({
+        estado: estado || null,
+        id_ubicacion: parseInt(id_ubicacion) || null,
+        id_producto: parseInt(id_producto) || null
+      }, pagina, limite);
+
+      return ResponseProvider.success(res, resultado, 'Traslados obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener traslados:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene un traslado por su ID con sus líneas
+   * GET /api/traslados/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerTrasladoPorId(req, res) {
+    try {
+      const idTraslado = parseInt(req.params.id);
+      if (isNaN(idTraslado)) {
+        return ResponseProvider.error(res, 'ID de traslado inválido', 400);
+      }
+
+      const traslado = await Traslado.buscarPorId(idTraslado);
+      if (!traslado) {
+        return ResponseProvider.noEncontrado(res, 'Traslado');
+      }
+
+      return ResponseProvider.success(res, traslado, 'Traslado obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener traslado:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Crea un traslado y envía sus unidades: salen del origen y quedan en tránsito hasta recibirse
+   * POST /api/traslados
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearTraslado(req, res) {
+    try {
+      const errores = TrasladoController.validarTraslado(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const { id_ubicacion_origen, id_ubicacion_destino, lineas, notas } = req.body;
+
+      for (const idUbicacion of [parseInt(id_ubicacion_origen), parseInt(id_ubicacion_destino)]) {
+        const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+        if (!ubicacion || ubicacion.estado !== 'ACTIVA') {
+          return ResponseProvider.noEncontrado(res, 'Ubicación');
+        }
+      }
+
+      const idTraslado = await Traslado.crear({
+        id_ubicacion_origen: parseInt(id_ubicacion_origen),
+        id_ubicacion_destino: parseInt(id_ubicacion_destino),
+        lineas: lineas.map(linea => ({
+          id_producto: parseInt(linea.id_producto),
+          id_variante: linea.id_variante ? parseInt(linea.id_variante) : null,
+          cantidad: parseInt(linea.cantidad)
+        })),
+        notas: typeof notas === 'string' ? notas.trim() || null : null,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      const traslado = await Traslado.buscarPorId(idTraslado);
+      return ResponseProvider.creado(res, traslado, 'Traslado enviado exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear traslado:', error);
+
+      if (error.message.includes('Stock insuficiente')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      if (error.message === 'Producto no encontrado' || error.message === 'Variante no encontrada') {
+        return ResponseProvider.error(res, error.message, 404);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Recibe un traslado en tránsito: sus unidades entran en la ubicación de destino
+   * POST /api/traslados/:id/recibir
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async recibirTraslado(req, res) {
+    return await TrasladoController.cerrarTraslado(req, res, 'RECIBIDO');
+  }
+
+  /**
+   * Cancela un traslado en tránsito: sus unidades vuelven a la ubicación de origen
+   * POST /api/traslados/:id/cancelar
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cancelarTraslado(req, res) {
+    return await TrasladoController.cerrarTraslado(req, res, 'CANCELADO');
+  }
+
+  /**
+   * Recibe o cancela un traslado en tránsito
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {string} estado - RECIBIDO o CANCELADO
+   */
+  static async cerrarTraslado(req, res, estado) {
+    try {
+      const idTraslado = parseInt(req.params.id);
+      if (isNaN(idTraslado)) {
+        return ResponseProvider.error(res, 'ID de traslado inválido', 400);
+      }
+
+      const existente = await Traslado.buscarPorId(idTraslado);
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Traslado');
+      }
+
+      const cerrado = estado === 'RECIBIDO'
+        ? await Traslado.recibir(idTraslado, req.usuario.id_usuario)
+        : await Traslado.cancelar(idTraslado, req.usuario.id_usuario);
+
+      if (!cerrado) {
+        return ResponseProvider.conflicto(res, 'El traslado ya no está en tránsito');
+      }
+
+      const traslado = await Traslado.buscarPorId(idTraslado);
+      const mensaje = estado === 'RECIBIDO' ? 'Traslado recibido exitosamente' : 'Traslado cancelado exitosamente';
+
+      return ResponseProvider.success(res, traslado, mensaje);
+
+    } catch (error) {
+      console.error('Error al cerrar traslado:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida los datos de un traslado
+   * @param {Object} datos - Datos recibidos
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarTraslado(datos) {
+    const errores = [];
+    const { id_ubicacion_origen, id_ubicacion_destino, lineas, notas } = datos;
+
+    if (!(parseInt(id_ubicacion_origen) > 0)) {
+      errores.push({ campo: 'id_ubicacion_origen', mensaje: 'La ubicación de origen es requerida' });
+    }
+
+    if (!(parseInt(id_ubicacion_destino) > 0)) {
+      errores.push({ campo: 'id_ubicacion_destino', mensaje: 'La ubicación de destino es requerida' });
+    } else if (parseInt(id_ubicacion_destino) === parseInt(id_ubicacion_origen)) {
+      errores.push({ campo: 'id_ubicacion_destino', mensaje: 'El destino debe ser distinto del origen' });
+    }
+
+    if (!Array.isArray(lineas) || lineas.length === 0 || lineas.length > 100) {
+      errores.push({ campo: 'lineas', mensaje: 'El traslado debe tener entre 1 y 100 líneas' });
+    } else {
+      const claves = new Set();
+
+      lineas.forEach((linea, indice) => {
+        if (!linea || !(parseInt(linea.id_producto) > 0)) {
+          errores.push({ campo: `lineas[${indice}].id_producto`, mensaje: 'ID de producto inválido' });
+          return;
+        }
+
+        if (linea.id_variante !== undefined && linea.id_variante !== null && !(parseInt(linea.id_variante) > 0)) {
+          errores.push({ campo: `lineas[${indice}].id_variante`, mensaje: 'ID de variante inválido' });
+        }
+
+        const cantidad = Number(linea.cantidad);
+        if (!Number.isInteger(cantidad) || cantidad < 1) {
+          errores.push({ campo: `lineas[${indice}].cantidad`, mensaje: 'La cantidad debe ser un número entero mayor a 0' });
+        }
+
+        const clave = `${parseInt(linea.id_producto)}-${parseInt(linea.id_variante) || 0}`;
+        if (claves.has(clave)) {
+          errores.push({ campo: `lineas[${indice}]`, mensaje: 'El producto o variante está repetido en el traslado' });
+        }
+        claves.add(clave);
+      });
+    }
+
+    if (notas !== undefined && notas !== null && (typeof notas !== 'string' || notas.length > 1000)) {
+      errores.push({ campo: 'notas', mensaje: 'Las notas deben ser un texto de hasta 1000 caracteres' });
+    }
+
+    return errores;
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Controlador de Ubicaciones
+ * Maneja las ubicaciones de inventario (sala de exhibición, taller, bodega) y la consulta
+ * del stock guardado en cada una
+ */
+
+import { Ubicacion, TIPOS_UBICACION } from "../models/Ubicacion.js";
+import { Producto } from "../models/Producto.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const ESTADOS_UBICACION = ['ACTIVA', 'INACTIVA'];
+
+export class UbicacionController {
+
+  /**
+   * Obtiene las ubicaciones con sus unidades en stock
+   * GET /api/ubicaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerUbicaciones(req, res) {
+    try {
+      const { estado } = req.query;
+
+      if (estado && !ESTADOS_UBICACION.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_UBICACION.join(', ')}`, 400);
+      }
+
+      const ubicaciones = await Ubicacion.obtenerTodas({ estado: estado || null });
+      return ResponseProvider.success(res, ubicaciones, 'Ubicaciones obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener ubicaciones:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una ubicación por su ID
+   * GET /api/ubicaciones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerUbicacionPorId(req, res) {
+    try {
+      const idUbicacion = parseInt(req.params.id);
+      if (isNaN(idUbicacion)) {
+        return ResponseProvider.error(res, 'ID de ubicación inválido', 400);
+      }
+
+      const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+      if (!ubicacion) {
+        return ResponseProvider.noEncontrado(res, 'Ubicación');
+      }
+
+      return ResponseProvider.success(res, ubicacion, 'Ubicación obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener ubicación:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Crea una ubicación
+   * POST /api/ubicaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearUbicacion(req, res) {
+    try {
+      const errores = UbicacionController.validarDatosUbicacion(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const idUbicacion = await Ubicacion.crear(UbicacionController.normalizarDatosUbicacion(req.body));
+      const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+
+      return ResponseProvider.creado(res, ubicacion, 'Ubicación creada exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear ubicación:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return ResponseProvider.conflicto(res, 'Ya existe una ubicación con ese nombre');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Actualiza una ubicación; los campos no enviados conservan su valor
+   * Marcar otra ubicación como predeterminada le quita la marca a la anterior
+   * PUT /api/ubicaciones/:id
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarUbicacion(req, res) {
+    try {
+      const idUbicacion = parseInt(req.params.id);
+      if (isNaN(idUbicacion)) {
+        return ResponseProvider.error(res, 'ID de ubicación inválido', 400);
+      }
+
+      const existente = await Ubicacion.buscarPorId(idUbicacion);
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Ubicación');
+      }
+
+      const errores = UbicacionController.validarDatosUbicacion(req.body, true);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const datos = {
+        nombre: existente.nombre,
+        tipo: existente.tipo,
+        direccion: existente.direccion,
+        es_predeterminada: Boolean(existente.es_predeterminada),
+        estado: existente.estado,
+        ...UbicacionController.normalizarDatosUbicacion(req.body, true)
+      };
+
+      const actualizada = await Ubicacion.actualizar(idUbicacion, datos);
+      if (!actualizada) {
+        return ResponseProvider.noEncontrado(res, 'Ubicación');
+      }
+
+      const ubicacion = await Ubicacion.buscarPorId(idUbicacion);
+      return ResponseProvider.success(res, ubicacion, 'Ubicación actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar ubicación:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return ResponseProvider.conflicto(res, 'Ya existe una ubicación con ese nombre');
+      }
+
+      if (error.message.includes('predeterminada') || error.message.includes('No se puede desactivar')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene el stock de los productos y variantes guardados en una ubicación
+   * GET /api/ubicaciones/:id/stock
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerStock(req, res) {
+    try {
+      const idUbicacion = parseInt(req.params.id);
+      if (isNaN(idUbicacion)) {
+        return ResponseProvider.error(res, 'ID de ubicación inválido', 400);
+      }
+
+      const { busqueda = '' } = req.query;
+      const pagina = Math.max(1, parseInt(req.query.pagina) || 1);
+      const limite = Math.min(100, Math.max(1, parseInt(req.query.limite) || 20));
+
+      if (!await Ubicacion.buscarPorId(idUbicacion)) {
+        return ResponseProvider.noEncontrado(res, 'Ubicación');
+      }
+
+      const resultado = await Ubicacion.obtenerStock(idUbicacion, { busqueda: busqueda.trim() }, pagina, limite);
+      return ResponseProvider.success(res, resultado, 'Stock de la ubicación obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener stock de la ubicación:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene el stock de un producto en cada ubicación y las unidades en tránsito
+   * GET /api/productos/:id/ubicaciones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerStockProducto(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      const producto = await Producto.buscarPorId(idProducto);
+      if (!producto) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const stock = await Ubicacion.obtenerStockProducto(idProducto);
+
+      return ResponseProvider.success(res, {
+        id_producto: producto.id_producto,
+        nombre_producto: producto.nombre_producto,
+        stock_total: producto.stock,
+        ...stock
+      }, 'Stock por ubicación obtenido exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener stock del producto por ubicación:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Valida los datos de una ubicación
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es true, solo valida los campos presentes
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarDatosUbicacion(datos, parcial = false) {
+    const errores = [];
+    const { nombre, tipo, direccion, es_predeterminada, estado } = datos;
+
+    if (!parcial || nombre !== undefined) {
+      if (!nombre || typeof nombre !== 'string' || nombre.trim() === '' || nombre.length > 100) {
+        errores.push({ campo: 'nombre', mensaje: 'El nombre es requerido y no puede exceder 100 caracteres' });
+      }
+    }
+
+    if (!parcial || tipo !== undefined) {
+      if (!TIPOS_UBICACION.includes(tipo)) {
+        errores.push({ campo: 'tipo', mensaje: `El tipo debe ser: ${TIPOS_UBICACION.join(', ')}` });
+      }
+    }
+
+    if (direccion !== undefined && direccion !== null && (typeof direccion !== 'string' || direccion.length > 255)) {
+      errores.push({ campo: 'direccion', mensaje: 'La dirección debe ser un texto de hasta 255 caracteres' });
+    }
+
+    if (es_predeterminada !== undefined && typeof es_predeterminada !== 'boolean') {
+      errores.push({ campo: 'es_predeterminada', mensaje: 'es_predeterminada debe ser true o false' });
+    }
+
+    if (estado !== undefined && !ESTADOS_UBICACION.includes(estado)) {
+      errores.push({ campo: 'estado', mensaje: `El estado debe ser: ${ESTADOS_UBICACION.join(', ')}` });
+    }
+
+    if (!parcial && estado === 'INACTIVA') {
+      errores.push({ campo: 'estado', mensaje: 'Una ubicación nueva debe crearse activa' });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Normaliza los datos de una ubicación
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es true, solo incluye los campos presentes
+   * @returns {Object} - Datos normalizados
+   */
+  static normalizarDatosUbicacion(datos, parcial = false) {
+    const normalizados = {};
+
+    if (!parcial || datos.nombre !== undefined) normalizados.nombre = datos.nombre.trim();
+    if (!parcial || datos.tipo !== undefined) normalizados.tipo = datos.tipo;
+    if (!parcial || datos.direccion !== undefined) normalizados.direccion = datos.direccion?.trim() || null;
+    if (!parcial || datos.es_predeterminada !== undefined) normalizados.es_predeterminada = datos.es_predeterminada === true;
+    if (parcial && datos.estado !== undefined) normalizados.estado = datos.estado;
+
+    return normalizados;
+  }
+}
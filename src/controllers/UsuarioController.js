@@ -4,6 +4,8 @@
  */
 
 import { UsuarioService } from "../services/UsuarioService.js";
+import { SeguridadService } from "../services/SeguridadService.js";
+import { TIPOS_EVENTO_SEGURIDAD } from "../models/EventoSeguridad.js";
 import { ResponseProvider } from "../providers/ResponseProvider.js";
 
 export class UsuarioController {
@@ -97,7 +99,8 @@ export class UsuarioController {
 
       if (error.message.includes('obligatorio') || 
           error.message.includes('debe tener') || 
-          error.message.includes('inválido')) {
+          error.message.includes('inválido') ||
+          error.message.startsWith('La contraseña')) {
         return ResponseProvider.errorValidacion(res, [{ 
           campo: 'general', 
           mensaje: error.message 
@@ -127,7 +130,7 @@ export class UsuarioController {
         }]);
       }
 
-      const usuarioActualizado = await UsuarioService.actualizarUsuario(idUsuario, datosActualizar);
+      const usuarioActualizado = await UsuarioService.actualizarUsuario(idUsuario, datosActualizar, req.usuario.id_usuario);
 
       return ResponseProvider.success(res, usuarioActualizado, 'Usuario actualizado exitosamente');
 
@@ -200,6 +203,316 @@ export class UsuarioController {
     }
   }
 
+  /**
+   * Cierra todas las sesiones de un usuario
+   * POST /api/usuarios/:id/cerrar-sesiones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async cerrarSesiones(req, res) {
+    try {
+      const { id } = req.params;
+      const idUsuario = parseInt(id);
+
+      if (!idUsuario || idUsuario < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario inválido' 
+        }]);
+      }
+
+      const cerradas = await UsuarioService.cerrarSesionesUsuario(idUsuario);
+
+      return ResponseProvider.success(res, { sesiones_cerradas: cerradas }, 'Sesiones del usuario cerradas exitosamente');
+
+    } catch (error) {
+      console.error('Error al cerrar sesiones del usuario:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene el historial de intentos de login de un usuario
+   * GET /api/usuarios/:id/intentos-login
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerIntentosLogin(req, res) {
+    try {
+      const { id } = req.params;
+      const idUsuario = parseInt(id);
+
+      if (!idUsuario || idUsuario < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario inválido' 
+        }]);
+      }
+
+      const { pagina = 1, limite = 20 } = req.query;
+
+      const resultado = await UsuarioService.obtenerIntentosLogin(idUsuario, {
+        pagina: parseInt(pagina) || 1,
+        limite: parseInt(limite) || 20
+      });
+
+      return ResponseProvider.success(res, resultado, 'Intentos de login obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener intentos de login:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Desbloquea el login de un usuario bloqueado por intentos fallidos
+   * POST /api/usuarios/:id/desbloquear
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async desbloquearUsuario(req, res) {
+    try {
+      const { id } = req.params;
+      const idUsuario = parseInt(id);
+
+      if (!idUsuario || idUsuario < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario inválido' 
+        }]);
+      }
+
+      await UsuarioService.desbloquearUsuario(idUsuario);
+
+      return ResponseProvider.success(res, null, 'Usuario desbloqueado exitosamente');
+
+    } catch (error) {
+      console.error('Error al desbloquear usuario:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obliga a un usuario a cambiar su contraseña en el próximo login
+   * POST /api/usuarios/:id/forzar-cambio-contraseña
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async forzarCambioContraseña(req, res) {
+    try {
+      const { id } = req.params;
+      const idUsuario = parseInt(id);
+
+      if (!idUsuario || idUsuario < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario inválido' 
+        }]);
+      }
+
+      await UsuarioService.forzarCambioContraseña(idUsuario, req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, null, 'El usuario deberá cambiar su contraseña en el próximo inicio de sesión');
+
+    } catch (error) {
+      console.error('Error al forzar cambio de contraseña:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene los roles activos y las asignaciones de roles de un usuario
+   * GET /api/usuarios/:id/roles
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerRoles(req, res) {
+    try {
+      const idUsuario = parseInt(req.params.id);
+
+      if (!idUsuario || idUsuario < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario inválido' 
+        }]);
+      }
+
+      const incluirVencidas = req.query.incluir_vencidas === 'true';
+
+      const resultado = await UsuarioService.obtenerRolesUsuario(idUsuario, incluirVencidas);
+
+      return ResponseProvider.success(res, resultado, 'Roles del usuario obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener roles del usuario:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Asigna un rol adicional a un usuario
+   * POST /api/usuarios/:id/roles
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async asignarRol(req, res) {
+    try {
+      const idUsuario = parseInt(req.params.id);
+      const idRol = parseInt(req.body.id_rol);
+      const errores = [];
+
+      if (!idUsuario || idUsuario < 1) {
+        errores.push({ campo: 'id', mensaje: 'ID de usuario inválido' });
+      }
+
+      if (!idRol || idRol < 1) {
+        errores.push({ campo: 'id_rol', mensaje: 'ID de rol inválido' });
+      }
+
+      const vigencia = UsuarioController.validarVigencia(req.body, errores);
+
+      if (vigencia.fecha_fin && vigencia.fecha_fin <= new Date()) {
+        errores.push({ campo: 'fecha_fin', mensaje: 'La fecha de fin debe ser futura' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const asignacion = await UsuarioService.asignarRolUsuario(
+        idUsuario,
+        { id_rol: idRol, ...vigencia },
+        req.usuario.id_usuario
+      );
+
+      return ResponseProvider.creado(res, asignacion, 'Rol asignado exitosamente');
+
+    } catch (error) {
+      console.error('Error al asignar rol al usuario:', error);
+      
+      if (error.message === 'Usuario no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Usuario');
+      }
+
+      if (error.message === 'Rol no encontrado') {
+        return ResponseProvider.noEncontrado(res, 'Rol');
+      }
+
+      if (error.message.includes('permisos que no tienes')) {
+        return ResponseProvider.accesoDenegado(res, error.message);
+      }
+
+      if (error.message.includes('rol principal') || error.message.includes('se solapa')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Modifica la vigencia de un rol asignado a un usuario
+   * PUT /api/usuarios/:id/roles/:idAsignacion
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarRol(req, res) {
+    try {
+      const idUsuario = parseInt(req.params.id);
+      const idAsignacion = parseInt(req.params.idAsignacion);
+      const errores = [];
+
+      if (!idUsuario || idUsuario < 1) {
+        errores.push({ campo: 'id', mensaje: 'ID de usuario inválido' });
+      }
+
+      if (!idAsignacion || idAsignacion < 1) {
+        errores.push({ campo: 'idAsignacion', mensaje: 'ID de asignación inválido' });
+      }
+
+      const vigencia = UsuarioController.validarVigencia(req.body, errores);
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const asignacion = await UsuarioService.actualizarRolUsuario(idUsuario, idAsignacion, vigencia, req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, asignacion, 'Vigencia del rol actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar rol del usuario:', error);
+      
+      if (error.message === 'Asignación de rol no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      if (error.message.includes('se solapa')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Quita un rol asignado a un usuario
+   * DELETE /api/usuarios/:id/roles/:idAsignacion
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async quitarRol(req, res) {
+    try {
+      const idUsuario = parseInt(req.params.id);
+      const idAsignacion = parseInt(req.params.idAsignacion);
+
+      if (!idUsuario || idUsuario < 1 || !idAsignacion || idAsignacion < 1) {
+        return ResponseProvider.errorValidacion(res, [{ 
+          campo: 'id', 
+          mensaje: 'ID de usuario o de asignación inválido' 
+        }]);
+      }
+
+      await UsuarioService.quitarRolUsuario(idUsuario, idAsignacion, req.usuario.id_usuario);
+
+      return ResponseProvider.success(res, null, 'Rol quitado exitosamente');
+
+    } catch (error) {
+      console.error('Error al quitar rol del usuario:', error);
+      
+      if (error.message === 'Asignación de rol no encontrada') {
+        return ResponseProvider.error(res, error.message, 404, 'RECURSO_NO_ENCONTRADO');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
   /**
    * Elimina un usuario (cambia estado a INACTIVO)
    * DELETE /api/usuarios/:id
@@ -304,6 +617,76 @@ export class UsuarioController {
     }
   }
 
+  /**
+   * Obtiene los eventos de seguridad del usuario actual (logins, cambios de contraseña, etc.)
+   * GET /api/usuarios/mi-perfil/seguridad
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerMiSeguridad(req, res) {
+    try {
+      const { pagina = 1, limite = 20 } = req.query;
+      const errores = [];
+
+      const filtros = UsuarioController.validarFiltrosEventos(req.query, errores);
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = await SeguridadService.obtenerEventos(
+        { ...filtros, id_usuario: req.usuario.id_usuario },
+        {
+          pagina: parseInt(pagina) || 1,
+          limite: parseInt(limite) || 20
+        }
+      );
+
+      return ResponseProvider.success(res, resultado, 'Eventos de seguridad obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener eventos de seguridad del perfil:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene los eventos de seguridad de todas las cuentas con filtros
+   * GET /api/usuarios/eventos-seguridad
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerEventosSeguridad(req, res) {
+    try {
+      const { pagina = 1, limite = 20, id_usuario } = req.query;
+      const errores = [];
+
+      const filtros = UsuarioController.validarFiltrosEventos(req.query, errores);
+
+      if (id_usuario !== undefined && !(parseInt(id_usuario) > 0)) {
+        errores.push({ campo: 'id_usuario', mensaje: 'ID de usuario inválido' });
+      }
+
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const resultado = await SeguridadService.obtenerEventos(
+        { ...filtros, id_usuario: parseInt(id_usuario) || null },
+        {
+          pagina: parseInt(pagina) || 1,
+          limite: parseInt(limite) || 20
+        }
+      );
+
+      return ResponseProvider.success(res, resultado, 'Eventos de seguridad obtenidos exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener eventos de seguridad:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
   /**
    * Actualiza el perfil del usuario actual
    * PUT /api/usuarios/mi-perfil
@@ -316,11 +699,11 @@ export class UsuarioController {
       const datosActualizar = req.body;
 
       // Los usuarios normales no pueden cambiar su rol
-      if (req.usuario.nombre_rol !== 'Administrador') {
+      if (!(req.usuario.roles || [req.usuario.nombre_rol]).includes('Administrador')) {
         delete datosActualizar.id_rol;
       }
 
-      const usuarioActualizado = await UsuarioService.actualizarUsuario(idUsuario, datosActualizar);
+      const usuarioActualizado = await UsuarioService.actualizarUsuario(idUsuario, datosActualizar, idUsuario);
 
       return ResponseProvider.success(res, usuarioActualizado, 'Perfil actualizado exitosamente');
 
@@ -342,4 +725,80 @@ export class UsuarioController {
       return ResponseProvider.error(res, 'Error interno del servidor', 500);
     }
   }
+
+  /**
+   * Valida las fechas de vigencia de una asignación de rol
+   * @param {Object} body - Cuerpo de la petición con fecha_inicio y fecha_fin (ISO 8601, opcionales)
+   * @param {Array} errores - Lista donde se agregan los errores de validación
+   * @returns {Object} - { fecha_inicio, fecha_fin } como Date o null
+   */
+  static validarVigencia({ fecha_inicio, fecha_fin }, errores) {
+    const vigencia = { fecha_inicio: null, fecha_fin: null };
+
+    for (const campo of ['fecha_inicio', 'fecha_fin']) {
+      const valor = campo === 'fecha_inicio' ? fecha_inicio : fecha_fin;
+      if (valor === undefined || valor === null || valor === '') {
+        continue;
+      }
+
+      const fecha = new Date(valor);
+      if (isNaN(fecha.getTime())) {
+        errores.push({ campo, mensaje: 'La fecha debe tener un formato válido (ISO 8601)' });
+      } else {
+        vigencia[campo] = fecha;
+      }
+    }
+
+    if (vigencia.fecha_inicio && vigencia.fecha_fin && vigencia.fecha_fin <= vigencia.fecha_inicio) {
+      errores.push({ campo: 'fecha_fin', mensaje: 'La fecha de fin debe ser posterior a la de inicio' });
+    }
+
+    return vigencia;
+  }
+
+  /**
+   * Valida los filtros de consulta de eventos de seguridad
+   * @param {Object} query - Query de la petición con tipo, exitoso, ip, desde y hasta (opcionales)
+   * @param {Array} errores - Lista donde se agregan los errores de validación
+   * @returns {Object} - Filtros normalizados
+   */
+  static validarFiltrosEventos({ tipo, exitoso, ip, desde, hasta }, errores) {
+    const filtros = { tipo: null, exitoso: null, ip: null, desde: null, hasta: null };
+
+    if (tipo) {
+      if (!TIPOS_EVENTO_SEGURIDAD.includes(tipo)) {
+        errores.push({ campo: 'tipo', mensaje: `El tipo debe ser uno de: ${TIPOS_EVENTO_SEGURIDAD.join(', ')}` });
+      } else {
+        filtros.tipo = tipo;
+      }
+    }
+
+    if (exitoso !== undefined && exitoso !== '') {
+      if (exitoso !== 'true' && exitoso !== 'false') {
+        errores.push({ campo: 'exitoso', mensaje: 'El filtro exitoso debe ser true o false' });
+      } else {
+        filtros.exitoso = exitoso === 'true';
+      }
+    }
+
+    if (ip) {
+      filtros.ip = String(ip).trim().substring(0, 45);
+    }
+
+    for (const campo of ['desde', 'hasta']) {
+      const valor = campo === 'desde' ? desde : hasta;
+      if (!valor) {
+        continue;
+      }
+
+      const fecha = new Date(valor);
+      if (isNaN(fecha.getTime())) {
+        errores.push({ campo, mensaje: 'La fecha debe tener un formato válido (ISO 8601)' });
+      } else {
+        filtros[campo] = fecha;
+      }
+    }
+
+    return filtros;
+  }
 }
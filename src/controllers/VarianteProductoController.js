@@ -0,0 +1,304 @@
+/**
+ * Controlador de Variantes de Producto
+ * Maneja el CRUD de las variantes (SKU, atributos, precio y stock) de un producto
+ */
+
+import { Producto } from "../models/Producto.js";
+import { VarianteProducto } from "../models/VarianteProducto.js";
+import { ResponseProvider } from "../providers/ResponseProvider.js";
+
+const ESTADOS_VARIANTE = ['DISPONIBLE', 'AGOTADO', 'DESCONTINUADO'];
+
+export class VarianteProductoController {
+
+  /**
+   * Lista las variantes de un producto
+   * GET /api/productos/:id/variantes
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerVariantes(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+      const { estado = null } = req.query;
+
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      if (estado && !ESTADOS_VARIANTE.includes(estado)) {
+        return ResponseProvider.error(res, `El estado debe ser: ${ESTADOS_VARIANTE.join(', ')}`, 400);
+      }
+
+      if (!await Producto.buscarPorId(idProducto)) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const variantes = await VarianteProducto.obtenerPorProducto(idProducto, estado);
+      return ResponseProvider.success(res, variantes, 'Variantes obtenidas exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener variantes:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Obtiene una variante de un producto
+   * GET /api/productos/:id/variantes/:idVariante
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async obtenerVariantePorId(req, res) {
+    try {
+      const variante = await VarianteProductoController.buscarVarianteDeProducto(req);
+
+      if (!variante) {
+        return ResponseProvider.noEncontrado(res, 'Variante');
+      }
+
+      return ResponseProvider.success(res, variante, 'Variante obtenida exitosamente');
+
+    } catch (error) {
+      console.error('Error al obtener variante:', error);
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Crea una variante de un producto
+   * POST /api/productos/:id/variantes
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async crearVariante(req, res) {
+    try {
+      const idProducto = parseInt(req.params.id);
+
+      if (isNaN(idProducto)) {
+        return ResponseProvider.error(res, 'ID de producto inválido', 400);
+      }
+
+      if (!await Producto.buscarPorId(idProducto)) {
+        return ResponseProvider.noEncontrado(res, 'Producto');
+      }
+
+      const errores = VarianteProductoController.validarDatosVariante(req.body);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const datos = VarianteProductoController.normalizarDatosVariante(req.body);
+
+      if (await VarianteProducto.buscarPorSku(datos.sku)) {
+        return ResponseProvider.conflicto(res, 'Ya existe una variante con ese SKU');
+      }
+
+      const idVariante = await VarianteProducto.crear({
+        id_producto: idProducto,
+        ...datos,
+        id_usuario: req.usuario.id_usuario
+      });
+
+      const variante = await VarianteProducto.buscarPorId(idVariante);
+      return ResponseProvider.creado(res, variante, 'Variante creada exitosamente');
+
+    } catch (error) {
+      console.error('Error al crear variante:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return ResponseProvider.conflicto(res, 'Ya existe una variante con ese SKU');
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Actualiza una variante de un producto
+   * Los campos no enviados conservan su valor; enviar precio: null vuelve a usar el ajuste de precio
+   * PUT /api/productos/:id/variantes/:idVariante
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async actualizarVariante(req, res) {
+    try {
+      const existente = await VarianteProductoController.buscarVarianteDeProducto(req);
+
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Variante');
+      }
+
+      const errores = VarianteProductoController.validarDatosVariante(req.body, true);
+      if (errores.length > 0) {
+        return ResponseProvider.errorValidacion(res, errores);
+      }
+
+      const datos = {
+        sku: existente.sku,
+        atributos: existente.atributos,
+        precio: existente.precio,
+        ajuste_precio: existente.ajuste_precio,
+        estado: existente.estado,
+        ...VarianteProductoController.normalizarDatosVariante(req.body, true)
+      };
+
+      if (datos.sku !== existente.sku) {
+        const conMismoSku = await VarianteProducto.buscarPorSku(datos.sku);
+        if (conMismoSku && conMismoSku.id_variante !== existente.id_variante) {
+          return ResponseProvider.conflicto(res, 'Ya existe una variante con ese SKU');
+        }
+      }
+
+      // El stock solo se ajusta si se envía, para no pisar ventas ocurridas mientras tanto
+      await VarianteProducto.actualizar(existente.id_variante, datos, req.usuario.id_usuario);
+
+      const variante = await VarianteProducto.buscarPorId(existente.id_variante);
+      return ResponseProvider.success(res, variante, 'Variante actualizada exitosamente');
+
+    } catch (error) {
+      console.error('Error al actualizar variante:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return ResponseProvider.conflicto(res, 'Ya existe una variante con ese SKU');
+      }
+
+      if (error.message.includes('Stock insuficiente')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Elimina una variante de un producto
+   * DELETE /api/productos/:id/variantes/:idVariante
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  static async eliminarVariante(req, res) {
+    try {
+      const existente = await VarianteProductoController.buscarVarianteDeProducto(req);
+
+      if (!existente) {
+        return ResponseProvider.noEncontrado(res, 'Variante');
+      }
+
+      await VarianteProducto.eliminar(existente.id_variante);
+      return ResponseProvider.success(res, null, 'Variante eliminada exitosamente');
+
+    } catch (error) {
+      console.error('Error al eliminar variante:', error);
+
+      if (error.message.includes('carritos de compra') ||
+          error.message.includes('ventas asociadas') ||
+          error.message.includes('movimientos de stock')) {
+        return ResponseProvider.conflicto(res, error.message);
+      }
+
+      return ResponseProvider.error(res, 'Error interno del servidor', 500);
+    }
+  }
+
+  /**
+   * Busca la variante indicada en la ruta comprobando que pertenezca al producto
+   * @param {Object} req - Request object (params.id y params.idVariante)
+   * @returns {Promise<Object|null>} - Variante o null si no existe en ese producto
+   */
+  static async buscarVarianteDeProducto(req) {
+    const idProducto = parseInt(req.params.id);
+    const idVariante = parseInt(req.params.idVariante);
+
+    if (isNaN(idProducto) || isNaN(idVariante)) {
+      return null;
+    }
+
+    const variante = await VarianteProducto.buscarPorId(idVariante);
+    return variante && variante.id_producto === idProducto ? variante : null;
+  }
+
+  /**
+   * Valida los datos de una variante
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es una actualización (los campos son opcionales)
+   * @returns {Array} - Errores de validación ({ campo, mensaje })
+   */
+  static validarDatosVariante(datos, parcial = false) {
+    const errores = [];
+    const { sku, atributos, precio, ajuste_precio, stock, estado } = datos;
+
+    if (!parcial || sku !== undefined) {
+      if (typeof sku !== 'string' || sku.trim() === '') {
+        errores.push({ campo: 'sku', mensaje: 'El SKU es requerido' });
+      } else if (sku.trim().length > 60) {
+        errores.push({ campo: 'sku', mensaje: 'El SKU no puede exceder 60 caracteres' });
+      }
+    }
+
+    if (!parcial || atributos !== undefined) {
+      const esObjeto = atributos && typeof atributos === 'object' && !Array.isArray(atributos);
+
+      if (!esObjeto || Object.keys(atributos).length === 0) {
+        errores.push({
+          campo: 'atributos',
+          mensaje: 'Los atributos deben ser un objeto con al menos un valor (ej: { "madera": "roble" })'
+        });
+      } else if (Object.entries(atributos).some(([clave, valor]) =>
+        clave.length > 50 || !['string', 'number'].includes(typeof valor) || String(valor).trim() === '')) {
+        errores.push({
+          campo: 'atributos',
+          mensaje: 'Cada atributo debe tener un nombre de hasta 50 caracteres y un valor de texto o número'
+        });
+      }
+    }
+
+    if (precio !== undefined && precio !== null && (isNaN(parseFloat(precio)) || parseFloat(precio) < 0)) {
+      errores.push({ campo: 'precio', mensaje: 'El precio debe ser un número válido mayor o igual a 0' });
+    }
+
+    if (ajuste_precio !== undefined && isNaN(parseFloat(ajuste_precio))) {
+      errores.push({ campo: 'ajuste_precio', mensaje: 'El ajuste de precio debe ser un número válido' });
+    }
+
+    if (precio !== undefined && precio !== null && ajuste_precio !== undefined && parseFloat(ajuste_precio) !== 0) {
+      errores.push({ campo: 'precio', mensaje: 'Indica un precio absoluto o un ajuste de precio, no ambos' });
+    }
+
+    if (stock !== undefined && (isNaN(parseInt(stock)) || parseInt(stock) < 0)) {
+      errores.push({ campo: 'stock', mensaje: 'El stock debe ser un número entero mayor o igual a 0' });
+    }
+
+    if (estado !== undefined && !ESTADOS_VARIANTE.includes(estado)) {
+      errores.push({ campo: 'estado', mensaje: `El estado debe ser: ${ESTADOS_VARIANTE.join(', ')}` });
+    }
+
+    return errores;
+  }
+
+  /**
+   * Normaliza los datos ya validados de una variante
+   * @param {Object} datos - Datos recibidos
+   * @param {boolean} parcial - Si es una actualización (solo devuelve los campos enviados)
+   * @returns {Object} - Datos listos para el modelo
+   */
+  static normalizarDatosVariante(datos, parcial = false) {
+    const { sku, atributos, precio, ajuste_precio, stock, estado } = datos;
+    const normalizados = {};
+
+    if (!parcial || sku !== undefined) normalizados.sku = sku.trim();
+    if (!parcial || atributos !== undefined) {
+      normalizados.atributos = Object.fromEntries(
+        Object.entries(atributos).map(([clave, valor]) => [clave.trim(), String(valor).trim()])
+      );
+    }
+    if (precio !== undefined) normalizados.precio = precio === null ? null : parseFloat(precio);
+    if (ajuste_precio !== undefined) normalizados.ajuste_precio = parseFloat(ajuste_precio);
+    // Un precio absoluto reemplaza al ajuste
+    if (normalizados.precio !== undefined && normalizados.precio !== null) normalizados.ajuste_precio = 0;
+    if (stock !== undefined) normalizados.stock = parseInt(stock);
+    if (estado !== undefined) normalizados.estado = estado;
+
+    return normalizados;
+  }
+}
@@ -5,18 +5,25 @@
 
 import { Venta } from '../models/Venta.js';
 import { Factura } from '../models/Factura.js';
+import { ReservaStock } from '../models/ReservaStock.js';
 import { ResponseProvider } from '../providers/ResponseProvider.js';
 
 export class VentaController {
     /**
      * Procesa una compra desde el carrito
+     * Acepta id_ubicacion para surtir el pedido desde una ubicación concreta
      */
     static async procesarCompra(req, res) {
         try {
             const idUsuario = req.usuario.id_usuario;
 
+            const idUbicacion = VentaController.leerUbicacion(req);
+            if (idUbicacion === undefined) {
+                return ResponseProvider.error(res, 'ID de ubicación inválido', 400);
+            }
+
             // Procesar la venta
-            const venta = await Venta.procesarVentaDesdeCarrito(idUsuario);
+            const venta = await Venta.procesarVentaDesdeCarrito(idUsuario, idUbicacion);
 
             // Generar factura automáticamente
             const factura = await Factura.generarFactura(venta.id_venta);
@@ -33,6 +40,75 @@ export class VentaController {
         }
     }
 
+    /**
+     * Inicia el pago reservando las cantidades del carrito durante STOCK_RESERVATION_TTL segundos
+     * Volver a llamarlo renueva la reserva con el contenido actual del carrito
+     * Acepta id_ubicacion para reservar en la ubicación desde la que se surtirá el pedido
+     */
+    static async reservarCarrito(req, res) {
+        try {
+            const idUbicacion = VentaController.leerUbicacion(req);
+            if (idUbicacion === undefined) {
+                return ResponseProvider.error(res, 'ID de ubicación inválido', 400);
+            }
+
+            const reserva = await ReservaStock.reservarCarrito(req.usuario.id_usuario, idUbicacion);
+
+            return ResponseProvider.success(res, reserva, 'Stock del carrito reservado exitosamente');
+
+        } catch (error) {
+            console.error('Error reservando stock del carrito:', error);
+
+            if (error.message.includes('Stock insuficiente') || error.message.includes('carrito está vacío')) {
+                return ResponseProvider.error(res, error.message, 409);
+            }
+
+            if (error.message.includes('Ubicación no encontrada')) {
+                return ResponseProvider.error(res, error.message, 404);
+            }
+
+            return ResponseProvider.error(res, 'Error interno del servidor', 500);
+        }
+    }
+
+    /**
+     * Obtiene la reserva de stock vigente del usuario y el tiempo que le queda
+     */
+    static async obtenerReserva(req, res) {
+        try {
+            const reserva = await ReservaStock.obtenerReservaActiva(req.usuario.id_usuario);
+
+            if (!reserva) {
+                return ResponseProvider.noEncontrado(res, 'Reserva vigente');
+            }
+
+            return ResponseProvider.success(res, reserva, 'Reserva obtenida exitosamente');
+
+        } catch (error) {
+            console.error('Error obteniendo reserva de stock:', error);
+            return ResponseProvider.error(res, 'Error interno del servidor', 500);
+        }
+    }
+
+    /**
+     * Libera la reserva de stock del usuario (abandona el pago)
+     */
+    static async liberarReserva(req, res) {
+        try {
+            const liberada = await ReservaStock.liberarReserva(req.usuario.id_usuario);
+
+            if (!liberada) {
+                return ResponseProvider.noEncontrado(res, 'Reserva vigente');
+            }
+
+            return ResponseProvider.success(res, null, 'Reserva liberada exitosamente');
+
+        } catch (error) {
+            console.error('Error liberando reserva de stock:', error);
+            return ResponseProvider.error(res, 'Error interno del servidor', 500);
+        }
+    }
+
     /**
      * Obtiene el historial de compras del usuario
      */
@@ -152,4 +228,19 @@ export class VentaController {
             return ResponseProvider.error(res, 'Error al obtener estadísticas');
         }
     }
+
+    /**
+     * Lee la ubicación de surtido opcional del cuerpo de la petición
+     * @returns {number|null|undefined} - ID de la ubicación, null si no se indicó o undefined si es inválida
+     */
+    static leerUbicacion(req) {
+        const valor = req.body?.id_ubicacion;
+
+        if (valor === undefined || valor === null || valor === '') {
+            return null;
+        }
+
+        const idUbicacion = parseInt(valor);
+        return idUbicacion > 0 ? idUbicacion : undefined;
+    }
 }
@@ -4,10 +4,52 @@
  */
 
 import { ResponseProvider } from "../../providers/ResponseProvider.js";
-import { Permiso } from "../../models/Permiso.js";
+
+/**
+ * Verifica un permiso usando los permisos efectivos cargados por verificarToken
+ * (de la caché de permisos); para API keys son los permisos del rol de la clave
+ * @param {Object} usuario - Datos de req.usuario
+ * @param {string} nombrePermiso - Nombre del permiso
+ * @returns {boolean} - True si tiene el permiso
+ */
+const tienePermiso = (usuario, nombrePermiso) => {
+  return Array.isArray(usuario.permisos) && usuario.permisos.includes(nombrePermiso);
+};
+
+/**
+ * Middleware que exige una sesión de usuario (rechaza peticiones autenticadas con API key)
+ * Se usa en rutas que actúan sobre la cuenta o la sesión de una persona
+ */
+export const requiereSesionUsuario = (req, res, next) => {
+  if (!req.usuario) {
+    return ResponseProvider.noAutorizado(res, 'Autenticación requerida');
+  }
+
+  if (req.usuario.id_api_key) {
+    return ResponseProvider.accesoDenegado(res, 'Esta operación no está disponible con API key');
+  }
+
+  next();
+};
+
+/**
+ * Middleware que rechaza la petición si se realiza con un token de impersonación
+ * Protege acciones sensibles (contraseña, 2FA, sesiones, compras) que solo debe hacer el propio usuario
+ */
+export const prohibirEnImpersonacion = (req, res, next) => {
+  if (req.usuario?.impersonado_por) {
+    return ResponseProvider.accesoDenegado(
+      res,
+      'Esta acción no está permitida durante una impersonación'
+    );
+  }
+
+  next();
+};
 
 /**
  * Middleware para verificar que el usuario tenga un rol específico
+ * Basta con que uno de sus roles activos esté entre los permitidos
  * @param {Array<string>} rolesPermitidos - Lista de roles permitidos
  * @returns {Function} - Middleware function
  */
@@ -18,9 +60,10 @@ export const requiereRol = (rolesPermitidos) => {
         return ResponseProvider.noAutorizado(res, 'Autenticación requerida');
       }
 
-      const rolUsuario = req.usuario.nombre_rol;
+      // Roles activos del usuario (principal y adicionales vigentes al emitir el token)
+      const rolesUsuario = req.usuario.roles || [req.usuario.nombre_rol];
       
-      if (!rolesPermitidos.includes(rolUsuario)) {
+      if (!rolesUsuario.some(rol => rolesPermitidos.includes(rol))) {
         return ResponseProvider.accesoDenegado(
           res, 
           `Acceso denegado. Se requiere uno de estos roles: ${rolesPermitidos.join(', ')}`
@@ -49,22 +92,16 @@ export const requierePermiso = (permisoRequerido) => {
       }
 
       // Verificar si el usuario tiene permisos totales (*)
-      const tienePermisoTotal = await Permiso.usuarioTienePermiso(
-        req.usuario.id_usuario, 
-        '*'
-      );
+      const tienePermisoTotal = tienePermiso(req.usuario, '*');
 
       if (tienePermisoTotal) {
         return next(); // Acceso total concedido
       }
 
       // Verificar si el usuario tiene el permiso específico
-      const tienePermiso = await Permiso.usuarioTienePermiso(
-        req.usuario.id_usuario, 
-        permisoRequerido
-      );
+      const tienePermisoRequerido = tienePermiso(req.usuario, permisoRequerido);
 
-      if (!tienePermiso) {
+      if (!tienePermisoRequerido) {
         return ResponseProvider.accesoDenegado(
           res, 
           `Acceso denegado. Se requiere el permiso: ${permisoRequerido}`
@@ -94,10 +131,7 @@ export const permisoOPropioDatos = (permisoRequerido, paramName = 'id') => {
       }
 
       // Verificar si el usuario tiene permisos totales (*)
-      const tienePermisoTotal = await Permiso.usuarioTienePermiso(
-        req.usuario.id_usuario, 
-        '*'
-      );
+      const tienePermisoTotal = tienePermiso(req.usuario, '*');
 
       if (tienePermisoTotal) {
         return next(); // Acceso total concedido
@@ -106,18 +140,15 @@ export const permisoOPropioDatos = (permisoRequerido, paramName = 'id') => {
       const idRecurso = parseInt(req.params[paramName]);
       const idUsuario = req.usuario.id_usuario;
 
-      // Si está accediendo a sus propios datos, permitir
-      if (idRecurso === idUsuario) {
+      // Si está accediendo a sus propios datos, permitir (no aplica a API keys)
+      if (idRecurso === idUsuario && !req.usuario.id_api_key) {
         return next();
       }
 
       // Si no son sus propios datos, verificar permiso específico
-      const tienePermiso = await Permiso.usuarioTienePermiso(
-        req.usuario.id_usuario, 
-        permisoRequerido
-      );
+      const tienePermisoRequerido = tienePermiso(req.usuario, permisoRequerido);
 
-      if (!tienePermiso) {
+      if (!tienePermisoRequerido) {
         return ResponseProvider.accesoDenegado(
           res, 
           `Acceso denegado. Se requiere el permiso: ${permisoRequerido} o acceso a datos propios`
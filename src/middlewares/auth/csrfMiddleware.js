@@ -0,0 +1,57 @@
+/**
+ * Middleware de protección CSRF (token de doble envío)
+ * Solo actúa en modo cookie: el navegador adjunta la cookie del refresh token de forma
+ * automática, así que las peticiones que la llevan deben demostrar que provienen del
+ * frontend repitiendo en la cabecera X-CSRF-Token el valor de la cookie csrfToken
+ */
+
+import crypto from "crypto";
+import { ResponseProvider } from "../../providers/ResponseProvider.js";
+import {
+  usaModoCookie,
+  COOKIE_REFRESH,
+  COOKIE_CSRF,
+  CABECERA_CSRF
+} from "../../utils/modoAutenticacion.js";
+
+/**
+ * Métodos que no modifican estado y no requieren token CSRF
+ */
+const METODOS_SEGUROS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Compara dos tokens en tiempo constante
+ * @param {string} a - Primer token
+ * @param {string} b - Segundo token
+ * @returns {boolean} - True si son iguales
+ */
+const tokensCoinciden = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Middleware que exige el token CSRF en las peticiones que modifican estado
+ * y viajan con la cookie del refresh token
+ * Las peticiones sin esa cookie se autentican con cabeceras que el navegador no
+ * envía por sí solo, por lo que no son vulnerables a CSRF
+ */
+export const verificarCsrf = (req, res, next) => {
+  if (!usaModoCookie() || METODOS_SEGUROS.includes(req.method)) {
+    return next();
+  }
+
+  if (!req.cookies?.[COOKIE_REFRESH]) {
+    return next();
+  }
+
+  const tokenCookie = req.cookies[COOKIE_CSRF];
+  const tokenCabecera = req.get(CABECERA_CSRF);
+
+  if (!tokenCookie || !tokenCabecera || !tokensCoinciden(tokenCookie, tokenCabecera)) {
+    return ResponseProvider.accesoDenegado(res, 'Token CSRF inválido o ausente');
+  }
+
+  next();
+};
@@ -6,15 +6,133 @@
 import jwt from "jsonwebtoken";
 import { ResponseProvider } from "../../providers/ResponseProvider.js";
 import { Usuario } from "../../models/Usuario.js";
+import { Sesion } from "../../models/Sesion.js";
+import { ApiKey } from "../../models/ApiKey.js";
+import { Rol } from "../../models/Rol.js";
+import { Permiso } from "../../models/Permiso.js";
+import { UsuarioRol } from "../../models/UsuarioRol.js";
+import { Impersonacion } from "../../models/Impersonacion.js";
+import {
+  obtenerPermisos,
+  claveUsuario,
+  claveRol
+} from "../../utils/cachePermisos.js";
+import { AuthService } from "../../services/AuthService.js";
+import { obtenerRefreshToken } from "../../utils/modoAutenticacion.js";
+
+/**
+ * Obtiene los IDs del rol y de sus ancestros, para que un cambio en cualquiera
+ * de ellos invalide los permisos cacheados que dependen de él
+ * @param {number} idRol - ID del rol
+ * @returns {Promise<Array<number>>} - IDs de rol
+ */
+const obtenerIdsJerarquia = async (idRol) => {
+  return (await Rol.obtenerJerarquia(idRol)).map(rol => rol.id_rol);
+};
+
+/**
+ * Obtiene los permisos efectivos de un usuario (desde la caché si están disponibles)
+ * La entrada caduca como tarde cuando empieza o termina una de sus asignaciones de rol
+ * @param {Object} usuario - Usuario con id_usuario
+ * @returns {Promise<Array<string>>} - Nombres de los permisos
+ */
+const obtenerPermisosUsuario = (usuario) => {
+  return obtenerPermisos(claveUsuario(usuario.id_usuario), async () => {
+    const rolesActivos = await UsuarioRol.obtenerRolesActivos(usuario.id_usuario);
+    const roles = [];
+    for (const rol of rolesActivos) {
+      roles.push(...await obtenerIdsJerarquia(rol.id_rol));
+    }
+
+    return {
+      permisos: (await Usuario.obtenerPermisosUsuario(usuario.id_usuario)).map(p => p.nombre_permiso),
+      roles: [...new Set(roles)],
+      validoHasta: await UsuarioRol.obtenerProximoCambio(usuario.id_usuario)
+    };
+  });
+};
+
+/**
+ * Obtiene los permisos efectivos de un rol (desde la caché si están disponibles)
+ * @param {number} idRol - ID del rol
+ * @returns {Promise<Array<string>>} - Nombres de los permisos
+ */
+const obtenerPermisosRol = (idRol) => {
+  return obtenerPermisos(claveRol(idRol), async () => ({
+    permisos: (await Permiso.obtenerPermisosEfectivosRol(idRol)).map(p => p.nombre_permiso),
+    roles: await obtenerIdsJerarquia(idRol)
+  }));
+};
+
+/**
+ * Registra en la auditoría de la impersonación la petición actual al terminar la respuesta
+ * (se registra también el código de estado, incluidas las acciones rechazadas)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} idImpersonacion - ID de la impersonación
+ */
+const auditarImpersonacion = (req, res, idImpersonacion) => {
+  res.on('finish', () => {
+    Impersonacion.registrarPeticion({
+      id_impersonacion: idImpersonacion,
+      metodo: req.method,
+      ruta: req.originalUrl,
+      codigo_estado: res.statusCode,
+      ip: req.ip
+    }).catch(() => {
+      // El error ya se registra en el modelo; la respuesta ya fue enviada
+    });
+  });
+};
+
+/**
+ * Autentica una petición mediante API key
+ * Los permisos se evalúan sobre el rol de la clave; id_usuario identifica a su creador
+ * @param {Object} req - Request object
+ * @param {string} clave - API key recibida en el header X-API-Key
+ * @returns {Promise<Object|null>} - Datos para req.usuario o null si la clave no es válida
+ */
+const autenticarApiKey = async (req, clave) => {
+  const apiKey = await ApiKey.buscarVigentePorClave(clave);
+
+  if (!apiKey || apiKey.estado_creador !== 'ACTIVO') {
+    return null;
+  }
+
+  await ApiKey.registrarUso(apiKey.id_api_key, req.ip);
+
+  return {
+    id_usuario: apiKey.id_usuario_creador,
+    correo: apiKey.correo_creador,
+    id_rol: apiKey.id_rol,
+    nombre_rol: apiKey.nombre_rol,
+    roles: [apiKey.nombre_rol],
+    id_api_key: apiKey.id_api_key,
+    permisos: await obtenerPermisosRol(apiKey.id_rol)
+  };
+};
 
 /**
  * Middleware para verificar token JWT
- * Extrae el token del header Authorization y lo valida
+ * Extrae el token del header Authorization y lo valida.
+ * Si no hay header Authorization acepta una API key en el header X-API-Key
  */
 export const verificarToken = async (req, res, next) => {
   try {
     // Extraer token del header Authorization
     const authHeader = req.headers.authorization;
+    const apiKey = req.headers['x-api-key'];
+
+    if (!authHeader && apiKey) {
+      const usuarioApiKey = await autenticarApiKey(req, apiKey);
+
+      if (!usuarioApiKey) {
+        return ResponseProvider.noAutorizado(res, 'API key inválida, revocada o expirada');
+      }
+
+      req.usuario = usuarioApiKey;
+      return next();
+    }
     
     if (!authHeader) {
       return ResponseProvider.noAutorizado(res, 'Token de acceso requerido');
@@ -31,8 +149,8 @@ export const verificarToken = async (req, res, next) => {
       return ResponseProvider.noAutorizado(res, 'Token de acceso requerido');
     }
 
-    // Verificar y decodificar el token
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    // Verificar y decodificar el token (la audiencia excluye los tokens de desafío 2FA)
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { audience: 'carpinteria-frontend' });
 
     // Verificar que el usuario aún existe y está activo
     const usuario = await Usuario.buscarPorId(decoded.id_usuario);
@@ -45,12 +163,37 @@ export const verificarToken = async (req, res, next) => {
       return ResponseProvider.noAutorizado(res, 'Usuario inactivo');
     }
 
-    // Agregar información del usuario a la request
+    // Verificar que la sesión del token no haya sido cerrada
+    if (decoded.id_sesion) {
+      const sesion = await Sesion.buscarPorId(decoded.id_sesion);
+
+      if (!sesion || sesion.revocada) {
+        return ResponseProvider.noAutorizado(res, 'Sesión cerrada');
+      }
+    }
+
+    // Los tokens de impersonación dejan de valer al finalizarla y cada petición queda auditada
+    if (decoded.impersonado_por) {
+      const impersonacion = await Impersonacion.buscarVigente(decoded.id_impersonacion);
+
+      if (!impersonacion) {
+        return ResponseProvider.noAutorizado(res, 'Impersonación finalizada');
+      }
+
+      auditarImpersonacion(req, res, decoded.id_impersonacion);
+    }
+
+    // Agregar información del usuario y sus permisos efectivos a la request
     req.usuario = {
       id_usuario: decoded.id_usuario,
       correo: decoded.correo,
       id_rol: decoded.id_rol,
-      nombre_rol: decoded.nombre_rol
+      nombre_rol: decoded.nombre_rol,
+      roles: decoded.roles || [decoded.nombre_rol],
+      id_sesion: decoded.id_sesion,
+      impersonado_por: decoded.impersonado_por || null,
+      id_impersonacion: decoded.id_impersonacion || null,
+      permisos: await obtenerPermisosUsuario(usuario)
     };
 
     next();
@@ -76,6 +219,12 @@ export const verificarToken = async (req, res, next) => {
 export const verificarTokenOpcional = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    const apiKey = req.headers['x-api-key'];
+
+    if (!authHeader && apiKey) {
+      req.usuario = await autenticarApiKey(req, apiKey);
+      return next();
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       // No hay token, continuar sin usuario autenticado
@@ -91,7 +240,7 @@ export const verificarTokenOpcional = async (req, res, next) => {
     }
 
     // Verificar token
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { audience: 'carpinteria-frontend' });
     const usuario = await Usuario.buscarPorId(decoded.id_usuario);
     
     if (!usuario || usuario.estado !== 'ACTIVO') {
@@ -99,11 +248,36 @@ export const verificarTokenOpcional = async (req, res, next) => {
       return next();
     }
 
+    if (decoded.id_sesion) {
+      const sesion = await Sesion.buscarPorId(decoded.id_sesion);
+
+      if (!sesion || sesion.revocada) {
+        req.usuario = null;
+        return next();
+      }
+    }
+
+    if (decoded.impersonado_por) {
+      const impersonacion = await Impersonacion.buscarVigente(decoded.id_impersonacion);
+
+      if (!impersonacion) {
+        req.usuario = null;
+        return next();
+      }
+
+      auditarImpersonacion(req, res, decoded.id_impersonacion);
+    }
+
     req.usuario = {
       id_usuario: decoded.id_usuario,
       correo: decoded.correo,
       id_rol: decoded.id_rol,
-      nombre_rol: decoded.nombre_rol
+      nombre_rol: decoded.nombre_rol,
+      roles: decoded.roles || [decoded.nombre_rol],
+      id_sesion: decoded.id_sesion,
+      impersonado_por: decoded.impersonado_por || null,
+      id_impersonacion: decoded.id_impersonacion || null,
+      permisos: await obtenerPermisosUsuario(usuario)
     };
 
     next();
@@ -114,24 +288,81 @@ export const verificarTokenOpcional = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware para las rutas de configuración de la verificación en dos pasos
+ * Acepta un access token o, si se envía token_desafio en el body, el token de desafío
+ * del login (para usuarios cuyo rol exige 2FA y aún no lo configuraron)
+ */
+export const verificarTokenODesafio2FA = async (req, res, next) => {
+  const tokenDesafio = req.body?.token_desafio;
+
+  if (!tokenDesafio) {
+    return verificarToken(req, res, next);
+  }
+
+  try {
+    const decoded = AuthService.verificarTokenDesafio2FA(tokenDesafio);
+    const usuario = await Usuario.buscarPorId(decoded.id_usuario);
+
+    if (!usuario) {
+      return ResponseProvider.noAutorizado(res, 'Usuario no encontrado');
+    }
+
+    if (usuario.estado !== 'ACTIVO') {
+      return ResponseProvider.noAutorizado(res, 'Usuario inactivo');
+    }
+
+    req.usuario = {
+      id_usuario: usuario.id_usuario,
+      correo: usuario.correo,
+      id_rol: usuario.id_rol,
+      nombre_rol: usuario.nombre_rol,
+      roles: [usuario.nombre_rol],
+      permisos: []
+    };
+    req.desafio2FA = true;
+
+    next();
+  } catch (error) {
+    console.error('Error en verificación de token de desafío:', error);
+
+    if (error.message.includes('inválido o expirado')) {
+      return ResponseProvider.noAutorizado(res, error.message);
+    }
+
+    return ResponseProvider.error(res, 'Error al verificar token', 500);
+  }
+};
+
 /**
  * Middleware para verificar refresh token
  * Específico para la ruta de renovación de tokens
+ * Además de la firma, consulta la sesión persistida: rechaza tokens de sesiones
+ * revocadas y revoca la sesión completa si se presenta un token ya rotado
+ * Deja en req.tokenData el token verificado y su sesión para que el servicio solo tenga que rotarlo
  */
-export const verificarRefreshToken = (req, res, next) => {
+export const verificarRefreshToken = async (req, res, next) => {
+  let decoded = null;
+
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = obtenerRefreshToken(req);
 
     if (!refreshToken) {
       return ResponseProvider.error(res, 'Refresh token requerido', 400);
     }
 
     // Verificar refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+
+    // Verificar que la sesión asociada siga vigente (revoca la sesión si el token ya fue rotado)
+    const sesion = await Sesion.verificarVigente(decoded.id_sesion, refreshToken);
     
     req.tokenData = {
       id_usuario: decoded.id_usuario,
-      correo: decoded.correo
+      correo: decoded.correo,
+      id_sesion: decoded.id_sesion,
+      refreshToken,
+      sesion
     };
 
     next();
@@ -146,6 +377,17 @@ export const verificarRefreshToken = (req, res, next) => {
       return ResponseProvider.noAutorizado(res, 'Refresh token expirado');
     }
 
+    if (error.message.includes('reutilizado')) {
+      await AuthService.registrarReutilizacion(decoded.id_usuario, decoded.id_sesion, {
+        user_agent: req.get('User-Agent'),
+        ip: req.ip
+      });
+    }
+
+    if (error.message.startsWith('Sesión') || error.message.includes('reutilizado')) {
+      return ResponseProvider.noAutorizado(res, error.message);
+    }
+
     return ResponseProvider.error(res, 'Error al verificar refresh token', 500);
   }
 };
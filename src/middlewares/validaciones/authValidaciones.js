@@ -1,9 +1,12 @@
 /**
  * Validaciones para campos de autenticación
- * Contiene funciones de validación para login, registro y cambio de contraseña
+ * Contiene funciones de validación para login, registro y cambio de contraseña.
+ * Las reglas de las contraseñas nuevas las define la política configurable (utils/politicaContrasenas.js)
  */
 
 import { ResponseProvider } from "../../providers/ResponseProvider.js";
+import { validarPoliticaContraseña } from "../../utils/politicaContrasenas.js";
+import { obtenerRefreshToken } from "../../utils/modoAutenticacion.js";
 
 /**
  * Valida los campos para el login
@@ -111,7 +114,7 @@ export const validarRegistro = (req, res, next) => {
         mensaje: 'La contraseña es obligatoria'
       });
     } else {
-      const erroresContraseña = validarContraseña(contraseña);
+      const erroresContraseña = validarPoliticaContraseña(contraseña);
       errores.push(...erroresContraseña);
     }
 
@@ -180,7 +183,7 @@ export const validarCambioContraseña = (req, res, next) => {
         mensaje: 'La nueva contraseña es obligatoria'
       });
     } else {
-      const erroresContraseña = validarContraseña(nueva_contraseña);
+      const erroresContraseña = validarPoliticaContraseña(nueva_contraseña);
       errores.push(...erroresContraseña.map(error => ({
         ...error,
         campo: 'nueva_contraseña'
@@ -207,11 +210,12 @@ export const validarCambioContraseña = (req, res, next) => {
 };
 
 /**
- * Valida el refresh token en el body de la request
+ * Valida el refresh token de la request
+ * Se lee del body o de la cookie httpOnly según AUTH_TOKEN_MODE
  */
 export const validarRefreshToken = (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = obtenerRefreshToken(req);
     const errores = [];
 
     if (!refreshToken) {
@@ -237,6 +241,221 @@ export const validarRefreshToken = (req, res, next) => {
   }
 };
 
+/**
+ * Valida el correo de las solicitudes que envían un enlace
+ * (restablecimiento de contraseña, reenvío de verificación)
+ */
+export const validarSolicitudPorCorreo = (req, res, next) => {
+  try {
+    const { correo } = req.body;
+    const errores = [];
+
+    if (!correo) {
+      errores.push({
+        campo: 'correo',
+        mensaje: 'El correo electrónico es obligatorio'
+      });
+    } else if (typeof correo !== 'string' || !validarFormatoEmail(correo)) {
+      errores.push({
+        campo: 'correo',
+        mensaje: 'El formato del correo electrónico es inválido'
+      });
+    }
+
+    if (errores.length > 0) {
+      return ResponseProvider.errorValidacion(res, errores);
+    }
+
+    // Normalizar datos
+    req.body.correo = correo.toLowerCase().trim();
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de solicitud por correo:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida el token de un enlace de inicio de sesión sin contraseña
+ */
+export const validarTokenEnlaceMagico = (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return ResponseProvider.errorValidacion(res, [{
+        campo: 'token',
+        mensaje: 'El token del enlace es inválido'
+      }]);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de enlace mágico:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida el token y la nueva contraseña para restablecer la contraseña
+ */
+export const validarRestablecimientoContraseña = (req, res, next) => {
+  try {
+    const { token, nueva_contraseña } = req.body;
+    const errores = [];
+
+    if (!token || typeof token !== 'string') {
+      errores.push({
+        campo: 'token',
+        mensaje: 'El token de restablecimiento es obligatorio'
+      });
+    }
+
+    if (!nueva_contraseña) {
+      errores.push({
+        campo: 'nueva_contraseña',
+        mensaje: 'La nueva contraseña es obligatoria'
+      });
+    } else {
+      const erroresContraseña = validarPoliticaContraseña(nueva_contraseña);
+      errores.push(...erroresContraseña.map(error => ({
+        ...error,
+        campo: 'nueva_contraseña'
+      })));
+    }
+
+    if (errores.length > 0) {
+      return ResponseProvider.errorValidacion(res, errores);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de restablecimiento de contraseña:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida el token de cambio y la nueva contraseña cuando el login exige cambiarla
+ */
+export const validarCambioContraseñaObligatorio = (req, res, next) => {
+  try {
+    const { token_cambio, nueva_contraseña } = req.body;
+    const errores = [];
+
+    if (!token_cambio || typeof token_cambio !== 'string') {
+      errores.push({
+        campo: 'token_cambio',
+        mensaje: 'El token de cambio de contraseña es obligatorio'
+      });
+    }
+
+    if (!nueva_contraseña) {
+      errores.push({
+        campo: 'nueva_contraseña',
+        mensaje: 'La nueva contraseña es obligatoria'
+      });
+    } else {
+      const erroresContraseña = validarPoliticaContraseña(nueva_contraseña);
+      errores.push(...erroresContraseña.map(error => ({
+        ...error,
+        campo: 'nueva_contraseña'
+      })));
+    }
+
+    if (errores.length > 0) {
+      return ResponseProvider.errorValidacion(res, errores);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de cambio obligatorio de contraseña:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida el segundo paso del login con verificación en dos pasos
+ * Requiere el token de desafío y un código TOTP o un código de recuperación
+ */
+export const validarVerificacionDosFactores = (req, res, next) => {
+  try {
+    const { token_desafio, codigo, codigo_recuperacion } = req.body;
+    const errores = [];
+
+    if (!token_desafio || typeof token_desafio !== 'string') {
+      errores.push({
+        campo: 'token_desafio',
+        mensaje: 'El token de desafío es obligatorio'
+      });
+    }
+
+    errores.push(...validarCredencialesSegundoFactor(codigo, codigo_recuperacion));
+
+    if (errores.length > 0) {
+      return ResponseProvider.errorValidacion(res, errores);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de verificación en dos pasos:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida un código TOTP de 6 dígitos
+ */
+export const validarCodigoTotp = (req, res, next) => {
+  try {
+    const { codigo } = req.body;
+
+    if (!codigo || !/^\d{6}$/.test(String(codigo))) {
+      return ResponseProvider.errorValidacion(res, [{
+        campo: 'codigo',
+        mensaje: 'El código de verificación debe tener 6 dígitos'
+      }]);
+    }
+
+    req.body.codigo = String(codigo);
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de código de verificación:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
+/**
+ * Valida la desactivación de la verificación en dos pasos
+ * Requiere la contraseña y un código TOTP o un código de recuperación
+ */
+export const validarDesactivacionDosFactores = (req, res, next) => {
+  try {
+    const { contraseña, codigo, codigo_recuperacion } = req.body;
+    const errores = [];
+
+    if (!contraseña || typeof contraseña !== 'string') {
+      errores.push({
+        campo: 'contraseña',
+        mensaje: 'La contraseña es obligatoria'
+      });
+    }
+
+    errores.push(...validarCredencialesSegundoFactor(codigo, codigo_recuperacion));
+
+    if (errores.length > 0) {
+      return ResponseProvider.errorValidacion(res, errores);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error en validación de desactivación de dos pasos:', error);
+    return ResponseProvider.error(res, 'Error en validación', 500);
+  }
+};
+
 /**
  * Valida el formato de un email
  * @param {string} email - Email a validar
@@ -248,48 +467,28 @@ const validarFormatoEmail = (email) => {
 };
 
 /**
- * Valida una contraseña según criterios de seguridad
- * @param {string} contraseña - Contraseña a validar
- * @returns {Array} - Array de errores de validación
+ * Valida que se envíe un código TOTP de 6 dígitos o un código de recuperación
+ * @param {string} codigo - Código TOTP
+ * @param {string} codigoRecuperacion - Código de recuperación
+ * @returns {Array} - Array de errores encontrados
  */
-const validarContraseña = (contraseña) => {
+const validarCredencialesSegundoFactor = (codigo, codigoRecuperacion) => {
   const errores = [];
 
-  if (contraseña.length < 6) {
+  if (!codigo && !codigoRecuperacion) {
     errores.push({
-      campo: 'contraseña',
-      mensaje: 'La contraseña debe tener al menos 6 caracteres'
+      campo: 'codigo',
+      mensaje: 'Debes ingresar el código de verificación o un código de recuperación'
     });
-  }
-
-  if (contraseña.length > 128) {
+  } else if (codigo && (typeof codigo !== 'string' || !/^\d{6}$/.test(codigo))) {
     errores.push({
-      campo: 'contraseña',
-      mensaje: 'La contraseña no puede tener más de 128 caracteres'
+      campo: 'codigo',
+      mensaje: 'El código de verificación debe tener 6 dígitos'
     });
-  }
-
-  // Verificar que contenga al menos una letra
-  if (!/[a-zA-Z]/.test(contraseña)) {
-    errores.push({
-      campo: 'contraseña',
-      mensaje: 'La contraseña debe contener al menos una letra'
-    });
-  }
-
-  // Verificar que contenga al menos un número
-  if (!/[0-9]/.test(contraseña)) {
-    errores.push({
-      campo: 'contraseña',
-      mensaje: 'La contraseña debe contener al menos un número'
-    });
-  }
-
-  // Verificar que no contenga espacios
-  if (/\s/.test(contraseña)) {
+  } else if (!codigo && typeof codigoRecuperacion !== 'string') {
     errores.push({
-      campo: 'contraseña',
-      mensaje: 'La contraseña no puede contener espacios'
+      campo: 'codigo_recuperacion',
+      mensaje: 'El código de recuperación es inválido'
     });
   }
 
@@ -0,0 +1,244 @@
+/**
+ * Modelo de API Keys para integraciones (escáneres, scripts contables, etc.)
+ * Cada clave está asociada a un rol y obtiene sus permisos de Roles_Permisos
+ * Solo se almacena el hash de la clave; el valor completo se muestra una única vez
+ */
+
+import crypto from "crypto";
+import { ejecutarQuery } from "../utils/db.js";
+
+export class ApiKey {
+
+  /**
+   * Genera el hash SHA-256 de una clave
+   * @param {string} clave - Clave en texto plano
+   * @returns {string} - Hash hexadecimal de la clave
+   */
+  static hashearClave(clave) {
+    return crypto.createHash('sha256').update(clave).digest('hex');
+  }
+
+  /**
+   * Genera una clave nueva con un prefijo público para identificarla
+   * @returns {Object} - { clave, prefijo }
+   */
+  static generarClave() {
+    const prefijo = `carp_${crypto.randomBytes(4).toString('hex')}`;
+    const secreto = crypto.randomBytes(32).toString('base64url');
+
+    return {
+      clave: `${prefijo}.${secreto}`,
+      prefijo
+    };
+  }
+
+  /**
+   * Crea una API key
+   * @param {Object} datosApiKey - Datos de la API key
+   * @param {string} datosApiKey.nombre - Nombre descriptivo
+   * @param {number} datosApiKey.id_rol - Rol del que toma los permisos
+   * @param {number} datosApiKey.id_usuario_creador - Usuario que la crea
+   * @param {Date} datosApiKey.fecha_expiracion - Fecha de expiración (opcional)
+   * @returns {Promise<Object>} - { id_api_key, clave } con la clave en texto plano
+   */
+  static async crear({ nombre, id_rol, id_usuario_creador, fecha_expiracion = null }) {
+    try {
+      const { clave, prefijo } = this.generarClave();
+
+      const query = `
+        INSERT INTO Api_Keys (nombre, prefijo, clave_hash, id_rol, id_usuario_creador, fecha_expiracion)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        nombre,
+        prefijo,
+        this.hashearClave(clave),
+        id_rol,
+        id_usuario_creador,
+        fecha_expiracion
+      ]);
+
+      return { id_api_key: resultado.insertId, clave };
+    } catch (error) {
+      console.error('Error al crear API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todas las API keys
+   * @param {boolean} incluirRevocadas - Si se incluyen las claves revocadas
+   * @returns {Promise<Array>} - Lista de API keys (sin hash)
+   */
+  static async obtenerTodas(incluirRevocadas = false) {
+    try {
+      const query = `
+        SELECT
+          ak.id_api_key,
+          ak.nombre,
+          ak.prefijo,
+          ak.id_rol,
+          r.nombre_rol,
+          ak.id_usuario_creador,
+          u.nombre_usuario as nombre_usuario_creador,
+          ak.fecha_creacion,
+          ak.fecha_expiracion,
+          ak.fecha_rotacion,
+          ak.ultimo_uso,
+          ak.ultima_ip,
+          ak.revocada,
+          ak.fecha_revocacion
+        FROM Api_Keys ak
+        INNER JOIN Roles r ON ak.id_rol = r.id_rol
+        INNER JOIN Usuarios u ON ak.id_usuario_creador = u.id_usuario
+        ${incluirRevocadas ? '' : 'WHERE ak.revocada = FALSE'}
+        ORDER BY ak.fecha_creacion DESC
+      `;
+
+      return await ejecutarQuery(query);
+    } catch (error) {
+      console.error('Error al obtener API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una API key por su ID
+   * @param {number} id - ID de la API key
+   * @returns {Promise<Object|null>} - API key encontrada (sin hash) o null
+   */
+  static async buscarPorId(id) {
+    try {
+      const query = `
+        SELECT
+          ak.id_api_key,
+          ak.nombre,
+          ak.prefijo,
+          ak.id_rol,
+          r.nombre_rol,
+          ak.id_usuario_creador,
+          u.nombre_usuario as nombre_usuario_creador,
+          ak.fecha_creacion,
+          ak.fecha_expiracion,
+          ak.fecha_rotacion,
+          ak.ultimo_uso,
+          ak.ultima_ip,
+          ak.revocada,
+          ak.fecha_revocacion
+        FROM Api_Keys ak
+        INNER JOIN Roles r ON ak.id_rol = r.id_rol
+        INNER JOIN Usuarios u ON ak.id_usuario_creador = u.id_usuario
+        WHERE ak.id_api_key = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [id]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar API key por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una API key vigente (no revocada ni expirada) a partir de la clave presentada
+   * @param {string} clave - Clave en texto plano
+   * @returns {Promise<Object|null>} - API key con datos de su rol y creador, o null
+   */
+  static async buscarVigentePorClave(clave) {
+    try {
+      const query = `
+        SELECT
+          ak.id_api_key,
+          ak.nombre,
+          ak.id_rol,
+          r.nombre_rol,
+          ak.id_usuario_creador,
+          u.correo as correo_creador,
+          u.estado as estado_creador
+        FROM Api_Keys ak
+        INNER JOIN Roles r ON ak.id_rol = r.id_rol
+        INNER JOIN Usuarios u ON ak.id_usuario_creador = u.id_usuario
+        WHERE ak.clave_hash = ?
+          AND ak.revocada = FALSE
+          AND (ak.fecha_expiracion IS NULL OR ak.fecha_expiracion > CURRENT_TIMESTAMP)
+      `;
+
+      const filas = await ejecutarQuery(query, [this.hashearClave(clave)]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar API key por clave:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el último uso de una API key
+   * @param {number} id - ID de la API key
+   * @param {string} ip - Dirección IP del cliente (opcional)
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async registrarUso(id, ip = null) {
+    try {
+      const query = `
+        UPDATE Api_Keys
+        SET ultimo_uso = CURRENT_TIMESTAMP,
+            ultima_ip = ?
+        WHERE id_api_key = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [ip, id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al registrar uso de API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rota una API key: genera una clave nueva e invalida la anterior
+   * @param {number} id - ID de la API key
+   * @returns {Promise<string|null>} - Nueva clave en texto plano o null si no se pudo rotar
+   */
+  static async rotar(id) {
+    try {
+      const { clave, prefijo } = this.generarClave();
+
+      const query = `
+        UPDATE Api_Keys
+        SET prefijo = ?,
+            clave_hash = ?,
+            fecha_rotacion = CURRENT_TIMESTAMP
+        WHERE id_api_key = ? AND revocada = FALSE
+      `;
+
+      const resultado = await ejecutarQuery(query, [prefijo, this.hashearClave(clave), id]);
+      return resultado.affectedRows > 0 ? clave : null;
+    } catch (error) {
+      console.error('Error al rotar API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una API key
+   * @param {number} id - ID de la API key
+   * @returns {Promise<boolean>} - True si se revocó correctamente
+   */
+  static async revocar(id) {
+    try {
+      const query = `
+        UPDATE Api_Keys
+        SET revocada = TRUE,
+            fecha_revocacion = CURRENT_TIMESTAMP
+        WHERE id_api_key = ? AND revocada = FALSE
+      `;
+
+      const resultado = await ejecutarQuery(query, [id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al revocar API key:', error);
+      throw error;
+    }
+  }
+}
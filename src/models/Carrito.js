@@ -4,6 +4,14 @@
  */
 
 import { ejecutarQuery } from "../utils/db.js";
+import { VarianteProducto, PRECIO_VARIANTE_SQL } from "./VarianteProducto.js";
+import { ReservaStock } from "./ReservaStock.js";
+
+/**
+ * Precio y stock de una línea del carrito: los de la variante si la tiene o los del producto
+ */
+const PRECIO_LINEA_SQL = `CASE WHEN v.id_variante IS NULL THEN p.precio ELSE ${PRECIO_VARIANTE_SQL} END`;
+const STOCK_LINEA_SQL = 'CASE WHEN v.id_variante IS NULL THEN p.stock ELSE v.stock END';
 
 export class Carrito {
 
@@ -53,22 +61,27 @@ export class Carrito {
         SELECT 
           pc.id_carrito,
           pc.id_producto,
+          pc.id_variante,
           pc.cantidad,
           p.nombre_producto,
           p.descripcion,
-          p.precio,
-          p.stock,
+          v.sku,
+          v.atributos,
+          ${PRECIO_LINEA_SQL} as precio,
+          ${STOCK_LINEA_SQL} as stock,
           p.estado,
           c.nombre_categoria,
           pr.nombre_proveedor,
-          (pc.cantidad * p.precio) as subtotal
+          (pc.cantidad * ${PRECIO_LINEA_SQL}) as subtotal
         FROM Productos_Carrito pc
         INNER JOIN Carritos car ON pc.id_carrito = car.id_carrito
         INNER JOIN Productos p ON pc.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON pc.id_variante = v.id_variante
         LEFT JOIN Categorias c ON p.id_categoria = c.id_categoria
         LEFT JOIN Proveedores pr ON p.id_proveedor = pr.id_proveedor
         WHERE car.id_usuario = ? AND p.estado = 'DISPONIBLE'
-        ORDER BY p.nombre_producto ASC
+          AND (v.id_variante IS NULL OR v.estado = 'DISPONIBLE')
+        ORDER BY p.nombre_producto ASC, v.sku ASC
       `;
       
       return await ejecutarQuery(query, [idUsuario]);
@@ -80,67 +93,93 @@ export class Carrito {
   }
 
   /**
-   * Agrega un producto al carrito
+   * Obtiene el stock disponible para comprar un producto o una de sus variantes
+   * Los productos con variantes vigentes solo se pueden comprar eligiendo una, y no cuentan
+   * las unidades que otros usuarios tienen reservadas mientras pagan
+   * @param {number} idProducto - ID del producto
+   * @param {number|null} idVariante - ID de la variante elegida (opcional)
+   * @param {number|null} idUsuario - Usuario que compra, cuyas reservas sí cuentan (opcional)
+   * @returns {Promise<number>} - Stock disponible
+   */
+  static async obtenerStockDisponible(idProducto, idVariante = null, idUsuario = null) {
+    // Verificar que el producto existe y está disponible
+    const queryProducto = `
+      SELECT id_producto, stock, estado
+      FROM Productos
+      WHERE id_producto = ? AND estado = 'DISPONIBLE'
+    `;
+    
+    const producto = await ejecutarQuery(queryProducto, [idProducto]);
+    if (producto.length === 0) {
+      throw new Error('Producto no encontrado o no disponible');
+    }
+
+    if (!idVariante) {
+      if (await VarianteProducto.contarVigentes(idProducto) > 0) {
+        throw new Error('El producto requiere seleccionar una variante');
+      }
+
+      const reservado = await ReservaStock.obtenerReservadoPorOtros({ id_producto: idProducto }, idUsuario);
+      return Math.max(producto[0].stock - reservado, 0);
+    }
+
+    const queryVariante = `
+      SELECT stock
+      FROM Variantes_Producto
+      WHERE id_variante = ? AND id_producto = ? AND estado = 'DISPONIBLE'
+    `;
+
+    const variante = await ejecutarQuery(queryVariante, [idVariante, idProducto]);
+    if (variante.length === 0) {
+      throw new Error('Variante no encontrada o no disponible');
+    }
+
+    const reservado = await ReservaStock.obtenerReservadoPorOtros({ id_producto: idProducto, id_variante: idVariante }, idUsuario);
+    return Math.max(variante[0].stock - reservado, 0);
+  }
+
+  /**
+   * Agrega un producto (o una variante del producto) al carrito
    * @param {number} idUsuario - ID del usuario
    * @param {number} idProducto - ID del producto
    * @param {number} cantidad - Cantidad a agregar
+   * @param {number|null} idVariante - ID de la variante elegida (obligatorio si el producto tiene variantes)
    * @returns {Promise<boolean>} - True si se agregó correctamente
    */
-  static async agregarProducto(idUsuario, idProducto, cantidad = 1) {
+  static async agregarProducto(idUsuario, idProducto, cantidad = 1, idVariante = null) {
     try {
-      // Verificar que el producto existe y está disponible
-      const queryProducto = `
-        SELECT id_producto, stock, estado
-        FROM Productos
-        WHERE id_producto = ? AND estado = 'DISPONIBLE'
-      `;
-      
-      const producto = await ejecutarQuery(queryProducto, [idProducto]);
-      if (producto.length === 0) {
-        throw new Error('Producto no encontrado o no disponible');
-      }
+      const stock = await this.obtenerStockDisponible(idProducto, idVariante, idUsuario);
       
-      if (producto[0].stock < cantidad) {
+      if (stock < cantidad) {
         throw new Error('Stock insuficiente');
       }
 
       // Obtener o crear carrito
       const carrito = await this.obtenerOCrearCarrito(idUsuario);
       
-      // Verificar si el producto ya está en el carrito
+      // Verificar si el producto (con la misma variante) ya está en el carrito
       const queryExistente = `
         SELECT cantidad
         FROM Productos_Carrito
-        WHERE id_carrito = ? AND id_producto = ?
+        WHERE id_carrito = ? AND id_producto = ? AND id_variante <=> ?
       `;
       
-      const existente = await ejecutarQuery(queryExistente, [carrito.id_carrito, idProducto]);
+      const existente = await ejecutarQuery(queryExistente, [carrito.id_carrito, idProducto, idVariante]);
       
-      if (existente.length > 0) {
-        // Actualizar cantidad existente
-        const nuevaCantidad = existente[0].cantidad + cantidad;
-        
-        if (nuevaCantidad > producto[0].stock) {
-          throw new Error('La cantidad total excede el stock disponible');
-        }
-        
-        const queryActualizar = `
-          UPDATE Productos_Carrito
-          SET cantidad = ?
-          WHERE id_carrito = ? AND id_producto = ?
-        `;
-        
-        await ejecutarQuery(queryActualizar, [nuevaCantidad, carrito.id_carrito, idProducto]);
-      } else {
-        // Insertar nuevo producto
-        const queryInsertar = `
-          INSERT INTO Productos_Carrito (id_carrito, id_producto, cantidad)
-          VALUES (?, ?, ?)
-        `;
-        
-        await ejecutarQuery(queryInsertar, [carrito.id_carrito, idProducto, cantidad]);
+      if (existente.length > 0 && existente[0].cantidad + cantidad > stock) {
+        throw new Error('La cantidad total excede el stock disponible');
       }
       
+      // Insertar o sumar a la línea existente en una sola sentencia, para que dos agregados
+      // simultáneos no creen dos líneas del mismo producto
+      const queryInsertar = `
+        INSERT INTO Productos_Carrito (id_carrito, id_producto, id_variante, cantidad)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE cantidad = cantidad + VALUES(cantidad)
+      `;
+      
+      await ejecutarQuery(queryInsertar, [carrito.id_carrito, idProducto, idVariante, cantidad]);
+      
       return true;
       
     } catch (error) {
@@ -154,27 +193,19 @@ export class Carrito {
    * @param {number} idUsuario - ID del usuario
    * @param {number} idProducto - ID del producto
    * @param {number} cantidad - Nueva cantidad
+   * @param {number|null} idVariante - ID de la variante de la línea (opcional)
    * @returns {Promise<boolean>} - True si se actualizó correctamente
    */
-  static async actualizarCantidad(idUsuario, idProducto, cantidad) {
+  static async actualizarCantidad(idUsuario, idProducto, cantidad, idVariante = null) {
     try {
       if (cantidad <= 0) {
-        return await this.eliminarProducto(idUsuario, idProducto);
+        return await this.eliminarProducto(idUsuario, idProducto, idVariante);
       }
 
       // Verificar stock
-      const queryProducto = `
-        SELECT stock
-        FROM Productos
-        WHERE id_producto = ? AND estado = 'DISPONIBLE'
-      `;
-      
-      const producto = await ejecutarQuery(queryProducto, [idProducto]);
-      if (producto.length === 0) {
-        throw new Error('Producto no encontrado o no disponible');
-      }
+      const stock = await this.obtenerStockDisponible(idProducto, idVariante, idUsuario);
       
-      if (producto[0].stock < cantidad) {
+      if (stock < cantidad) {
         throw new Error('Stock insuficiente');
       }
 
@@ -184,10 +215,10 @@ export class Carrito {
       const query = `
         UPDATE Productos_Carrito
         SET cantidad = ?
-        WHERE id_carrito = ? AND id_producto = ?
+        WHERE id_carrito = ? AND id_producto = ? AND id_variante <=> ?
       `;
       
-      const resultado = await ejecutarQuery(query, [cantidad, carrito.id_carrito, idProducto]);
+      const resultado = await ejecutarQuery(query, [cantidad, carrito.id_carrito, idProducto, idVariante]);
       return resultado.affectedRows > 0;
       
     } catch (error) {
@@ -200,19 +231,20 @@ export class Carrito {
    * Elimina un producto del carrito
    * @param {number} idUsuario - ID del usuario
    * @param {number} idProducto - ID del producto
+   * @param {number|null} idVariante - ID de la variante de la línea (opcional)
    * @returns {Promise<boolean>} - True si se eliminó correctamente
    */
-  static async eliminarProducto(idUsuario, idProducto) {
+  static async eliminarProducto(idUsuario, idProducto, idVariante = null) {
     try {
       // Obtener carrito
       const carrito = await this.obtenerOCrearCarrito(idUsuario);
       
       const query = `
         DELETE FROM Productos_Carrito
-        WHERE id_carrito = ? AND id_producto = ?
+        WHERE id_carrito = ? AND id_producto = ? AND id_variante <=> ?
       `;
       
-      const resultado = await ejecutarQuery(query, [carrito.id_carrito, idProducto]);
+      const resultado = await ejecutarQuery(query, [carrito.id_carrito, idProducto, idVariante]);
       return resultado.affectedRows > 0;
       
     } catch (error) {
@@ -256,11 +288,13 @@ export class Carrito {
         SELECT 
           COUNT(pc.id_producto) as total_productos,
           SUM(pc.cantidad) as total_cantidad,
-          SUM(pc.cantidad * p.precio) as total_precio
+          SUM(pc.cantidad * ${PRECIO_LINEA_SQL}) as total_precio
         FROM Productos_Carrito pc
         INNER JOIN Carritos car ON pc.id_carrito = car.id_carrito
         INNER JOIN Productos p ON pc.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON pc.id_variante = v.id_variante
         WHERE car.id_usuario = ? AND p.estado = 'DISPONIBLE'
+          AND (v.id_variante IS NULL OR v.estado = 'DISPONIBLE')
       `;
       
       const resultado = await ejecutarQuery(query, [idUsuario]);
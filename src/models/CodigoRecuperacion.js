@@ -0,0 +1,117 @@
+/**
+ * Modelo de Códigos de Recuperación de la verificación en dos pasos
+ * Permiten iniciar sesión sin la aplicación de autenticación; cada código sirve una sola vez
+ * Solo se almacena el hash de cada código
+ */
+
+import crypto from "crypto";
+import { ejecutarQuery } from "../utils/db.js";
+
+export class CodigoRecuperacion {
+
+  /**
+   * Genera el hash SHA-256 de un código normalizado (sin guiones ni espacios, en minúsculas)
+   * @param {string} codigo - Código en texto plano
+   * @returns {string} - Hash hexadecimal del código
+   */
+  static hashearCodigo(codigo) {
+    const normalizado = codigo.replace(/[\s-]/g, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalizado).digest('hex');
+  }
+
+  /**
+   * Reemplaza los códigos de recuperación de un usuario por un juego nuevo
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} cantidad - Número de códigos a generar
+   * @returns {Promise<Array<string>>} - Códigos en texto plano (formato xxxxx-xxxxx)
+   */
+  static async regenerar(idUsuario, cantidad = 10) {
+    try {
+      await this.eliminarDeUsuario(idUsuario);
+
+      const codigos = [];
+      for (let i = 0; i < cantidad; i++) {
+        const aleatorio = crypto.randomBytes(5).toString('hex');
+        codigos.push(`${aleatorio.substring(0, 5)}-${aleatorio.substring(5)}`);
+      }
+
+      const valores = codigos.map(() => '(?, ?)').join(', ');
+      const parametros = codigos.flatMap(codigo => [idUsuario, this.hashearCodigo(codigo)]);
+
+      const query = `
+        INSERT INTO Codigos_Recuperacion (id_usuario, codigo_hash)
+        VALUES ${valores}
+      `;
+
+      await ejecutarQuery(query, parametros);
+      return codigos;
+    } catch (error) {
+      console.error('Error al generar códigos de recuperación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume un código de recuperación si es válido y no ha sido usado
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} codigo - Código en texto plano
+   * @returns {Promise<boolean>} - True si el código era válido
+   */
+  static async consumir(idUsuario, codigo) {
+    try {
+      const query = `
+        UPDATE Codigos_Recuperacion
+        SET fecha_uso = CURRENT_TIMESTAMP
+        WHERE id_usuario = ? AND codigo_hash = ? AND fecha_uso IS NULL
+        LIMIT 1
+      `;
+
+      const resultado = await ejecutarQuery(query, [idUsuario, this.hashearCodigo(codigo)]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al consumir código de recuperación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los códigos de recuperación sin usar de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<number>} - Número de códigos disponibles
+   */
+  static async contarDisponibles(idUsuario) {
+    try {
+      const query = `
+        SELECT COUNT(*) as total
+        FROM Codigos_Recuperacion
+        WHERE id_usuario = ? AND fecha_uso IS NULL
+      `;
+
+      const filas = await ejecutarQuery(query, [idUsuario]);
+      return Number(filas[0].total);
+    } catch (error) {
+      console.error('Error al contar códigos de recuperación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina todos los códigos de recuperación de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<boolean>} - True si se ejecutó correctamente
+   */
+  static async eliminarDeUsuario(idUsuario) {
+    try {
+      const query = `
+        DELETE FROM Codigos_Recuperacion
+        WHERE id_usuario = ?
+      `;
+
+      await ejecutarQuery(query, [idUsuario]);
+      return true;
+    } catch (error) {
+      console.error('Error al eliminar códigos de recuperación:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * Modelo de Cotizaciones de muebles a medida
+ * Una cotización agrupa la solicitud del cliente y sus versiones de precio; cada versión
+ * tiene líneas de mano de obra y materiales y una fecha de vencimiento
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+
+export class Cotizacion {
+
+  /**
+   * Crea una solicitud de cotización
+   * @param {Object} datosCotizacion - Datos de la solicitud
+   * @param {number} datosCotizacion.id_usuario - Cliente que solicita
+   * @param {string} datosCotizacion.titulo - Qué mueble o trabajo se solicita
+   * @param {string} datosCotizacion.medidas - Medidas deseadas (opcional)
+   * @param {string} datosCotizacion.materiales - Materiales o acabados deseados (opcional)
+   * @param {string} datosCotizacion.notas - Notas adicionales (opcional)
+   * @returns {Promise<number>} - ID de la cotización creada
+   */
+  static async crear({ id_usuario, titulo, medidas = null, materiales = null, notas = null }) {
+    try {
+      const query = `
+        INSERT INTO Cotizaciones (id_usuario, titulo, medidas, materiales, notas)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [id_usuario, titulo, medidas, materiales, notas]);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al crear cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una cotización por su ID
+   * @param {number} idCotizacion - ID de la cotización
+   * @returns {Promise<Object|null>} - Cotización con los datos del cliente o null
+   */
+  static async buscarPorId(idCotizacion) {
+    try {
+      const query = `
+        SELECT
+          c.id_cotizacion,
+          c.id_usuario,
+          u.nombre_usuario,
+          u.correo,
+          u.telefono,
+          c.titulo,
+          c.medidas,
+          c.materiales,
+          c.notas,
+          c.estado,
+          c.id_venta,
+          c.fecha_solicitud,
+          c.fecha_actualizacion
+        FROM Cotizaciones c
+        INNER JOIN Usuarios u ON c.id_usuario = u.id_usuario
+        WHERE c.id_cotizacion = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idCotizacion]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar cotización por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene cotizaciones con filtros y paginación
+   * @param {Object} filtros - id_usuario y estado (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Cotizaciones y metadatos de paginación
+   */
+  static async obtenerTodas({ id_usuario = null, estado = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (id_usuario) {
+        condiciones.push('c.id_usuario = ?');
+        parametros.push(id_usuario);
+      }
+
+      if (estado) {
+        condiciones.push('c.estado = ?');
+        parametros.push(estado);
+      }
+
+      const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const query = `
+        SELECT
+          c.id_cotizacion,
+          c.id_usuario,
+          u.nombre_usuario,
+          c.titulo,
+          c.estado,
+          c.id_venta,
+          c.fecha_solicitud,
+          c.fecha_actualizacion,
+          (SELECT MAX(vc.numero_version) FROM Versiones_Cotizacion vc
+            WHERE vc.id_cotizacion = c.id_cotizacion) as ultima_version
+        FROM Cotizaciones c
+        INNER JOIN Usuarios u ON c.id_usuario = u.id_usuario
+        ${where}
+        ORDER BY c.fecha_solicitud DESC, c.id_cotizacion DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const cotizaciones = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Cotizaciones c
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        cotizaciones,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener cotizaciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las versiones de una cotización con sus líneas
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {boolean} incluirBorradores - Si se incluyen las versiones aún no enviadas
+   * @returns {Promise<Array>} - Versiones ordenadas de la más reciente a la más antigua
+   */
+  static async obtenerVersiones(idCotizacion, incluirBorradores = true) {
+    try {
+      const query = `
+        SELECT
+          vc.id_version,
+          vc.numero_version,
+          vc.estado,
+          vc.fecha_vencimiento,
+          vc.fecha_vencimiento < CURDATE() as vencida,
+          vc.notas,
+          vc.total_mano_obra,
+          vc.total_materiales,
+          vc.total,
+          vc.id_usuario_autor,
+          ua.nombre_usuario as nombre_usuario_autor,
+          vc.fecha_creacion,
+          vc.fecha_envio
+        FROM Versiones_Cotizacion vc
+        INNER JOIN Usuarios ua ON vc.id_usuario_autor = ua.id_usuario
+        WHERE vc.id_cotizacion = ? ${incluirBorradores ? '' : "AND vc.estado != 'BORRADOR'"}
+        ORDER BY vc.numero_version DESC
+      `;
+
+      const versiones = await ejecutarQuery(query, [idCotizacion]);
+      if (versiones.length === 0) {
+        return versiones;
+      }
+
+      const queryLineas = `
+        SELECT l.id_linea, l.id_version, l.tipo, l.descripcion, l.cantidad, l.unidad, l.precio_unitario, l.subtotal
+        FROM Lineas_Cotizacion l
+        INNER JOIN Versiones_Cotizacion vc ON l.id_version = vc.id_version
+        WHERE vc.id_cotizacion = ?
+        ORDER BY l.id_linea ASC
+      `;
+
+      const lineas = await ejecutarQuery(queryLineas, [idCotizacion]);
+
+      return versiones.map(version => ({
+        ...version,
+        vencida: Boolean(version.vencida),
+        lineas: lineas.filter(linea => linea.id_version === version.id_version)
+      }));
+    } catch (error) {
+      console.error('Error al obtener versiones de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una versión concreta de una cotización
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} numeroVersion - Número de versión
+   * @returns {Promise<Object|null>} - Versión con sus líneas o null
+   */
+  static async buscarVersion(idCotizacion, numeroVersion) {
+    try {
+      const versiones = await this.obtenerVersiones(idCotizacion);
+      return versiones.find(version => version.numero_version === numeroVersion) || null;
+    } catch (error) {
+      console.error('Error al buscar versión de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inserta las líneas de una versión
+   * @param {Object} connection - Conexión de la transacción
+   * @param {number} idVersion - ID de la versión
+   * @param {Array} lineas - Líneas con su subtotal calculado
+   */
+  static async insertarLineas(connection, idVersion, lineas) {
+    for (const linea of lineas) {
+      await connection.execute(`
+        INSERT INTO Lineas_Cotizacion
+          (id_version, tipo, descripcion, cantidad, unidad, precio_unitario, subtotal)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [idVersion, linea.tipo, linea.descripcion, linea.cantidad, linea.unidad, linea.precio_unitario, linea.subtotal]);
+    }
+  }
+
+  /**
+   * Crea una nueva versión en borrador con el siguiente número disponible
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {Object} datosVersion - Datos de la versión
+   * @param {string} datosVersion.fecha_vencimiento - Fecha de vencimiento (YYYY-MM-DD)
+   * @param {string} datosVersion.notas - Notas para el cliente (opcional)
+   * @param {Array} datosVersion.lineas - Líneas con su subtotal calculado
+   * @param {Object} datosVersion.totales - total_mano_obra, total_materiales y total
+   * @param {number} datosVersion.id_usuario_autor - Usuario que prepara la versión
+   * @returns {Promise<number>} - Número de la versión creada
+   */
+  static async crearVersion(idCotizacion, { fecha_vencimiento, notas = null, lineas, totales, id_usuario_autor }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Bloquear la cotización para numerar las versiones sin duplicados
+      await connection.execute(
+        'SELECT id_cotizacion FROM Cotizaciones WHERE id_cotizacion = ? FOR UPDATE',
+        [idCotizacion]
+      );
+
+      const [ultima] = await connection.execute(
+        'SELECT COALESCE(MAX(numero_version), 0) as numero FROM Versiones_Cotizacion WHERE id_cotizacion = ?',
+        [idCotizacion]
+      );
+      const numeroVersion = Number(ultima[0].numero) + 1;
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Versiones_Cotizacion
+          (id_cotizacion, numero_version, fecha_vencimiento, notas, total_mano_obra, total_materiales, total, id_usuario_autor)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        idCotizacion,
+        numeroVersion,
+        fecha_vencimiento,
+        notas,
+        totales.total_mano_obra,
+        totales.total_materiales,
+        totales.total,
+        id_usuario_autor
+      ]);
+
+      await this.insertarLineas(connection, resultado.insertId, lineas);
+
+      await connection.commit();
+      return numeroVersion;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al crear versión de cotización:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Reemplaza el contenido de una versión en borrador
+   * @param {number} idVersion - ID de la versión
+   * @param {Object} datosVersion - fecha_vencimiento, notas, lineas y totales (ver crearVersion)
+   * @returns {Promise<boolean>} - True si se actualizó (la versión seguía en borrador)
+   */
+  static async actualizarVersion(idVersion, { fecha_vencimiento, notas = null, lineas, totales }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [resultado] = await connection.execute(`
+        UPDATE Versiones_Cotizacion
+        SET fecha_vencimiento = ?, notas = ?, total_mano_obra = ?, total_materiales = ?, total = ?
+        WHERE id_version = ? AND estado = 'BORRADOR'
+      `, [fecha_vencimiento, notas, totales.total_mano_obra, totales.total_materiales, totales.total, idVersion]);
+
+      if (resultado.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute('DELETE FROM Lineas_Cotizacion WHERE id_version = ?', [idVersion]);
+      await this.insertarLineas(connection, idVersion, lineas);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al actualizar versión de cotización:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Marca una versión en borrador como enviada; la versión enviada anterior queda reemplazada
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idVersion - ID de la versión a enviar
+   * @returns {Promise<boolean>} - True si se envió (la versión seguía en borrador)
+   */
+  static async enviarVersion(idCotizacion, idVersion) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [resultado] = await connection.execute(`
+        UPDATE Versiones_Cotizacion
+        SET estado = 'ENVIADA', fecha_envio = CURRENT_TIMESTAMP
+        WHERE id_version = ? AND id_cotizacion = ? AND estado = 'BORRADOR'
+      `, [idVersion, idCotizacion]);
+
+      if (resultado.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute(`
+        UPDATE Versiones_Cotizacion
+        SET estado = 'REEMPLAZADA'
+        WHERE id_cotizacion = ? AND id_version != ? AND estado = 'ENVIADA'
+      `, [idCotizacion, idVersion]);
+
+      await connection.execute(
+        "UPDATE Cotizaciones SET estado = 'ENVIADA' WHERE id_cotizacion = ?",
+        [idCotizacion]
+      );
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al enviar versión de cotización:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Registra el rechazo del cliente a la versión enviada
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idVersion - ID de la versión enviada
+   * @returns {Promise<boolean>} - True si se rechazó
+   */
+  static async rechazar(idCotizacion, idVersion) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [resultado] = await connection.execute(`
+        UPDATE Versiones_Cotizacion
+        SET estado = 'RECHAZADA'
+        WHERE id_version = ? AND id_cotizacion = ? AND estado = 'ENVIADA'
+      `, [idVersion, idCotizacion]);
+
+      if (resultado.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute(
+        "UPDATE Cotizaciones SET estado = 'RECHAZADA' WHERE id_cotizacion = ?",
+        [idCotizacion]
+      );
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al rechazar cotización:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Acepta la versión enviada y la convierte en una venta
+   * La venta tiene una única línea con el trabajo a medida por el total de la versión
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idVersion - ID de la versión enviada
+   * @returns {Promise<number|null>} - ID de la venta creada o null si la versión ya no estaba enviada
+   */
+  static async aceptar(idCotizacion, idVersion) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Bloquear la cotización para que no se acepte dos veces
+      const [cotizacion] = await connection.execute(`
+        SELECT c.id_usuario, c.titulo, vc.numero_version, vc.total
+        FROM Cotizaciones c
+        INNER JOIN Versiones_Cotizacion vc ON vc.id_cotizacion = c.id_cotizacion
+        WHERE c.id_cotizacion = ? AND vc.id_version = ?
+          AND c.estado = 'ENVIADA' AND vc.estado = 'ENVIADA'
+        FOR UPDATE
+      `, [idCotizacion, idVersion]);
+
+      if (!cotizacion.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      const { id_usuario, titulo, numero_version, total } = cotizacion[0];
+
+      const [resultadoVenta] = await connection.execute(`
+        INSERT INTO Ventas (id_usuario, total_venta, estado_venta)
+        VALUES (?, ?, 'COMPLETADA')
+      `, [id_usuario, total]);
+
+      const idVenta = resultadoVenta.insertId;
+
+      const descripcion = `Cotización #${idCotizacion} v${numero_version}: ${titulo}`.substring(0, 255);
+
+      await connection.execute(`
+        INSERT INTO Detalles_Venta (id_venta, id_producto, descripcion, cantidad, precio_unitario, subtotal_linea)
+        VALUES (?, NULL, ?, 1, ?, ?)
+      `, [idVenta, descripcion, total, total]);
+
+      await connection.execute(
+        "UPDATE Versiones_Cotizacion SET estado = 'ACEPTADA' WHERE id_version = ?",
+        [idVersion]
+      );
+
+      await connection.execute(
+        "UPDATE Cotizaciones SET estado = 'ACEPTADA', id_venta = ? WHERE id_cotizacion = ?",
+        [idVenta, idCotizacion]
+      );
+
+      await connection.commit();
+      return idVenta;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al aceptar cotización:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Cancela una cotización que aún no fue aceptada ni rechazada
+   * @param {number} idCotizacion - ID de la cotización
+   * @returns {Promise<boolean>} - True si se canceló
+   */
+  static async cancelar(idCotizacion) {
+    try {
+      const query = `
+        UPDATE Cotizaciones
+        SET estado = 'CANCELADA'
+        WHERE id_cotizacion = ? AND estado IN ('SOLICITADA', 'ENVIADA')
+      `;
+
+      const resultado = await ejecutarQuery(query, [idCotizacion]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al cancelar cotización:', error);
+      throw error;
+    }
+  }
+}
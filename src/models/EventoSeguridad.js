@@ -0,0 +1,153 @@
+/**
+ * Modelo de Eventos de Seguridad
+ * Registra los eventos relevantes para la seguridad de una cuenta (logins, renovaciones
+ * de token, cambios de contraseña y de rol) para investigar actividad sospechosa
+ */
+
+import { ejecutarQuery } from "../utils/db.js";
+
+/**
+ * Tipos de evento registrados
+ */
+export const TIPOS_EVENTO_SEGURIDAD = ['LOGIN', 'RENOVACION_TOKEN', 'CAMBIO_CONTRASEÑA', 'CAMBIO_ROL'];
+
+export class EventoSeguridad {
+
+  /**
+   * Registra un evento de seguridad
+   * @param {Object} datosEvento - Datos del evento
+   * @param {number} datosEvento.id_usuario - Usuario afectado (null si no se identificó)
+   * @param {string} datosEvento.tipo - Tipo de evento (ver TIPOS_EVENTO_SEGURIDAD)
+   * @param {boolean} datosEvento.exitoso - Si la operación tuvo éxito
+   * @param {string} datosEvento.motivo - Detalle del resultado (ej: 'CREDENCIALES_INVALIDAS')
+   * @param {string} datosEvento.ip - Dirección IP del cliente (opcional)
+   * @param {string} datosEvento.user_agent - User agent del cliente (opcional)
+   * @param {number} datosEvento.id_usuario_autor - Usuario que realizó la acción si no es el afectado (opcional)
+   * @param {Object} datosEvento.detalles - Datos adicionales del evento (opcional)
+   * @returns {Promise<number>} - ID del evento registrado
+   */
+  static async registrar({ id_usuario = null, tipo, exitoso = true, motivo = null, ip = null, user_agent = null, id_usuario_autor = null, detalles = null }) {
+    try {
+      const query = `
+        INSERT INTO Eventos_Seguridad
+          (id_usuario, tipo, exitoso, motivo, ip, user_agent, id_usuario_autor, detalles)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        id_usuario,
+        tipo,
+        exitoso,
+        motivo,
+        ip,
+        user_agent ? user_agent.substring(0, 255) : null,
+        id_usuario_autor,
+        detalles ? JSON.stringify(detalles) : null
+      ]);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al registrar evento de seguridad:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene eventos de seguridad con filtros y paginación
+   * @param {Object} filtros - Filtros opcionales
+   * @param {number} filtros.id_usuario - Usuario afectado
+   * @param {string} filtros.tipo - Tipo de evento
+   * @param {boolean} filtros.exitoso - Resultado del evento
+   * @param {string} filtros.ip - Dirección IP
+   * @param {Date} filtros.desde - Fecha mínima
+   * @param {Date} filtros.hasta - Fecha máxima
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Eventos y metadatos de paginación
+   */
+  static async obtenerTodos({ id_usuario = null, tipo = null, exitoso = null, ip = null, desde = null, hasta = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (id_usuario) {
+        condiciones.push('e.id_usuario = ?');
+        parametros.push(id_usuario);
+      }
+
+      if (tipo) {
+        condiciones.push('e.tipo = ?');
+        parametros.push(tipo);
+      }
+
+      if (exitoso !== null) {
+        condiciones.push('e.exitoso = ?');
+        parametros.push(exitoso);
+      }
+
+      if (ip) {
+        condiciones.push('e.ip = ?');
+        parametros.push(ip);
+      }
+
+      if (desde) {
+        condiciones.push('e.fecha >= ?');
+        parametros.push(desde);
+      }
+
+      if (hasta) {
+        condiciones.push('e.fecha <= ?');
+        parametros.push(hasta);
+      }
+
+      const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const query = `
+        SELECT
+          e.id_evento,
+          e.id_usuario,
+          u.nombre_usuario,
+          u.correo,
+          e.tipo,
+          e.exitoso,
+          e.motivo,
+          e.ip,
+          e.user_agent,
+          e.id_usuario_autor,
+          ua.nombre_usuario as nombre_usuario_autor,
+          e.detalles,
+          e.fecha
+        FROM Eventos_Seguridad e
+        LEFT JOIN Usuarios u ON e.id_usuario = u.id_usuario
+        LEFT JOIN Usuarios ua ON e.id_usuario_autor = ua.id_usuario
+        ${where}
+        ORDER BY e.fecha DESC, e.id_evento DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const eventos = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Eventos_Seguridad e
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        eventos,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener eventos de seguridad:', error);
+      throw error;
+    }
+  }
+}
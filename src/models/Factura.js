@@ -4,6 +4,9 @@
  */
 
 import db from '../utils/db.js';
+import { OrdenTrabajo } from './OrdenTrabajo.js';
+import { MovimientoStock } from './MovimientoStock.js';
+import { MaterialProducto } from './MaterialProducto.js';
 
 export class Factura {
     /**
@@ -117,15 +120,19 @@ export class Factura {
                 dv.cantidad,
                 dv.precio_unitario,
                 dv.subtotal_linea as subtotal,
-                p.id_producto,
-                p.nombre_producto,
+                dv.id_producto,
+                COALESCE(p.nombre_producto, dv.descripcion) as nombre_producto,
                 p.descripcion as producto_descripcion,
                 p.precio as precio_actual,
+                dv.id_variante,
+                v.sku,
+                v.atributos,
                 c.nombre_categoria,
                 pr.nombre_proveedor
             FROM Detalles_Venta dv
-            INNER JOIN Productos p ON dv.id_producto = p.id_producto
-            INNER JOIN Categorias c ON p.id_categoria = c.id_categoria
+            LEFT JOIN Productos p ON dv.id_producto = p.id_producto
+            LEFT JOIN Variantes_Producto v ON dv.id_variante = v.id_variante
+            LEFT JOIN Categorias c ON p.id_categoria = c.id_categoria
             LEFT JOIN Proveedores pr ON p.id_proveedor = pr.id_proveedor
             WHERE dv.id_venta = ?
             ORDER BY dv.id_detalle_venta
@@ -272,8 +279,12 @@ export class Factura {
 
     /**
      * Anula una factura
+     * Si la venta seguía completada, la cancela y devuelve sus productos al stock
+     * @param {number} idFactura - ID de la factura
+     * @param {string} motivo - Motivo de la anulación (opcional)
+     * @param {number} idUsuario - Usuario que anula la factura (opcional, para los movimientos de stock)
      */
-    static async anularFactura(idFactura, motivo = null) {
+    static async anularFactura(idFactura, motivo = null, idUsuario = null) {
         const connection = await db.getConnection();
         
         try {
@@ -306,23 +317,21 @@ export class Factura {
                     WHERE id_venta = ?
                 `, [factura[0].id_venta]);
 
-                // Restaurar stock de productos
-                const [detalles] = await connection.execute(`
-                    SELECT id_producto, cantidad FROM Detalles_Venta 
-                    WHERE id_venta = ?
-                `, [factura[0].id_venta]);
-
-                for (const detalle of detalles) {
-                    await connection.execute(`
-                        UPDATE Productos 
-                        SET stock = stock + ?,
-                            estado = CASE 
-                                WHEN estado = 'AGOTADO' AND stock + ? > 0 THEN 'DISPONIBLE'
-                                ELSE estado
-                            END
-                        WHERE id_producto = ?
-                    `, [detalle.cantidad, detalle.cantidad, detalle.id_producto]);
-                }
+                // Cancelar la fabricación pendiente de la venta
+                await OrdenTrabajo.cancelarPorVenta(connection, factura[0].id_venta);
+
+                // Devolver el stock a las ubicaciones de las que salió
+                await MovimientoStock.revertirVenta(connection, factura[0].id_venta, {
+                    motivo: `Anulación de la factura${motivo ? `: ${motivo}` : ''}`.slice(0, 255),
+                    referencia: `Factura ${factura[0].numero_factura}`,
+                    id_usuario: idUsuario
+                });
+
+                // Devolver al inventario los materiales descontados por la venta
+                await MaterialProducto.revertirPorVenta(connection, factura[0].id_venta, {
+                    notas: `Devolución por la anulación de la factura ${factura[0].numero_factura}`,
+                    id_usuario: idUsuario
+                });
             }
 
             await connection.commit();
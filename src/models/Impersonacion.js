@@ -0,0 +1,261 @@
+/**
+ * Modelo de Impersonaciones
+ * Registra cuándo un miembro del personal actúa como otro usuario y cada petición
+ * que realiza con el token de impersonación, como registro de auditoría
+ */
+
+import { ejecutarQuery } from "../utils/db.js";
+
+export class Impersonacion {
+
+  /**
+   * Registra el inicio de una impersonación
+   * @param {Object} datosImpersonacion - Datos de la impersonación
+   * @param {string} datosImpersonacion.id_impersonacion - Identificador único (UUID)
+   * @param {number} datosImpersonacion.id_usuario_admin - Usuario que impersona
+   * @param {number} datosImpersonacion.id_usuario_objetivo - Usuario impersonado
+   * @param {string} datosImpersonacion.motivo - Motivo (p. ej. número de incidencia)
+   * @param {Date} datosImpersonacion.fecha_expiracion - Fecha de expiración del token
+   * @param {string} datosImpersonacion.ip - Dirección IP del administrador (opcional)
+   * @param {string} datosImpersonacion.user_agent - User agent del administrador (opcional)
+   * @returns {Promise<string>} - ID de la impersonación
+   */
+  static async crear({ id_impersonacion, id_usuario_admin, id_usuario_objetivo, motivo, fecha_expiracion, ip = null, user_agent = null }) {
+    try {
+      const query = `
+        INSERT INTO Impersonaciones
+          (id_impersonacion, id_usuario_admin, id_usuario_objetivo, motivo, ip, user_agent, fecha_expiracion)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      await ejecutarQuery(query, [
+        id_impersonacion,
+        id_usuario_admin,
+        id_usuario_objetivo,
+        motivo,
+        ip,
+        user_agent ? user_agent.substring(0, 255) : null,
+        fecha_expiracion
+      ]);
+      return id_impersonacion;
+    } catch (error) {
+      console.error('Error al registrar impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una impersonación vigente (no finalizada ni expirada)
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<Object|null>} - Impersonación encontrada o null
+   */
+  static async buscarVigente(idImpersonacion) {
+    try {
+      const query = `
+        SELECT
+          id_impersonacion,
+          id_usuario_admin,
+          id_usuario_objetivo,
+          fecha_inicio,
+          fecha_expiracion
+        FROM Impersonaciones
+        WHERE id_impersonacion = ?
+          AND fecha_fin IS NULL
+          AND fecha_expiracion > CURRENT_TIMESTAMP
+      `;
+
+      const filas = await ejecutarQuery(query, [idImpersonacion]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar impersonación vigente:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una impersonación por su ID con los datos de ambos usuarios
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<Object|null>} - Impersonación encontrada o null
+   */
+  static async buscarPorId(idImpersonacion) {
+    try {
+      const query = `
+        SELECT
+          i.id_impersonacion,
+          i.id_usuario_admin,
+          ua.nombre_usuario as nombre_usuario_admin,
+          i.id_usuario_objetivo,
+          uo.nombre_usuario as nombre_usuario_objetivo,
+          uo.correo as correo_objetivo,
+          i.motivo,
+          i.ip,
+          i.user_agent,
+          i.fecha_inicio,
+          i.fecha_expiracion,
+          i.fecha_fin,
+          (i.fecha_fin IS NULL AND i.fecha_expiracion > CURRENT_TIMESTAMP) as activa
+        FROM Impersonaciones i
+        INNER JOIN Usuarios ua ON i.id_usuario_admin = ua.id_usuario
+        INNER JOIN Usuarios uo ON i.id_usuario_objetivo = uo.id_usuario
+        WHERE i.id_impersonacion = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idImpersonacion]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar impersonación por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las impersonaciones con filtros y paginación
+   * @param {Object} filtros - Filtros opcionales (id_usuario_admin, id_usuario_objetivo)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Impersonaciones y metadatos de paginación
+   */
+  static async obtenerTodas({ id_usuario_admin = null, id_usuario_objetivo = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (id_usuario_admin) {
+        condiciones.push('i.id_usuario_admin = ?');
+        parametros.push(id_usuario_admin);
+      }
+
+      if (id_usuario_objetivo) {
+        condiciones.push('i.id_usuario_objetivo = ?');
+        parametros.push(id_usuario_objetivo);
+      }
+
+      const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const query = `
+        SELECT
+          i.id_impersonacion,
+          i.id_usuario_admin,
+          ua.nombre_usuario as nombre_usuario_admin,
+          i.id_usuario_objetivo,
+          uo.nombre_usuario as nombre_usuario_objetivo,
+          i.motivo,
+          i.fecha_inicio,
+          i.fecha_expiracion,
+          i.fecha_fin,
+          (i.fecha_fin IS NULL AND i.fecha_expiracion > CURRENT_TIMESTAMP) as activa,
+          (SELECT COUNT(*) FROM Registro_Impersonaciones ri WHERE ri.id_impersonacion = i.id_impersonacion) as total_peticiones
+        FROM Impersonaciones i
+        INNER JOIN Usuarios ua ON i.id_usuario_admin = ua.id_usuario
+        INNER JOIN Usuarios uo ON i.id_usuario_objetivo = uo.id_usuario
+        ${where}
+        ORDER BY i.fecha_inicio DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const impersonaciones = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Impersonaciones i
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        impersonaciones,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener impersonaciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca una impersonación como finalizada
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<boolean>} - True si estaba activa y se finalizó
+   */
+  static async finalizar(idImpersonacion) {
+    try {
+      const query = `
+        UPDATE Impersonaciones
+        SET fecha_fin = CURRENT_TIMESTAMP
+        WHERE id_impersonacion = ? AND fecha_fin IS NULL
+      `;
+
+      const resultado = await ejecutarQuery(query, [idImpersonacion]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al finalizar impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra una petición realizada durante una impersonación
+   * @param {Object} datosPeticion - Datos de la petición
+   * @param {string} datosPeticion.id_impersonacion - ID de la impersonación
+   * @param {string} datosPeticion.metodo - Método HTTP
+   * @param {string} datosPeticion.ruta - Ruta solicitada
+   * @param {number} datosPeticion.codigo_estado - Código de estado HTTP de la respuesta
+   * @param {string} datosPeticion.ip - Dirección IP (opcional)
+   * @returns {Promise<number>} - ID del registro
+   */
+  static async registrarPeticion({ id_impersonacion, metodo, ruta, codigo_estado, ip = null }) {
+    try {
+      const query = `
+        INSERT INTO Registro_Impersonaciones (id_impersonacion, metodo, ruta, codigo_estado, ip)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        id_impersonacion,
+        metodo,
+        ruta.substring(0, 500),
+        codigo_estado,
+        ip
+      ]);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al registrar petición de impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las peticiones registradas de una impersonación
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<Array>} - Peticiones en orden cronológico
+   */
+  static async obtenerPeticiones(idImpersonacion) {
+    try {
+      const query = `
+        SELECT
+          id_registro,
+          metodo,
+          ruta,
+          codigo_estado,
+          ip,
+          fecha
+        FROM Registro_Impersonaciones
+        WHERE id_impersonacion = ?
+        ORDER BY fecha, id_registro
+      `;
+
+      return await ejecutarQuery(query, [idImpersonacion]);
+    } catch (error) {
+      console.error('Error al obtener peticiones de impersonación:', error);
+      throw error;
+    }
+  }
+}
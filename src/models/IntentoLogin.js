@@ -0,0 +1,120 @@
+/**
+ * Modelo de Intentos de Login
+ * Registra el historial de intentos de inicio de sesión y permite
+ * consultar los fallos recientes por dirección IP
+ */
+
+import { ejecutarQuery } from "../utils/db.js";
+
+export class IntentoLogin {
+
+  /**
+   * Registra un intento de inicio de sesión
+   * @param {Object} datosIntento - Datos del intento
+   * @param {number} datosIntento.id_usuario - ID del usuario (null si el correo no existe)
+   * @param {string} datosIntento.correo - Correo usado en el intento
+   * @param {string} datosIntento.ip - Dirección IP del cliente (opcional)
+   * @param {string} datosIntento.user_agent - User agent del cliente (opcional)
+   * @param {boolean} datosIntento.exitoso - Si el intento fue exitoso
+   * @param {string} datosIntento.motivo - Motivo del resultado (ej: 'CREDENCIALES_INVALIDAS')
+   * @returns {Promise<number>} - ID del intento registrado
+   */
+  static async registrar({ id_usuario = null, correo, ip = null, user_agent = null, exitoso, motivo = null }) {
+    try {
+      const query = `
+        INSERT INTO Intentos_Login (id_usuario, correo, ip, user_agent, exitoso, motivo)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        id_usuario,
+        correo ? correo.substring(0, 100) : '',
+        ip,
+        user_agent ? user_agent.substring(0, 255) : null,
+        exitoso,
+        motivo
+      ]);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al registrar intento de login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los intentos fallidos por credenciales inválidas desde una IP en una ventana de tiempo
+   * @param {string} ip - Dirección IP
+   * @param {number} segundosVentana - Ventana de tiempo en segundos
+   * @returns {Promise<number>} - Número de intentos fallidos
+   */
+  static async contarFallidosPorIp(ip, segundosVentana) {
+    try {
+      const query = `
+        SELECT COUNT(*) as total
+        FROM Intentos_Login
+        WHERE ip = ?
+          AND exitoso = FALSE
+          AND motivo = 'CREDENCIALES_INVALIDAS'
+          AND fecha > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      `;
+
+      const filas = await ejecutarQuery(query, [ip, segundosVentana]);
+      return Number(filas[0].total);
+    } catch (error) {
+      console.error('Error al contar intentos fallidos por IP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el historial de intentos de un usuario con paginación
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Intentos y metadatos de paginación
+   */
+  static async obtenerPorUsuario(idUsuario, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+
+      const query = `
+        SELECT
+          id_intento,
+          correo,
+          ip,
+          user_agent,
+          exitoso,
+          motivo,
+          fecha
+        FROM Intentos_Login
+        WHERE id_usuario = ?
+        ORDER BY fecha DESC, id_intento DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const intentos = await ejecutarQuery(query, [idUsuario]);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Intentos_Login
+        WHERE id_usuario = ?
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, [idUsuario]);
+      const total = resultadoConteo[0].total;
+
+      return {
+        intentos,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener intentos de login del usuario:', error);
+      throw error;
+    }
+  }
+}
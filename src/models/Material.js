@@ -0,0 +1,459 @@
+/**
+ * Modelo de Materiales del taller
+ * Inventario de materia prima (tablas, tableros, herrajes, barnices, tornillería) separado de los productos
+ * vendibles; el stock solo cambia mediante recepciones de proveedores y consumos registrados
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+
+export class Material {
+
+  /**
+   * Busca un material por su ID
+   * @param {number} idMaterial - ID del material
+   * @returns {Promise<Object|null>} - Material con su proveedor habitual o null
+   */
+  static async buscarPorId(idMaterial) {
+    try {
+      const query = `
+        SELECT
+          m.id_material,
+          m.nombre_material,
+          m.descripcion,
+          m.unidad_medida,
+          m.costo_unitario,
+          m.stock,
+          m.stock_minimo,
+          m.id_proveedor,
+          pr.nombre_proveedor,
+          m.estado,
+          m.fecha_creacion
+        FROM Materiales m
+        LEFT JOIN Proveedores pr ON m.id_proveedor = pr.id_proveedor
+        WHERE m.id_material = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idMaterial]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar material por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene materiales con filtros y paginación
+   * @param {Object} filtros - busqueda, unidad_medida, estado e id_proveedor (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Materiales y metadatos de paginación
+   */
+  static async obtenerTodos({ busqueda = '', unidad_medida = null, estado = null, id_proveedor = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (busqueda) {
+        condiciones.push('(m.nombre_material LIKE ? OR m.descripcion LIKE ?)');
+        parametros.push(`%${busqueda}%`, `%${busqueda}%`);
+      }
+
+      if (unidad_medida) {
+        condiciones.push('m.unidad_medida = ?');
+        parametros.push(unidad_medida);
+      }
+
+      if (estado) {
+        condiciones.push('m.estado = ?');
+        parametros.push(estado);
+      }
+
+      if (id_proveedor) {
+        condiciones.push('m.id_proveedor = ?');
+        parametros.push(id_proveedor);
+      }
+
+      const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const query = `
+        SELECT
+          m.id_material,
+          m.nombre_material,
+          m.unidad_medida,
+          m.costo_unitario,
+          m.stock,
+          m.stock_minimo,
+          m.id_proveedor,
+          pr.nombre_proveedor,
+          m.estado
+        FROM Materiales m
+        LEFT JOIN Proveedores pr ON m.id_proveedor = pr.id_proveedor
+        ${where}
+        ORDER BY m.nombre_material ASC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const materiales = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Materiales m
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        materiales,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener materiales:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea un material (con stock 0: las existencias iniciales se registran como recepción)
+   * @param {Object} datosMaterial - Datos del material
+   * @param {string} datosMaterial.nombre_material - Nombre del material
+   * @param {string} datosMaterial.descripcion - Descripción (opcional)
+   * @param {string} datosMaterial.unidad_medida - PIE_TABLAR, M2, LITRO o UNIDAD
+   * @param {number} datosMaterial.costo_unitario - Costo por unidad de medida
+   * @param {number} datosMaterial.stock_minimo - Stock a partir del cual se considera bajo
+   * @param {number} datosMaterial.id_proveedor - Proveedor habitual (opcional)
+   * @returns {Promise<number>} - ID del material creado
+   */
+  static async crear({ nombre_material, descripcion = null, unidad_medida, costo_unitario = 0, stock_minimo = 0, id_proveedor = null }) {
+    try {
+      const query = `
+        INSERT INTO Materiales (nombre_material, descripcion, unidad_medida, costo_unitario, stock_minimo, id_proveedor)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        nombre_material,
+        descripcion,
+        unidad_medida,
+        costo_unitario,
+        stock_minimo,
+        id_proveedor
+      ]);
+
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al crear material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza los datos de un material (el stock no se modifica aquí)
+   * @param {number} idMaterial - ID del material
+   * @param {Object} datosMaterial - Datos completos del material
+   * @returns {Promise<boolean>} - True si se actualizó
+   */
+  static async actualizar(idMaterial, { nombre_material, descripcion, unidad_medida, costo_unitario, stock_minimo, id_proveedor, estado }) {
+    try {
+      const query = `
+        UPDATE Materiales
+        SET nombre_material = ?, descripcion = ?, unidad_medida = ?, costo_unitario = ?,
+            stock_minimo = ?, id_proveedor = ?, estado = ?
+        WHERE id_material = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        nombre_material,
+        descripcion,
+        unidad_medida,
+        costo_unitario,
+        stock_minimo,
+        id_proveedor,
+        estado,
+        idMaterial
+      ]);
+
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al actualizar material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un material que no tenga movimientos ni forme parte de listas de materiales
+   * Los materiales con historial se marcan como DESCONTINUADO para conservar la trazabilidad
+   * @param {number} idMaterial - ID del material
+   * @returns {Promise<boolean>} - True si se eliminó
+   */
+  static async eliminar(idMaterial) {
+    try {
+      const movimientos = await ejecutarQuery(
+        'SELECT COUNT(*) as total FROM Movimientos_Material WHERE id_material = ?',
+        [idMaterial]
+      );
+
+      if (movimientos[0].total > 0) {
+        throw new Error('No se puede eliminar el material porque tiene movimientos registrados, márcalo como DESCONTINUADO');
+      }
+
+      const usos = await ejecutarQuery(
+        'SELECT COUNT(*) as total FROM Materiales_Producto WHERE id_material = ?',
+        [idMaterial]
+      );
+
+      if (usos[0].total > 0) {
+        throw new Error('No se puede eliminar el material porque forma parte de la lista de materiales de algún producto');
+      }
+
+      const resultado = await ejecutarQuery('DELETE FROM Materiales WHERE id_material = ?', [idMaterial]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al eliminar material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra la recepción de un material comprado a un proveedor
+   * El costo unitario del material pasa a ser el promedio ponderado entre el stock
+   * existente y lo recibido
+   * @param {number} idMaterial - ID del material
+   * @param {Object} datosRecepcion - Datos de la recepción
+   * @param {number} datosRecepcion.cantidad - Cantidad recibida (en la unidad del material)
+   * @param {number} datosRecepcion.costo_unitario - Costo unitario de la compra
+   * @param {number} datosRecepcion.id_proveedor - Proveedor que entrega
+   * @param {string} datosRecepcion.referencia - Remito o factura del proveedor (opcional)
+   * @param {string} datosRecepcion.notas - Notas (opcional)
+   * @param {number} datosRecepcion.id_usuario - Usuario que registra
+   * @returns {Promise<Object|null>} - { id_movimiento, stock, costo_unitario } o null si el material no existe
+   */
+  static async registrarRecepcion(idMaterial, { cantidad, costo_unitario, id_proveedor, referencia = null, notas = null, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [materiales] = await connection.execute(
+        'SELECT stock, costo_unitario, estado FROM Materiales WHERE id_material = ? FOR UPDATE',
+        [idMaterial]
+      );
+
+      if (!materiales.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      if (materiales[0].estado === 'DESCONTINUADO') {
+        throw new Error('No se pueden registrar recepciones de un material descontinuado');
+      }
+
+      const stockActual = parseFloat(materiales[0].stock);
+      const costoActual = parseFloat(materiales[0].costo_unitario);
+      const stockNuevo = Math.round((stockActual + cantidad) * 1000) / 1000;
+
+      // Sin existencias previas (o en negativo por ventas que consumieron más de lo disponible)
+      // el costo es el de la compra
+      const costoNuevo = stockActual > 0
+        ? Math.round(((stockActual * costoActual + cantidad * costo_unitario) / stockNuevo) * 100) / 100
+        : costo_unitario;
+
+      await connection.execute(
+        'UPDATE Materiales SET stock = ?, costo_unitario = ? WHERE id_material = ?',
+        [stockNuevo, costoNuevo, idMaterial]
+      );
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Movimientos_Material (
+          id_material, tipo, cantidad, costo_unitario, stock_resultante,
+          id_proveedor, referencia, notas, id_usuario
+        )
+        VALUES (?, 'RECEPCION', ?, ?, ?, ?, ?, ?, ?)
+      `, [idMaterial, cantidad, costo_unitario, stockNuevo, id_proveedor, referencia, notas, id_usuario]);
+
+      await connection.commit();
+
+      return {
+        id_movimiento: resultado.insertId,
+        stock: stockNuevo,
+        costo_unitario: costoNuevo
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al registrar recepción de material:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Registra el consumo de un material en el taller
+   * El movimiento guarda el costo unitario vigente para poder valorizar el consumo
+   * @param {number} idMaterial - ID del material
+   * @param {Object} datosConsumo - Datos del consumo
+   * @param {number} datosConsumo.cantidad - Cantidad consumida (en la unidad del material)
+   * @param {number} datosConsumo.id_venta - Venta para la que se usó (opcional)
+   * @param {string} datosConsumo.notas - Notas (opcional)
+   * @param {number} datosConsumo.id_usuario - Usuario que registra
+   * @returns {Promise<Object|null>} - { id_movimiento, stock } o null si el material no existe
+   */
+  static async registrarConsumo(idMaterial, { cantidad, id_venta = null, notas = null, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [materiales] = await connection.execute(
+        'SELECT nombre_material, stock, costo_unitario FROM Materiales WHERE id_material = ? FOR UPDATE',
+        [idMaterial]
+      );
+
+      if (!materiales.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      const stockActual = parseFloat(materiales[0].stock);
+      if (stockActual < cantidad) {
+        throw new Error(`Stock insuficiente de ${materiales[0].nombre_material}. Disponible: ${stockActual}`);
+      }
+
+      const stockNuevo = Math.round((stockActual - cantidad) * 1000) / 1000;
+
+      await connection.execute(
+        'UPDATE Materiales SET stock = ? WHERE id_material = ?',
+        [stockNuevo, idMaterial]
+      );
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Movimientos_Material (
+          id_material, tipo, cantidad, costo_unitario, stock_resultante, id_venta, notas, id_usuario
+        )
+        VALUES (?, 'CONSUMO', ?, ?, ?, ?, ?, ?)
+      `, [idMaterial, cantidad, materiales[0].costo_unitario, stockNuevo, id_venta, notas, id_usuario]);
+
+      await connection.commit();
+
+      return {
+        id_movimiento: resultado.insertId,
+        stock: stockNuevo
+      };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al registrar consumo de material:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Obtiene los movimientos de un material con paginación
+   * @param {number} idMaterial - ID del material
+   * @param {Object} filtros - tipo (RECEPCION, CONSUMO o DEVOLUCION, opcional)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Movimientos y metadatos de paginación
+   */
+  static async obtenerMovimientos(idMaterial, { tipo = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = ['mm.id_material = ?'];
+      const parametros = [idMaterial];
+
+      if (tipo) {
+        condiciones.push('mm.tipo = ?');
+        parametros.push(tipo);
+      }
+
+      const where = `WHERE ${condiciones.join(' AND ')}`;
+
+      const query = `
+        SELECT
+          mm.id_movimiento,
+          mm.tipo,
+          mm.cantidad,
+          mm.costo_unitario,
+          ROUND(mm.cantidad * mm.costo_unitario, 2) as costo_total,
+          mm.stock_resultante,
+          mm.id_proveedor,
+          pr.nombre_proveedor,
+          mm.referencia,
+          mm.id_venta,
+          mm.notas,
+          mm.id_usuario,
+          u.nombre_usuario,
+          mm.fecha_movimiento
+        FROM Movimientos_Material mm
+        LEFT JOIN Proveedores pr ON mm.id_proveedor = pr.id_proveedor
+        INNER JOIN Usuarios u ON mm.id_usuario = u.id_usuario
+        ${where}
+        ORDER BY mm.fecha_movimiento DESC, mm.id_movimiento DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const movimientos = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Movimientos_Material mm
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        movimientos,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener movimientos de material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los materiales activos cuyo stock está en o por debajo de su stock mínimo
+   * @returns {Promise<Array>} - Materiales con la cantidad faltante y su proveedor habitual
+   */
+  static async obtenerStockBajo() {
+    try {
+      const query = `
+        SELECT
+          m.id_material,
+          m.nombre_material,
+          m.unidad_medida,
+          m.stock,
+          m.stock_minimo,
+          (m.stock_minimo - m.stock) as faltante,
+          m.costo_unitario,
+          m.id_proveedor,
+          pr.nombre_proveedor,
+          pr.contacto_email
+        FROM Materiales m
+        LEFT JOIN Proveedores pr ON m.id_proveedor = pr.id_proveedor
+        WHERE m.stock <= m.stock_minimo AND m.estado = 'ACTIVO'
+        ORDER BY (m.stock_minimo - m.stock) DESC, m.nombre_material ASC
+      `;
+
+      return await ejecutarQuery(query);
+    } catch (error) {
+      console.error('Error al obtener materiales con stock bajo:', error);
+      throw error;
+    }
+  }
+}
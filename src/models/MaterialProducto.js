@@ -0,0 +1,267 @@
+/**
+ * Modelo de la lista de materiales de un producto
+ * Indica cuánto de cada material (en su unidad de medida) y cuántas horas de mano de obra
+ * lleva fabricar una unidad del producto
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+
+export class MaterialProducto {
+
+  /**
+   * Obtiene la lista de materiales de un producto con el costo por unidad fabricada
+   * @param {number} idProducto - ID del producto
+   * @returns {Promise<Object|null>} - Horas de mano de obra, componentes y costo de materiales, o null si el producto no existe
+   */
+  static async obtenerLista(idProducto) {
+    try {
+      const productos = await ejecutarQuery(
+        'SELECT id_producto, nombre_producto, horas_mano_obra FROM Productos WHERE id_producto = ?',
+        [idProducto]
+      );
+
+      if (!productos.length) {
+        return null;
+      }
+
+      const query = `
+        SELECT
+          mp.id_material,
+          m.nombre_material,
+          m.unidad_medida,
+          mp.cantidad,
+          m.costo_unitario,
+          ROUND(mp.cantidad * m.costo_unitario, 2) as costo,
+          m.stock,
+          m.estado
+        FROM Materiales_Producto mp
+        INNER JOIN Materiales m ON mp.id_material = m.id_material
+        WHERE mp.id_producto = ?
+        ORDER BY m.nombre_material ASC
+      `;
+
+      const componentes = await ejecutarQuery(query, [idProducto]);
+      const costoMateriales = componentes.reduce((total, componente) => total + Number(componente.costo), 0);
+
+      return {
+        ...productos[0],
+        componentes,
+        costo_materiales: Math.round(costoMateriales * 100) / 100
+      };
+    } catch (error) {
+      console.error('Error al obtener lista de materiales del producto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza la lista de materiales y las horas de mano de obra de un producto
+   * @param {number} idProducto - ID del producto
+   * @param {Object} datosLista - Nueva lista de materiales
+   * @param {number} datosLista.horas_mano_obra - Horas de mano de obra por unidad
+   * @param {Array} datosLista.componentes - [{ id_material, cantidad }] (sin materiales repetidos)
+   * @returns {Promise<boolean>} - True si el producto existe y se actualizó
+   */
+  static async reemplazarLista(idProducto, { horas_mano_obra, componentes }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [resultado] = await connection.execute(
+        'UPDATE Productos SET horas_mano_obra = ? WHERE id_producto = ?',
+        [horas_mano_obra, idProducto]
+      );
+
+      if (resultado.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute('DELETE FROM Materiales_Producto WHERE id_producto = ?', [idProducto]);
+
+      for (const componente of componentes) {
+        await connection.execute(
+          'INSERT INTO Materiales_Producto (id_producto, id_material, cantidad) VALUES (?, ?, ?)',
+          [idProducto, componente.id_material, componente.cantidad]
+        );
+      }
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al reemplazar lista de materiales del producto:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Calcula cuántas unidades del producto se pueden fabricar con el stock actual de materiales
+   * @param {number} idProducto - ID del producto
+   * @returns {Promise<Object|null>} - Unidades fabricables, material limitante y detalle por componente,
+   *   o null si el producto no existe. unidades_fabricables es null si el producto no tiene lista de materiales
+   */
+  static async calcularCapacidad(idProducto) {
+    try {
+      const lista = await this.obtenerLista(idProducto);
+      if (!lista) {
+        return null;
+      }
+
+      const componentes = lista.componentes.map(componente => {
+        const stock = Math.max(0, parseFloat(componente.stock));
+        // La tolerancia evita que 2.4 / 0.8 quede en 2.9999 por redondeo de coma flotante
+        const unidades = Math.floor(stock / parseFloat(componente.cantidad) + 1e-9);
+
+        return {
+          id_material: componente.id_material,
+          nombre_material: componente.nombre_material,
+          unidad_medida: componente.unidad_medida,
+          cantidad_por_unidad: componente.cantidad,
+          stock: componente.stock,
+          unidades_posibles: componente.estado === 'ACTIVO' ? unidades : 0
+        };
+      });
+
+      const limitante = componentes.reduce(
+        (minimo, componente) => (!minimo || componente.unidades_posibles < minimo.unidades_posibles ? componente : minimo),
+        null
+      );
+
+      return {
+        id_producto: lista.id_producto,
+        nombre_producto: lista.nombre_producto,
+        unidades_fabricables: limitante ? limitante.unidades_posibles : null,
+        material_limitante: limitante
+          ? { id_material: limitante.id_material, nombre_material: limitante.nombre_material }
+          : null,
+        horas_mano_obra: lista.horas_mano_obra,
+        componentes
+      };
+    } catch (error) {
+      console.error('Error al calcular capacidad de fabricación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Descuenta del inventario los materiales de los productos vendidos, dentro de la transacción de la venta
+   * No bloquea la venta si falta material: el stock puede quedar negativo y el material aparece
+   * en el reporte de stock bajo para reponerlo
+   * @param {Object} connection - Conexión con la transacción de la venta abierta
+   * @param {number} idVenta - ID de la venta
+   * @param {Array} lineas - Líneas vendidas [{ id_producto, cantidad }]
+   * @param {number} idUsuario - Usuario que realizó la compra
+   * @returns {Promise<void>}
+   */
+  static async descontarPorVenta(connection, idVenta, lineas, idUsuario) {
+    const idsProducto = [...new Set(lineas.map(linea => linea.id_producto).filter(Boolean))];
+    if (idsProducto.length === 0) {
+      return;
+    }
+
+    const [componentes] = await connection.query(
+      'SELECT id_producto, id_material, cantidad FROM Materiales_Producto WHERE id_producto IN (?)',
+      [idsProducto]
+    );
+
+    // Sumar por material lo que requieren todas las líneas de la venta
+    const requerido = new Map();
+    for (const linea of lineas) {
+      for (const componente of componentes.filter(c => c.id_producto === linea.id_producto)) {
+        const cantidad = parseFloat(componente.cantidad) * linea.cantidad;
+        requerido.set(componente.id_material, (requerido.get(componente.id_material) || 0) + cantidad);
+      }
+    }
+
+    // Bloquear en orden de ID para no provocar interbloqueos entre ventas simultáneas
+    const idsMaterial = [...requerido.keys()].sort((a, b) => a - b);
+
+    for (const idMaterial of idsMaterial) {
+      const cantidad = Math.round(requerido.get(idMaterial) * 1000) / 1000;
+
+      const [materiales] = await connection.execute(
+        'SELECT stock, costo_unitario FROM Materiales WHERE id_material = ? FOR UPDATE',
+        [idMaterial]
+      );
+
+      const stockNuevo = Math.round((parseFloat(materiales[0].stock) - cantidad) * 1000) / 1000;
+
+      await connection.execute(
+        'UPDATE Materiales SET stock = ? WHERE id_material = ?',
+        [stockNuevo, idMaterial]
+      );
+
+      await connection.execute(`
+        INSERT INTO Movimientos_Material (
+          id_material, tipo, cantidad, costo_unitario, stock_resultante, id_venta, notas, id_usuario
+        )
+        VALUES (?, 'CONSUMO', ?, ?, ?, ?, ?, ?)
+      `, [
+        idMaterial,
+        cantidad,
+        materiales[0].costo_unitario,
+        stockNuevo,
+        idVenta,
+        `Consumo automático por la venta #${idVenta}`,
+        idUsuario
+      ]);
+    }
+  }
+
+  /**
+   * Devuelve al inventario los materiales que se descontaron por una venta cancelada o anulada
+   * Se basa en los movimientos de la venta, por lo que llamarlo dos veces no devuelve dos veces
+   * @param {Object} connection - Conexión con la transacción que cancela la venta
+   * @param {number} idVenta - ID de la venta
+   * @param {Object} datos - notas e id_usuario de la devolución
+   * @returns {Promise<number>} - Movimientos de devolución registrados
+   */
+  static async revertirPorVenta(connection, idVenta, { notas = null, id_usuario }) {
+    // Lo consumido por la venta menos lo que ya se devolvió, en orden de ID para no provocar interbloqueos
+    const [pendientes] = await connection.execute(`
+      SELECT id_material, SUM(CASE WHEN tipo = 'CONSUMO' THEN cantidad ELSE -cantidad END) as cantidad
+      FROM Movimientos_Material
+      WHERE id_venta = ? AND tipo IN ('CONSUMO', 'DEVOLUCION')
+      GROUP BY id_material
+      HAVING cantidad > 0
+      ORDER BY id_material ASC
+    `, [idVenta]);
+
+    for (const pendiente of pendientes) {
+      const cantidad = Math.round(parseFloat(pendiente.cantidad) * 1000) / 1000;
+
+      const [materiales] = await connection.execute(
+        'SELECT stock, costo_unitario FROM Materiales WHERE id_material = ? FOR UPDATE',
+        [pendiente.id_material]
+      );
+
+      const stockNuevo = Math.round((parseFloat(materiales[0].stock) + cantidad) * 1000) / 1000;
+
+      await connection.execute(
+        'UPDATE Materiales SET stock = ? WHERE id_material = ?',
+        [stockNuevo, pendiente.id_material]
+      );
+
+      await connection.execute(`
+        INSERT INTO Movimientos_Material (
+          id_material, tipo, cantidad, costo_unitario, stock_resultante, id_venta, notas, id_usuario
+        )
+        VALUES (?, 'DEVOLUCION', ?, ?, ?, ?, ?, ?)
+      `, [
+        pendiente.id_material,
+        cantidad,
+        materiales[0].costo_unitario,
+        stockNuevo,
+        idVenta,
+        notas || `Devolución por la cancelación de la venta #${idVenta}`,
+        id_usuario
+      ]);
+    }
+
+    return pendientes.length;
+  }
+}
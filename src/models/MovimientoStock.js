@@ -0,0 +1,545 @@
+/**
+ * Modelo de Movimientos de Stock
+ * Registro inmutable de cada cambio en el stock de los productos y sus variantes: entradas, salidas por venta,
+ * devoluciones, ajustes de inventario, mermas y traslados entre ubicaciones. Cada movimiento afecta a una
+ * ubicación; el stock de Productos y Variantes_Producto (suma de sus ubicaciones) solo se modifica a través
+ * de este modelo, de modo que la suma de los movimientos siempre reproduce el stock actual
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+import { Ubicacion } from "./Ubicacion.js";
+import { ReservaStock } from "./ReservaStock.js";
+
+/**
+ * Tipos de movimiento y el signo que debe tener su cantidad
+ */
+export const TIPOS_MOVIMIENTO_STOCK = {
+  ENTRADA: 1,
+  SALIDA_VENTA: -1,
+  DEVOLUCION: 1,
+  AJUSTE: 0,
+  MERMA: -1,
+  TRASLADO_SALIDA: -1,
+  TRASLADO_ENTRADA: 1
+};
+
+export class MovimientoStock {
+
+  /**
+   * Registra un movimiento y aplica la cantidad al stock de la ubicación y al total del producto o de la variante
+   * Debe llamarse dentro de la transacción de la operación que origina el movimiento
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {Object} datos - Datos del movimiento
+   * @param {number} datos.id_producto - ID del producto
+   * @param {number} datos.id_variante - ID de la variante (opcional, el stock es el de la variante)
+   * @param {number} datos.id_ubicacion - Ubicación afectada (opcional, por defecto la predeterminada)
+   * @param {string} datos.tipo - ENTRADA, SALIDA_VENTA, DEVOLUCION, AJUSTE, MERMA, TRASLADO_SALIDA o TRASLADO_ENTRADA
+   * @param {number} datos.cantidad - Unidades con signo: positivas suman stock, negativas restan
+   * @param {string} datos.motivo - Motivo del movimiento (opcional)
+   * @param {string} datos.referencia - Documento de origen (opcional, p. ej. 'Factura FAC-000012')
+   * @param {number} datos.id_venta - Venta relacionada (opcional)
+   * @param {number} datos.id_traslado - Traslado relacionado (opcional)
+   * @param {number} datos.id_usuario - Usuario que origina el movimiento (opcional)
+   * @returns {Promise<Object>} - { id_movimiento, id_ubicacion, stock, stock_ubicacion } con el stock resultante
+   */
+  static async registrar(connection, {
+    id_producto,
+    id_variante = null,
+    id_ubicacion = null,
+    tipo,
+    cantidad,
+    motivo = null,
+    referencia = null,
+    id_venta = null,
+    id_traslado = null,
+    id_usuario = null
+  }) {
+    const signo = TIPOS_MOVIMIENTO_STOCK[tipo];
+
+    if (signo === undefined) {
+      throw new Error(`Tipo de movimiento de stock inválido: ${tipo}`);
+    }
+
+    if (!Number.isInteger(cantidad) || cantidad === 0 || (signo !== 0 && Math.sign(cantidad) !== signo)) {
+      throw new Error(`Cantidad inválida para un movimiento de tipo ${tipo}: ${cantidad}`);
+    }
+
+    const idUbicacion = id_ubicacion || await Ubicacion.obtenerPredeterminada(connection);
+
+    // La fila del producto o variante se bloquea primero: serializa todos los cambios de su stock
+    const actual = await this.bloquearStock(connection, id_producto, id_variante);
+    const ubicacion = await this.obtenerStockUbicacion(connection, idUbicacion, id_producto, id_variante);
+    const stockUbicacionNuevo = ubicacion.stock + cantidad;
+    const stockNuevo = actual.stock + cantidad;
+
+    if (stockUbicacionNuevo < 0) {
+      throw new Error(`Stock insuficiente para ${actual.nombre} en ${ubicacion.nombre}. Disponible: ${ubicacion.stock}, Solicitado: ${-cantidad}`);
+    }
+
+    await connection.execute(`
+      INSERT INTO Stock_Ubicacion (id_ubicacion, id_producto, id_variante, stock)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE stock = VALUES(stock)
+    `, [idUbicacion, id_producto, id_variante, stockUbicacionNuevo]);
+
+    // Agotado sin stock y disponible de nuevo al reponer; un producto descontinuado conserva su estado
+    const estado = `
+      estado = CASE
+        WHEN ? <= 0 AND estado = 'DISPONIBLE' THEN 'AGOTADO'
+        WHEN ? > 0 AND estado = 'AGOTADO' THEN 'DISPONIBLE'
+        ELSE estado
+      END`;
+
+    await connection.execute(id_variante
+      ? `UPDATE Variantes_Producto SET stock = ?, ${estado} WHERE id_variante = ?`
+      : `UPDATE Productos SET stock = ?, ${estado} WHERE id_producto = ?`,
+    [stockNuevo, stockNuevo, stockNuevo, id_variante || id_producto]);
+
+    const [resultado] = await connection.execute(`
+      INSERT INTO Movimientos_Stock (
+        id_producto, id_variante, id_ubicacion, tipo, cantidad, stock_resultante, stock_ubicacion_resultante,
+        motivo, referencia, id_venta, id_traslado, id_usuario
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id_producto, id_variante, idUbicacion, tipo, cantidad, stockNuevo, stockUbicacionNuevo,
+      motivo, referencia, id_venta, id_traslado, id_usuario
+    ]);
+
+    return {
+      id_movimiento: resultado.insertId,
+      id_ubicacion: idUbicacion,
+      stock: stockNuevo,
+      stock_ubicacion: stockUbicacionNuevo
+    };
+  }
+
+  /**
+   * Lleva el stock a un valor contado registrando un AJUSTE por la diferencia
+   * Con ubicación, el valor es el stock contado en esa ubicación; sin ella, es el stock total
+   * y la diferencia se aplica a la ubicación predeterminada
+   * Debe llamarse dentro de la transacción de la operación que origina el ajuste
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {Object} datos - id_producto, id_variante (opcional), id_ubicacion (opcional), stock (nuevo valor), motivo, referencia, id_usuario
+   * @returns {Promise<Object|null>} - Movimiento registrado o null si el stock no cambia
+   */
+  static async ajustarA(connection, { id_producto, id_variante = null, id_ubicacion = null, stock, motivo = null, referencia = null, id_usuario = null }) {
+    const idUbicacion = id_ubicacion || await Ubicacion.obtenerPredeterminada(connection);
+    const actual = await this.bloquearStock(connection, id_producto, id_variante);
+    const diferencia = id_ubicacion
+      ? stock - (await this.obtenerStockUbicacion(connection, idUbicacion, id_producto, id_variante)).stock
+      : stock - actual.stock;
+
+    if (diferencia === 0) {
+      return null;
+    }
+
+    return await this.registrar(connection, {
+      id_producto,
+      id_variante,
+      id_ubicacion: idUbicacion,
+      tipo: 'AJUSTE',
+      cantidad: diferencia,
+      motivo,
+      referencia,
+      id_usuario
+    });
+  }
+
+  /**
+   * Registra la salida por venta de una línea del carrito
+   * Sale de la ubicación elegida o, si no se eligió, de la predeterminada primero y después
+   * de las ubicaciones con más stock, repartiendo la línea si hace falta. En cada ubicación solo toma
+   * lo que no tengan reservado otros compradores para recoger allí
+   * Debe llamarse dentro de la transacción de la venta, con el stock ya bloqueado y validado
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {Object} linea - { id_producto, id_variante, cantidad }
+   * @param {Object} datos - id_ubicacion (opcional), id_venta, referencia e id_usuario
+   * @returns {Promise<Array>} - Movimientos registrados
+   */
+  static async registrarSalidaVenta(connection, linea, { id_ubicacion = null, id_venta, referencia = null, id_usuario = null }) {
+    const base = {
+      id_producto: linea.id_producto,
+      id_variante: linea.id_variante,
+      tipo: 'SALIDA_VENTA',
+      referencia,
+      id_venta,
+      id_usuario
+    };
+
+    if (id_ubicacion) {
+      return [await this.registrar(connection, { ...base, id_ubicacion, cantidad: -linea.cantidad })];
+    }
+
+    const [existencias] = await connection.execute(`
+      SELECT su.id_ubicacion, su.stock
+      FROM Stock_Ubicacion su
+      INNER JOIN Ubicaciones u ON su.id_ubicacion = u.id_ubicacion
+      WHERE su.id_producto = ? AND su.clave_variante = ? AND su.stock > 0
+      ORDER BY u.es_predeterminada DESC, su.stock DESC, su.id_ubicacion ASC
+    `, [linea.id_producto, linea.id_variante || 0]);
+
+    const movimientos = [];
+    let pendiente = linea.cantidad;
+
+    for (const existencia of existencias) {
+      if (pendiente === 0) break;
+
+      const reservado = await ReservaStock.obtenerReservadoPorOtros(linea, id_usuario, connection, existencia.id_ubicacion);
+      const cantidad = Math.min(pendiente, Math.max(existencia.stock - reservado, 0));
+      if (cantidad === 0) continue;
+
+      movimientos.push(await this.registrar(connection, { ...base, id_ubicacion: existencia.id_ubicacion, cantidad: -cantidad }));
+      pendiente -= cantidad;
+    }
+
+    if (pendiente > 0) {
+      // Solo ocurre si el total y las ubicaciones no cuadran; la conciliación lo muestra
+      throw new Error(`Stock insuficiente en las ubicaciones para surtir la línea del producto ${linea.id_producto}`);
+    }
+
+    return movimientos;
+  }
+
+  /**
+   * Devuelve al stock lo que salió por una venta, en las mismas ubicaciones de las que salió
+   * Se basa en los movimientos de la venta, por lo que llamarlo dos veces no devuelve dos veces
+   * Debe llamarse dentro de la transacción que cancela la venta
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idVenta - ID de la venta
+   * @param {Object} datos - motivo, referencia e id_usuario de la devolución
+   * @returns {Promise<number>} - Movimientos de devolución registrados
+   */
+  static async revertirVenta(connection, idVenta, { motivo = null, referencia = null, id_usuario = null }) {
+    const [pendientes] = await connection.execute(`
+      SELECT id_producto, id_variante, id_ubicacion, CAST(-SUM(cantidad) AS SIGNED) as cantidad
+      FROM Movimientos_Stock
+      WHERE id_venta = ? AND tipo IN ('SALIDA_VENTA', 'DEVOLUCION')
+      GROUP BY id_producto, id_variante, id_ubicacion
+      HAVING cantidad > 0
+      ORDER BY id_producto ASC, id_variante ASC
+    `, [idVenta]);
+
+    for (const pendiente of pendientes) {
+      await this.registrar(connection, {
+        id_producto: pendiente.id_producto,
+        id_variante: pendiente.id_variante,
+        id_ubicacion: pendiente.id_ubicacion,
+        tipo: 'DEVOLUCION',
+        cantidad: Number(pendiente.cantidad),
+        motivo,
+        referencia,
+        id_venta: idVenta,
+        id_usuario
+      });
+    }
+
+    return pendientes.length;
+  }
+
+  /**
+   * Registra un movimiento manual (entrada, devolución, ajuste o merma) en su propia transacción
+   * @param {Object} datos - Mismos datos que registrar
+   * @returns {Promise<Object>} - { id_movimiento, stock }
+   */
+  static async registrarManual(datos) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const movimiento = await this.registrar(connection, datos);
+
+      await connection.commit();
+      return movimiento;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al registrar movimiento de stock:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Bloquea la fila del producto o de la variante y devuelve su stock actual
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idProducto - ID del producto
+   * @param {number} idVariante - ID de la variante (opcional)
+   * @returns {Promise<Object>} - { nombre, stock }
+   */
+  static async bloquearStock(connection, idProducto, idVariante = null) {
+    const [filas] = await connection.execute(idVariante ? `
+      SELECT CONCAT(p.nombre_producto, ' (', v.sku, ')') as nombre, v.stock
+      FROM Variantes_Producto v
+      INNER JOIN Productos p ON v.id_producto = p.id_producto
+      WHERE v.id_variante = ? AND v.id_producto = ?
+      FOR UPDATE
+    ` : `
+      SELECT nombre_producto as nombre, stock
+      FROM Productos
+      WHERE id_producto = ?
+      FOR UPDATE
+    `, idVariante ? [idVariante, idProducto] : [idProducto]);
+
+    if (!filas.length) {
+      throw new Error(idVariante ? 'Variante no encontrada' : 'Producto no encontrado');
+    }
+
+    return { nombre: filas[0].nombre, stock: Number(filas[0].stock) };
+  }
+
+  /**
+   * Obtiene el stock de un producto o variante en una ubicación
+   * Debe llamarse después de bloquearStock, que ya serializa los cambios de ese producto o variante
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idUbicacion - ID de la ubicación
+   * @param {number} idProducto - ID del producto
+   * @param {number} idVariante - ID de la variante (opcional)
+   * @returns {Promise<Object>} - { nombre, stock } con el nombre de la ubicación
+   */
+  static async obtenerStockUbicacion(connection, idUbicacion, idProducto, idVariante = null) {
+    const [filas] = await connection.execute(`
+      SELECT u.nombre, COALESCE(su.stock, 0) as stock
+      FROM Ubicaciones u
+      LEFT JOIN Stock_Ubicacion su ON su.id_ubicacion = u.id_ubicacion
+        AND su.id_producto = ? AND su.clave_variante = ?
+      WHERE u.id_ubicacion = ?
+    `, [idProducto, idVariante || 0, idUbicacion]);
+
+    if (!filas.length) {
+      throw new Error('Ubicación no encontrada o inactiva');
+    }
+
+    return { nombre: filas[0].nombre, stock: Number(filas[0].stock) };
+  }
+
+  /**
+   * Obtiene los movimientos de un producto (y de sus variantes) con paginación
+   * @param {number} idProducto - ID del producto
+   * @param {Object} filtros - tipo, id_variante, id_ubicacion, fecha_desde y fecha_hasta (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Movimientos y metadatos de paginación
+   */
+  static async obtenerPorProducto(idProducto, { tipo = null, id_variante = null, id_ubicacion = null, fecha_desde = null, fecha_hasta = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = ['ms.id_producto = ?'];
+      const parametros = [idProducto];
+
+      if (tipo) {
+        condiciones.push('ms.tipo = ?');
+        parametros.push(tipo);
+      }
+
+      if (id_variante) {
+        condiciones.push('ms.id_variante = ?');
+        parametros.push(id_variante);
+      }
+
+      if (id_ubicacion) {
+        condiciones.push('ms.id_ubicacion = ?');
+        parametros.push(id_ubicacion);
+      }
+
+      if (fecha_desde) {
+        condiciones.push('DATE(ms.fecha_movimiento) >= ?');
+        parametros.push(fecha_desde);
+      }
+
+      if (fecha_hasta) {
+        condiciones.push('DATE(ms.fecha_movimiento) <= ?');
+        parametros.push(fecha_hasta);
+      }
+
+      const where = `WHERE ${condiciones.join(' AND ')}`;
+
+      const query = `
+        SELECT
+          ms.id_movimiento,
+          ms.id_variante,
+          v.sku,
+          ms.id_ubicacion,
+          ub.nombre as ubicacion,
+          ms.tipo,
+          ms.cantidad,
+          ms.stock_resultante,
+          ms.stock_ubicacion_resultante,
+          ms.motivo,
+          ms.referencia,
+          ms.id_venta,
+          ms.id_traslado,
+          ms.id_usuario,
+          u.nombre_usuario,
+          ms.fecha_movimiento
+        FROM Movimientos_Stock ms
+        LEFT JOIN Variantes_Producto v ON ms.id_variante = v.id_variante
+        INNER JOIN Ubicaciones ub ON ms.id_ubicacion = ub.id_ubicacion
+        LEFT JOIN Usuarios u ON ms.id_usuario = u.id_usuario
+        ${where}
+        ORDER BY ms.fecha_movimiento DESC, ms.id_movimiento DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const movimientos = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Movimientos_Stock ms
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        movimientos,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener movimientos de stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalcula el stock de cada producto y variante sumando sus movimientos y lo compara con el registrado,
+   * tanto el total como el de cada ubicación
+   * Una diferencia indica que el stock se modificó fuera del registro de movimientos
+   * @param {Object} filtros - id_producto (opcional) y solo_diferencias (por defecto true)
+   * @returns {Promise<Object>} - Resumen, detalle de los totales y detalle por ubicación
+   */
+  static async conciliar({ id_producto = null, solo_diferencias = true } = {}) {
+    try {
+      const filtroProducto = id_producto ? 'WHERE p.id_producto = ?' : '';
+
+      const query = `
+        SELECT
+          p.id_producto,
+          NULL as id_variante,
+          p.nombre_producto,
+          NULL as sku,
+          p.stock as stock_registrado,
+          COALESCE(SUM(ms.cantidad), 0) as stock_calculado,
+          COUNT(ms.id_movimiento) as total_movimientos,
+          MAX(ms.fecha_movimiento) as ultimo_movimiento
+        FROM Productos p
+        LEFT JOIN Movimientos_Stock ms ON ms.id_producto = p.id_producto AND ms.id_variante IS NULL
+        ${filtroProducto}
+        GROUP BY p.id_producto, p.nombre_producto, p.stock
+
+        UNION ALL
+
+        SELECT
+          p.id_producto,
+          v.id_variante,
+          p.nombre_producto,
+          v.sku,
+          v.stock as stock_registrado,
+          COALESCE(SUM(ms.cantidad), 0) as stock_calculado,
+          COUNT(ms.id_movimiento) as total_movimientos,
+          MAX(ms.fecha_movimiento) as ultimo_movimiento
+        FROM Variantes_Producto v
+        INNER JOIN Productos p ON v.id_producto = p.id_producto
+        LEFT JOIN Movimientos_Stock ms ON ms.id_variante = v.id_variante
+        ${filtroProducto}
+        GROUP BY p.id_producto, v.id_variante, p.nombre_producto, v.sku, v.stock
+
+        ORDER BY nombre_producto ASC, id_variante ASC
+      `;
+
+      const filas = await ejecutarQuery(query, id_producto ? [id_producto, id_producto] : []);
+
+      const detalle = filas.map(fila => {
+        const stockRegistrado = Number(fila.stock_registrado);
+        const stockCalculado = Number(fila.stock_calculado);
+
+        return {
+          ...fila,
+          stock_registrado: stockRegistrado,
+          stock_calculado: stockCalculado,
+          diferencia: stockRegistrado - stockCalculado
+        };
+      });
+
+      const conDiferencias = detalle.filter(fila => fila.diferencia !== 0);
+
+      // Por ubicación se parte de ambos lados: filas de stock sin movimientos y movimientos sin fila de stock
+      const filtroUbicacion = id_producto ? 'WHERE id_producto = ?' : '';
+
+      const filasUbicacion = await ejecutarQuery(`
+        SELECT
+          c.id_ubicacion,
+          u.nombre as ubicacion,
+          c.id_producto,
+          c.id_variante,
+          CAST(SUM(c.stock_registrado) AS SIGNED) as stock_registrado,
+          CAST(SUM(c.stock_calculado) AS SIGNED) as stock_calculado
+        FROM (
+          SELECT id_ubicacion, id_producto, id_variante, stock as stock_registrado, 0 as stock_calculado
+          FROM Stock_Ubicacion
+          ${filtroUbicacion}
+
+          UNION ALL
+
+          SELECT id_ubicacion, id_producto, id_variante, 0 as stock_registrado, cantidad as stock_calculado
+          FROM Movimientos_Stock
+          ${filtroUbicacion}
+        ) c
+        INNER JOIN Ubicaciones u ON c.id_ubicacion = u.id_ubicacion
+        GROUP BY c.id_ubicacion, u.nombre, c.id_producto, c.id_variante
+        ORDER BY u.nombre ASC, c.id_producto ASC, c.id_variante ASC
+      `, id_producto ? [id_producto, id_producto] : []);
+
+      const detalleUbicaciones = filasUbicacion.map(fila => ({
+        ...fila,
+        stock_registrado: Number(fila.stock_registrado),
+        stock_calculado: Number(fila.stock_calculado),
+        diferencia: Number(fila.stock_registrado) - Number(fila.stock_calculado)
+      }));
+
+      const ubicacionesConDiferencias = detalleUbicaciones.filter(fila => fila.diferencia !== 0);
+
+      return {
+        resumen: {
+          total_revisados: detalle.length,
+          total_con_diferencias: conDiferencias.length,
+          unidades_sin_registrar: conDiferencias.reduce((total, fila) => total + fila.diferencia, 0),
+          ubicaciones_con_diferencias: ubicacionesConDiferencias.length
+        },
+        detalle: solo_diferencias ? conDiferencias : detalle,
+        ubicaciones: solo_diferencias ? ubicacionesConDiferencias : detalleUbicaciones
+      };
+    } catch (error) {
+      console.error('Error al conciliar stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Indica si un producto o una variante tienen movimientos de stock registrados
+   * @param {Object} filtros - id_producto o id_variante
+   * @returns {Promise<boolean>} - True si hay movimientos
+   */
+  static async tieneMovimientos({ id_producto = null, id_variante = null }) {
+    try {
+      const filas = await ejecutarQuery(
+        id_variante
+          ? 'SELECT COUNT(*) as total FROM Movimientos_Stock WHERE id_variante = ?'
+          : 'SELECT COUNT(*) as total FROM Movimientos_Stock WHERE id_producto = ?',
+        [id_variante || id_producto]
+      );
+
+      return filas[0].total > 0;
+    } catch (error) {
+      console.error('Error al verificar movimientos de stock:', error);
+      throw error;
+    }
+  }
+}
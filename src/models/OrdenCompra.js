@@ -0,0 +1,451 @@
+/**
+ * Modelo de Órdenes de Compra
+ * Pedidos de productos a proveedores con costos acordados y fechas de entrega esperadas.
+ * Flujo: BORRADOR (editable) → ENVIADA → PARCIAL → RECIBIDA, o CANCELADA antes de recibirse completa.
+ * Cada recepción suma stock mediante movimientos de ENTRADA en la ubicación donde se recibe
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+import { MovimientoStock } from "./MovimientoStock.js";
+import { Ubicacion } from "./Ubicacion.js";
+
+export const ESTADOS_ORDEN_COMPRA = ['BORRADOR', 'ENVIADA', 'PARCIAL', 'RECIBIDA', 'CANCELADA'];
+
+export class OrdenCompra {
+
+  /**
+   * Crea una orden de compra en borrador
+   * @param {Object} datos - Datos de la orden
+   * @param {number} datos.id_proveedor - Proveedor al que se pide
+   * @param {string} datos.fecha_entrega_esperada - Fecha esperada de entrega de la orden (opcional)
+   * @param {string} datos.notas - Notas para el proveedor (opcional)
+   * @param {Array} datos.lineas - [{ id_producto, id_variante, cantidad, costo_unitario, fecha_entrega_esperada }]
+   * @param {number} datos.id_usuario - Usuario que crea la orden
+   * @returns {Promise<number>} - ID de la orden creada
+   */
+  static async crear({ id_proveedor, fecha_entrega_esperada = null, notas = null, lineas, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Ordenes_Compra (id_proveedor, fecha_entrega_esperada, notas, id_usuario_creador)
+        VALUES (?, ?, ?, ?)
+      `, [id_proveedor, fecha_entrega_esperada, notas, id_usuario]);
+
+      const idOrden = resultado.insertId;
+
+      await connection.execute(
+        'UPDATE Ordenes_Compra SET numero_orden = ? WHERE id_orden_compra = ?',
+        [`OC-${String(idOrden).padStart(6, '0')}`, idOrden]
+      );
+
+      await this.guardarLineas(connection, idOrden, lineas);
+
+      await connection.commit();
+      return idOrden;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al crear orden de compra:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Actualiza una orden en borrador; las líneas enviadas reemplazan a las anteriores
+   * @param {number} idOrden - ID de la orden
+   * @param {Object} datos - Datos completos (fecha_entrega_esperada, notas, lineas)
+   * @returns {Promise<boolean>} - True si se actualizó, false si la orden no existe
+   */
+  static async actualizar(idOrden, { fecha_entrega_esperada, notas, lineas }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const orden = await this.bloquear(connection, idOrden);
+      if (!orden) {
+        await connection.rollback();
+        return false;
+      }
+
+      if (orden.estado !== 'BORRADOR') {
+        throw new Error('Solo se pueden modificar órdenes de compra en borrador');
+      }
+
+      await connection.execute(
+        'UPDATE Ordenes_Compra SET fecha_entrega_esperada = ?, notas = ? WHERE id_orden_compra = ?',
+        [fecha_entrega_esperada, notas, idOrden]
+      );
+
+      if (lineas) {
+        await connection.execute('DELETE FROM Lineas_Orden_Compra WHERE id_orden_compra = ?', [idOrden]);
+        await this.guardarLineas(connection, idOrden, lineas);
+      }
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al actualizar orden de compra:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Inserta las líneas de una orden y recalcula su total
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idOrden - ID de la orden
+   * @param {Array} lineas - [{ id_producto, id_variante, cantidad, costo_unitario, fecha_entrega_esperada }]
+   */
+  static async guardarLineas(connection, idOrden, lineas) {
+    for (const linea of lineas) {
+      const [productos] = await connection.execute(linea.id_variante ? `
+        SELECT v.id_variante FROM Variantes_Producto v WHERE v.id_variante = ? AND v.id_producto = ?
+      ` : `
+        SELECT id_producto FROM Productos WHERE id_producto = ?
+      `, linea.id_variante ? [linea.id_variante, linea.id_producto] : [linea.id_producto]);
+
+      if (!productos.length) {
+        throw new Error(linea.id_variante ? 'Variante no encontrada' : 'Producto no encontrado');
+      }
+
+      const subtotal = Math.round(linea.cantidad * linea.costo_unitario * 100) / 100;
+
+      await connection.execute(`
+        INSERT INTO Lineas_Orden_Compra (
+          id_orden_compra, id_producto, id_variante, cantidad, costo_unitario, subtotal, fecha_entrega_esperada
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        idOrden, linea.id_producto, linea.id_variante || null, linea.cantidad,
+        linea.costo_unitario, subtotal, linea.fecha_entrega_esperada || null
+      ]);
+    }
+
+    await connection.execute(`
+      UPDATE Ordenes_Compra
+      SET total = (SELECT COALESCE(SUM(subtotal), 0) FROM Lineas_Orden_Compra WHERE id_orden_compra = ?)
+      WHERE id_orden_compra = ?
+    `, [idOrden, idOrden]);
+  }
+
+  /**
+   * Busca una orden de compra por su ID con su proveedor, líneas y recepciones
+   * @param {number} idOrden - ID de la orden
+   * @returns {Promise<Object|null>} - Orden encontrada o null
+   */
+  static async buscarPorId(idOrden) {
+    try {
+      const ordenes = await ejecutarQuery(`
+        SELECT
+          oc.*,
+          pr.nombre_proveedor,
+          pr.contacto_nombre,
+          pr.contacto_email,
+          pr.contacto_telefono,
+          pr.direccion_fiscal,
+          u.nombre_usuario as usuario_creador
+        FROM Ordenes_Compra oc
+        INNER JOIN Proveedores pr ON oc.id_proveedor = pr.id_proveedor
+        INNER JOIN Usuarios u ON oc.id_usuario_creador = u.id_usuario
+        WHERE oc.id_orden_compra = ?
+      `, [idOrden]);
+
+      if (!ordenes.length) {
+        return null;
+      }
+
+      const lineas = await ejecutarQuery(`
+        SELECT
+          l.id_linea,
+          l.id_producto,
+          p.nombre_producto,
+          l.id_variante,
+          v.sku,
+          l.cantidad,
+          l.cantidad_recibida,
+          l.cantidad - l.cantidad_recibida as cantidad_pendiente,
+          l.costo_unitario,
+          l.subtotal,
+          l.fecha_entrega_esperada
+        FROM Lineas_Orden_Compra l
+        INNER JOIN Productos p ON l.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON l.id_variante = v.id_variante
+        WHERE l.id_orden_compra = ?
+        ORDER BY l.id_linea ASC
+      `, [idOrden]);
+
+      const recepciones = await ejecutarQuery(`
+        SELECT
+          r.id_recepcion,
+          r.id_ubicacion,
+          ub.nombre as ubicacion,
+          r.referencia,
+          r.notas,
+          u.nombre_usuario,
+          r.fecha_recepcion,
+          CAST(COALESCE(SUM(lr.cantidad), 0) AS SIGNED) as unidades
+        FROM Recepciones_Compra r
+        INNER JOIN Ubicaciones ub ON r.id_ubicacion = ub.id_ubicacion
+        INNER JOIN Usuarios u ON r.id_usuario = u.id_usuario
+        LEFT JOIN Lineas_Recepcion_Compra lr ON lr.id_recepcion = r.id_recepcion
+        WHERE r.id_orden_compra = ?
+        GROUP BY r.id_recepcion, r.id_ubicacion, ub.nombre, r.referencia, r.notas, u.nombre_usuario, r.fecha_recepcion
+        ORDER BY r.fecha_recepcion ASC, r.id_recepcion ASC
+      `, [idOrden]);
+
+      return { ...ordenes[0], lineas, recepciones };
+    } catch (error) {
+      console.error('Error al buscar orden de compra por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene órdenes de compra con filtros y paginación
+   * @param {Object} filtros - id_proveedor, estado y vencidas (entrega esperada pasada sin recibir) (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Órdenes y metadatos de paginación
+   */
+  static async obtenerTodas({ id_proveedor = null, estado = null, vencidas = false } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (id_proveedor) {
+        condiciones.push('oc.id_proveedor = ?');
+        parametros.push(id_proveedor);
+      }
+
+      if (estado) {
+        condiciones.push('oc.estado = ?');
+        parametros.push(estado);
+      }
+
+      if (vencidas) {
+        condiciones.push("oc.estado IN ('ENVIADA', 'PARCIAL') AND oc.fecha_entrega_esperada < CURDATE()");
+      }
+
+      const where = condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const ordenes = await ejecutarQuery(`
+        SELECT
+          oc.id_orden_compra,
+          oc.numero_orden,
+          oc.id_proveedor,
+          pr.nombre_proveedor,
+          oc.estado,
+          oc.fecha_entrega_esperada,
+          oc.total,
+          oc.fecha_creacion,
+          oc.fecha_envio,
+          oc.fecha_cierre,
+          (SELECT CAST(COALESCE(SUM(l.cantidad), 0) AS SIGNED)
+            FROM Lineas_Orden_Compra l WHERE l.id_orden_compra = oc.id_orden_compra) as unidades_pedidas,
+          (SELECT CAST(COALESCE(SUM(l.cantidad_recibida), 0) AS SIGNED)
+            FROM Lineas_Orden_Compra l WHERE l.id_orden_compra = oc.id_orden_compra) as unidades_recibidas
+        FROM Ordenes_Compra oc
+        INNER JOIN Proveedores pr ON oc.id_proveedor = pr.id_proveedor
+        ${where}
+        ORDER BY oc.fecha_creacion DESC, oc.id_orden_compra DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `, parametros);
+
+      const resultadoConteo = await ejecutarQuery(`SELECT COUNT(*) as total FROM Ordenes_Compra oc ${where}`, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        ordenes,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener órdenes de compra:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca una orden en borrador como enviada al proveedor; desde entonces no se puede modificar
+   * @param {number} idOrden - ID de la orden
+   * @returns {Promise<boolean>} - True si se envió, false si no estaba en borrador
+   */
+  static async enviar(idOrden) {
+    try {
+      const resultado = await ejecutarQuery(`
+        UPDATE Ordenes_Compra
+        SET estado = 'ENVIADA', fecha_envio = NOW()
+        WHERE id_orden_compra = ? AND estado = 'BORRADOR'
+      `, [idOrden]);
+
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al enviar orden de compra:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela una orden que aún no se recibió completa; lo ya recibido se conserva en el stock
+   * @param {number} idOrden - ID de la orden
+   * @param {string} motivo - Motivo de la cancelación (opcional)
+   * @returns {Promise<boolean>} - True si se canceló, false si ya estaba recibida o cancelada
+   */
+  static async cancelar(idOrden, motivo = null) {
+    try {
+      const resultado = await ejecutarQuery(`
+        UPDATE Ordenes_Compra
+        SET estado = 'CANCELADA', motivo_cancelacion = ?, fecha_cierre = NOW()
+        WHERE id_orden_compra = ? AND estado IN ('BORRADOR', 'ENVIADA', 'PARCIAL')
+      `, [motivo, idOrden]);
+
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al cancelar orden de compra:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra la recepción de mercancía de una orden enviada
+   * Suma al stock las cantidades recibidas en la ubicación indicada y deja la orden PARCIAL
+   * o RECIBIDA según lo que quede pendiente
+   * @param {number} idOrden - ID de la orden
+   * @param {Object} datos - Datos de la recepción
+   * @param {Array} datos.lineas - [{ id_linea, cantidad }] con las cantidades recibidas
+   * @param {number} datos.id_ubicacion - Ubicación donde se recibe (opcional, por defecto la predeterminada)
+   * @param {string} datos.referencia - Remisión o guía del proveedor (opcional)
+   * @param {string} datos.notas - Notas de la recepción (opcional)
+   * @param {number} datos.id_usuario - Usuario que recibe
+   * @returns {Promise<number|null>} - ID de la recepción o null si la orden no existe
+   */
+  static async registrarRecepcion(idOrden, { lineas, id_ubicacion = null, referencia = null, notas = null, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Bloquear la orden para que dos recepciones simultáneas no reciban más de lo pedido
+      const orden = await this.bloquear(connection, idOrden);
+      if (!orden) {
+        await connection.rollback();
+        return null;
+      }
+
+      if (!['ENVIADA', 'PARCIAL'].includes(orden.estado)) {
+        throw new Error('Solo se puede recibir mercancía de órdenes de compra enviadas o parcialmente recibidas');
+      }
+
+      const idUbicacion = id_ubicacion
+        ? (await Ubicacion.validarActiva(connection, id_ubicacion)).id_ubicacion
+        : await Ubicacion.obtenerPredeterminada(connection);
+
+      const [lineasOrden] = await connection.execute(`
+        SELECT l.id_linea, l.id_producto, l.id_variante, l.cantidad, l.cantidad_recibida, p.nombre_producto
+        FROM Lineas_Orden_Compra l
+        INNER JOIN Productos p ON l.id_producto = p.id_producto
+        WHERE l.id_orden_compra = ?
+      `, [idOrden]);
+
+      const porId = new Map(lineasOrden.map(linea => [linea.id_linea, linea]));
+
+      for (const recibida of lineas) {
+        const linea = porId.get(recibida.id_linea);
+
+        if (!linea) {
+          throw new Error(`La línea ${recibida.id_linea} no pertenece a la orden de compra`);
+        }
+
+        const pendiente = linea.cantidad - linea.cantidad_recibida;
+        if (recibida.cantidad > pendiente) {
+          throw new Error(`La cantidad recibida de ${linea.nombre_producto} supera lo pendiente. Pendiente: ${pendiente}, Recibido: ${recibida.cantidad}`);
+        }
+      }
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Recepciones_Compra (id_orden_compra, id_ubicacion, referencia, notas, id_usuario)
+        VALUES (?, ?, ?, ?, ?)
+      `, [idOrden, idUbicacion, referencia, notas, id_usuario]);
+
+      const idRecepcion = resultado.insertId;
+
+      // Mismo orden de bloqueo que el pago para no esperar mutuamente con una compra
+      const ordenadas = [...lineas]
+        .map(recibida => ({ ...porId.get(recibida.id_linea), recibida: recibida.cantidad }))
+        .sort((a, b) => a.id_producto - b.id_producto || (a.id_variante || 0) - (b.id_variante || 0));
+
+      for (const linea of ordenadas) {
+        await connection.execute(`
+          INSERT INTO Lineas_Recepcion_Compra (id_recepcion, id_linea, cantidad)
+          VALUES (?, ?, ?)
+        `, [idRecepcion, linea.id_linea, linea.recibida]);
+
+        await connection.execute(
+          'UPDATE Lineas_Orden_Compra SET cantidad_recibida = cantidad_recibida + ? WHERE id_linea = ?',
+          [linea.recibida, linea.id_linea]
+        );
+
+        await MovimientoStock.registrar(connection, {
+          id_producto: linea.id_producto,
+          id_variante: linea.id_variante,
+          id_ubicacion: idUbicacion,
+          tipo: 'ENTRADA',
+          cantidad: linea.recibida,
+          motivo: 'Recepción de orden de compra',
+          referencia: orden.numero_orden,
+          id_usuario
+        });
+      }
+
+      const [pendientes] = await connection.execute(`
+        SELECT COUNT(*) as total
+        FROM Lineas_Orden_Compra
+        WHERE id_orden_compra = ? AND cantidad_recibida < cantidad
+      `, [idOrden]);
+
+      const completa = pendientes[0].total === 0;
+
+      await connection.execute(`
+        UPDATE Ordenes_Compra
+        SET estado = ?, fecha_cierre = ${completa ? 'NOW()' : 'NULL'}
+        WHERE id_orden_compra = ?
+      `, [completa ? 'RECIBIDA' : 'PARCIAL', idOrden]);
+
+      await connection.commit();
+      return idRecepcion;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al registrar recepción de orden de compra:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Bloquea la fila de una orden de compra y devuelve su estado
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idOrden - ID de la orden
+   * @returns {Promise<Object|null>} - { numero_orden, estado } o null si no existe
+   */
+  static async bloquear(connection, idOrden) {
+    const [ordenes] = await connection.execute(
+      'SELECT numero_orden, estado FROM Ordenes_Compra WHERE id_orden_compra = ? FOR UPDATE',
+      [idOrden]
+    );
+
+    return ordenes[0] || null;
+  }
+}
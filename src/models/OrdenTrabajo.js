@@ -0,0 +1,393 @@
+/**
+ * Modelo de Órdenes de Trabajo del taller
+ * Cada orden fabrica una línea de venta (Detalles_Venta) y avanza por las etapas de producción;
+ * los avances y las horas trabajadas quedan en su historial
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+
+/**
+ * Etapas de producción en orden
+ */
+export const ETAPAS_ORDEN = ['CORTE', 'ENSAMBLAJE', 'LIJADO', 'ACABADO', 'CONTROL_CALIDAD', 'LISTO'];
+
+/**
+ * Columnas comunes de los listados de órdenes (requiere los alias ot, dv, p, v y ua)
+ */
+const COLUMNAS_ORDEN = `
+  ot.id_orden,
+  ot.id_detalle_venta,
+  dv.id_venta,
+  dv.id_producto,
+  COALESCE(p.nombre_producto, dv.descripcion) as nombre_producto,
+  v.sku,
+  v.atributos,
+  dv.cantidad,
+  ot.etapa,
+  ot.estado,
+  ot.id_usuario_asignado,
+  ua.nombre_usuario as nombre_usuario_asignado,
+  ot.horas_estimadas,
+  ot.horas_reales,
+  (ot.horas_reales - ot.horas_estimadas) as desviacion_horas,
+  ot.fecha_creacion,
+  ot.fecha_actualizacion,
+  ot.fecha_finalizacion
+`;
+
+const JOINS_ORDEN = `
+  INNER JOIN Detalles_Venta dv ON ot.id_detalle_venta = dv.id_detalle_venta
+  LEFT JOIN Productos p ON dv.id_producto = p.id_producto
+  LEFT JOIN Variantes_Producto v ON dv.id_variante = v.id_variante
+  LEFT JOIN Usuarios ua ON ot.id_usuario_asignado = ua.id_usuario
+`;
+
+export class OrdenTrabajo {
+
+  /**
+   * Genera órdenes de trabajo para las líneas de una venta que aún no tienen una
+   * Las horas estimadas salen de las horas de mano de obra del producto por la cantidad vendida
+   * (los trabajos a medida de cotizaciones empiezan en 0 y se estiman al asignarlos)
+   * @param {number} idVenta - ID de la venta
+   * @param {Object} opciones - Opciones de generación
+   * @param {Array<number>} opciones.id_detalles - Líneas a fabricar (opcional, por defecto todas)
+   * @param {number} opciones.id_usuario_asignado - Usuario del taller asignado (opcional)
+   * @param {number} opciones.id_usuario_creador - Usuario que genera las órdenes
+   * @returns {Promise<Array<number>|null>} - IDs de las órdenes creadas o null si la venta no existe
+   */
+  static async generarDesdeVenta(idVenta, { id_detalles = null, id_usuario_asignado = null, id_usuario_creador }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [ventas] = await connection.execute(
+        'SELECT estado_venta FROM Ventas WHERE id_venta = ? FOR UPDATE',
+        [idVenta]
+      );
+
+      if (!ventas.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      if (ventas[0].estado_venta === 'CANCELADA') {
+        throw new Error('No se pueden generar órdenes de trabajo de una venta cancelada');
+      }
+
+      const [lineas] = await connection.execute(`
+        SELECT
+          dv.id_detalle_venta,
+          ROUND(dv.cantidad * COALESCE(p.horas_mano_obra, 0), 2) as horas_estimadas,
+          ot.id_orden
+        FROM Detalles_Venta dv
+        LEFT JOIN Productos p ON dv.id_producto = p.id_producto
+        LEFT JOIN Ordenes_Trabajo ot ON ot.id_detalle_venta = dv.id_detalle_venta
+        WHERE dv.id_venta = ?
+        ORDER BY dv.id_detalle_venta
+      `, [idVenta]);
+
+      if (id_detalles) {
+        const ajena = id_detalles.find(id => !lineas.some(linea => linea.id_detalle_venta === id));
+        if (ajena) {
+          throw new Error(`La línea ${ajena} no pertenece a la venta`);
+        }
+      }
+
+      const pendientes = lineas.filter(linea =>
+        !linea.id_orden && (!id_detalles || id_detalles.includes(linea.id_detalle_venta))
+      );
+
+      const idsOrden = [];
+      for (const linea of pendientes) {
+        const [resultado] = await connection.execute(`
+          INSERT INTO Ordenes_Trabajo (id_detalle_venta, id_usuario_asignado, horas_estimadas, id_usuario_creador)
+          VALUES (?, ?, ?, ?)
+        `, [linea.id_detalle_venta, id_usuario_asignado, linea.horas_estimadas, id_usuario_creador]);
+
+        idsOrden.push(resultado.insertId);
+      }
+
+      await connection.commit();
+      return idsOrden;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al generar órdenes de trabajo:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Busca una orden de trabajo con su historial
+   * @param {number} idOrden - ID de la orden
+   * @returns {Promise<Object|null>} - Orden con cliente, notas e historial, o null
+   */
+  static async buscarPorId(idOrden) {
+    try {
+      const query = `
+        SELECT
+          ${COLUMNAS_ORDEN},
+          ot.notas,
+          ot.id_usuario_creador,
+          c.id_usuario as id_cliente,
+          c.nombre_usuario as nombre_cliente
+        FROM Ordenes_Trabajo ot
+        ${JOINS_ORDEN}
+        INNER JOIN Ventas ve ON dv.id_venta = ve.id_venta
+        INNER JOIN Usuarios c ON ve.id_usuario = c.id_usuario
+        WHERE ot.id_orden = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idOrden]);
+      if (!filas.length) {
+        return null;
+      }
+
+      const queryHistorial = `
+        SELECT
+          h.id_historial,
+          h.etapa_anterior,
+          h.etapa_nueva,
+          h.horas,
+          h.notas,
+          h.id_usuario,
+          u.nombre_usuario,
+          h.fecha_registro
+        FROM Historial_Ordenes_Trabajo h
+        INNER JOIN Usuarios u ON h.id_usuario = u.id_usuario
+        WHERE h.id_orden = ?
+        ORDER BY h.fecha_registro ASC, h.id_historial ASC
+      `;
+
+      const historial = await ejecutarQuery(queryHistorial, [idOrden]);
+
+      return { ...filas[0], historial };
+    } catch (error) {
+      console.error('Error al buscar orden de trabajo por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene órdenes de trabajo con filtros y paginación
+   * @param {Object} filtros - etapa, estado, id_usuario_asignado e id_venta (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Órdenes y metadatos de paginación
+   */
+  static async obtenerTodas({ etapa = null, estado = null, id_usuario_asignado = null, id_venta = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (etapa) {
+        condiciones.push('ot.etapa = ?');
+        parametros.push(etapa);
+      }
+
+      if (estado) {
+        condiciones.push('ot.estado = ?');
+        parametros.push(estado);
+      }
+
+      if (id_usuario_asignado) {
+        condiciones.push('ot.id_usuario_asignado = ?');
+        parametros.push(id_usuario_asignado);
+      }
+
+      if (id_venta) {
+        condiciones.push('dv.id_venta = ?');
+        parametros.push(id_venta);
+      }
+
+      const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const query = `
+        SELECT ${COLUMNAS_ORDEN}
+        FROM Ordenes_Trabajo ot
+        ${JOINS_ORDEN}
+        ${where}
+        ORDER BY ot.fecha_creacion DESC, ot.id_orden DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `;
+
+      const ordenes = await ejecutarQuery(query, parametros);
+
+      const queryConteo = `
+        SELECT COUNT(*) as total
+        FROM Ordenes_Trabajo ot
+        INNER JOIN Detalles_Venta dv ON ot.id_detalle_venta = dv.id_detalle_venta
+        ${where}
+      `;
+
+      const resultadoConteo = await ejecutarQuery(queryConteo, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        ordenes,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener órdenes de trabajo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las órdenes activas agrupadas por etapa para el tablero del taller
+   * Las órdenes LISTO solo aparecen durante los días indicados tras terminarse
+   * @param {Object} filtros - Filtros del tablero
+   * @param {number} filtros.id_usuario_asignado - Solo las órdenes de un usuario (opcional)
+   * @param {number} filtros.dias_listas - Días que una orden terminada sigue en la columna LISTO
+   * @returns {Promise<Array>} - Una columna por etapa con sus órdenes y totales de horas
+   */
+  static async obtenerTablero({ id_usuario_asignado = null, dias_listas = 7 } = {}) {
+    try {
+      const parametros = [dias_listas];
+      let filtroAsignado = '';
+
+      if (id_usuario_asignado) {
+        filtroAsignado = 'AND ot.id_usuario_asignado = ?';
+        parametros.push(id_usuario_asignado);
+      }
+
+      const query = `
+        SELECT ${COLUMNAS_ORDEN}
+        FROM Ordenes_Trabajo ot
+        ${JOINS_ORDEN}
+        WHERE ot.estado = 'ACTIVA'
+          AND (ot.etapa <> 'LISTO' OR ot.fecha_finalizacion >= NOW() - INTERVAL ? DAY)
+          ${filtroAsignado}
+        ORDER BY ot.fecha_creacion ASC, ot.id_orden ASC
+      `;
+
+      const ordenes = await ejecutarQuery(query, parametros);
+      const sumar = (lista, campo) =>
+        Math.round(lista.reduce((total, orden) => total + Number(orden[campo]), 0) * 100) / 100;
+
+      return ETAPAS_ORDEN.map(etapa => {
+        const ordenesEtapa = ordenes.filter(orden => orden.etapa === etapa);
+
+        return {
+          etapa,
+          total_ordenes: ordenesEtapa.length,
+          horas_estimadas: sumar(ordenesEtapa, 'horas_estimadas'),
+          horas_reales: sumar(ordenesEtapa, 'horas_reales'),
+          ordenes: ordenesEtapa
+        };
+      });
+    } catch (error) {
+      console.error('Error al obtener tablero de órdenes de trabajo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualiza la asignación, las horas estimadas y las notas de una orden
+   * @param {number} idOrden - ID de la orden
+   * @param {Object} datosOrden - Datos completos a guardar
+   * @returns {Promise<boolean>} - True si se actualizó
+   */
+  static async actualizar(idOrden, { id_usuario_asignado, horas_estimadas, notas }) {
+    try {
+      const query = `
+        UPDATE Ordenes_Trabajo
+        SET id_usuario_asignado = ?, horas_estimadas = ?, notas = ?
+        WHERE id_orden = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [id_usuario_asignado, horas_estimadas, notas, idOrden]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al actualizar orden de trabajo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra un avance: cambio de etapa y/o horas trabajadas
+   * Las horas se suman a las horas reales; una orden puede volver a una etapa anterior
+   * (p. ej. si no pasa el control de calidad)
+   * @param {number} idOrden - ID de la orden
+   * @param {Object} datosAvance - Datos del avance
+   * @param {string} datosAvance.etapa - Nueva etapa (opcional, por defecto se mantiene)
+   * @param {number} datosAvance.horas - Horas trabajadas desde el último registro
+   * @param {string} datosAvance.notas - Notas (opcional)
+   * @param {number} datosAvance.id_usuario - Usuario que registra
+   * @returns {Promise<boolean>} - False si la orden no existe
+   */
+  static async registrarAvance(idOrden, { etapa = null, horas = 0, notas = null, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [ordenes] = await connection.execute(
+        'SELECT etapa, estado FROM Ordenes_Trabajo WHERE id_orden = ? FOR UPDATE',
+        [idOrden]
+      );
+
+      if (!ordenes.length) {
+        await connection.rollback();
+        return false;
+      }
+
+      if (ordenes[0].estado === 'CANCELADA') {
+        throw new Error('No se pueden registrar avances en una orden de trabajo cancelada');
+      }
+
+      const etapaAnterior = ordenes[0].etapa;
+      const etapaNueva = etapa || etapaAnterior;
+
+      // fecha_finalizacion va primero: MySQL asigna de izquierda a derecha y debe ver la etapa anterior
+      await connection.execute(`
+        UPDATE Ordenes_Trabajo
+        SET fecha_finalizacion = CASE
+              WHEN ? <> 'LISTO' THEN NULL
+              WHEN etapa = 'LISTO' THEN fecha_finalizacion
+              ELSE NOW()
+            END,
+            etapa = ?,
+            horas_reales = horas_reales + ?
+        WHERE id_orden = ?
+      `, [etapaNueva, etapaNueva, horas, idOrden]);
+
+      await connection.execute(`
+        INSERT INTO Historial_Ordenes_Trabajo (id_orden, etapa_anterior, etapa_nueva, horas, notas, id_usuario)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [idOrden, etapaAnterior, etapaNueva, horas, notas, id_usuario]);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al registrar avance de orden de trabajo:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Cancela las órdenes activas de una venta, dentro de la transacción que cancela la venta
+   * @param {Object} connection - Conexión con la transacción abierta
+   * @param {number} idVenta - ID de la venta cancelada
+   * @returns {Promise<void>}
+   */
+  static async cancelarPorVenta(connection, idVenta) {
+    await connection.execute(`
+      UPDATE Ordenes_Trabajo ot
+      INNER JOIN Detalles_Venta dv ON ot.id_detalle_venta = dv.id_detalle_venta
+      SET ot.estado = 'CANCELADA'
+      WHERE dv.id_venta = ? AND ot.estado = 'ACTIVA'
+    `, [idVenta]);
+  }
+}
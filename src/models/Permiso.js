@@ -4,6 +4,8 @@
  */
 
 import { ejecutarQuery } from "../utils/db.js";
+import { Rol } from "./Rol.js";
+import { UsuarioRol } from "./UsuarioRol.js";
 
 export class Permiso {
   
@@ -136,28 +138,174 @@ export class Permiso {
 
   /**
    * Verifica si un usuario tiene un permiso específico
+   * Considera todos los roles activos del usuario, los permisos heredados de los roles padre, los comodines
+   * ('productos:*', 'leer_*') y el permiso universal '*'
    * @param {number} idUsuario - ID del usuario
    * @param {string} nombrePermiso - Nombre del permiso a verificar
    * @returns {Promise<boolean>} - True si el usuario tiene el permiso
    */
   static async usuarioTienePermiso(idUsuario, nombrePermiso) {
+    try {
+      const permisos = (await this.obtenerPermisosEfectivosUsuario(idUsuario))
+        .map(permiso => permiso.nombre_permiso);
+
+      return permisos.includes('*') || permisos.includes(nombrePermiso);
+    } catch (error) {
+      console.error('Error al verificar permiso del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los permisos efectivos de un usuario activo: la unión de los permisos
+   * de su rol principal y de los roles adicionales vigentes
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Array>} - Permisos efectivos (ver obtenerPermisosEfectivosRol)
+   */
+  static async obtenerPermisosEfectivosUsuario(idUsuario) {
     try {
       const query = `
         SELECT COUNT(*) as total
-        FROM Usuarios u
-        INNER JOIN Roles r ON u.id_rol = r.id_rol
-        INNER JOIN Roles_Permisos rp ON r.id_rol = rp.id_rol
+        FROM Usuarios
+        WHERE id_usuario = ? AND estado = 'ACTIVO'
+      `;
+
+      const resultado = await ejecutarQuery(query, [idUsuario]);
+      if (resultado[0].total === 0) {
+        return [];
+      }
+
+      const efectivos = new Map();
+      for (const rol of await UsuarioRol.obtenerRolesActivos(idUsuario)) {
+        for (const permiso of await this.obtenerPermisosEfectivosRol(rol.id_rol)) {
+          if (!efectivos.has(permiso.id_permiso)) {
+            efectivos.set(permiso.id_permiso, permiso);
+          }
+        }
+      }
+
+      return [...efectivos.values()];
+    } catch (error) {
+      console.error('Error al obtener permisos efectivos del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los permisos efectivos de un rol: los asignados directamente, los heredados
+   * de sus roles padre y los que conceden los comodines de ambos
+   * Si un permiso llega por varias vías se conserva la del rol más cercano
+   * @param {number} idRol - ID del rol
+   * @returns {Promise<Array>} - Permisos con origen ('DIRECTO' o 'HEREDADO'), rol de origen
+   *   y el comodín que los concede (concedido_por, null si están asignados)
+   */
+  static async obtenerPermisosEfectivosRol(idRol) {
+    try {
+      const jerarquia = await Rol.obtenerJerarquia(idRol);
+      if (jerarquia.length === 0) {
+        return [];
+      }
+
+      const query = `
+        SELECT 
+          rp.id_rol,
+          p.id_permiso,
+          p.nombre_permiso,
+          p.descripcion,
+          p.modulo
+        FROM Roles_Permisos rp
         INNER JOIN Permisos p ON rp.id_permiso = p.id_permiso
-        WHERE u.id_usuario = ? 
-          AND p.nombre_permiso = ? 
-          AND u.estado = 'ACTIVO'
+        WHERE rp.id_rol IN (${jerarquia.map(() => '?').join(', ')})
+        ORDER BY p.modulo, p.nombre_permiso
       `;
-      
-      const resultado = await ejecutarQuery(query, [idUsuario, nombrePermiso]);
-      return resultado[0].total > 0;
+
+      const filas = await ejecutarQuery(query, jerarquia.map(rol => rol.id_rol));
+
+      // Ordenar por cercanía del rol para que el rol más cercano prevalezca
+      const asignados = [];
+      for (const rol of jerarquia) {
+        for (const fila of filas.filter(f => f.id_rol === rol.id_rol)) {
+          asignados.push({
+            id_permiso: fila.id_permiso,
+            nombre_permiso: fila.nombre_permiso,
+            descripcion: fila.descripcion,
+            modulo: fila.modulo,
+            origen: rol.nivel === 0 ? 'DIRECTO' : 'HEREDADO',
+            id_rol_origen: rol.id_rol,
+            nombre_rol_origen: rol.nombre_rol,
+            concedido_por: null
+          });
+        }
+      }
+
+      const efectivos = new Map();
+      for (const permiso of asignados) {
+        if (!efectivos.has(permiso.id_permiso)) {
+          efectivos.set(permiso.id_permiso, permiso);
+        }
+      }
+
+      const comodines = asignados.filter(permiso => this.esComodin(permiso.nombre_permiso));
+      if (comodines.length > 0) {
+        const todos = await this.obtenerLista();
+
+        for (const comodin of comodines) {
+          for (const permiso of todos) {
+            if (efectivos.has(permiso.id_permiso) || !this.coincideConPatron(comodin.nombre_permiso, permiso)) {
+              continue;
+            }
+
+            efectivos.set(permiso.id_permiso, {
+              ...permiso,
+              origen: comodin.origen,
+              id_rol_origen: comodin.id_rol_origen,
+              nombre_rol_origen: comodin.nombre_rol_origen,
+              concedido_por: comodin.nombre_permiso
+            });
+          }
+        }
+      }
+
+      return [...efectivos.values()];
     } catch (error) {
-      console.error('Error al verificar permiso del usuario:', error);
+      console.error('Error al obtener permisos efectivos del rol:', error);
       throw error;
     }
   }
+
+  /**
+   * Indica si un nombre de permiso es un comodín (distinto del permiso universal '*')
+   * @param {string} nombrePermiso - Nombre del permiso
+   * @returns {boolean} - True si es un comodín
+   */
+  static esComodin(nombrePermiso) {
+    return nombrePermiso !== '*' && nombrePermiso.includes('*');
+  }
+
+  /**
+   * Comprueba si un permiso concreto coincide con un comodín
+   * - '<modulo>:*' coincide con todos los permisos de ese módulo (sin distinguir
+   *   mayúsculas y con los espacios como '_', p. ej. 'api_keys:*' para 'API Keys')
+   * - Cualquier otro patrón compara el nombre, con '*' como cualquier secuencia (p. ej. 'leer_*')
+   * @param {string} patron - Comodín
+   * @param {Object} permiso - Permiso con nombre_permiso y modulo
+   * @returns {boolean} - True si el permiso queda cubierto por el comodín
+   */
+  static coincideConPatron(patron, permiso) {
+    if (this.esComodin(permiso.nombre_permiso) || permiso.nombre_permiso === '*') {
+      return false;
+    }
+
+    if (patron.endsWith(':*')) {
+      const modulo = permiso.modulo.toLowerCase().replace(/\s+/g, '_');
+      return modulo === patron.slice(0, -2).toLowerCase();
+    }
+
+    const expresion = patron
+      .split('*')
+      .map(parte => parte.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${expresion}$`).test(permiso.nombre_permiso);
+  }
 }
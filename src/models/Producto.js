@@ -3,7 +3,10 @@
  * Maneja operaciones CRUD y validaciones relacionadas con productos
  */
 
-import { ejecutarQuery } from "../utils/db.js";
+import db, { ejecutarQuery } from "../utils/db.js";
+import { MovimientoStock } from "./MovimientoStock.js";
+import { STOCK_RESERVADO_SQL } from "./ReservaStock.js";
+import { STOCK_UBICACION_SQL } from "./Ubicacion.js";
 
 export class Producto {
   
@@ -76,6 +79,7 @@ export class Producto {
 
   /**
    * Crea un nuevo producto en la base de datos
+   * El stock inicial se registra como una ENTRADA en los movimientos de stock
    * @param {Object} datosProducto - Datos del producto
    * @param {string} datosProducto.nombre_producto - Nombre del producto
    * @param {string} datosProducto.descripcion - Descripción del producto (opcional)
@@ -84,6 +88,7 @@ export class Producto {
    * @param {number} datosProducto.id_categoria - ID de la categoría
    * @param {number} datosProducto.id_proveedor - ID del proveedor (opcional)
    * @param {string} datosProducto.estado - Estado del producto (opcional, por defecto 'DISPONIBLE')
+   * @param {number} datosProducto.id_usuario - Usuario que crea el producto (opcional, para el movimiento de stock)
    * @returns {Promise<number>} - ID del producto creado
    */
   static async crear({ 
@@ -93,9 +98,14 @@ export class Producto {
     stock = 0,
     id_categoria,
     id_proveedor = null,
-    estado = 'DISPONIBLE'
+    estado = 'DISPONIBLE',
+    id_usuario = null
   }) {
+    const connection = await db.getConnection();
+
     try {
+      await connection.beginTransaction();
+
       const query = `
         INSERT INTO Productos (
           nombre_producto, 
@@ -106,33 +116,50 @@ export class Producto {
           id_proveedor, 
           estado
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, 0, ?, ?, ?)
       `;
       
-      const resultado = await ejecutarQuery(query, [
+      const [resultado] = await connection.execute(query, [
         nombre_producto, 
         descripcion, 
         precio, 
-        stock, 
         id_categoria, 
         id_proveedor, 
         estado
       ]);
-      
+
+      if (stock > 0) {
+        await MovimientoStock.registrar(connection, {
+          id_producto: resultado.insertId,
+          tipo: 'ENTRADA',
+          cantidad: stock,
+          motivo: 'Stock inicial',
+          id_usuario
+        });
+      }
+
+      await connection.commit();
       return resultado.insertId;
     } catch (error) {
+      await connection.rollback();
       console.error('Error al crear producto:', error);
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
   /**
    * Actualiza la información de un producto
+   * Si el stock cambia, la diferencia se registra como un AJUSTE en los movimientos de stock
    * @param {number} id - ID del producto
    * @param {Object} datosActualizar - Datos a actualizar
+   * @param {number} idUsuario - Usuario que realiza el cambio (opcional, para el movimiento de stock)
    * @returns {Promise<boolean>} - True si se actualizó correctamente
    */
-  static async actualizar(id, datosActualizar) {
+  static async actualizar(id, datosActualizar, idUsuario = null) {
+    const connection = await db.getConnection();
+
     try {
       const { 
         nombre_producto, 
@@ -143,6 +170,8 @@ export class Producto {
         id_proveedor,
         estado
       } = datosActualizar;
+
+      await connection.beginTransaction();
       
       const query = `
         UPDATE Productos 
@@ -150,28 +179,39 @@ export class Producto {
           nombre_producto = ?, 
           descripcion = ?, 
           precio = ?, 
-          stock = ?,
           id_categoria = ?,
           id_proveedor = ?,
           estado = ?
         WHERE id_producto = ?
       `;
       
-      const resultado = await ejecutarQuery(query, [
+      const [resultado] = await connection.execute(query, [
         nombre_producto, 
         descripcion, 
         precio, 
-        stock,
         id_categoria,
         id_proveedor,
         estado,
         id
       ]);
-      
+
+      if (resultado.affectedRows > 0 && stock !== undefined) {
+        await MovimientoStock.ajustarA(connection, {
+          id_producto: id,
+          stock,
+          motivo: 'Actualización del producto',
+          id_usuario: idUsuario
+        });
+      }
+
+      await connection.commit();
       return resultado.affectedRows > 0;
     } catch (error) {
+      await connection.rollback();
       console.error('Error al actualizar producto:', error);
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
@@ -206,6 +246,11 @@ export class Producto {
         throw new Error('No se puede eliminar el producto porque tiene ventas asociadas');
       }
 
+      // Los movimientos de stock no se borran: un producto con historial solo puede descontinuarse
+      if (await MovimientoStock.tieneMovimientos({ id_producto: id })) {
+        throw new Error('No se puede eliminar el producto porque tiene movimientos de stock, márcalo como DESCONTINUADO');
+      }
+
       // Eliminar imágenes del producto primero
       const queryImagenes = `
         DELETE FROM Imagenes_Producto 
@@ -213,6 +258,20 @@ export class Producto {
       `;
       await ejecutarQuery(queryImagenes, [id]);
 
+      // Eliminar variantes del producto (sus imágenes ya se eliminaron con las del producto)
+      const queryVariantes = `
+        DELETE FROM Variantes_Producto 
+        WHERE id_producto = ?
+      `;
+      await ejecutarQuery(queryVariantes, [id]);
+
+      // Eliminar la lista de materiales del producto
+      const queryMateriales = `
+        DELETE FROM Materiales_Producto 
+        WHERE id_producto = ?
+      `;
+      await ejecutarQuery(queryMateriales, [id]);
+
       // Eliminar reseñas del producto
       const queryReseñas = `
         DELETE FROM Reseñas 
@@ -242,9 +301,10 @@ export class Producto {
    * @param {number} categoria - Filtro por categoría (opcional)
    * @param {number} proveedor - Filtro por proveedor (opcional)
    * @param {string} estado - Filtro por estado (opcional)
+   * @param {number} idUbicacion - Incluir el stock en esta ubicación como stock_ubicacion (opcional)
    * @returns {Promise<Object>} - Productos y metadatos de paginación
    */
-  static async obtenerTodos(pagina = 1, limite = 10, busqueda = '', categoria = null, proveedor = null, estado = null) {
+  static async obtenerTodos(pagina = 1, limite = 10, busqueda = '', categoria = null, proveedor = null, estado = null, idUbicacion = null) {
     try {
       const offset = (pagina - 1) * limite;
       
@@ -279,6 +339,9 @@ export class Producto {
           p.descripcion,
           p.precio,
           p.stock,
+          ${STOCK_RESERVADO_SQL} as stock_reservado,
+          GREATEST(p.stock - ${STOCK_RESERVADO_SQL}, 0) as stock_disponible,
+          ${idUbicacion ? `${STOCK_UBICACION_SQL} as stock_ubicacion,` : ''}
           p.estado,
           p.fecha_creacion,
           p.id_categoria,
@@ -295,7 +358,8 @@ export class Producto {
         LIMIT ${limite} OFFSET ${offset}
       `;
       
-      const productos = await ejecutarQuery(query, parametros);
+      // El parámetro de la ubicación va primero: su subconsulta está en el SELECT
+      const productos = await ejecutarQuery(query, idUbicacion ? [idUbicacion, ...parametros] : parametros);
       
       // Consulta para contar total de registros
       const queryConteo = `
@@ -325,53 +389,72 @@ export class Producto {
   }
 
   /**
-   * Actualiza el stock de un producto
+   * Actualiza el stock de un producto a partir de un recuento, registrando un AJUSTE por la diferencia
    * @param {number} id - ID del producto
    * @param {number} nuevoStock - Nuevo stock
-   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   * @param {Object} opciones - id_ubicacion (el recuento es el de esa ubicación), motivo, referencia e id_usuario del ajuste (opcionales)
+   * @returns {Promise<boolean>} - True si el producto existe
    */
-  static async actualizarStock(id, nuevoStock) {
+  static async actualizarStock(id, nuevoStock, { id_ubicacion = null, motivo = 'Ajuste manual de stock', referencia = null, id_usuario = null } = {}) {
+    const connection = await db.getConnection();
+
     try {
-      const query = `
-        UPDATE Productos 
-        SET stock = ?,
-            estado = CASE 
-              WHEN ? <= 0 THEN 'AGOTADO'
-              ELSE 'DISPONIBLE'
-            END
-        WHERE id_producto = ?
-      `;
-      
-      const resultado = await ejecutarQuery(query, [nuevoStock, nuevoStock, id]);
-      return resultado.affectedRows > 0;
+      await connection.beginTransaction();
+
+      await MovimientoStock.ajustarA(connection, {
+        id_producto: id,
+        id_ubicacion,
+        stock: nuevoStock,
+        motivo,
+        referencia,
+        id_usuario
+      });
+
+      await connection.commit();
+      return true;
     } catch (error) {
+      await connection.rollback();
+
+      if (error.message === 'Producto no encontrado') {
+        return false;
+      }
+
       console.error('Error al actualizar stock:', error);
       throw error;
+    } finally {
+      connection.release();
     }
   }
 
   /**
    * Obtiene productos con stock bajo
+   * Sin ubicación se compara el stock total; con ubicación, el stock en esa ubicación
    * @param {number} limite - Límite de stock considerado bajo (por defecto 10)
+   * @param {number} idUbicacion - ID de la ubicación (opcional)
    * @returns {Promise<Array>} - Productos con stock bajo
    */
-  static async obtenerStockBajo(limite = 10) {
+  static async obtenerStockBajo(limite = 10, idUbicacion = null) {
     try {
+      const stock = idUbicacion ? 'COALESCE(su.stock, 0)' : 'p.stock';
+
       const query = `
         SELECT 
           p.id_producto,
           p.nombre_producto,
           p.stock,
+          ${idUbicacion ? `${stock} as stock_ubicacion,` : ''}
           c.nombre_categoria,
           pr.nombre_proveedor
         FROM Productos p
         LEFT JOIN Categorias c ON p.id_categoria = c.id_categoria
         LEFT JOIN Proveedores pr ON p.id_proveedor = pr.id_proveedor
-        WHERE p.stock <= ? AND p.estado != 'DESCONTINUADO'
-        ORDER BY p.stock ASC
+        ${idUbicacion ? `LEFT JOIN Stock_Ubicacion su ON su.id_producto = p.id_producto
+          AND su.id_variante IS NULL AND su.id_ubicacion = ?` : ''}
+        WHERE ${stock} <= ? AND p.estado != 'DESCONTINUADO'
+        ORDER BY ${stock} ASC
       `;
       
-      return await ejecutarQuery(query, [limite]);
+      return await ejecutarQuery(query, idUbicacion ? [idUbicacion, limite] : [limite]);
     } catch (error) {
       console.error('Error al obtener productos con stock bajo:', error);
       throw error;
@@ -384,9 +467,10 @@ export class Producto {
    * @param {number} categoria - Filtro por categoría (opcional)
    * @param {number} proveedor - Filtro por proveedor (opcional)
    * @param {string} estado - Filtro por estado (opcional)
+   * @param {number} idUbicacion - Incluir el stock en esta ubicación como stock_ubicacion (opcional)
    * @returns {Promise<Array>} - Lista de todos los productos
    */
-  static async obtenerTodosSinPaginacion(busqueda = '', categoria = null, proveedor = null, estado = null) {
+  static async obtenerTodosSinPaginacion(busqueda = '', categoria = null, proveedor = null, estado = null, idUbicacion = null) {
     try {
       let whereClause = "";
       const parametros = [];
@@ -428,6 +512,9 @@ export class Producto {
           p.descripcion,
           p.precio,
           p.stock,
+          ${STOCK_RESERVADO_SQL} as stock_reservado,
+          GREATEST(p.stock - ${STOCK_RESERVADO_SQL}, 0) as stock_disponible,
+          ${idUbicacion ? `${STOCK_UBICACION_SQL} as stock_ubicacion,` : ''}
           p.estado,
           p.fecha_creacion,
           c.id_categoria,
@@ -441,7 +528,7 @@ export class Producto {
         ORDER BY p.nombre_producto ASC
       `;
 
-      return await ejecutarQuery(query, parametros);
+      return await ejecutarQuery(query, idUbicacion ? [idUbicacion, ...parametros] : parametros);
     } catch (error) {
       console.error('Error al obtener todos los productos:', error);
       throw error;
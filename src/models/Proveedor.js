@@ -183,6 +183,28 @@ export class Proveedor {
         throw new Error('No se puede eliminar el proveedor porque tiene productos asociados');
       }
 
+      // Verificar si el proveedor tiene materiales o recepciones de materiales asociados
+      const queryMateriales = `
+        SELECT
+          (SELECT COUNT(*) FROM Materiales WHERE id_proveedor = ?) +
+          (SELECT COUNT(*) FROM Movimientos_Material WHERE id_proveedor = ?) as total
+      `;
+      
+      const resultadoMateriales = await ejecutarQuery(queryMateriales, [id, id]);
+      if (resultadoMateriales[0].total > 0) {
+        throw new Error('No se puede eliminar el proveedor porque tiene materiales asociados');
+      }
+
+      // Verificar si el proveedor tiene órdenes de compra
+      const resultadoOrdenes = await ejecutarQuery(`
+        SELECT COUNT(*) as total
+        FROM Ordenes_Compra
+        WHERE id_proveedor = ?
+      `, [id]);
+      if (resultadoOrdenes[0].total > 0) {
+        throw new Error('No se puede eliminar el proveedor porque tiene órdenes de compra asociadas');
+      }
+
       const query = `
         DELETE FROM Proveedores 
         WHERE id_proveedor = ?
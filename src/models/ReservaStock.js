@@ -0,0 +1,267 @@
+/**
+ * Modelo de Reservas de Stock
+ * Al iniciar el pago, las cantidades del carrito quedan reservadas durante un tiempo (STOCK_RESERVATION_TTL)
+ * para que otros compradores no puedan comprarlas. Las reservas vencidas dejan de contar en cuanto
+ * expiran y se marcan como EXPIRADA en la siguiente limpieza. Una reserva puede indicar la ubicación desde
+ * la que se surtirá el pedido; entonces también descuenta el stock de esa ubicación
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+import { MovimientoStock } from "./MovimientoStock.js";
+import { Ubicacion } from "./Ubicacion.js";
+
+/**
+ * Condición SQL de una reserva vigente (requiere el alias rs)
+ */
+const RESERVA_VIGENTE_SQL = "rs.estado = 'ACTIVA' AND rs.fecha_expiracion > NOW()";
+
+/**
+ * Unidades reservadas del stock propio de un producto (requiere el alias p)
+ */
+export const STOCK_RESERVADO_SQL = `(
+  SELECT CAST(COALESCE(SUM(rs.cantidad), 0) AS SIGNED)
+  FROM Reservas_Stock rs
+  WHERE rs.id_producto = p.id_producto AND rs.id_variante IS NULL AND ${RESERVA_VIGENTE_SQL}
+)`;
+
+export class ReservaStock {
+
+  /**
+   * Reserva las cantidades del carrito del usuario, reemplazando su reserva anterior
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idUbicacion - Ubicación desde la que se surtirá el pedido (opcional)
+   * @returns {Promise<Object>} - Reserva vigente (ver obtenerReservaActiva)
+   */
+  static async reservarCarrito(idUsuario, idUbicacion = null) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await this.liberarExpiradas(connection);
+
+      await connection.execute(
+        "UPDATE Reservas_Stock SET estado = 'LIBERADA' WHERE id_usuario = ? AND estado = 'ACTIVA'",
+        [idUsuario]
+      );
+
+      const [lineas] = await connection.execute(`
+        SELECT
+          pc.id_producto,
+          pc.id_variante,
+          pc.cantidad,
+          CASE WHEN v.id_variante IS NULL THEN p.nombre_producto
+            ELSE CONCAT(p.nombre_producto, ' (', v.sku, ')')
+          END as nombre_producto
+        FROM Carritos c
+        INNER JOIN Productos_Carrito pc ON pc.id_carrito = c.id_carrito
+        INNER JOIN Productos p ON pc.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON pc.id_variante = v.id_variante
+        WHERE c.id_usuario = ? AND p.estado = 'DISPONIBLE'
+          AND (v.id_variante IS NULL OR v.estado = 'DISPONIBLE')
+      `, [idUsuario]);
+
+      if (!lineas.length) {
+        throw new Error('El carrito está vacío o no contiene productos disponibles');
+      }
+
+      if (idUbicacion) {
+        await Ubicacion.validarActiva(connection, idUbicacion);
+      }
+
+      await this.validarDisponibilidad(connection, lineas, idUsuario, idUbicacion);
+
+      const segundos = parseInt(process.env.STOCK_RESERVATION_TTL) || 900;
+
+      for (const linea of lineas) {
+        await connection.execute(`
+          INSERT INTO Reservas_Stock (id_usuario, id_producto, id_variante, id_ubicacion, cantidad, fecha_expiracion)
+          VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+        `, [idUsuario, linea.id_producto, linea.id_variante, idUbicacion, linea.cantidad, segundos]);
+      }
+
+      await connection.commit();
+      return await this.obtenerReservaActiva(idUsuario);
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al reservar stock del carrito:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Bloquea el stock de las líneas y comprueba que alcance descontando lo reservado por otros usuarios
+   * Las filas se bloquean ordenadas por producto y variante para que dos pagos simultáneos
+   * no se esperen mutuamente
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {Array} lineas - [{ id_producto, id_variante, cantidad, nombre_producto }]
+   * @param {number} idUsuario - Usuario que compra (sus propias reservas no restan)
+   * @param {number} idUbicacion - Ubicación desde la que se surte (opcional, también debe alcanzar en ella)
+   */
+  static async validarDisponibilidad(connection, lineas, idUsuario, idUbicacion = null) {
+    const ordenadas = [...lineas].sort((a, b) =>
+      a.id_producto - b.id_producto || (a.id_variante || 0) - (b.id_variante || 0));
+
+    for (const linea of ordenadas) {
+      const { stock } = await MovimientoStock.bloquearStock(connection, linea.id_producto, linea.id_variante);
+      const reservado = await this.obtenerReservadoPorOtros(linea, idUsuario, connection);
+      const disponible = Math.max(stock - reservado, 0);
+
+      if (linea.cantidad > disponible) {
+        throw new Error(`Stock insuficiente para ${linea.nombre_producto}. Disponible: ${disponible}, Solicitado: ${linea.cantidad}`);
+      }
+
+      if (idUbicacion) {
+        const ubicacion = await MovimientoStock.obtenerStockUbicacion(connection, idUbicacion, linea.id_producto, linea.id_variante);
+        const reservadoUbicacion = await this.obtenerReservadoPorOtros(linea, idUsuario, connection, idUbicacion);
+        const disponibleUbicacion = Math.max(ubicacion.stock - reservadoUbicacion, 0);
+
+        if (linea.cantidad > disponibleUbicacion) {
+          throw new Error(`Stock insuficiente para ${linea.nombre_producto} en ${ubicacion.nombre}. Disponible: ${disponibleUbicacion}, Solicitado: ${linea.cantidad}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Obtiene las unidades de un producto o variante reservadas por otros usuarios
+   * @param {Object} linea - { id_producto, id_variante }
+   * @param {number} idUsuario - Usuario cuyas reservas no se cuentan (opcional)
+   * @param {Object} connection - Conexión con la transacción activa (opcional)
+   * @param {number} idUbicacion - Contar solo las reservas que se surtirán desde esta ubicación (opcional)
+   * @returns {Promise<number>} - Unidades reservadas
+   */
+  static async obtenerReservadoPorOtros({ id_producto, id_variante = null }, idUsuario = null, connection = null, idUbicacion = null) {
+    const query = `
+      SELECT COALESCE(SUM(rs.cantidad), 0) as reservado
+      FROM Reservas_Stock rs
+      WHERE ${id_variante ? 'rs.id_variante = ?' : 'rs.id_producto = ? AND rs.id_variante IS NULL'}
+        AND ${RESERVA_VIGENTE_SQL}
+        AND NOT (rs.id_usuario <=> ?)
+        ${idUbicacion ? 'AND rs.id_ubicacion = ?' : ''}
+    `;
+    const parametros = idUbicacion
+      ? [id_variante || id_producto, idUsuario, idUbicacion]
+      : [id_variante || id_producto, idUsuario];
+
+    const filas = connection
+      ? (await connection.execute(query, parametros))[0]
+      : await ejecutarQuery(query, parametros);
+
+    return Number(filas[0].reservado);
+  }
+
+  /**
+   * Obtiene la reserva vigente del usuario
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Object|null>} - { id_ubicacion, ubicacion, fecha_expiracion, segundos_restantes, lineas } o null si no tiene
+   */
+  static async obtenerReservaActiva(idUsuario) {
+    try {
+      const lineas = await ejecutarQuery(`
+        SELECT
+          rs.id_producto,
+          rs.id_variante,
+          CASE WHEN v.id_variante IS NULL THEN p.nombre_producto
+            ELSE CONCAT(p.nombre_producto, ' (', v.sku, ')')
+          END as nombre_producto,
+          rs.cantidad,
+          rs.id_ubicacion,
+          u.nombre as ubicacion,
+          rs.fecha_expiracion,
+          TIMESTAMPDIFF(SECOND, NOW(), rs.fecha_expiracion) as segundos_restantes
+        FROM Reservas_Stock rs
+        INNER JOIN Productos p ON rs.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON rs.id_variante = v.id_variante
+        LEFT JOIN Ubicaciones u ON rs.id_ubicacion = u.id_ubicacion
+        WHERE rs.id_usuario = ? AND ${RESERVA_VIGENTE_SQL}
+        ORDER BY rs.id_reserva ASC
+      `, [idUsuario]);
+
+      if (!lineas.length) {
+        return null;
+      }
+
+      return {
+        id_ubicacion: lineas[0].id_ubicacion,
+        ubicacion: lineas[0].ubicacion,
+        fecha_expiracion: lineas[0].fecha_expiracion,
+        segundos_restantes: Math.max(Number(lineas[0].segundos_restantes), 0),
+        lineas: lineas.map(({ id_producto, id_variante, nombre_producto, cantidad }) => ({
+          id_producto, id_variante, nombre_producto, cantidad
+        }))
+      };
+    } catch (error) {
+      console.error('Error al obtener reserva de stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la ubicación elegida en la reserva vigente del usuario
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<number|null>} - ID de la ubicación o null si la reserva no indica ubicación
+   */
+  static async obtenerUbicacionReserva(connection, idUsuario) {
+    const [filas] = await connection.execute(`
+      SELECT rs.id_ubicacion
+      FROM Reservas_Stock rs
+      WHERE rs.id_usuario = ? AND ${RESERVA_VIGENTE_SQL} AND rs.id_ubicacion IS NOT NULL
+      LIMIT 1
+    `, [idUsuario]);
+
+    return filas.length ? filas[0].id_ubicacion : null;
+  }
+
+  /**
+   * Libera la reserva vigente del usuario (p. ej. si abandona el pago)
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<boolean>} - True si tenía una reserva vigente
+   */
+  static async liberarReserva(idUsuario) {
+    try {
+      const resultado = await ejecutarQuery(
+        "UPDATE Reservas_Stock SET estado = 'LIBERADA' WHERE id_usuario = ? AND estado = 'ACTIVA' AND fecha_expiracion > NOW()",
+        [idUsuario]
+      );
+
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al liberar reserva de stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca como confirmadas las reservas del usuario al completar su compra
+   * Debe llamarse dentro de la transacción de la venta
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idVenta - Venta que consume la reserva
+   */
+  static async confirmarReserva(connection, idUsuario, idVenta) {
+    await connection.execute(
+      "UPDATE Reservas_Stock SET estado = 'CONFIRMADA', id_venta = ? WHERE id_usuario = ? AND estado = 'ACTIVA'",
+      [idVenta, idUsuario]
+    );
+  }
+
+  /**
+   * Marca como expiradas las reservas activas cuyo tiempo ya terminó
+   * Las reservas vencidas ya no restan stock; esta limpieza solo actualiza su estado
+   * @param {Object} connection - Conexión con la transacción activa (opcional)
+   * @returns {Promise<number>} - Reservas marcadas
+   */
+  static async liberarExpiradas(connection = null) {
+    const query = "UPDATE Reservas_Stock SET estado = 'EXPIRADA' WHERE estado = 'ACTIVA' AND fecha_expiracion <= NOW()";
+
+    const resultado = connection
+      ? (await connection.execute(query))[0]
+      : await ejecutarQuery(query);
+
+    return resultado.affectedRows;
+  }
+}
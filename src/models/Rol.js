@@ -4,6 +4,12 @@
  */
 
 import { ejecutarQuery } from "../utils/db.js";
+import { invalidarRol } from "../utils/cachePermisos.js";
+
+/**
+ * Número máximo de niveles que se recorren al resolver la herencia de roles
+ */
+const PROFUNDIDAD_MAXIMA_HERENCIA = 10;
 
 export class Rol {
   
@@ -15,12 +21,16 @@ export class Rol {
     try {
       const query = `
         SELECT 
-          id_rol,
-          nombre_rol,
-          descripcion,
-          fecha_creacion
-        FROM Roles
-        ORDER BY nombre_rol
+          r.id_rol,
+          r.nombre_rol,
+          r.descripcion,
+          r.requiere_2fa,
+          r.id_rol_padre,
+          padre.nombre_rol as nombre_rol_padre,
+          r.fecha_creacion
+        FROM Roles r
+        LEFT JOIN Roles padre ON r.id_rol_padre = padre.id_rol
+        ORDER BY r.nombre_rol
       `;
       
       return await ejecutarQuery(query);
@@ -39,12 +49,16 @@ export class Rol {
     try {
       const query = `
         SELECT 
-          id_rol,
-          nombre_rol,
-          descripcion,
-          fecha_creacion
-        FROM Roles
-        WHERE id_rol = ?
+          r.id_rol,
+          r.nombre_rol,
+          r.descripcion,
+          r.requiere_2fa,
+          r.id_rol_padre,
+          padre.nombre_rol as nombre_rol_padre,
+          r.fecha_creacion
+        FROM Roles r
+        LEFT JOIN Roles padre ON r.id_rol_padre = padre.id_rol
+        WHERE r.id_rol = ?
       `;
       
       const filas = await ejecutarQuery(query, [id]);
@@ -64,12 +78,16 @@ export class Rol {
     try {
       const query = `
         SELECT 
-          id_rol,
-          nombre_rol,
-          descripcion,
-          fecha_creacion
-        FROM Roles
-        WHERE nombre_rol = ?
+          r.id_rol,
+          r.nombre_rol,
+          r.descripcion,
+          r.requiere_2fa,
+          r.id_rol_padre,
+          padre.nombre_rol as nombre_rol_padre,
+          r.fecha_creacion
+        FROM Roles r
+        LEFT JOIN Roles padre ON r.id_rol_padre = padre.id_rol
+        WHERE r.nombre_rol = ?
       `;
       
       const filas = await ejecutarQuery(query, [nombreRol]);
@@ -85,9 +103,11 @@ export class Rol {
    * @param {Object} datosRol - Datos del rol
    * @param {string} datosRol.nombre_rol - Nombre del rol
    * @param {string} datosRol.descripcion - Descripción del rol
+   * @param {boolean} datosRol.requiere_2fa - Si los usuarios del rol deben usar verificación en dos pasos
+   * @param {number} datosRol.id_rol_padre - Rol del que hereda los permisos (opcional)
    * @returns {Promise<number>} - ID del rol creado
    */
-  static async crear({ nombre_rol, descripcion }) {
+  static async crear({ nombre_rol, descripcion, requiere_2fa = false, id_rol_padre = null }) {
     try {
       // Verificar si el nombre del rol ya existe
       const rolExistente = await this.buscarPorNombre(nombre_rol);
@@ -95,12 +115,16 @@ export class Rol {
         throw new Error('Ya existe un rol con ese nombre');
       }
 
+      if (id_rol_padre !== null && !(await this.buscarPorId(id_rol_padre))) {
+        throw new Error('Rol padre no encontrado');
+      }
+
       const query = `
-        INSERT INTO Roles (nombre_rol, descripcion)
-        VALUES (?, ?)
+        INSERT INTO Roles (nombre_rol, descripcion, requiere_2fa, id_rol_padre)
+        VALUES (?, ?, ?, ?)
       `;
       
-      const resultado = await ejecutarQuery(query, [nombre_rol, descripcion]);
+      const resultado = await ejecutarQuery(query, [nombre_rol, descripcion, requiere_2fa, id_rol_padre]);
       return resultado.insertId;
     } catch (error) {
       console.error('Error al crear rol:', error);
@@ -116,7 +140,7 @@ export class Rol {
    */
   static async actualizar(id, datosActualizar) {
     try {
-      const { nombre_rol, descripcion } = datosActualizar;
+      const { nombre_rol, descripcion, requiere_2fa = null } = datosActualizar;
       
       // Verificar si el nuevo nombre ya existe (excluyendo el rol actual)
       const query = `
@@ -131,11 +155,11 @@ export class Rol {
 
       const queryActualizar = `
         UPDATE Roles 
-        SET nombre_rol = ?, descripcion = ?
+        SET nombre_rol = ?, descripcion = ?, requiere_2fa = COALESCE(?, requiere_2fa)
         WHERE id_rol = ?
       `;
       
-      const resultado = await ejecutarQuery(queryActualizar, [nombre_rol, descripcion, id]);
+      const resultado = await ejecutarQuery(queryActualizar, [nombre_rol, descripcion, requiere_2fa, id]);
       return resultado.affectedRows > 0;
     } catch (error) {
       console.error('Error al actualizar rol:', error);
@@ -143,6 +167,79 @@ export class Rol {
     }
   }
 
+  /**
+   * Asigna o quita el rol padre del que se heredan permisos
+   * @param {number} id - ID del rol
+   * @param {number|null} idRolPadre - ID del rol padre o null para quitar la herencia
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async asignarPadre(id, idRolPadre) {
+    try {
+      if (idRolPadre !== null) {
+        if (idRolPadre === id) {
+          throw new Error('Un rol no puede heredar de sí mismo');
+        }
+
+        const jerarquiaPadre = await this.obtenerJerarquia(idRolPadre);
+        if (jerarquiaPadre.length === 0) {
+          throw new Error('Rol padre no encontrado');
+        }
+
+        if (jerarquiaPadre.some(rol => rol.id_rol === id)) {
+          throw new Error('La herencia de roles no puede formar ciclos');
+        }
+      }
+
+      const query = `
+        UPDATE Roles
+        SET id_rol_padre = ?
+        WHERE id_rol = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [idRolPadre, id]);
+      invalidarRol(id);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al asignar rol padre:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la cadena de herencia de un rol: el propio rol (nivel 0) y sus ancestros
+   * @param {number} idRol - ID del rol
+   * @returns {Promise<Array>} - Roles ordenados del más cercano al más lejano
+   */
+  static async obtenerJerarquia(idRol) {
+    try {
+      const query = `
+        WITH RECURSIVE jerarquia (id_rol, nivel) AS (
+          SELECT id_rol, 0
+          FROM Roles
+          WHERE id_rol = ?
+          UNION ALL
+          SELECT r.id_rol_padre, j.nivel + 1
+          FROM jerarquia j
+          INNER JOIN Roles r ON r.id_rol = j.id_rol
+          WHERE r.id_rol_padre IS NOT NULL AND j.nivel < ${PROFUNDIDAD_MAXIMA_HERENCIA}
+        )
+        SELECT 
+          j.id_rol,
+          r.nombre_rol,
+          MIN(j.nivel) as nivel
+        FROM jerarquia j
+        INNER JOIN Roles r ON r.id_rol = j.id_rol
+        GROUP BY j.id_rol, r.nombre_rol
+        ORDER BY nivel
+      `;
+
+      return await ejecutarQuery(query, [idRol]);
+    } catch (error) {
+      console.error('Error al obtener jerarquía del rol:', error);
+      throw error;
+    }
+  }
+
   /**
    * Elimina un rol (solo si no tiene usuarios asignados)
    * @param {number} id - ID del rol
@@ -150,20 +247,33 @@ export class Rol {
    */
   static async eliminar(id) {
     try {
-      // Verificar si el rol tiene usuarios asignados
+      // Verificar si el rol tiene usuarios asignados (como rol principal o adicional no vencido)
       const queryUsuarios = `
-        SELECT COUNT(*) as total
-        FROM Usuarios
-        WHERE id_rol = ?
+        SELECT
+          (SELECT COUNT(*) FROM Usuarios WHERE id_rol = ?) +
+          (SELECT COUNT(*) FROM Usuarios_Roles WHERE id_rol = ? AND (fecha_fin IS NULL OR fecha_fin > NOW())) as total
       `;
       
-      const resultadoUsuarios = await ejecutarQuery(queryUsuarios, [id]);
+      const resultadoUsuarios = await ejecutarQuery(queryUsuarios, [id, id]);
       const totalUsuarios = resultadoUsuarios[0].total;
       
       if (totalUsuarios > 0) {
         throw new Error('No se puede eliminar el rol porque tiene usuarios asignados');
       }
 
+      // Verificar si otros roles heredan de este
+      const queryHijos = `
+        SELECT COUNT(*) as total
+        FROM Roles
+        WHERE id_rol_padre = ?
+      `;
+
+      const resultadoHijos = await ejecutarQuery(queryHijos, [id]);
+
+      if (resultadoHijos[0].total > 0) {
+        throw new Error('No se puede eliminar el rol porque otros roles heredan de él');
+      }
+
       // Eliminar permisos del rol
       await this.eliminarTodosLosPermisos(id);
 
@@ -234,6 +344,7 @@ export class Rol {
       `;
       
       const resultado = await ejecutarQuery(query, [idRol, idPermiso]);
+      invalidarRol(idRol);
       return resultado.affectedRows > 0;
     } catch (error) {
       console.error('Error al asignar permiso al rol:', error);
@@ -255,6 +366,7 @@ export class Rol {
       `;
       
       const resultado = await ejecutarQuery(query, [idRol, idPermiso]);
+      invalidarRol(idRol);
       return resultado.affectedRows > 0;
     } catch (error) {
       console.error('Error al quitar permiso del rol:', error);
@@ -284,6 +396,7 @@ export class Rol {
         await ejecutarQuery(query);
       }
 
+      invalidarRol(idRol);
       return true;
     } catch (error) {
       console.error('Error al actualizar permisos del rol:', error);
@@ -304,6 +417,7 @@ export class Rol {
       `;
       
       await ejecutarQuery(query, [idRol]);
+      invalidarRol(idRol);
       return true;
     } catch (error) {
       console.error('Error al eliminar permisos del rol:', error);
@@ -0,0 +1,232 @@
+/**
+ * Modelo de Sesión para la gestión de sesiones de usuario
+ * Persiste los refresh tokens emitidos para poder rotarlos y revocarlos
+ */
+
+import crypto from "crypto";
+import { ejecutarQuery } from "../utils/db.js";
+
+export class Sesion {
+
+  /**
+   * Genera el hash SHA-256 de un refresh token
+   * Solo se almacena el hash, nunca el token en texto plano
+   * @param {string} token - Refresh token
+   * @returns {string} - Hash hexadecimal del token
+   */
+  static hashearToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Crea una nueva sesión
+   * @param {Object} datosSesion - Datos de la sesión
+   * @param {string} datosSesion.id_sesion - Identificador único de la sesión
+   * @param {number} datosSesion.id_usuario - ID del usuario
+   * @param {string} datosSesion.refresh_token_hash - Hash del refresh token vigente
+   * @param {Date} datosSesion.fecha_expiracion - Fecha de expiración del refresh token
+   * @param {string} datosSesion.user_agent - User agent del cliente (opcional)
+   * @param {string} datosSesion.ip - Dirección IP del cliente (opcional)
+   * @returns {Promise<string>} - ID de la sesión creada
+   */
+  static async crear({ id_sesion, id_usuario, refresh_token_hash, fecha_expiracion, user_agent = null, ip = null }) {
+    try {
+      const query = `
+        INSERT INTO Sesiones (id_sesion, id_usuario, refresh_token_hash, user_agent, ip, fecha_expiracion, ultimo_uso)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `;
+
+      await ejecutarQuery(query, [
+        id_sesion,
+        id_usuario,
+        refresh_token_hash,
+        user_agent ? user_agent.substring(0, 255) : null,
+        ip,
+        fecha_expiracion
+      ]);
+      return id_sesion;
+    } catch (error) {
+      console.error('Error al crear sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una sesión por su ID
+   * @param {string} idSesion - ID de la sesión
+   * @returns {Promise<Object|null>} - Sesión encontrada o null
+   */
+  static async buscarPorId(idSesion) {
+    try {
+      const query = `
+        SELECT
+          id_sesion,
+          id_usuario,
+          refresh_token_hash,
+          user_agent,
+          ip,
+          fecha_creacion,
+          ultimo_uso,
+          fecha_expiracion,
+          revocada,
+          fecha_revocacion,
+          motivo_revocacion
+        FROM Sesiones
+        WHERE id_sesion = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idSesion]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar sesión por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las sesiones activas (no revocadas ni expiradas) de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Array>} - Lista de sesiones activas
+   */
+  static async obtenerActivasPorUsuario(idUsuario) {
+    try {
+      const query = `
+        SELECT
+          id_sesion,
+          user_agent,
+          ip,
+          fecha_creacion,
+          ultimo_uso,
+          fecha_expiracion
+        FROM Sesiones
+        WHERE id_usuario = ?
+          AND revocada = FALSE
+          AND fecha_expiracion > CURRENT_TIMESTAMP
+        ORDER BY ultimo_uso DESC
+      `;
+
+      return await ejecutarQuery(query, [idUsuario]);
+    } catch (error) {
+      console.error('Error al obtener sesiones activas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica que una sesión siga vigente para el refresh token presentado
+   * Si el token no coincide con el vigente se trata de un token ya rotado:
+   * se considera reutilización y se revoca toda la sesión
+   * @param {string} idSesion - ID de la sesión
+   * @param {string} refreshToken - Refresh token presentado
+   * @returns {Promise<Object>} - Sesión vigente
+   */
+  static async verificarVigente(idSesion, refreshToken) {
+    try {
+      const sesion = idSesion ? await this.buscarPorId(idSesion) : null;
+
+      if (!sesion) {
+        throw new Error('Sesión no encontrada');
+      }
+
+      if (sesion.revocada) {
+        throw new Error('Sesión revocada');
+      }
+
+      if (new Date(sesion.fecha_expiracion) <= new Date()) {
+        throw new Error('Sesión expirada');
+      }
+
+      if (sesion.refresh_token_hash !== this.hashearToken(refreshToken)) {
+        await this.revocar(idSesion, 'REUTILIZACION');
+        throw new Error('Refresh token reutilizado, la sesión ha sido revocada');
+      }
+
+      return sesion;
+    } catch (error) {
+      console.error('Error al verificar sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rota el refresh token de una sesión de forma atómica
+   * Solo reemplaza el hash si el token presentado sigue siendo el vigente
+   * @param {string} idSesion - ID de la sesión
+   * @param {string} hashActual - Hash del refresh token presentado
+   * @param {string} hashNuevo - Hash del nuevo refresh token
+   * @param {Date} fechaExpiracion - Nueva fecha de expiración
+   * @returns {Promise<boolean>} - True si se rotó correctamente
+   */
+  static async rotarToken(idSesion, hashActual, hashNuevo, fechaExpiracion) {
+    try {
+      const query = `
+        UPDATE Sesiones
+        SET refresh_token_hash = ?,
+            fecha_expiracion = ?,
+            ultimo_uso = CURRENT_TIMESTAMP
+        WHERE id_sesion = ? AND refresh_token_hash = ? AND revocada = FALSE
+      `;
+
+      const resultado = await ejecutarQuery(query, [hashNuevo, fechaExpiracion, idSesion, hashActual]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al rotar refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una sesión
+   * @param {string} idSesion - ID de la sesión
+   * @param {string} motivo - Motivo de la revocación
+   * @returns {Promise<boolean>} - True si se revocó correctamente
+   */
+  static async revocar(idSesion, motivo = 'LOGOUT') {
+    try {
+      const query = `
+        UPDATE Sesiones
+        SET revocada = TRUE,
+            fecha_revocacion = CURRENT_TIMESTAMP,
+            motivo_revocacion = ?
+        WHERE id_sesion = ? AND revocada = FALSE
+      `;
+
+      const resultado = await ejecutarQuery(query, [motivo, idSesion]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al revocar sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca todas las sesiones activas de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} motivo - Motivo de la revocación
+   * @param {string} idSesionExcluida - Sesión que se conserva (opcional)
+   * @returns {Promise<number>} - Número de sesiones revocadas
+   */
+  static async revocarTodasDeUsuario(idUsuario, motivo = 'LOGOUT', idSesionExcluida = null) {
+    try {
+      let query = `
+        UPDATE Sesiones
+        SET revocada = TRUE,
+            fecha_revocacion = CURRENT_TIMESTAMP,
+            motivo_revocacion = ?
+        WHERE id_usuario = ? AND revocada = FALSE
+      `;
+      const parametros = [motivo, idUsuario];
+
+      if (idSesionExcluida) {
+        query += ' AND id_sesion != ?';
+        parametros.push(idSesionExcluida);
+      }
+
+      const resultado = await ejecutarQuery(query, parametros);
+      return resultado.affectedRows;
+    } catch (error) {
+      console.error('Error al revocar sesiones del usuario:', error);
+      throw error;
+    }
+  }
+}
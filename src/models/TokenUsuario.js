@@ -0,0 +1,165 @@
+/**
+ * Modelo de tokens de usuario de un solo uso
+ * Maneja los tokens enviados por correo (restablecimiento de contraseña, verificación de correo, etc.)
+ * Solo se almacena el hash del token; el valor en texto plano únicamente viaja en el enlace
+ */
+
+import crypto from "crypto";
+import { ejecutarQuery } from "../utils/db.js";
+
+export class TokenUsuario {
+
+  /**
+   * Genera el hash SHA-256 de un token
+   * @param {string} token - Token en texto plano
+   * @returns {string} - Hash hexadecimal del token
+   */
+  static hashearToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Crea un nuevo token para un usuario
+   * Invalida los tokens pendientes del mismo tipo para que solo el último enlace funcione
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} tipo - Tipo de token ('RESTABLECER_CONTRASEÑA', 'VERIFICAR_CORREO', 'ENLACE_MAGICO')
+   * @param {number} segundosValidez - Tiempo de validez en segundos
+   * @returns {Promise<string>} - Token en texto plano
+   */
+  static async crear(idUsuario, tipo, segundosValidez) {
+    try {
+      await this.invalidarPendientes(idUsuario, tipo);
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const fechaExpiracion = new Date(Date.now() + segundosValidez * 1000);
+
+      const query = `
+        INSERT INTO Tokens_Usuario (id_usuario, tipo, token_hash, fecha_expiracion)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      await ejecutarQuery(query, [idUsuario, tipo, this.hashearToken(token), fechaExpiracion]);
+      return token;
+    } catch (error) {
+      console.error('Error al crear token de usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el dueño de un token válido sin consumirlo
+   * @param {string} token - Token en texto plano
+   * @param {string} tipo - Tipo de token esperado
+   * @returns {Promise<number|null>} - ID del usuario dueño del token o null si no es válido
+   */
+  static async obtenerUsuarioDeToken(token, tipo) {
+    try {
+      const query = `
+        SELECT id_usuario
+        FROM Tokens_Usuario
+        WHERE token_hash = ?
+          AND tipo = ?
+          AND fecha_uso IS NULL
+          AND fecha_expiracion > CURRENT_TIMESTAMP
+      `;
+
+      const filas = await ejecutarQuery(query, [this.hashearToken(token), tipo]);
+      return filas[0]?.id_usuario || null;
+    } catch (error) {
+      console.error('Error al obtener token de usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume un token: lo marca como usado si es válido y no ha expirado
+   * @param {string} token - Token en texto plano
+   * @param {string} tipo - Tipo de token esperado
+   * @returns {Promise<number|null>} - ID del usuario dueño del token o null si no es válido
+   */
+  static async consumir(token, tipo) {
+    try {
+      const tokenHash = this.hashearToken(token);
+
+      const query = `
+        SELECT id_token, id_usuario
+        FROM Tokens_Usuario
+        WHERE token_hash = ?
+          AND tipo = ?
+          AND fecha_uso IS NULL
+          AND fecha_expiracion > CURRENT_TIMESTAMP
+      `;
+
+      const filas = await ejecutarQuery(query, [tokenHash, tipo]);
+      if (filas.length === 0) {
+        return null;
+      }
+
+      // Marcar como usado solo si nadie lo usó entre la consulta y la actualización
+      const queryUso = `
+        UPDATE Tokens_Usuario
+        SET fecha_uso = CURRENT_TIMESTAMP
+        WHERE id_token = ? AND fecha_uso IS NULL
+      `;
+
+      const resultado = await ejecutarQuery(queryUso, [filas[0].id_token]);
+      return resultado.affectedRows > 0 ? filas[0].id_usuario : null;
+    } catch (error) {
+      console.error('Error al consumir token de usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene cuántos tokens de un tipo se emitieron recientemente para un usuario
+   * Se usa para limitar la frecuencia de reenvío de correos
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} tipo - Tipo de token
+   * @param {number} segundosVentana - Ventana de tiempo a considerar en segundos
+   * @returns {Promise<Object>} - { total, ultima_emision }
+   */
+  static async obtenerEmisionesRecientes(idUsuario, tipo, segundosVentana) {
+    try {
+      const query = `
+        SELECT
+          COUNT(*) as total,
+          MAX(fecha_creacion) as ultima_emision
+        FROM Tokens_Usuario
+        WHERE id_usuario = ?
+          AND tipo = ?
+          AND fecha_creacion > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      `;
+
+      const filas = await ejecutarQuery(query, [idUsuario, tipo, segundosVentana]);
+      return {
+        total: Number(filas[0].total),
+        ultima_emision: filas[0].ultima_emision
+      };
+    } catch (error) {
+      console.error('Error al obtener emisiones recientes de tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invalida los tokens pendientes de un usuario para un tipo dado
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} tipo - Tipo de token
+   * @returns {Promise<boolean>} - True si se ejecutó correctamente
+   */
+  static async invalidarPendientes(idUsuario, tipo) {
+    try {
+      const query = `
+        UPDATE Tokens_Usuario
+        SET fecha_uso = CURRENT_TIMESTAMP
+        WHERE id_usuario = ? AND tipo = ? AND fecha_uso IS NULL
+      `;
+
+      await ejecutarQuery(query, [idUsuario, tipo]);
+      return true;
+    } catch (error) {
+      console.error('Error al invalidar tokens de usuario:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Modelo de Traslados de Stock
+ * Envíos de productos terminados entre ubicaciones. Al enviarse, las unidades salen del origen
+ * (TRASLADO_SALIDA) y quedan en tránsito; al recibirse entran en el destino (TRASLADO_ENTRADA) y,
+ * si el traslado se cancela, vuelven al origen
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+import { MovimientoStock } from "./MovimientoStock.js";
+import { ReservaStock } from "./ReservaStock.js";
+import { Ubicacion } from "./Ubicacion.js";
+
+export const ESTADOS_TRASLADO = ['EN_TRANSITO', 'RECIBIDO', 'CANCELADO'];
+
+export class Traslado {
+
+  /**
+   * Crea un traslado y envía sus unidades: salen del origen y quedan en tránsito
+   * No se pueden enviar unidades reservadas por compradores que están pagando
+   * @param {Object} datos - Datos del traslado
+   * @param {number} datos.id_ubicacion_origen - Ubicación de la que sale el stock
+   * @param {number} datos.id_ubicacion_destino - Ubicación a la que llega
+   * @param {Array} datos.lineas - [{ id_producto, id_variante, cantidad }]
+   * @param {string} datos.notas - Notas del envío (opcional)
+   * @param {number} datos.id_usuario - Usuario que envía
+   * @returns {Promise<number>} - ID del traslado creado
+   */
+  static async crear({ id_ubicacion_origen, id_ubicacion_destino, lineas, notas = null, id_usuario }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const origen = await Ubicacion.validarActiva(connection, id_ubicacion_origen);
+      const destino = await Ubicacion.validarActiva(connection, id_ubicacion_destino);
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Traslados_Stock (id_ubicacion_origen, id_ubicacion_destino, notas, id_usuario_envio)
+        VALUES (?, ?, ?, ?)
+      `, [id_ubicacion_origen, id_ubicacion_destino, notas, id_usuario]);
+
+      const idTraslado = resultado.insertId;
+
+      // Mismo orden de bloqueo que el pago para que un traslado y una compra no se esperen mutuamente
+      const ordenadas = [...lineas].sort((a, b) =>
+        a.id_producto - b.id_producto || (a.id_variante || 0) - (b.id_variante || 0));
+
+      for (const linea of ordenadas) {
+        const { nombre, stock } = await MovimientoStock.bloquearStock(connection, linea.id_producto, linea.id_variante);
+        const reservado = await ReservaStock.obtenerReservadoPorOtros(linea, null, connection);
+        const disponible = Math.max(stock - reservado, 0);
+
+        if (linea.cantidad > disponible) {
+          throw new Error(`Stock insuficiente para ${nombre}. Disponible: ${disponible}, Solicitado: ${linea.cantidad}`);
+        }
+
+        const enOrigen = await MovimientoStock.obtenerStockUbicacion(connection, id_ubicacion_origen, linea.id_producto, linea.id_variante);
+        const reservadoOrigen = await ReservaStock.obtenerReservadoPorOtros(linea, null, connection, id_ubicacion_origen);
+        const disponibleOrigen = Math.max(enOrigen.stock - reservadoOrigen, 0);
+
+        if (linea.cantidad > disponibleOrigen) {
+          throw new Error(`Stock insuficiente para ${nombre} en ${origen.nombre}. Disponible: ${disponibleOrigen}, Solicitado: ${linea.cantidad}`);
+        }
+
+        await connection.execute(`
+          INSERT INTO Lineas_Traslado (id_traslado, id_producto, id_variante, cantidad)
+          VALUES (?, ?, ?, ?)
+        `, [idTraslado, linea.id_producto, linea.id_variante, linea.cantidad]);
+
+        await MovimientoStock.registrar(connection, {
+          id_producto: linea.id_producto,
+          id_variante: linea.id_variante,
+          id_ubicacion: id_ubicacion_origen,
+          tipo: 'TRASLADO_SALIDA',
+          cantidad: -linea.cantidad,
+          motivo: `Envío a ${destino.nombre}`,
+          referencia: `Traslado #${idTraslado}`,
+          id_traslado: idTraslado,
+          id_usuario
+        });
+      }
+
+      await connection.commit();
+      return idTraslado;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al crear traslado:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Busca un traslado por su ID con sus líneas
+   * @param {number} idTraslado - ID del traslado
+   * @returns {Promise<Object|null>} - Traslado encontrado o null
+   */
+  static async buscarPorId(idTraslado) {
+    try {
+      const traslados = await ejecutarQuery(`
+        SELECT
+          t.*,
+          uo.nombre as ubicacion_origen,
+          ud.nombre as ubicacion_destino,
+          ue.nombre_usuario as usuario_envio,
+          ur.nombre_usuario as usuario_recepcion
+        FROM Traslados_Stock t
+        INNER JOIN Ubicaciones uo ON t.id_ubicacion_origen = uo.id_ubicacion
+        INNER JOIN Ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+        INNER JOIN Usuarios ue ON t.id_usuario_envio = ue.id_usuario
+        LEFT JOIN Usuarios ur ON t.id_usuario_recepcion = ur.id_usuario
+        WHERE t.id_traslado = ?
+      `, [idTraslado]);
+
+      if (!traslados.length) {
+        return null;
+      }
+
+      const lineas = await ejecutarQuery(`
+        SELECT
+          lt.id_linea,
+          lt.id_producto,
+          p.nombre_producto,
+          lt.id_variante,
+          v.sku,
+          lt.cantidad
+        FROM Lineas_Traslado lt
+        INNER JOIN Productos p ON lt.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON lt.id_variante = v.id_variante
+        WHERE lt.id_traslado = ?
+        ORDER BY lt.id_linea ASC
+      `, [idTraslado]);
+
+      return { ...traslados[0], lineas };
+    } catch (error) {
+      console.error('Error al buscar traslado por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los traslados con paginación
+   * @param {Object} filtros - estado, id_ubicacion (origen o destino) e id_producto (opcionales)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Traslados y metadatos de paginación
+   */
+  static async obtenerTodos({ estado = null, id_ubicacion = null, id_producto = null } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = [];
+      const parametros = [];
+
+      if (estado) {
+        condiciones.push('t.estado = ?');
+        parametros.push(estado);
+      }
+
+      if (id_ubicacion) {
+        condiciones.push('(t.id_ubicacion_origen = ? OR t.id_ubicacion_destino = ?)');
+        parametros.push(id_ubicacion, id_ubicacion);
+      }
+
+      if (id_producto) {
+        condiciones.push('EXISTS (SELECT 1 FROM Lineas_Traslado lt WHERE lt.id_traslado = t.id_traslado AND lt.id_producto = ?)');
+        parametros.push(id_producto);
+      }
+
+      const where = condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+      const traslados = await ejecutarQuery(`
+        SELECT
+          t.id_traslado,
+          t.id_ubicacion_origen,
+          uo.nombre as ubicacion_origen,
+          t.id_ubicacion_destino,
+          ud.nombre as ubicacion_destino,
+          t.estado,
+          t.notas,
+          ue.nombre_usuario as usuario_envio,
+          t.fecha_envio,
+          t.fecha_recepcion,
+          (SELECT COALESCE(SUM(lt.cantidad), 0) FROM Lineas_Traslado lt WHERE lt.id_traslado = t.id_traslado) as unidades
+        FROM Traslados_Stock t
+        INNER JOIN Ubicaciones uo ON t.id_ubicacion_origen = uo.id_ubicacion
+        INNER JOIN Ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+        INNER JOIN Usuarios ue ON t.id_usuario_envio = ue.id_usuario
+        ${where}
+        ORDER BY t.fecha_envio DESC, t.id_traslado DESC
+        LIMIT ${limite} OFFSET ${offset}
+      `, parametros);
+
+      const resultadoConteo = await ejecutarQuery(`SELECT COUNT(*) as total FROM Traslados_Stock t ${where}`, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        traslados,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener traslados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recibe un traslado en tránsito: sus unidades entran en la ubicación de destino
+   * @param {number} idTraslado - ID del traslado
+   * @param {number} idUsuario - Usuario que recibe
+   * @returns {Promise<boolean>} - True si se recibió, false si no existe o ya no estaba en tránsito
+   */
+  static async recibir(idTraslado, idUsuario) {
+    return await this.cerrar(idTraslado, idUsuario, 'RECIBIDO');
+  }
+
+  /**
+   * Cancela un traslado en tránsito: sus unidades vuelven a la ubicación de origen
+   * @param {number} idTraslado - ID del traslado
+   * @param {number} idUsuario - Usuario que cancela
+   * @returns {Promise<boolean>} - True si se canceló, false si no existe o ya no estaba en tránsito
+   */
+  static async cancelar(idTraslado, idUsuario) {
+    return await this.cerrar(idTraslado, idUsuario, 'CANCELADO');
+  }
+
+  /**
+   * Cierra un traslado en tránsito devolviendo sus unidades al stock del destino o del origen
+   * @param {number} idTraslado - ID del traslado
+   * @param {number} idUsuario - Usuario que cierra el traslado
+   * @param {string} estado - RECIBIDO o CANCELADO
+   * @returns {Promise<boolean>} - True si se cerró
+   */
+  static async cerrar(idTraslado, idUsuario, estado) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Bloquear el traslado para que no se reciba y se cancele a la vez
+      const [traslados] = await connection.execute(`
+        SELECT t.id_ubicacion_origen, t.id_ubicacion_destino, uo.nombre as ubicacion_origen, ud.nombre as ubicacion_destino
+        FROM Traslados_Stock t
+        INNER JOIN Ubicaciones uo ON t.id_ubicacion_origen = uo.id_ubicacion
+        INNER JOIN Ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+        WHERE t.id_traslado = ? AND t.estado = 'EN_TRANSITO'
+        FOR UPDATE
+      `, [idTraslado]);
+
+      if (!traslados.length) {
+        await connection.rollback();
+        return false;
+      }
+
+      const traslado = traslados[0];
+      const recibido = estado === 'RECIBIDO';
+
+      const [lineas] = await connection.execute(`
+        SELECT id_producto, id_variante, cantidad
+        FROM Lineas_Traslado
+        WHERE id_traslado = ?
+        ORDER BY id_producto ASC, id_variante ASC
+      `, [idTraslado]);
+
+      for (const linea of lineas) {
+        await MovimientoStock.registrar(connection, {
+          id_producto: linea.id_producto,
+          id_variante: linea.id_variante,
+          id_ubicacion: recibido ? traslado.id_ubicacion_destino : traslado.id_ubicacion_origen,
+          tipo: 'TRASLADO_ENTRADA',
+          cantidad: linea.cantidad,
+          motivo: recibido
+            ? `Recepción desde ${traslado.ubicacion_origen}`
+            : `Cancelación del envío a ${traslado.ubicacion_destino}`,
+          referencia: `Traslado #${idTraslado}`,
+          id_traslado: idTraslado,
+          id_usuario: idUsuario
+        });
+      }
+
+      await connection.execute(`
+        UPDATE Traslados_Stock
+        SET estado = ?, id_usuario_recepcion = ?, fecha_recepcion = ${recibido ? 'NOW()' : 'NULL'}
+        WHERE id_traslado = ?
+      `, [estado, recibido ? idUsuario : null, idTraslado]);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al cerrar traslado:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
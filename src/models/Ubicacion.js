@@ -0,0 +1,313 @@
+/**
+ * Modelo de Ubicaciones de inventario
+ * Lugares donde se guardan los productos terminados (sala de exhibición, taller, bodega). El stock de cada
+ * ubicación solo cambia mediante los movimientos de stock; la ubicación predeterminada recibe los movimientos
+ * que no indican ubicación
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+
+export const TIPOS_UBICACION = ['EXHIBICION', 'TALLER', 'BODEGA'];
+
+/**
+ * Stock propio de un producto en una ubicación (requiere el alias p y el ID de la ubicación como parámetro)
+ */
+export const STOCK_UBICACION_SQL = `(
+  SELECT COALESCE(SUM(su.stock), 0)
+  FROM Stock_Ubicacion su
+  WHERE su.id_producto = p.id_producto AND su.id_variante IS NULL AND su.id_ubicacion = ?
+)`;
+
+export class Ubicacion {
+
+  /**
+   * Busca una ubicación por su ID
+   * @param {number} idUbicacion - ID de la ubicación
+   * @returns {Promise<Object|null>} - Ubicación con sus totales o null
+   */
+  static async buscarPorId(idUbicacion) {
+    try {
+      const filas = await ejecutarQuery(`
+        SELECT
+          u.*,
+          COALESCE(SUM(su.stock), 0) as unidades,
+          COUNT(CASE WHEN su.stock > 0 THEN 1 END) as productos_con_stock
+        FROM Ubicaciones u
+        LEFT JOIN Stock_Ubicacion su ON su.id_ubicacion = u.id_ubicacion
+        WHERE u.id_ubicacion = ?
+        GROUP BY u.id_ubicacion
+      `, [idUbicacion]);
+
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar ubicación por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las ubicaciones con sus unidades en stock
+   * @param {Object} filtros - estado (ACTIVA o INACTIVA, opcional)
+   * @returns {Promise<Array>} - Ubicaciones, la predeterminada primero
+   */
+  static async obtenerTodas({ estado = null } = {}) {
+    try {
+      return await ejecutarQuery(`
+        SELECT
+          u.*,
+          COALESCE(SUM(su.stock), 0) as unidades,
+          COUNT(CASE WHEN su.stock > 0 THEN 1 END) as productos_con_stock
+        FROM Ubicaciones u
+        LEFT JOIN Stock_Ubicacion su ON su.id_ubicacion = u.id_ubicacion
+        ${estado ? 'WHERE u.estado = ?' : ''}
+        GROUP BY u.id_ubicacion
+        ORDER BY u.es_predeterminada DESC, u.nombre ASC
+      `, estado ? [estado] : []);
+    } catch (error) {
+      console.error('Error al obtener ubicaciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una ubicación
+   * @param {Object} datos - nombre, tipo, direccion (opcional) y es_predeterminada (opcional)
+   * @returns {Promise<number>} - ID de la ubicación creada
+   */
+  static async crear({ nombre, tipo, direccion = null, es_predeterminada = false }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Solo puede haber una ubicación predeterminada
+      if (es_predeterminada) {
+        await connection.execute('UPDATE Ubicaciones SET es_predeterminada = FALSE WHERE es_predeterminada = TRUE');
+      }
+
+      const [resultado] = await connection.execute(`
+        INSERT INTO Ubicaciones (nombre, tipo, direccion, es_predeterminada)
+        VALUES (?, ?, ?, ?)
+      `, [nombre, tipo, direccion, es_predeterminada]);
+
+      await connection.commit();
+      return resultado.insertId;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al crear ubicación:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Actualiza una ubicación
+   * La predeterminada no se puede desactivar ni dejar de serlo (se debe marcar otra), y una ubicación
+   * con stock o con traslados en tránsito no se puede desactivar
+   * @param {number} idUbicacion - ID de la ubicación
+   * @param {Object} datos - Datos completos (nombre, tipo, direccion, es_predeterminada, estado)
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async actualizar(idUbicacion, { nombre, tipo, direccion, es_predeterminada, estado }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [actuales] = await connection.execute(
+        'SELECT es_predeterminada FROM Ubicaciones WHERE id_ubicacion = ? FOR UPDATE',
+        [idUbicacion]
+      );
+
+      if (!actuales.length) {
+        await connection.rollback();
+        return false;
+      }
+
+      if (actuales[0].es_predeterminada && !es_predeterminada) {
+        throw new Error('No se puede quitar la ubicación predeterminada, marca otra ubicación como predeterminada');
+      }
+
+      if (estado === 'INACTIVA') {
+        if (es_predeterminada) {
+          throw new Error('No se puede desactivar la ubicación predeterminada');
+        }
+
+        const [ocupada] = await connection.execute(`
+          SELECT
+            (SELECT COUNT(*) FROM Stock_Ubicacion WHERE id_ubicacion = ? AND stock <> 0) as con_stock,
+            (SELECT COUNT(*) FROM Traslados_Stock
+              WHERE estado = 'EN_TRANSITO' AND (id_ubicacion_origen = ? OR id_ubicacion_destino = ?)) as en_transito
+        `, [idUbicacion, idUbicacion, idUbicacion]);
+
+        if (ocupada[0].con_stock > 0 || ocupada[0].en_transito > 0) {
+          throw new Error('No se puede desactivar una ubicación con stock o con traslados en tránsito');
+        }
+      }
+
+      if (es_predeterminada && !actuales[0].es_predeterminada) {
+        await connection.execute('UPDATE Ubicaciones SET es_predeterminada = FALSE WHERE es_predeterminada = TRUE');
+      }
+
+      const [resultado] = await connection.execute(`
+        UPDATE Ubicaciones
+        SET nombre = ?, tipo = ?, direccion = ?, es_predeterminada = ?, estado = ?
+        WHERE id_ubicacion = ?
+      `, [nombre, tipo, direccion, es_predeterminada, estado, idUbicacion]);
+
+      await connection.commit();
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al actualizar ubicación:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Obtiene la ubicación predeterminada
+   * @param {Object} connection - Conexión con la transacción activa (opcional)
+   * @returns {Promise<number>} - ID de la ubicación predeterminada
+   */
+  static async obtenerPredeterminada(connection = null) {
+    const query = "SELECT id_ubicacion FROM Ubicaciones WHERE es_predeterminada = TRUE AND estado = 'ACTIVA' LIMIT 1";
+
+    const filas = connection
+      ? (await connection.execute(query))[0]
+      : await ejecutarQuery(query);
+
+    if (!filas.length) {
+      throw new Error('No hay una ubicación predeterminada configurada');
+    }
+
+    return filas[0].id_ubicacion;
+  }
+
+  /**
+   * Comprueba que una ubicación exista y esté activa
+   * @param {Object} connection - Conexión con la transacción activa
+   * @param {number} idUbicacion - ID de la ubicación
+   * @returns {Promise<Object>} - { id_ubicacion, nombre }
+   */
+  static async validarActiva(connection, idUbicacion) {
+    const [filas] = await connection.execute(
+      "SELECT id_ubicacion, nombre FROM Ubicaciones WHERE id_ubicacion = ? AND estado = 'ACTIVA'",
+      [idUbicacion]
+    );
+
+    if (!filas.length) {
+      throw new Error('Ubicación no encontrada o inactiva');
+    }
+
+    return filas[0];
+  }
+
+  /**
+   * Obtiene el stock de los productos y variantes guardados en una ubicación
+   * @param {number} idUbicacion - ID de la ubicación
+   * @param {Object} filtros - busqueda (opcional)
+   * @param {number} pagina - Número de página
+   * @param {number} limite - Registros por página
+   * @returns {Promise<Object>} - Stock y metadatos de paginación
+   */
+  static async obtenerStock(idUbicacion, { busqueda = '' } = {}, pagina = 1, limite = 20) {
+    try {
+      const offset = (pagina - 1) * limite;
+      const condiciones = ['su.id_ubicacion = ?', 'su.stock <> 0'];
+      const parametros = [idUbicacion];
+
+      if (busqueda) {
+        condiciones.push('(p.nombre_producto LIKE ? OR v.sku LIKE ?)');
+        parametros.push(`%${busqueda}%`, `%${busqueda}%`);
+      }
+
+      const desde = `
+        FROM Stock_Ubicacion su
+        INNER JOIN Productos p ON su.id_producto = p.id_producto
+        LEFT JOIN Variantes_Producto v ON su.id_variante = v.id_variante
+        WHERE ${condiciones.join(' AND ')}
+      `;
+
+      const stock = await ejecutarQuery(`
+        SELECT
+          su.id_producto,
+          p.nombre_producto,
+          su.id_variante,
+          v.sku,
+          su.stock,
+          CASE WHEN v.id_variante IS NULL THEN p.stock ELSE v.stock END as stock_total
+        ${desde}
+        ORDER BY p.nombre_producto ASC, su.id_variante ASC
+        LIMIT ${limite} OFFSET ${offset}
+      `, parametros);
+
+      const resultadoConteo = await ejecutarQuery(`SELECT COUNT(*) as total ${desde}`, parametros);
+      const total = resultadoConteo[0].total;
+
+      return {
+        stock,
+        paginacion: {
+          paginaActual: pagina,
+          totalPaginas: Math.ceil(total / limite),
+          totalRegistros: total,
+          registrosPorPagina: limite
+        }
+      };
+    } catch (error) {
+      console.error('Error al obtener stock de la ubicación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el stock de un producto y sus variantes en cada ubicación y las unidades en tránsito
+   * @param {number} idProducto - ID del producto
+   * @returns {Promise<Object>} - { ubicaciones, en_transito }
+   */
+  static async obtenerStockProducto(idProducto) {
+    try {
+      const ubicaciones = await ejecutarQuery(`
+        SELECT
+          u.id_ubicacion,
+          u.nombre,
+          u.tipo,
+          su.id_variante,
+          v.sku,
+          su.stock
+        FROM Stock_Ubicacion su
+        INNER JOIN Ubicaciones u ON su.id_ubicacion = u.id_ubicacion
+        LEFT JOIN Variantes_Producto v ON su.id_variante = v.id_variante
+        WHERE su.id_producto = ? AND su.stock <> 0
+        ORDER BY u.es_predeterminada DESC, u.nombre ASC, su.id_variante ASC
+      `, [idProducto]);
+
+      const enTransito = await ejecutarQuery(`
+        SELECT
+          t.id_traslado,
+          t.id_ubicacion_origen,
+          uo.nombre as ubicacion_origen,
+          t.id_ubicacion_destino,
+          ud.nombre as ubicacion_destino,
+          lt.id_variante,
+          v.sku,
+          lt.cantidad,
+          t.fecha_envio
+        FROM Lineas_Traslado lt
+        INNER JOIN Traslados_Stock t ON lt.id_traslado = t.id_traslado
+        INNER JOIN Ubicaciones uo ON t.id_ubicacion_origen = uo.id_ubicacion
+        INNER JOIN Ubicaciones ud ON t.id_ubicacion_destino = ud.id_ubicacion
+        LEFT JOIN Variantes_Producto v ON lt.id_variante = v.id_variante
+        WHERE lt.id_producto = ? AND t.estado = 'EN_TRANSITO'
+        ORDER BY t.fecha_envio ASC
+      `, [idProducto]);
+
+      return { ubicaciones, en_transito: enTransito };
+    } catch (error) {
+      console.error('Error al obtener stock del producto por ubicación:', error);
+      throw error;
+    }
+  }
+}
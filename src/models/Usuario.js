@@ -4,6 +4,8 @@
  */
 
 import { ejecutarQuery } from "../utils/db.js";
+import { invalidarUsuario } from "../utils/cachePermisos.js";
+import { Permiso } from "./Permiso.js";
 import bcrypt from "bcryptjs";
 
 export class Usuario {
@@ -36,9 +38,10 @@ export class Usuario {
   /**
    * Busca un usuario por su email
    * @param {string} correo - Email del usuario
+   * @param {boolean} soloActivos - Si es false también devuelve usuarios pendientes o inactivos
    * @returns {Promise<Object|null>} - Usuario encontrado o null
    */
-  static async buscarPorCorreo(correo) {
+  static async buscarPorCorreo(correo, soloActivos = true) {
     try {
       const query = `
         SELECT 
@@ -51,11 +54,18 @@ export class Usuario {
           u.estado,
           u.fecha_registro,
           u.ultimo_acceso,
+          u.intentos_fallidos,
+          u.fecha_ultimo_fallo,
+          u.bloqueado_hasta,
+          u.totp_habilitado,
+          u.fecha_cambio_contraseña,
+          u.debe_cambiar_contraseña,
           r.nombre_rol,
-          r.descripcion as descripcion_rol
+          r.descripcion as descripcion_rol,
+          r.requiere_2fa
         FROM Usuarios u
         INNER JOIN Roles r ON u.id_rol = r.id_rol
-        WHERE u.correo = ? AND u.estado = 'ACTIVO'
+        WHERE u.correo = ?${soloActivos ? " AND u.estado = 'ACTIVO'" : ''}
       `;
       
       const filas = await ejecutarQuery(query, [correo]);
@@ -83,6 +93,8 @@ export class Usuario {
           u.estado,
           u.fecha_registro,
           u.ultimo_acceso,
+          u.fecha_cambio_contraseña,
+          u.debe_cambiar_contraseña,
           r.nombre_rol,
           r.descripcion as descripcion_rol,
           d.direccion,
@@ -111,12 +123,14 @@ export class Usuario {
    * @param {string} datosUsuario.contraseña - Contraseña en texto plano
    * @param {string} datosUsuario.telefono - Teléfono del usuario (opcional)
    * @param {number} datosUsuario.id_rol - ID del rol asignado
+   * @param {string} datosUsuario.estado - Estado inicial ('ACTIVO' o 'PENDIENTE')
+   * @param {boolean} datosUsuario.debe_cambiar_contraseña - Obliga a cambiar la contraseña en el primer login
    * @returns {Promise<number>} - ID del usuario creado
    */
-  static async crear({ nombre_usuario, correo, contraseña, telefono = null, id_rol = 2 }) {
+  static async crear({ nombre_usuario, correo, contraseña, telefono = null, id_rol = 2, estado = 'ACTIVO', debe_cambiar_contraseña = false }) {
     try {
-      // Verificar si el email ya existe
-      const usuarioExistente = await this.buscarPorCorreo(correo);
+      // Verificar si el email ya existe (en cualquier estado)
+      const usuarioExistente = await this.buscarPorCorreo(correo, false);
       if (usuarioExistente) {
         throw new Error('El correo electrónico ya está registrado');
       }
@@ -126,8 +140,8 @@ export class Usuario {
       const contraseña_hash = await bcrypt.hash(contraseña, saltRounds);
 
       const query = `
-        INSERT INTO Usuarios (nombre_usuario, correo, contraseña_hash, telefono, id_rol, estado)
-        VALUES (?, ?, ?, ?, ?, 'ACTIVO')
+        INSERT INTO Usuarios (nombre_usuario, correo, contraseña_hash, telefono, id_rol, estado, debe_cambiar_contraseña)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `;
       
       const resultado = await ejecutarQuery(query, [
@@ -135,8 +149,12 @@ export class Usuario {
         correo,
         contraseña_hash,
         telefono,
-        id_rol
+        id_rol,
+        estado,
+        debe_cambiar_contraseña
       ]);
+
+      await this.guardarEnHistorialContraseñas(resultado.insertId, contraseña_hash);
       
       return resultado.insertId;
     } catch (error) {
@@ -162,6 +180,9 @@ export class Usuario {
       `;
       
       const resultado = await ejecutarQuery(query, [nombre_usuario, telefono, id_rol, id]);
+
+      // El rol pudo cambiar: descartar sus permisos cacheados
+      invalidarUsuario(id);
       return resultado.affectedRows > 0;
     } catch (error) {
       console.error('Error al actualizar usuario:', error);
@@ -171,6 +192,7 @@ export class Usuario {
 
   /**
    * Cambia la contraseña de un usuario
+   * Reinicia su antigüedad, quita la obligación de cambiarla y la guarda en el historial
    * @param {number} id - ID del usuario
    * @param {string} nuevaContraseña - Nueva contraseña en texto plano
    * @returns {Promise<boolean>} - True si se cambió correctamente
@@ -182,18 +204,125 @@ export class Usuario {
 
       const query = `
         UPDATE Usuarios 
-        SET contraseña_hash = ?
+        SET contraseña_hash = ?,
+            fecha_cambio_contraseña = CURRENT_TIMESTAMP,
+            debe_cambiar_contraseña = FALSE
         WHERE id_usuario = ? AND estado = 'ACTIVO'
       `;
       
       const resultado = await ejecutarQuery(query, [contraseña_hash, id]);
-      return resultado.affectedRows > 0;
+      if (resultado.affectedRows === 0) {
+        return false;
+      }
+
+      await this.guardarEnHistorialContraseñas(id, contraseña_hash);
+      return true;
     } catch (error) {
       console.error('Error al cambiar contraseña:', error);
       throw error;
     }
   }
 
+  /**
+   * Guarda el hash de una contraseña en el historial del usuario
+   * @param {number} id - ID del usuario
+   * @param {string} contraseñaHash - Hash de la contraseña
+   * @returns {Promise<number>} - ID del registro del historial
+   */
+  static async guardarEnHistorialContraseñas(id, contraseñaHash) {
+    try {
+      const query = `
+        INSERT INTO Historial_Contraseñas (id_usuario, contraseña_hash)
+        VALUES (?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [id, contraseñaHash]);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al guardar historial de contraseñas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Comprueba si una contraseña coincide con la actual o con alguna de las últimas del historial
+   * @param {number} id - ID del usuario
+   * @param {string} contraseña - Contraseña en texto plano
+   * @param {number} cantidad - Número de contraseñas anteriores a comprobar
+   * @returns {Promise<boolean>} - True si la contraseña ya se usó
+   */
+  static async contraseñaUsadaRecientemente(id, contraseña, cantidad) {
+    try {
+      const query = `
+        SELECT contraseña_hash FROM Usuarios WHERE id_usuario = ?
+        UNION ALL
+        SELECT contraseña_hash FROM (
+          SELECT contraseña_hash
+          FROM Historial_Contraseñas
+          WHERE id_usuario = ?
+          ORDER BY fecha_creacion DESC, id_historial DESC
+          LIMIT ${parseInt(cantidad) || 0}
+        ) recientes
+      `;
+
+      const filas = await ejecutarQuery(query, [id, id]);
+
+      for (const { contraseña_hash } of filas) {
+        if (await bcrypt.compare(contraseña, contraseña_hash)) {
+          return true;
+        }
+      }
+
+      return false;
+    } catch (error) {
+      console.error('Error al comprobar historial de contraseñas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la fecha del último cambio de contraseña y si el usuario está obligado a cambiarla
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object|null>} - fecha_cambio_contraseña y debe_cambiar_contraseña
+   */
+  static async obtenerEstadoContraseña(id) {
+    try {
+      const query = `
+        SELECT fecha_cambio_contraseña, debe_cambiar_contraseña
+        FROM Usuarios
+        WHERE id_usuario = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [id]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al obtener estado de la contraseña:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca o desmarca la obligación de cambiar la contraseña en el próximo login
+   * @param {number} id - ID del usuario
+   * @param {boolean} obligatorio - Si el usuario debe cambiar su contraseña
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async marcarCambioContraseña(id, obligatorio = true) {
+    try {
+      const query = `
+        UPDATE Usuarios
+        SET debe_cambiar_contraseña = ?
+        WHERE id_usuario = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [obligatorio, id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al marcar cambio de contraseña:', error);
+      throw error;
+    }
+  }
+
   /**
    * Actualiza el último acceso del usuario
    * @param {number} id - ID del usuario
@@ -215,6 +344,218 @@ export class Usuario {
     }
   }
 
+  /**
+   * Registra un intento de login fallido en el contador del usuario
+   * @param {number} id - ID del usuario
+   * @returns {Promise<number>} - Número de intentos fallidos consecutivos
+   */
+  static async registrarIntentoFallido(id) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET intentos_fallidos = intentos_fallidos + 1,
+            fecha_ultimo_fallo = CURRENT_TIMESTAMP
+        WHERE id_usuario = ?
+      `;
+      
+      await ejecutarQuery(query, [id]);
+
+      const filas = await ejecutarQuery('SELECT intentos_fallidos FROM Usuarios WHERE id_usuario = ?', [id]);
+      return filas[0] ? filas[0].intentos_fallidos : 0;
+    } catch (error) {
+      console.error('Error al registrar intento fallido:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bloquea temporalmente el inicio de sesión de un usuario
+   * @param {number} id - ID del usuario
+   * @param {Date} bloqueadoHasta - Fecha hasta la que se bloquea el acceso
+   * @returns {Promise<boolean>} - True si se bloqueó correctamente
+   */
+  static async bloquearAcceso(id, bloqueadoHasta) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET bloqueado_hasta = ?
+        WHERE id_usuario = ?
+      `;
+      
+      const resultado = await ejecutarQuery(query, [bloqueadoHasta, id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al bloquear acceso del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reinicia los intentos fallidos y elimina el bloqueo de un usuario
+   * @param {number} id - ID del usuario
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async reiniciarIntentosFallidos(id) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET intentos_fallidos = 0,
+            fecha_ultimo_fallo = NULL,
+            bloqueado_hasta = NULL
+        WHERE id_usuario = ?
+      `;
+      
+      const resultado = await ejecutarQuery(query, [id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al reiniciar intentos fallidos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el estado de bloqueo de login de un usuario
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object|null>} - Intentos fallidos y fechas de bloqueo
+   */
+  static async obtenerEstadoBloqueo(id) {
+    try {
+      const query = `
+        SELECT 
+          intentos_fallidos,
+          fecha_ultimo_fallo,
+          bloqueado_hasta
+        FROM Usuarios
+        WHERE id_usuario = ?
+      `;
+      
+      const filas = await ejecutarQuery(query, [id]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al obtener estado de bloqueo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la configuración de verificación en dos pasos de un usuario
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object|null>} - Secreto cifrado, estado y último paso usado
+   */
+  static async obtenerDatosTotp(id) {
+    try {
+      const query = `
+        SELECT 
+          u.totp_secreto,
+          u.totp_habilitado,
+          u.totp_ultimo_paso,
+          r.requiere_2fa
+        FROM Usuarios u
+        INNER JOIN Roles r ON u.id_rol = r.id_rol
+        WHERE u.id_usuario = ?
+      `;
+      
+      const filas = await ejecutarQuery(query, [id]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al obtener datos de verificación en dos pasos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda un secreto TOTP pendiente de confirmar (no activa la verificación)
+   * @param {number} id - ID del usuario
+   * @param {string} secretoCifrado - Secreto TOTP cifrado
+   * @returns {Promise<boolean>} - True si se guardó correctamente
+   */
+  static async guardarSecretoTotp(id, secretoCifrado) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET totp_secreto = ?,
+            totp_habilitado = FALSE,
+            totp_ultimo_paso = NULL
+        WHERE id_usuario = ? AND totp_habilitado = FALSE
+      `;
+      
+      const resultado = await ejecutarQuery(query, [secretoCifrado, id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al guardar secreto TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activa la verificación en dos pasos con el secreto guardado
+   * @param {number} id - ID del usuario
+   * @param {number} paso - Paso de tiempo del código usado para confirmar
+   * @returns {Promise<boolean>} - True si se activó correctamente
+   */
+  static async activarTotp(id, paso) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET totp_habilitado = TRUE,
+            totp_ultimo_paso = ?
+        WHERE id_usuario = ? AND totp_secreto IS NOT NULL
+      `;
+      
+      const resultado = await ejecutarQuery(query, [paso, id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al activar TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el paso de tiempo de un código TOTP usado
+   * Solo se acepta un paso posterior al último usado, para que cada código sirva una vez
+   * @param {number} id - ID del usuario
+   * @param {number} paso - Paso de tiempo del código
+   * @returns {Promise<boolean>} - True si el paso no había sido usado
+   */
+  static async registrarPasoTotp(id, paso) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET totp_ultimo_paso = ?
+        WHERE id_usuario = ? AND (totp_ultimo_paso IS NULL OR totp_ultimo_paso < ?)
+      `;
+      
+      const resultado = await ejecutarQuery(query, [paso, id, paso]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al registrar paso TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desactiva la verificación en dos pasos y elimina el secreto
+   * @param {number} id - ID del usuario
+   * @returns {Promise<boolean>} - True si se desactivó correctamente
+   */
+  static async desactivarTotp(id) {
+    try {
+      const query = `
+        UPDATE Usuarios 
+        SET totp_secreto = NULL,
+            totp_habilitado = FALSE,
+            totp_ultimo_paso = NULL
+        WHERE id_usuario = ?
+      `;
+      
+      const resultado = await ejecutarQuery(query, [id]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al desactivar TOTP:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene todos los usuarios con paginación
    * @param {number} pagina - Número de página
@@ -306,6 +647,7 @@ export class Usuario {
       `;
       
       const resultado = await ejecutarQuery(query, [estado, id]);
+      invalidarUsuario(id);
       return resultado.affectedRows > 0;
     } catch (error) {
       console.error('Error al cambiar estado del usuario:', error);
@@ -329,27 +671,22 @@ export class Usuario {
   }
 
   /**
-   * Obtiene los permisos de un usuario
+   * Obtiene los permisos efectivos de un usuario (directos, heredados y concedidos por comodines)
    * @param {number} idUsuario - ID del usuario
    * @returns {Promise<Array>} - Lista de permisos del usuario
    */
   static async obtenerPermisosUsuario(idUsuario) {
     try {
-      const query = `
-        SELECT DISTINCT 
-          p.id_permiso,
-          p.nombre_permiso,
-          p.descripcion,
-          p.modulo
-        FROM Usuarios u
-        INNER JOIN Roles r ON u.id_rol = r.id_rol
-        INNER JOIN Roles_Permisos rp ON r.id_rol = rp.id_rol
-        INNER JOIN Permisos p ON rp.id_permiso = p.id_permiso
-        WHERE u.id_usuario = ? AND u.estado = 'ACTIVO'
-        ORDER BY p.modulo, p.nombre_permiso
-      `;
-      
-      return await ejecutarQuery(query, [idUsuario]);
+      const permisos = await Permiso.obtenerPermisosEfectivosUsuario(idUsuario);
+
+      return permisos
+        .map(({ id_permiso, nombre_permiso, descripcion, modulo }) => ({
+          id_permiso,
+          nombre_permiso,
+          descripcion,
+          modulo
+        }))
+        .sort((a, b) => a.modulo.localeCompare(b.modulo) || a.nombre_permiso.localeCompare(b.nombre_permiso));
     } catch (error) {
       console.error('Error al obtener permisos del usuario:', error);
       throw error;
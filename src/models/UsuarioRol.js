@@ -0,0 +1,275 @@
+/**
+ * Modelo de asignaciones de roles adicionales a usuarios
+ * Un usuario conserva su rol principal (Usuarios.id_rol) y puede recibir otros roles,
+ * opcionalmente limitados entre fecha_inicio y fecha_fin (p. ej. personal de temporada)
+ */
+
+import { ejecutarQuery } from "../utils/db.js";
+import { invalidarUsuario } from "../utils/cachePermisos.js";
+
+/**
+ * Condición SQL que indica si una asignación está vigente en este momento
+ */
+const CONDICION_VIGENTE = `
+  (ur.fecha_inicio IS NULL OR ur.fecha_inicio <= NOW())
+  AND (ur.fecha_fin IS NULL OR ur.fecha_fin > NOW())
+`;
+
+export class UsuarioRol {
+
+  /**
+   * Obtiene las asignaciones de roles adicionales de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @param {boolean} incluirVencidas - Si se incluyen las asignaciones ya finalizadas
+   * @returns {Promise<Array>} - Asignaciones con su estado (PROGRAMADA, VIGENTE o VENCIDA)
+   */
+  static async obtenerPorUsuario(idUsuario, incluirVencidas = false) {
+    try {
+      const query = `
+        SELECT
+          ur.id_asignacion,
+          ur.id_usuario,
+          ur.id_rol,
+          r.nombre_rol,
+          ur.fecha_inicio,
+          ur.fecha_fin,
+          ur.id_usuario_asignador,
+          ua.nombre_usuario as nombre_usuario_asignador,
+          ur.fecha_creacion,
+          CASE
+            WHEN ur.fecha_inicio IS NOT NULL AND ur.fecha_inicio > NOW() THEN 'PROGRAMADA'
+            WHEN ur.fecha_fin IS NOT NULL AND ur.fecha_fin <= NOW() THEN 'VENCIDA'
+            ELSE 'VIGENTE'
+          END as estado
+        FROM Usuarios_Roles ur
+        INNER JOIN Roles r ON ur.id_rol = r.id_rol
+        LEFT JOIN Usuarios ua ON ur.id_usuario_asignador = ua.id_usuario
+        WHERE ur.id_usuario = ?
+          ${incluirVencidas ? '' : 'AND (ur.fecha_fin IS NULL OR ur.fecha_fin > NOW())'}
+        ORDER BY ur.fecha_inicio IS NULL DESC, ur.fecha_inicio, ur.id_asignacion
+      `;
+
+      return await ejecutarQuery(query, [idUsuario]);
+    } catch (error) {
+      console.error('Error al obtener roles asignados al usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una asignación por su ID
+   * @param {number} idAsignacion - ID de la asignación
+   * @returns {Promise<Object|null>} - Asignación encontrada o null
+   */
+  static async buscarPorId(idAsignacion) {
+    try {
+      const query = `
+        SELECT
+          ur.id_asignacion,
+          ur.id_usuario,
+          ur.id_rol,
+          r.nombre_rol,
+          ur.fecha_inicio,
+          ur.fecha_fin,
+          ur.id_usuario_asignador,
+          ur.fecha_creacion
+        FROM Usuarios_Roles ur
+        INNER JOIN Roles r ON ur.id_rol = r.id_rol
+        WHERE ur.id_asignacion = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idAsignacion]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar asignación de rol:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Comprueba si el usuario ya tiene el rol en un periodo que se solapa con el indicado
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idRol - ID del rol
+   * @param {Date|null} fechaInicio - Inicio del periodo (null = sin límite)
+   * @param {Date|null} fechaFin - Fin del periodo (null = sin límite)
+   * @param {number|null} idAsignacionExcluida - Asignación a ignorar (al modificar una existente)
+   * @returns {Promise<boolean>} - True si existe una asignación solapada
+   */
+  static async existeSolapamiento(idUsuario, idRol, fechaInicio, fechaFin, idAsignacionExcluida = null) {
+    try {
+      const query = `
+        SELECT COUNT(*) as total
+        FROM Usuarios_Roles
+        WHERE id_usuario = ?
+          AND id_rol = ?
+          AND id_asignacion != ?
+          AND (fecha_fin IS NULL OR ? IS NULL OR fecha_fin > ?)
+          AND (fecha_inicio IS NULL OR ? IS NULL OR fecha_inicio < ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [
+        idUsuario,
+        idRol,
+        idAsignacionExcluida || 0,
+        fechaInicio,
+        fechaInicio,
+        fechaFin,
+        fechaFin
+      ]);
+      return resultado[0].total > 0;
+    } catch (error) {
+      console.error('Error al comprobar solapamiento de roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna un rol adicional a un usuario
+   * @param {Object} datosAsignacion - Datos de la asignación
+   * @param {number} datosAsignacion.id_usuario - ID del usuario
+   * @param {number} datosAsignacion.id_rol - ID del rol
+   * @param {Date} datosAsignacion.fecha_inicio - Inicio de la vigencia (opcional)
+   * @param {Date} datosAsignacion.fecha_fin - Fin de la vigencia (opcional)
+   * @param {number} datosAsignacion.id_usuario_asignador - Usuario que realiza la asignación
+   * @returns {Promise<number>} - ID de la asignación creada
+   */
+  static async crear({ id_usuario, id_rol, fecha_inicio = null, fecha_fin = null, id_usuario_asignador = null }) {
+    try {
+      const query = `
+        INSERT INTO Usuarios_Roles (id_usuario, id_rol, fecha_inicio, fecha_fin, id_usuario_asignador)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      const resultado = await ejecutarQuery(query, [id_usuario, id_rol, fecha_inicio, fecha_fin, id_usuario_asignador]);
+      invalidarUsuario(id_usuario);
+      return resultado.insertId;
+    } catch (error) {
+      console.error('Error al asignar rol al usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Modifica la vigencia de una asignación
+   * @param {number} idAsignacion - ID de la asignación
+   * @param {number} idUsuario - ID del usuario dueño de la asignación
+   * @param {Date|null} fechaInicio - Nuevo inicio de la vigencia
+   * @param {Date|null} fechaFin - Nuevo fin de la vigencia
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async actualizarVigencia(idAsignacion, idUsuario, fechaInicio, fechaFin) {
+    try {
+      const query = `
+        UPDATE Usuarios_Roles
+        SET fecha_inicio = ?,
+            fecha_fin = ?
+        WHERE id_asignacion = ? AND id_usuario = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [fechaInicio, fechaFin, idAsignacion, idUsuario]);
+      invalidarUsuario(idUsuario);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al actualizar vigencia del rol:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una asignación de rol
+   * @param {number} idAsignacion - ID de la asignación
+   * @param {number} idUsuario - ID del usuario dueño de la asignación
+   * @returns {Promise<boolean>} - True si se eliminó correctamente
+   */
+  static async eliminar(idAsignacion, idUsuario) {
+    try {
+      const query = `
+        DELETE FROM Usuarios_Roles
+        WHERE id_asignacion = ? AND id_usuario = ?
+      `;
+
+      const resultado = await ejecutarQuery(query, [idAsignacion, idUsuario]);
+      invalidarUsuario(idUsuario);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al quitar rol del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los roles activos de un usuario: su rol principal y las asignaciones vigentes
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Array>} - Roles (id_rol, nombre_rol, principal, fecha_fin) con el principal primero
+   */
+  static async obtenerRolesActivos(idUsuario) {
+    try {
+      const query = `
+        SELECT
+          r.id_rol,
+          r.nombre_rol,
+          TRUE as principal,
+          NULL as fecha_fin
+        FROM Usuarios u
+        INNER JOIN Roles r ON u.id_rol = r.id_rol
+        WHERE u.id_usuario = ?
+        UNION ALL
+        SELECT
+          r.id_rol,
+          r.nombre_rol,
+          FALSE as principal,
+          ur.fecha_fin
+        FROM Usuarios_Roles ur
+        INNER JOIN Roles r ON ur.id_rol = r.id_rol
+        WHERE ur.id_usuario = ? AND ${CONDICION_VIGENTE}
+      `;
+
+      const filas = await ejecutarQuery(query, [idUsuario, idUsuario]);
+
+      // Un mismo rol puede llegar como principal y como asignación: se conserva la primera
+      const roles = new Map();
+      for (const fila of filas.sort((a, b) => b.principal - a.principal)) {
+        if (!roles.has(fila.id_rol)) {
+          roles.set(fila.id_rol, {
+            id_rol: fila.id_rol,
+            nombre_rol: fila.nombre_rol,
+            principal: !!fila.principal,
+            fecha_fin: fila.fecha_fin
+          });
+        }
+      }
+
+      return [...roles.values()];
+    } catch (error) {
+      console.error('Error al obtener roles activos del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la próxima fecha en la que cambian los roles activos de un usuario
+   * (una asignación que empieza o que termina)
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Date|null>} - Fecha del próximo cambio o null si no hay ninguno previsto
+   */
+  static async obtenerProximoCambio(idUsuario) {
+    try {
+      const query = `
+        SELECT MIN(fecha) as proximo_cambio
+        FROM (
+          SELECT fecha_inicio as fecha FROM Usuarios_Roles
+          WHERE id_usuario = ? AND fecha_inicio > NOW()
+          UNION ALL
+          SELECT fecha_fin as fecha FROM Usuarios_Roles
+          WHERE id_usuario = ? AND fecha_fin > NOW()
+        ) cambios
+      `;
+
+      const filas = await ejecutarQuery(query, [idUsuario, idUsuario]);
+      return filas[0]?.proximo_cambio ? new Date(filas[0].proximo_cambio) : null;
+    } catch (error) {
+      console.error('Error al obtener próximo cambio de roles:', error);
+      throw error;
+    }
+  }
+}
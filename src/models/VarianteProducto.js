@@ -0,0 +1,324 @@
+/**
+ * Modelo de Variantes de Producto
+ * Una variante es una versión vendible de un producto (tipo de madera, acabado, medidas)
+ * con SKU, atributos, stock e imágenes propios. Su precio es el absoluto de la variante
+ * o, si no lo tiene, el precio del producto más el ajuste de la variante
+ */
+
+import db, { ejecutarQuery } from "../utils/db.js";
+import { MovimientoStock } from "./MovimientoStock.js";
+
+/**
+ * Expresión SQL del precio efectivo de una variante (requiere los alias v y p)
+ */
+export const PRECIO_VARIANTE_SQL = 'COALESCE(v.precio, p.precio + v.ajuste_precio)';
+
+export class VarianteProducto {
+
+  /**
+   * Obtiene las variantes de un producto con sus imágenes
+   * @param {number} idProducto - ID del producto
+   * @param {string} estado - Filtro por estado (opcional)
+   * @returns {Promise<Array>} - Variantes del producto
+   */
+  static async obtenerPorProducto(idProducto, estado = null) {
+    try {
+      const parametros = [idProducto];
+      let filtroEstado = '';
+
+      if (estado) {
+        filtroEstado = 'AND v.estado = ?';
+        parametros.push(estado);
+      }
+
+      const query = `
+        SELECT
+          v.id_variante,
+          v.id_producto,
+          v.sku,
+          v.atributos,
+          v.precio,
+          v.ajuste_precio,
+          ${PRECIO_VARIANTE_SQL} as precio_final,
+          v.stock,
+          v.estado,
+          v.fecha_creacion
+        FROM Variantes_Producto v
+        INNER JOIN Productos p ON v.id_producto = p.id_producto
+        WHERE v.id_producto = ? ${filtroEstado}
+        ORDER BY v.sku ASC
+      `;
+
+      const variantes = await ejecutarQuery(query, parametros);
+      if (variantes.length === 0) {
+        return variantes;
+      }
+
+      const queryImagenes = `
+        SELECT id_imagen, id_variante, url_imagen
+        FROM Imagenes_Producto
+        WHERE id_producto = ? AND id_variante IS NOT NULL
+        ORDER BY id_imagen ASC
+      `;
+
+      const imagenes = await ejecutarQuery(queryImagenes, [idProducto]);
+
+      return variantes.map(variante => ({
+        ...variante,
+        imagenes: imagenes.filter(imagen => imagen.id_variante === variante.id_variante)
+      }));
+    } catch (error) {
+      console.error('Error al obtener variantes del producto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una variante por su ID
+   * @param {number} idVariante - ID de la variante
+   * @returns {Promise<Object|null>} - Variante encontrada (con datos del producto) o null
+   */
+  static async buscarPorId(idVariante) {
+    try {
+      const query = `
+        SELECT
+          v.id_variante,
+          v.id_producto,
+          p.nombre_producto,
+          p.precio as precio_producto,
+          v.sku,
+          v.atributos,
+          v.precio,
+          v.ajuste_precio,
+          ${PRECIO_VARIANTE_SQL} as precio_final,
+          v.stock,
+          v.estado,
+          v.fecha_creacion
+        FROM Variantes_Producto v
+        INNER JOIN Productos p ON v.id_producto = p.id_producto
+        WHERE v.id_variante = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [idVariante]);
+      if (filas.length === 0) {
+        return null;
+      }
+
+      const queryImagenes = `
+        SELECT id_imagen, url_imagen
+        FROM Imagenes_Producto
+        WHERE id_variante = ?
+        ORDER BY id_imagen ASC
+      `;
+
+      const imagenes = await ejecutarQuery(queryImagenes, [idVariante]);
+      return { ...filas[0], imagenes };
+    } catch (error) {
+      console.error('Error al buscar variante por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una variante por su SKU
+   * @param {string} sku - SKU de la variante
+   * @returns {Promise<Object|null>} - Variante encontrada o null
+   */
+  static async buscarPorSku(sku) {
+    try {
+      const query = `
+        SELECT id_variante, id_producto, sku
+        FROM Variantes_Producto
+        WHERE sku = ?
+      `;
+
+      const filas = await ejecutarQuery(query, [sku]);
+      return filas[0] || null;
+    } catch (error) {
+      console.error('Error al buscar variante por SKU:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta las variantes vigentes (no descontinuadas) de un producto
+   * Un producto con variantes vigentes solo se vende eligiendo una de ellas
+   * @param {number} idProducto - ID del producto
+   * @returns {Promise<number>} - Número de variantes vigentes
+   */
+  static async contarVigentes(idProducto) {
+    try {
+      const query = `
+        SELECT COUNT(*) as total
+        FROM Variantes_Producto
+        WHERE id_producto = ? AND estado != 'DESCONTINUADO'
+      `;
+
+      const filas = await ejecutarQuery(query, [idProducto]);
+      return Number(filas[0].total);
+    } catch (error) {
+      console.error('Error al contar variantes del producto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una variante de producto
+   * El stock inicial se registra como una ENTRADA en los movimientos de stock
+   * @param {Object} datosVariante - Datos de la variante
+   * @param {number} datosVariante.id_producto - ID del producto padre
+   * @param {string} datosVariante.sku - SKU único
+   * @param {Object} datosVariante.atributos - Atributos (ej: { madera: 'roble', medidas: '120x60' })
+   * @param {number} datosVariante.precio - Precio absoluto (opcional, tiene prioridad sobre el ajuste)
+   * @param {number} datosVariante.ajuste_precio - Diferencia sobre el precio del producto (opcional)
+   * @param {number} datosVariante.stock - Stock inicial (opcional)
+   * @param {string} datosVariante.estado - Estado (opcional, por defecto 'DISPONIBLE')
+   * @param {number} datosVariante.id_usuario - Usuario que crea la variante (opcional, para el movimiento de stock)
+   * @returns {Promise<number>} - ID de la variante creada
+   */
+  static async crear({ id_producto, sku, atributos, precio = null, ajuste_precio = 0, stock = 0, estado = 'DISPONIBLE', id_usuario = null }) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const query = `
+        INSERT INTO Variantes_Producto
+          (id_producto, sku, atributos, precio, ajuste_precio, stock, estado)
+        VALUES (?, ?, ?, ?, ?, 0, ?)
+      `;
+
+      const [resultado] = await connection.execute(query, [
+        id_producto,
+        sku,
+        JSON.stringify(atributos),
+        precio,
+        ajuste_precio,
+        estado
+      ]);
+
+      if (stock > 0) {
+        await MovimientoStock.registrar(connection, {
+          id_producto,
+          id_variante: resultado.insertId,
+          tipo: 'ENTRADA',
+          cantidad: stock,
+          motivo: 'Stock inicial',
+          id_usuario
+        });
+      }
+
+      await connection.commit();
+      return resultado.insertId;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al crear variante:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Actualiza una variante de producto
+   * Si se envía stock y cambia, la diferencia se registra como un AJUSTE en los movimientos de stock
+   * @param {number} idVariante - ID de la variante
+   * @param {Object} datosVariante - Datos de la variante (sku, atributos, precio, ajuste_precio, estado y stock opcional)
+   * @param {number} idUsuario - Usuario que realiza el cambio (opcional, para el movimiento de stock)
+   * @returns {Promise<boolean>} - True si se actualizó correctamente
+   */
+  static async actualizar(idVariante, { sku, atributos, precio, ajuste_precio, stock, estado }, idUsuario = null) {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const query = `
+        UPDATE Variantes_Producto
+        SET
+          sku = ?,
+          atributos = ?,
+          precio = ?,
+          ajuste_precio = ?,
+          estado = ?
+        WHERE id_variante = ?
+      `;
+
+      const [resultado] = await connection.execute(query, [
+        sku,
+        JSON.stringify(atributos),
+        precio,
+        ajuste_precio,
+        estado,
+        idVariante
+      ]);
+
+      if (resultado.affectedRows > 0 && stock !== undefined) {
+        const [variantes] = await connection.execute(
+          'SELECT id_producto FROM Variantes_Producto WHERE id_variante = ?',
+          [idVariante]
+        );
+
+        await MovimientoStock.ajustarA(connection, {
+          id_producto: variantes[0].id_producto,
+          id_variante: idVariante,
+          stock,
+          motivo: 'Actualización de la variante',
+          id_usuario: idUsuario
+        });
+      }
+
+      await connection.commit();
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error al actualizar variante:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Elimina una variante y sus imágenes
+   * @param {number} idVariante - ID de la variante
+   * @returns {Promise<boolean>} - True si se eliminó correctamente
+   */
+  static async eliminar(idVariante) {
+    try {
+      const queryCarritos = `
+        SELECT COUNT(*) as total
+        FROM Productos_Carrito
+        WHERE id_variante = ?
+      `;
+
+      const resultadoCarritos = await ejecutarQuery(queryCarritos, [idVariante]);
+      if (resultadoCarritos[0].total > 0) {
+        throw new Error('No se puede eliminar la variante porque está en carritos de compra');
+      }
+
+      const queryVentas = `
+        SELECT COUNT(*) as total
+        FROM Detalles_Venta
+        WHERE id_variante = ?
+      `;
+
+      const resultadoVentas = await ejecutarQuery(queryVentas, [idVariante]);
+      if (resultadoVentas[0].total > 0) {
+        throw new Error('No se puede eliminar la variante porque tiene ventas asociadas, márcala como DESCONTINUADO');
+      }
+
+      if (await MovimientoStock.tieneMovimientos({ id_variante: idVariante })) {
+        throw new Error('No se puede eliminar la variante porque tiene movimientos de stock, márcala como DESCONTINUADO');
+      }
+
+      await ejecutarQuery('DELETE FROM Imagenes_Producto WHERE id_variante = ?', [idVariante]);
+
+      const resultado = await ejecutarQuery('DELETE FROM Variantes_Producto WHERE id_variante = ?', [idVariante]);
+      return resultado.affectedRows > 0;
+    } catch (error) {
+      console.error('Error al eliminar variante:', error);
+      throw error;
+    }
+  }
+}
@@ -4,12 +4,20 @@
  */
 
 import db from '../utils/db.js';
+import { PRECIO_VARIANTE_SQL } from './VarianteProducto.js';
+import { MaterialProducto } from './MaterialProducto.js';
+import { OrdenTrabajo } from './OrdenTrabajo.js';
+import { MovimientoStock } from './MovimientoStock.js';
+import { ReservaStock } from './ReservaStock.js';
+import { Ubicacion } from './Ubicacion.js';
 
 export class Venta {
     /**
      * Procesa una venta desde el carrito del usuario
+     * Con ubicación, el pedido se surte completo desde ella; sin ubicación se usa la de la reserva
+     * del usuario o, si no la indicó, se reparte empezando por la ubicación predeterminada
      */
-    static async procesarVentaDesdeCarrito(idUsuario) {
+    static async procesarVentaDesdeCarrito(idUsuario, idUbicacion = null) {
         const connection = await db.getConnection();
         
         try {
@@ -29,30 +37,40 @@ export class Venta {
             const idCarrito = carrito[0].id_carrito;
 
             // 2. Obtener productos del carrito con validaciones
+            // Las líneas con variante usan el precio y el stock de la variante
             const [productosCarrito] = await connection.execute(`
                 SELECT 
                     pc.id_producto,
+                    pc.id_variante,
                     pc.cantidad,
-                    p.nombre_producto,
-                    p.precio,
-                    p.stock,
-                    (pc.cantidad * p.precio) as subtotal
+                    CASE WHEN v.id_variante IS NULL THEN p.nombre_producto
+                        ELSE CONCAT(p.nombre_producto, ' (', v.sku, ')')
+                    END as nombre_producto,
+                    CASE WHEN v.id_variante IS NULL THEN p.precio ELSE ${PRECIO_VARIANTE_SQL} END as precio,
+                    CASE WHEN v.id_variante IS NULL THEN p.stock ELSE v.stock END as stock,
+                    (pc.cantidad * CASE WHEN v.id_variante IS NULL THEN p.precio ELSE ${PRECIO_VARIANTE_SQL} END) as subtotal
                 FROM Productos_Carrito pc
                 INNER JOIN Productos p ON pc.id_producto = p.id_producto
+                LEFT JOIN Variantes_Producto v ON pc.id_variante = v.id_variante
                 WHERE pc.id_carrito = ? AND p.estado = 'DISPONIBLE'
+                    AND (v.id_variante IS NULL OR v.estado = 'DISPONIBLE')
             `, [idCarrito]);
 
             if (!productosCarrito.length) {
                 throw new Error('El carrito está vacío o no contiene productos disponibles');
             }
 
-            // 3. Validar stock suficiente
-            for (const producto of productosCarrito) {
-                if (producto.cantidad > producto.stock) {
-                    throw new Error(`Stock insuficiente para ${producto.nombre_producto}. Disponible: ${producto.stock}, Solicitado: ${producto.cantidad}`);
-                }
+            // 3. Bloquear el stock de las líneas y validar que alcance sin tocar lo que otros
+            //    usuarios tienen reservado mientras pagan (las reservas vencidas ya no cuentan),
+            //    también en la ubicación desde la que se surte el pedido
+            const ubicacionSurtido = idUbicacion || await ReservaStock.obtenerUbicacionReserva(connection, idUsuario);
+
+            if (ubicacionSurtido) {
+                await Ubicacion.validarActiva(connection, ubicacionSurtido);
             }
 
+            await ReservaStock.validarDisponibilidad(connection, productosCarrito, idUsuario, ubicacionSurtido);
+
             // 4. Calcular total de la venta
             console.log(productosCarrito);
             const totalVenta = productosCarrito.reduce((total, producto) => total + Number(producto.subtotal), 0);
@@ -71,30 +89,33 @@ export class Venta {
             // 6. Crear detalles de la venta
             for (const producto of productosCarrito) {
                 await connection.execute(`
-                    INSERT INTO Detalles_Venta (id_venta, id_producto, cantidad, precio_unitario, subtotal_linea)
-                    VALUES (?, ?, ?, ?, ?)
-                `, [idVenta, producto.id_producto, producto.cantidad, producto.precio, producto.subtotal]);
-
-                // 7. Actualizar stock de productos
-                await connection.execute(`
-                    UPDATE Productos 
-                    SET stock = stock - ?,
-                        estado = CASE 
-                            WHEN stock - ? <= 0 THEN 'AGOTADO'
-                            ELSE estado
-                        END
-                    WHERE id_producto = ?
-                `, [producto.cantidad, producto.cantidad, producto.id_producto]);
+                    INSERT INTO Detalles_Venta (id_venta, id_producto, id_variante, cantidad, precio_unitario, subtotal_linea)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [idVenta, producto.id_producto, producto.id_variante, producto.cantidad, producto.precio, producto.subtotal]);
+
+                // 7. Registrar la salida de stock de la variante o del producto en su ubicación
+                await MovimientoStock.registrarSalidaVenta(connection, producto, {
+                    id_ubicacion: ubicacionSurtido,
+                    referencia: `Venta #${idVenta}`,
+                    id_venta: idVenta,
+                    id_usuario: idUsuario
+                });
             }
 
-            // 8. Vaciar el carrito
+            // 8. Descontar los materiales de fabricación según la lista de materiales de cada producto
+            await MaterialProducto.descontarPorVenta(connection, idVenta, productosCarrito, idUsuario);
+
+            // 9. Confirmar la reserva del usuario, si inició el pago reservando su carrito
+            await ReservaStock.confirmarReserva(connection, idUsuario, idVenta);
+
+            // 10. Vaciar el carrito
             await connection.execute(`
                 DELETE FROM Productos_Carrito WHERE id_carrito = ?
             `, [idCarrito]);
 
             await connection.commit();
 
-            // 9. Obtener la venta completa
+            // 11. Obtener la venta completa
             return await this.obtenerVentaPorId(idVenta);
 
         } catch (error) {
@@ -129,10 +150,13 @@ export class Venta {
         const [detalles] = await db.execute(`
             SELECT 
                 dv.*,
-                p.nombre_producto,
-                p.descripcion
+                COALESCE(p.nombre_producto, dv.descripcion) as nombre_producto,
+                p.descripcion,
+                v.sku,
+                v.atributos
             FROM Detalles_Venta dv
-            INNER JOIN Productos p ON dv.id_producto = p.id_producto
+            LEFT JOIN Productos p ON dv.id_producto = p.id_producto
+            LEFT JOIN Variantes_Producto v ON dv.id_variante = v.id_variante
             WHERE dv.id_venta = ?
             ORDER BY dv.id_detalle_venta
         `, [idVenta]);
@@ -249,24 +273,18 @@ export class Venta {
                 throw new Error('Venta no encontrada o no se puede cancelar');
             }
 
-            // Obtener detalles para restaurar stock
-            const [detalles] = await connection.execute(`
-                SELECT id_producto, cantidad FROM Detalles_Venta 
-                WHERE id_venta = ?
-            `, [idVenta]);
+            // Devolver el stock a las ubicaciones de las que salió (los trabajos a medida no tienen stock)
+            await MovimientoStock.revertirVenta(connection, idVenta, {
+                motivo: 'Cancelación de la venta',
+                referencia: `Venta #${idVenta}`,
+                id_usuario: idUsuario
+            });
 
-            // Restaurar stock
-            for (const detalle of detalles) {
-                await connection.execute(`
-                    UPDATE Productos 
-                    SET stock = stock + ?,
-                        estado = CASE 
-                            WHEN estado = 'AGOTADO' AND stock + ? > 0 THEN 'DISPONIBLE'
-                            ELSE estado
-                        END
-                    WHERE id_producto = ?
-                `, [detalle.cantidad, detalle.cantidad, detalle.id_producto]);
-            }
+            // Devolver al inventario los materiales descontados por la venta
+            await MaterialProducto.revertirPorVenta(connection, idVenta, { id_usuario: idUsuario });
+
+            // Cancelar la fabricación pendiente de la venta
+            await OrdenTrabajo.cancelarPorVenta(connection, idVenta);
 
             // Marcar venta como cancelada
             await connection.execute(`
@@ -0,0 +1,92 @@
+/**
+ * Proveedor de envío de correos
+ * Abstrae el transporte usado para enviar correos; se elige con MAIL_TRANSPORT.
+ * En desarrollo y pruebas el transporte 'archivo' escribe cada correo en una bandeja local
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Transportes disponibles, indexados por nombre
+ * Cada transporte recibe el mensaje ya armado y devuelve información del envío
+ */
+const transportes = {
+  /**
+   * Escribe el correo como archivo JSON en la bandeja de salida local
+   */
+  archivo: async (mensaje) => {
+    const directorio = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+    await fs.mkdir(directorio, { recursive: true });
+
+    const nombreArchivo = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const rutaArchivo = path.join(directorio, nombreArchivo);
+    await fs.writeFile(rutaArchivo, JSON.stringify(mensaje, null, 2), 'utf8');
+
+    return { transporte: 'archivo', ruta: rutaArchivo };
+  },
+
+  /**
+   * Muestra el correo en la consola
+   */
+  consola: async (mensaje) => {
+    console.log('📧 Correo enviado:', {
+      para: mensaje.para,
+      asunto: mensaje.asunto,
+      texto: mensaje.texto
+    });
+
+    return { transporte: 'consola' };
+  }
+};
+
+export class MailProvider {
+
+  /**
+   * Registra un transporte adicional (ej: SMTP o un servicio externo)
+   * @param {string} nombre - Nombre con el que se selecciona en MAIL_TRANSPORT
+   * @param {Function} transporte - Función async que recibe el mensaje y lo envía
+   */
+  static registrarTransporte(nombre, transporte) {
+    if (typeof transporte !== 'function') {
+      throw new Error('El transporte debe ser una función');
+    }
+
+    transportes[nombre] = transporte;
+  }
+
+  /**
+   * Envía un correo usando el transporte configurado
+   * @param {Object} datosCorreo - Datos del correo
+   * @param {string} datosCorreo.para - Destinatario
+   * @param {string} datosCorreo.asunto - Asunto del correo
+   * @param {string} datosCorreo.texto - Contenido en texto plano
+   * @param {string} datosCorreo.html - Contenido HTML (opcional)
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async enviar({ para, asunto, texto, html = null }) {
+    const nombreTransporte = process.env.MAIL_TRANSPORT || 'archivo';
+    const transporte = transportes[nombreTransporte];
+
+    if (!transporte) {
+      throw new Error(`Transporte de correo no configurado: ${nombreTransporte}`);
+    }
+
+    const mensaje = {
+      de: process.env.MAIL_FROM || 'no-responder@carpinteria.com',
+      para,
+      asunto,
+      texto,
+      html,
+      fecha: new Date().toISOString()
+    };
+
+    try {
+      return await transporte(mensaje);
+    } catch (error) {
+      console.error('Error al enviar correo:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Rutas de API Keys
+ * Define las rutas para gestionar las claves de integración
+ * Solo se gestionan con sesión de usuario: una API key no puede crear ni rotar otras claves
+ */
+
+import express from "express";
+import { ApiKeyController } from "../controllers/ApiKeyController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import {
+  requierePermiso,
+  requiereSesionUsuario,
+  prohibirEnImpersonacion
+} from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/api-keys
+ * @desc Obtener todas las API keys (sin el valor de la clave)
+ * @access Privado (requiere permiso leer_api_keys)
+ * @query {boolean} [incluir_revocadas=false] - Incluir claves revocadas
+ */
+router.get('/', verificarToken, requiereSesionUsuario, requierePermiso('leer_api_keys'), ApiKeyController.obtenerApiKeys);
+
+/**
+ * @route POST /api/api-keys
+ * @desc Crear una API key asociada a un rol (la clave se muestra una sola vez)
+ * @access Privado (requiere permiso crear_api_keys)
+ * @body {string} nombre - Nombre descriptivo de la clave
+ * @body {number} id_rol - Rol del que la clave toma sus permisos
+ * @body {number} [dias_validez] - Días de validez (sin expiración si se omite)
+ */
+router.post('/', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('crear_api_keys'), ApiKeyController.crearApiKey);
+
+/**
+ * @route GET /api/api-keys/:id
+ * @desc Obtener una API key por ID
+ * @access Privado (requiere permiso leer_api_keys)
+ * @param {number} id - ID de la API key
+ */
+router.get('/:id', verificarToken, requiereSesionUsuario, requierePermiso('leer_api_keys'), ApiKeyController.obtenerApiKeyPorId);
+
+/**
+ * @route POST /api/api-keys/:id/rotar
+ * @desc Generar una clave nueva para la API key (la anterior deja de funcionar)
+ * @access Privado (requiere permiso actualizar_api_keys)
+ * @param {number} id - ID de la API key
+ */
+router.post('/:id/rotar', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('actualizar_api_keys'), ApiKeyController.rotarApiKey);
+
+/**
+ * @route DELETE /api/api-keys/:id
+ * @desc Revocar una API key
+ * @access Privado (requiere permiso eliminar_api_keys)
+ * @param {number} id - ID de la API key
+ */
+router.delete('/:id', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('eliminar_api_keys'), ApiKeyController.revocarApiKey);
+
+export default router;
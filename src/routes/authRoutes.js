@@ -5,12 +5,27 @@
 
 import express from "express";
 import { AuthController } from "../controllers/AuthController.js";
-import { verificarToken, verificarRefreshToken } from "../middlewares/auth/tokenMiddleware.js";
+import { 
+  verificarToken, 
+  verificarRefreshToken, 
+  verificarTokenODesafio2FA 
+} from "../middlewares/auth/tokenMiddleware.js";
+import {
+  requiereSesionUsuario,
+  prohibirEnImpersonacion
+} from "../middlewares/auth/authMiddleware.js";
 import { 
   validarLogin, 
   validarRegistro, 
   validarCambioContraseña,
-  validarRefreshToken
+  validarRefreshToken,
+  validarSolicitudPorCorreo,
+  validarRestablecimientoContraseña,
+  validarCambioContraseñaObligatorio,
+  validarTokenEnlaceMagico,
+  validarVerificacionDosFactores,
+  validarCodigoTotp,
+  validarDesactivacionDosFactores
 } from "../middlewares/validaciones/authValidaciones.js";
 
 const router = express.Router();
@@ -21,9 +36,74 @@ const router = express.Router();
  * @access Público
  * @body {string} correo - Correo electrónico del usuario
  * @body {string} contraseña - Contraseña del usuario
+ * Si el usuario tiene verificación en dos pasos (o su rol la exige) responde con
+ * requiere_2fa y un token_desafio en lugar de los tokens de acceso.
+ * Si la contraseña debe cambiarse (marcada por un administrador o expirada) responde con
+ * requiere_cambio_contraseña y un token_cambio
  */
 router.post('/login', validarLogin, AuthController.login);
 
+/**
+ * @route POST /api/auth/cambio-contraseña-obligatorio
+ * @desc Fijar una nueva contraseña cuando el login lo exige y completar el inicio de sesión
+ * @access Público (requiere token_cambio emitido por el login)
+ * @body {string} token_cambio - Token de cambio de contraseña
+ * @body {string} nueva_contraseña - Nueva contraseña del usuario
+ */
+router.post('/cambio-contraseña-obligatorio', validarCambioContraseñaObligatorio, AuthController.cambiarContraseñaObligatoria);
+
+/**
+ * @route POST /api/auth/2fa/verificar
+ * @desc Completar el login con el código de verificación en dos pasos
+ * @access Público (requiere token de desafío del login)
+ * @body {string} token_desafio - Token de desafío devuelto por /login
+ * @body {string} [codigo] - Código TOTP de 6 dígitos
+ * @body {string} [codigo_recuperacion] - Código de recuperación (si no se envía codigo)
+ */
+router.post('/2fa/verificar', validarVerificacionDosFactores, AuthController.verificarDosFactores);
+
+/**
+ * @route GET /api/auth/2fa
+ * @desc Obtener el estado de la verificación en dos pasos del usuario autenticado
+ * @access Privado
+ */
+router.get('/2fa', verificarToken, requiereSesionUsuario, AuthController.obtenerEstadoDosFactores);
+
+/**
+ * @route POST /api/auth/2fa/configurar
+ * @desc Generar el secreto y la URI de aprovisionamiento (código QR) de la verificación en dos pasos
+ * @access Privado (access token o token_desafio del login si el rol exige 2FA)
+ * @body {string} [token_desafio] - Token de desafío del login (en lugar del access token)
+ */
+router.post('/2fa/configurar', verificarTokenODesafio2FA, requiereSesionUsuario, prohibirEnImpersonacion, AuthController.configurarDosFactores);
+
+/**
+ * @route POST /api/auth/2fa/activar
+ * @desc Activar la verificación en dos pasos y obtener los códigos de recuperación
+ * @access Privado (access token o token_desafio del login si el rol exige 2FA)
+ * @body {string} codigo - Código TOTP de 6 dígitos
+ * @body {string} [token_desafio] - Token de desafío del login (completa el inicio de sesión)
+ */
+router.post('/2fa/activar', verificarTokenODesafio2FA, requiereSesionUsuario, prohibirEnImpersonacion, validarCodigoTotp, AuthController.activarDosFactores);
+
+/**
+ * @route POST /api/auth/2fa/desactivar
+ * @desc Desactivar la verificación en dos pasos (no permitido si el rol la exige)
+ * @access Privado
+ * @body {string} contraseña - Contraseña actual
+ * @body {string} [codigo] - Código TOTP de 6 dígitos
+ * @body {string} [codigo_recuperacion] - Código de recuperación (si no se envía codigo)
+ */
+router.post('/2fa/desactivar', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, validarDesactivacionDosFactores, AuthController.desactivarDosFactores);
+
+/**
+ * @route POST /api/auth/2fa/codigos-recuperacion
+ * @desc Generar nuevos códigos de recuperación (invalida los anteriores)
+ * @access Privado
+ * @body {string} codigo - Código TOTP de 6 dígitos
+ */
+router.post('/2fa/codigos-recuperacion', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, validarCodigoTotp, AuthController.regenerarCodigosRecuperacion);
+
 /**
  * @route POST /api/auth/registro
  * @desc Registrar un nuevo usuario
@@ -36,11 +116,28 @@ router.post('/login', validarLogin, AuthController.login);
  */
 router.post('/registro', validarRegistro, AuthController.registro);
 
+/**
+ * @route GET /api/auth/verificar-correo/:token
+ * @desc Verificar el correo electrónico y activar la cuenta
+ * @access Público
+ * @param {string} token - Token de verificación recibido por correo
+ */
+router.get('/verificar-correo/:token', AuthController.verificarCorreo);
+
+/**
+ * @route POST /api/auth/reenviar-verificacion
+ * @desc Reenviar el enlace de verificación de correo (con límite de frecuencia)
+ * @access Público
+ * @body {string} correo - Correo electrónico de la cuenta pendiente
+ */
+router.post('/reenviar-verificacion', validarSolicitudPorCorreo, AuthController.reenviarVerificacion);
+
 /**
  * @route POST /api/auth/refresh
- * @desc Renovar access token usando refresh token
+ * @desc Renovar access token usando refresh token (rota el refresh token: el anterior queda invalidado)
  * @access Público
- * @body {string} refreshToken - Refresh token válido
+ * @body {string} refreshToken - Refresh token válido (modo body)
+ * @cookie {string} refreshToken - Refresh token válido (modo cookie, requiere cabecera X-CSRF-Token)
  */
 router.post('/refresh', validarRefreshToken, verificarRefreshToken, AuthController.renovarToken);
 
@@ -49,7 +146,7 @@ router.post('/refresh', validarRefreshToken, verificarRefreshToken, AuthControll
  * @desc Obtener perfil del usuario autenticado
  * @access Privado (requiere token válido)
  */
-router.get('/perfil', verificarToken, AuthController.obtenerPerfil);
+router.get('/perfil', verificarToken, requiereSesionUsuario, AuthController.obtenerPerfil);
 
 /**
  * @route PUT /api/auth/cambiar-contraseña
@@ -58,14 +155,70 @@ router.get('/perfil', verificarToken, AuthController.obtenerPerfil);
  * @body {string} contraseña_actual - Contraseña actual del usuario
  * @body {string} nueva_contraseña - Nueva contraseña del usuario
  */
-router.put('/cambiar-contraseña', verificarToken, validarCambioContraseña, AuthController.cambiarContraseña);
+router.put('/cambiar-contraseña', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, validarCambioContraseña, AuthController.cambiarContraseña);
+
+/**
+ * @route POST /api/auth/olvide-contraseña
+ * @desc Solicitar un enlace por correo para restablecer la contraseña
+ * @access Público
+ * @body {string} correo - Correo electrónico de la cuenta
+ */
+router.post('/olvide-contraseña', validarSolicitudPorCorreo, AuthController.olvideContraseña);
+
+/**
+ * @route POST /api/auth/enlace-magico
+ * @desc Enviar por correo un enlace de un solo uso para iniciar sesión sin contraseña
+ * @access Público
+ * @body {string} correo - Correo electrónico de la cuenta
+ */
+router.post('/enlace-magico', validarSolicitudPorCorreo, AuthController.solicitarEnlaceMagico);
+
+/**
+ * @route POST /api/auth/enlace-magico/canjear
+ * @desc Iniciar sesión con el token del enlace recibido por correo
+ * @access Público
+ * @body {string} token - Token del enlace
+ * Responde como el login: tokens de acceso, o requiere_2fa / requiere_cambio_contraseña
+ */
+router.post('/enlace-magico/canjear', validarTokenEnlaceMagico, AuthController.canjearEnlaceMagico);
+
+/**
+ * @route POST /api/auth/restablecer-contraseña
+ * @desc Restablecer la contraseña con el token recibido por correo (cierra todas las sesiones)
+ * @access Público
+ * @body {string} token - Token de restablecimiento recibido por correo
+ * @body {string} nueva_contraseña - Nueva contraseña del usuario
+ */
+router.post('/restablecer-contraseña', validarRestablecimientoContraseña, AuthController.restablecerContraseña);
 
 /**
  * @route POST /api/auth/logout
- * @desc Cerrar sesión del usuario
+ * @desc Cerrar sesión del usuario (revoca el refresh token de la sesión)
+ * @access Privado (requiere token válido)
+ */
+router.post('/logout', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, AuthController.logout);
+
+/**
+ * @route GET /api/auth/sesiones
+ * @desc Listar las sesiones activas del usuario (dispositivo, IP, creación y último uso)
+ * @access Privado (requiere token válido)
+ */
+router.get('/sesiones', verificarToken, requiereSesionUsuario, AuthController.obtenerSesiones);
+
+/**
+ * @route DELETE /api/auth/sesiones
+ * @desc Cerrar todas las sesiones del usuario excepto la actual
+ * @access Privado (requiere token válido)
+ */
+router.delete('/sesiones', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, AuthController.cerrarOtrasSesiones);
+
+/**
+ * @route DELETE /api/auth/sesiones/:id
+ * @desc Cerrar una sesión específica del usuario
  * @access Privado (requiere token válido)
+ * @param {string} id - ID de la sesión
  */
-router.post('/logout', verificarToken, AuthController.logout);
+router.delete('/sesiones/:id', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, AuthController.cerrarSesionRemota);
 
 /**
  * @route GET /api/auth/verificar
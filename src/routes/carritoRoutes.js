@@ -33,6 +33,9 @@ router.get('/resumen',
  * @route   POST /api/carrito/agregar
  * @desc    Agrega un producto al carrito
  * @access  Private
+ * @body    {number} id_producto - ID del producto (requerido)
+ * @body    {number} id_variante - ID de la variante elegida (requerido si el producto tiene variantes)
+ * @body    {number} cantidad - Cantidad a agregar (opcional, default: 1)
  */
 router.post('/agregar', 
   verificarToken,
@@ -43,6 +46,7 @@ router.post('/agregar',
  * @route   PUT /api/carrito/producto/:id_producto
  * @desc    Actualiza la cantidad de un producto en el carrito
  * @access  Private
+ * @query   {number} id_variante - Variante de la línea (opcional)
  */
 router.put('/producto/:id_producto', 
   verificarToken,
@@ -53,6 +57,7 @@ router.put('/producto/:id_producto',
  * @route   DELETE /api/carrito/producto/:id_producto
  * @desc    Elimina un producto específico del carrito
  * @access  Private
+ * @query   {number} id_variante - Variante de la línea (opcional)
  */
 router.delete('/producto/:id_producto', 
   verificarToken,
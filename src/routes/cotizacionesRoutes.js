@@ -0,0 +1,123 @@
+/**
+ * Rutas de Cotizaciones
+ * El cliente solicita una cotización de un mueble a medida, el personal la presupuesta
+ * en versiones (mano de obra y materiales) y el cliente acepta o rechaza la versión enviada
+ */
+
+import express from "express";
+import { CotizacionController } from "../controllers/CotizacionController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import {
+  requierePermiso,
+  requiereSesionUsuario,
+  prohibirEnImpersonacion
+} from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/cotizaciones
+ * @desc Solicitar una cotización de un mueble a medida
+ * @access Privado (requiere permiso crear_cotizaciones)
+ * @body {string} titulo - Qué se quiere fabricar (p. ej. "Biblioteca de pared")
+ * @body {string} [medidas] - Medidas del mueble
+ * @body {string} [materiales] - Materiales preferidos
+ * @body {string} [notas] - Detalles adicionales
+ */
+router.post('/', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('crear_cotizaciones'), CotizacionController.solicitarCotizacion);
+
+/**
+ * @route GET /api/cotizaciones/mis-cotizaciones
+ * @desc Obtener las cotizaciones del usuario autenticado
+ * @access Privado
+ * @query {string} [estado] - SOLICITADA, ENVIADA, ACEPTADA, RECHAZADA o CANCELADA
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/mis-cotizaciones', verificarToken, requiereSesionUsuario, CotizacionController.obtenerMisCotizaciones);
+
+/**
+ * @route GET /api/cotizaciones
+ * @desc Obtener todas las cotizaciones
+ * @access Privado (requiere permiso leer_cotizaciones)
+ * @query {number} [id_usuario] - Filtrar por cliente
+ * @query {string} [estado] - SOLICITADA, ENVIADA, ACEPTADA, RECHAZADA o CANCELADA
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requierePermiso('leer_cotizaciones'), CotizacionController.obtenerCotizaciones);
+
+/**
+ * @route GET /api/cotizaciones/:id
+ * @desc Obtener una cotización con sus versiones (el cliente no ve los borradores)
+ * @access Privado (dueño de la cotización o permiso leer_cotizaciones)
+ * @param {string} id - ID de la cotización
+ */
+router.get('/:id', verificarToken, CotizacionController.obtenerCotizacionPorId);
+
+/**
+ * @route POST /api/cotizaciones/:id/versiones
+ * @desc Crear una versión en borrador con el precio línea a línea
+ * @access Privado (requiere permiso actualizar_cotizaciones)
+ * @param {string} id - ID de la cotización
+ * @body {Array} lineas - [{ tipo: MANO_OBRA|MATERIAL|OTRO, descripcion, cantidad, unidad?, precio_unitario }]
+ * @body {string} [fecha_vencimiento] - YYYY-MM-DD (por defecto hoy + QUOTE_VALIDITY_DAYS)
+ * @body {string} [notas] - Condiciones o aclaraciones para el cliente
+ */
+router.post('/:id/versiones', verificarToken, requierePermiso('actualizar_cotizaciones'), CotizacionController.crearVersion);
+
+/**
+ * @route PUT /api/cotizaciones/:id/versiones/:numero
+ * @desc Reemplazar las líneas, vencimiento y notas de una versión en borrador
+ * @access Privado (requiere permiso actualizar_cotizaciones)
+ * @param {string} id - ID de la cotización
+ * @param {string} numero - Número de versión
+ * @body {Array} lineas - Igual que al crear la versión
+ * @body {string} [fecha_vencimiento] - YYYY-MM-DD
+ * @body {string} [notas] - Condiciones o aclaraciones para el cliente
+ */
+router.put('/:id/versiones/:numero', verificarToken, requierePermiso('actualizar_cotizaciones'), CotizacionController.actualizarVersion);
+
+/**
+ * @route POST /api/cotizaciones/:id/versiones/:numero/enviar
+ * @desc Enviar una versión en borrador al cliente (reemplaza a la versión enviada anterior)
+ * @access Privado (requiere permiso actualizar_cotizaciones)
+ * @param {string} id - ID de la cotización
+ * @param {string} numero - Número de versión
+ */
+router.post('/:id/versiones/:numero/enviar', verificarToken, requierePermiso('actualizar_cotizaciones'), CotizacionController.enviarVersion);
+
+/**
+ * @route GET /api/cotizaciones/:id/versiones/:numero/pdf
+ * @desc Descargar el PDF de una versión de la cotización
+ * @access Privado (dueño de la cotización o permiso leer_cotizaciones)
+ * @param {string} id - ID de la cotización
+ * @param {string} numero - Número de versión
+ */
+router.get('/:id/versiones/:numero/pdf', verificarToken, CotizacionController.descargarPDF);
+
+/**
+ * @route POST /api/cotizaciones/:id/aceptar
+ * @desc Aceptar la versión enviada: se crea la venta y se genera su factura
+ * @access Privado (dueño de la cotización)
+ * @param {string} id - ID de la cotización
+ */
+router.post('/:id/aceptar', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, CotizacionController.aceptarCotizacion);
+
+/**
+ * @route POST /api/cotizaciones/:id/rechazar
+ * @desc Rechazar la versión enviada
+ * @access Privado (dueño de la cotización)
+ * @param {string} id - ID de la cotización
+ */
+router.post('/:id/rechazar', verificarToken, requiereSesionUsuario, CotizacionController.rechazarCotizacion);
+
+/**
+ * @route POST /api/cotizaciones/:id/cancelar
+ * @desc Cancelar una cotización aún no respondida
+ * @access Privado (dueño de la cotización o permiso leer_cotizaciones)
+ * @param {string} id - ID de la cotización
+ */
+router.post('/:id/cancelar', verificarToken, requiereSesionUsuario, CotizacionController.cancelarCotizacion);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * Rutas de Impersonaciones
+ * Permiten al personal de soporte actuar como un cliente y consultar la auditoría de esas sesiones
+ * Durante una impersonación las acciones sensibles (contraseña, 2FA, sesiones, compras) están bloqueadas
+ */
+
+import express from "express";
+import { ImpersonacionController } from "../controllers/ImpersonacionController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import {
+  requierePermiso,
+  requiereSesionUsuario,
+  prohibirEnImpersonacion
+} from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/impersonaciones
+ * @desc Iniciar la impersonación de un usuario (devuelve un access token marcado con impersonado_por)
+ * @access Privado (requiere permiso impersonar_usuarios)
+ * @body {number} id_usuario - ID del usuario a impersonar
+ * @body {string} motivo - Motivo de la impersonación (p. ej. número de incidencia)
+ */
+router.post('/', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('impersonar_usuarios'), ImpersonacionController.iniciarImpersonacion);
+
+/**
+ * @route POST /api/impersonaciones/finalizar
+ * @desc Finalizar la impersonación del token enviado
+ * @access Privado (requiere un token de impersonación)
+ */
+router.post('/finalizar', verificarToken, ImpersonacionController.finalizarImpersonacionActual);
+
+/**
+ * @route GET /api/impersonaciones
+ * @desc Obtener el registro de impersonaciones
+ * @access Privado (requiere permiso leer_impersonaciones)
+ * @query {number} [id_usuario_admin] - Filtrar por usuario que impersonó
+ * @query {number} [id_usuario_objetivo] - Filtrar por usuario impersonado
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('leer_impersonaciones'), ImpersonacionController.obtenerImpersonaciones);
+
+/**
+ * @route GET /api/impersonaciones/:id
+ * @desc Obtener una impersonación con todas las peticiones realizadas durante ella
+ * @access Privado (requiere permiso leer_impersonaciones)
+ * @param {string} id - ID de la impersonación
+ */
+router.get('/:id', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('leer_impersonaciones'), ImpersonacionController.obtenerImpersonacionPorId);
+
+/**
+ * @route DELETE /api/impersonaciones/:id
+ * @desc Finalizar una impersonación que sigue activa
+ * @access Privado (requiere permiso impersonar_usuarios)
+ * @param {string} id - ID de la impersonación
+ */
+router.delete('/:id', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('impersonar_usuarios'), ImpersonacionController.finalizarImpersonacion);
+
+export default router;
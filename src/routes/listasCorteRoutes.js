@@ -0,0 +1,24 @@
+/**
+ * Rutas de Listas de Corte
+ * Optimización del despiece de un trabajo en tableros y placas estándar
+ */
+
+import express from "express";
+import { ListaCorteController } from "../controllers/ListaCorteController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/listas-corte/optimizar
+ * @desc Calcular la distribución de las piezas en los tableros, los tableros necesarios y el desperdicio
+ * @access Privado (requiere permiso leer_ordenes_trabajo)
+ * @query {string} [formato=json] - json (distribución y totales), svg (diagrama de todos los tableros) o pdf
+ * @body {Array<Object>} piezas - Piezas en mm: { nombre?, largo, ancho, cantidad, veta?: LARGO | ANCHO | SIN_VETA, material? }
+ * @body {Array<Object>} tableros - Tamaños de tablero en mm: { nombre?, largo, ancho, material?, cantidad? (sin límite si se omite) }
+ * @body {number} [espesor_corte=3] - Espesor de la hoja de sierra en mm
+ */
+router.post('/optimizar', verificarToken, requierePermiso('leer_ordenes_trabajo'), ListaCorteController.optimizar);
+
+export default router;
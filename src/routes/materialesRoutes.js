@@ -0,0 +1,113 @@
+/**
+ * Rutas de Materiales
+ * Inventario de materia prima del taller (tablas, tableros, herrajes, barnices, tornillería),
+ * separado de los productos que se venden
+ */
+
+import express from "express";
+import { MaterialController } from "../controllers/MaterialController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/materiales
+ * @desc Obtener materiales con paginación
+ * @access Privado (requiere permiso leer_materiales)
+ * @query {string} [busqueda] - Buscar por nombre o descripción
+ * @query {string} [unidad_medida] - PIE_TABLAR, M2, LITRO o UNIDAD
+ * @query {string} [estado] - ACTIVO o DESCONTINUADO
+ * @query {number} [id_proveedor] - Filtrar por proveedor habitual
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requierePermiso('leer_materiales'), MaterialController.obtenerMateriales);
+
+/**
+ * @route GET /api/materiales/stock-bajo
+ * @desc Obtener los materiales activos en o por debajo de su stock mínimo, con la cantidad faltante
+ * @access Privado (requiere permiso leer_materiales)
+ */
+router.get('/stock-bajo', verificarToken, requierePermiso('leer_materiales'), MaterialController.obtenerStockBajo);
+
+/**
+ * @route GET /api/materiales/:id
+ * @desc Obtener un material por ID
+ * @access Privado (requiere permiso leer_materiales)
+ * @param {string} id - ID del material
+ */
+router.get('/:id', verificarToken, requierePermiso('leer_materiales'), MaterialController.obtenerMaterialPorId);
+
+/**
+ * @route POST /api/materiales
+ * @desc Crear un material (se crea con stock 0; las existencias se cargan como recepción)
+ * @access Privado (requiere permiso crear_materiales)
+ * @body {string} nombre_material - Nombre del material
+ * @body {string} unidad_medida - PIE_TABLAR, M2, LITRO o UNIDAD
+ * @body {string} [descripcion] - Descripción
+ * @body {number} [costo_unitario=0] - Costo por unidad de medida
+ * @body {number} [stock_minimo=0] - Stock a partir del cual aparece en el reporte de stock bajo
+ * @body {number} [id_proveedor] - Proveedor habitual
+ */
+router.post('/', verificarToken, requierePermiso('crear_materiales'), MaterialController.crearMaterial);
+
+/**
+ * @route PUT /api/materiales/:id
+ * @desc Actualizar un material (solo los campos enviados; el stock cambia con recepciones y consumos)
+ * @access Privado (requiere permiso actualizar_materiales)
+ * @param {string} id - ID del material
+ * @body {string} [nombre_material] - Nombre del material
+ * @body {string} [unidad_medida] - PIE_TABLAR, M2, LITRO o UNIDAD
+ * @body {string} [descripcion] - Descripción
+ * @body {number} [costo_unitario] - Costo por unidad de medida
+ * @body {number} [stock_minimo] - Stock mínimo
+ * @body {number} [id_proveedor] - Proveedor habitual (null para quitarlo)
+ * @body {string} [estado] - ACTIVO o DESCONTINUADO
+ */
+router.put('/:id', verificarToken, requierePermiso('actualizar_materiales'), MaterialController.actualizarMaterial);
+
+/**
+ * @route DELETE /api/materiales/:id
+ * @desc Eliminar un material sin movimientos ni uso en listas de materiales de productos
+ * @access Privado (requiere permiso eliminar_materiales)
+ * @param {string} id - ID del material
+ */
+router.delete('/:id', verificarToken, requierePermiso('eliminar_materiales'), MaterialController.eliminarMaterial);
+
+/**
+ * @route POST /api/materiales/:id/recepciones
+ * @desc Registrar la recepción de un material de un proveedor (suma stock y recalcula el costo promedio)
+ * @access Privado (requiere permiso crear_materiales)
+ * @param {string} id - ID del material
+ * @body {number} cantidad - Cantidad recibida en la unidad del material
+ * @body {number} costo_unitario - Costo unitario de la compra
+ * @body {number} [id_proveedor] - Proveedor que entrega (por defecto el proveedor habitual)
+ * @body {string} [referencia] - Remito o factura del proveedor
+ * @body {string} [notas] - Notas
+ */
+router.post('/:id/recepciones', verificarToken, requierePermiso('crear_materiales'), MaterialController.registrarRecepcion);
+
+/**
+ * @route POST /api/materiales/:id/consumos
+ * @desc Registrar el consumo de un material en el taller (resta stock)
+ * @access Privado (requiere permiso crear_materiales)
+ * @param {string} id - ID del material
+ * @body {number} cantidad - Cantidad consumida en la unidad del material
+ * @body {number} [id_venta] - Venta para la que se usó el material
+ * @body {string} [notas] - Notas
+ */
+router.post('/:id/consumos', verificarToken, requierePermiso('crear_materiales'), MaterialController.registrarConsumo);
+
+/**
+ * @route GET /api/materiales/:id/movimientos
+ * @desc Obtener las recepciones y consumos de un material
+ * @access Privado (requiere permiso leer_materiales)
+ * @param {string} id - ID del material
+ * @query {string} [tipo] - RECEPCION, CONSUMO o DEVOLUCION
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/:id/movimientos', verificarToken, requierePermiso('leer_materiales'), MaterialController.obtenerMovimientos);
+
+export default router;
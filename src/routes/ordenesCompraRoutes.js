@@ -0,0 +1,92 @@
+/**
+ * Rutas de Órdenes de Compra
+ * Pedidos de productos a proveedores, recepción de mercancía en stock y PDF para el proveedor
+ */
+
+import express from "express";
+import { OrdenCompraController } from "../controllers/OrdenCompraController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/ordenes-compra
+ * @desc Obtener órdenes de compra con paginación
+ * @access Privado (requiere permiso leer_ordenes_compra)
+ * @query {string} [estado] - BORRADOR, ENVIADA, PARCIAL, RECIBIDA o CANCELADA
+ * @query {number} [id_proveedor] - Órdenes de un proveedor
+ * @query {boolean} [vencidas] - Solo órdenes pendientes con fecha de entrega pasada
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requierePermiso('leer_ordenes_compra'), OrdenCompraController.obtenerOrdenes);
+
+/**
+ * @route POST /api/ordenes-compra
+ * @desc Crear una orden de compra en borrador
+ * @access Privado (requiere permiso crear_ordenes_compra)
+ * @body {number} id_proveedor - Proveedor al que se pide
+ * @body {Array<Object>} lineas - { id_producto, id_variante?, cantidad, costo_unitario, fecha_entrega_esperada? }
+ * @body {string} [fecha_entrega_esperada] - Fecha de entrega acordada (YYYY-MM-DD)
+ * @body {string} [notas] - Notas para el proveedor
+ */
+router.post('/', verificarToken, requierePermiso('crear_ordenes_compra'), OrdenCompraController.crearOrden);
+
+/**
+ * @route GET /api/ordenes-compra/:id
+ * @desc Obtener una orden de compra con sus líneas y recepciones
+ * @access Privado (requiere permiso leer_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ */
+router.get('/:id', verificarToken, requierePermiso('leer_ordenes_compra'), OrdenCompraController.obtenerOrdenPorId);
+
+/**
+ * @route PUT /api/ordenes-compra/:id
+ * @desc Actualizar una orden en borrador; las líneas enviadas reemplazan a las anteriores
+ * @access Privado (requiere permiso actualizar_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ * @body {Array<Object>} [lineas] - { id_producto, id_variante?, cantidad, costo_unitario, fecha_entrega_esperada? }
+ * @body {string} [fecha_entrega_esperada] - Fecha de entrega acordada (YYYY-MM-DD)
+ * @body {string} [notas] - Notas para el proveedor
+ */
+router.put('/:id', verificarToken, requierePermiso('actualizar_ordenes_compra'), OrdenCompraController.actualizarOrden);
+
+/**
+ * @route POST /api/ordenes-compra/:id/enviar
+ * @desc Marcar una orden en borrador como enviada al proveedor
+ * @access Privado (requiere permiso actualizar_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ */
+router.post('/:id/enviar', verificarToken, requierePermiso('actualizar_ordenes_compra'), OrdenCompraController.enviarOrden);
+
+/**
+ * @route POST /api/ordenes-compra/:id/cancelar
+ * @desc Cancelar una orden que aún no se recibió completa
+ * @access Privado (requiere permiso actualizar_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ * @body {string} [motivo] - Motivo de la cancelación
+ */
+router.post('/:id/cancelar', verificarToken, requierePermiso('actualizar_ordenes_compra'), OrdenCompraController.cancelarOrden);
+
+/**
+ * @route POST /api/ordenes-compra/:id/recepciones
+ * @desc Registrar la recepción de mercancía; las cantidades recibidas entran en stock
+ * @access Privado (requiere permiso recibir_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ * @body {Array<Object>} lineas - { id_linea, cantidad }
+ * @body {number} [id_ubicacion] - Ubicación donde entra la mercancía (por defecto, la predeterminada)
+ * @body {string} [referencia] - Albarán o remisión del proveedor
+ * @body {string} [notas] - Notas de la recepción
+ */
+router.post('/:id/recepciones', verificarToken, requierePermiso('recibir_ordenes_compra'), OrdenCompraController.registrarRecepcion);
+
+/**
+ * @route GET /api/ordenes-compra/:id/pdf
+ * @desc Descargar el PDF de la orden de compra para el proveedor
+ * @access Privado (requiere permiso leer_ordenes_compra)
+ * @param {string} id - ID de la orden de compra
+ */
+router.get('/:id/pdf', verificarToken, requierePermiso('leer_ordenes_compra'), OrdenCompraController.descargarPDF);
+
+export default router;
@@ -0,0 +1,76 @@
+/**
+ * Rutas de Órdenes de Trabajo
+ * Seguimiento de la fabricación de las ventas en el taller, por etapas:
+ * corte, ensamblaje, lijado, acabado, control de calidad y listo
+ */
+
+import express from "express";
+import { OrdenTrabajoController } from "../controllers/OrdenTrabajoController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/ordenes-trabajo/desde-venta/:idVenta
+ * @desc Generar órdenes de trabajo para las líneas de una venta que aún no tienen una
+ * @access Privado (requiere permiso crear_ordenes_trabajo)
+ * @param {string} idVenta - ID de la venta
+ * @body {Array<number>} [id_detalles] - Líneas de la venta a fabricar (por defecto todas)
+ * @body {number} [id_usuario_asignado] - Usuario del taller al que se asignan
+ */
+router.post('/desde-venta/:idVenta', verificarToken, requierePermiso('crear_ordenes_trabajo'), OrdenTrabajoController.generarDesdeVenta);
+
+/**
+ * @route GET /api/ordenes-trabajo
+ * @desc Obtener órdenes de trabajo con paginación
+ * @access Privado (requiere permiso leer_ordenes_trabajo)
+ * @query {string} [etapa] - CORTE, ENSAMBLAJE, LIJADO, ACABADO, CONTROL_CALIDAD o LISTO
+ * @query {string} [estado] - ACTIVA o CANCELADA
+ * @query {number} [id_usuario_asignado] - Filtrar por usuario asignado
+ * @query {number} [id_venta] - Filtrar por venta
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requierePermiso('leer_ordenes_trabajo'), OrdenTrabajoController.obtenerOrdenes);
+
+/**
+ * @route GET /api/ordenes-trabajo/tablero
+ * @desc Obtener el tablero del taller: una columna por etapa con sus órdenes activas y totales de horas
+ * @access Privado (requiere permiso leer_ordenes_trabajo)
+ * @query {number} [id_usuario_asignado] - Solo las órdenes de un usuario
+ * @query {number} [dias_listas=7] - Días que una orden terminada sigue visible en la columna LISTO
+ */
+router.get('/tablero', verificarToken, requierePermiso('leer_ordenes_trabajo'), OrdenTrabajoController.obtenerTablero);
+
+/**
+ * @route GET /api/ordenes-trabajo/:id
+ * @desc Obtener una orden de trabajo con su historial de etapas y horas
+ * @access Privado (requiere permiso leer_ordenes_trabajo)
+ * @param {string} id - ID de la orden de trabajo
+ */
+router.get('/:id', verificarToken, requierePermiso('leer_ordenes_trabajo'), OrdenTrabajoController.obtenerOrdenPorId);
+
+/**
+ * @route PUT /api/ordenes-trabajo/:id
+ * @desc Actualizar la asignación, las horas estimadas o las notas (solo los campos enviados)
+ * @access Privado (requiere permiso actualizar_ordenes_trabajo)
+ * @param {string} id - ID de la orden de trabajo
+ * @body {number} [id_usuario_asignado] - Usuario del taller asignado (null para quitarlo)
+ * @body {number} [horas_estimadas] - Horas estimadas de fabricación
+ * @body {string} [notas] - Notas de fabricación
+ */
+router.put('/:id', verificarToken, requierePermiso('actualizar_ordenes_trabajo'), OrdenTrabajoController.actualizarOrden);
+
+/**
+ * @route POST /api/ordenes-trabajo/:id/avances
+ * @desc Registrar un avance: mover la orden de etapa y/o sumar horas trabajadas a las horas reales
+ * @access Privado (requiere permiso actualizar_ordenes_trabajo)
+ * @param {string} id - ID de la orden de trabajo
+ * @body {string} [etapa] - Nueva etapa (puede volver a una anterior, p. ej. si no pasa control de calidad)
+ * @body {number} [horas] - Horas trabajadas desde el último registro
+ * @body {string} [notas] - Notas del avance
+ */
+router.post('/:id/avances', verificarToken, requierePermiso('actualizar_ordenes_trabajo'), OrdenTrabajoController.registrarAvance);
+
+export default router;
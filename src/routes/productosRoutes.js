@@ -6,6 +6,10 @@
 import { Router } from 'express';
 import { ProductoController } from '../controllers/ProductoController.js';
 import { eliminarImagen, listarImagenes, subirImagen } from '../controllers/ProductoImagenController.js';
+import { VarianteProductoController } from '../controllers/VarianteProductoController.js';
+import { MaterialProductoController } from '../controllers/MaterialProductoController.js';
+import { MovimientoStockController } from '../controllers/MovimientoStockController.js';
+import { UbicacionController } from '../controllers/UbicacionController.js';
 import { verificarToken } from '../middlewares/auth/tokenMiddleware.js';
 import { requierePermiso } from '../middlewares/auth/authMiddleware.js';
 import upload from '../middlewares/uploadImagenProducto.js';
@@ -14,7 +18,7 @@ const router = Router();
 
 /**
  * @route   GET /api/productos
- * @desc    Obtener todos los productos con paginación y filtros
+ * @desc    Obtener todos los productos con paginación y filtros, con su stock reservado y disponible
  * @access  Requiere autenticación y permiso 'leer_productos'
  * @query   {number} pagina - Número de página (opcional, default: 1)
  * @query   {number} limite - Límite de registros por página (opcional, default: 10)
@@ -22,6 +26,7 @@ const router = Router();
  * @query   {number} categoria - Filtro por categoría (opcional)
  * @query   {number} proveedor - Filtro por proveedor (opcional)
  * @query   {string} estado - Filtro por estado (opcional)
+ * @query   {number} ubicacion - Incluir el stock en esta ubicación como stock_ubicacion (opcional)
  */
 router.get('/', 
   verificarToken, 
@@ -46,6 +51,7 @@ router.get('/buscar',
  * @desc    Obtener productos con stock bajo
  * @access  Requiere autenticación y permiso 'leer_productos'
  * @query   {number} limite - Límite de stock considerado bajo (opcional, default: 10)
+ * @query   {number} ubicacion - Comparar el stock en esta ubicación en lugar del total (opcional)
  */
 router.get('/stock-bajo', 
   verificarToken, 
@@ -53,6 +59,19 @@ router.get('/stock-bajo',
   ProductoController.obtenerStockBajo
 );
 
+/**
+ * @route   GET /api/productos/conciliacion-stock
+ * @desc    Recalcular el stock de productos y variantes (total y por ubicación) desde sus movimientos y compararlo con el registrado
+ * @access  Requiere autenticación y permiso 'leer_movimientos_stock'
+ * @query   {number} id_producto - Conciliar solo un producto y sus variantes (opcional)
+ * @query   {boolean} solo_diferencias - false para incluir también los que coinciden (opcional, default: true)
+ */
+router.get('/conciliacion-stock',
+  verificarToken,
+  requierePermiso('leer_movimientos_stock'),
+  MovimientoStockController.obtenerConciliacion
+);
+
 /**
  * @route   GET /api/productos/:id
  * @desc    Obtener un producto por ID
@@ -104,10 +123,13 @@ router.put('/:id',
 
 /**
  * @route   PATCH /api/productos/:id/stock
- * @desc    Actualizar solo el stock de un producto
+ * @desc    Actualizar solo el stock de un producto a partir de un recuento (la diferencia se registra como AJUSTE)
  * @access  Requiere autenticación y permiso 'actualizar_productos'
  * @params  {number} id - ID del producto
  * @body    {number} stock - Nuevo stock del producto (requerido)
+ * @body    {string} motivo - Motivo del ajuste (opcional, default: 'Ajuste manual de stock')
+ * @body    {string} referencia - Documento de referencia, ej: número de inventario físico (opcional)
+ * @body    {number} id_ubicacion - Ubicación contada (opcional, por defecto el stock total se ajusta en la predeterminada)
  */
 router.patch('/:id/stock', 
   verificarToken, 
@@ -166,4 +188,195 @@ router.delete('/:id/imagenes/:idImagen',
   eliminarImagen
 );
 
+/**
+ * @route   GET /api/productos/:id/variantes
+ * @desc    Listar las variantes de un producto con su precio final e imágenes
+ * @access  Requiere autenticación y permiso 'leer_productos'
+ * @params  {number} id - ID del producto
+ * @query   {string} estado - Filtro por estado (opcional)
+ */
+router.get('/:id/variantes',
+  verificarToken,
+  requierePermiso('leer_productos'),
+  VarianteProductoController.obtenerVariantes
+);
+
+/**
+ * @route   GET /api/productos/:id/variantes/:idVariante
+ * @desc    Obtener una variante de un producto
+ * @access  Requiere autenticación y permiso 'leer_productos'
+ * @params  {number} id - ID del producto
+ * @params  {number} idVariante - ID de la variante
+ */
+router.get('/:id/variantes/:idVariante',
+  verificarToken,
+  requierePermiso('leer_productos'),
+  VarianteProductoController.obtenerVariantePorId
+);
+
+/**
+ * @route   POST /api/productos/:id/variantes
+ * @desc    Crear una variante de un producto
+ * @access  Requiere autenticación y permiso 'crear_productos'
+ * @params  {number} id - ID del producto
+ * @body    {string} sku - SKU único de la variante (requerido)
+ * @body    {Object} atributos - Atributos de la variante, ej: { "madera": "roble", "medidas": "120x60" } (requerido)
+ * @body    {number} precio - Precio absoluto de la variante (opcional)
+ * @body    {number} ajuste_precio - Diferencia sobre el precio del producto (opcional, default: 0)
+ * @body    {number} stock - Stock inicial de la variante (opcional, default: 0)
+ * @body    {string} estado - Estado de la variante (opcional, default: 'DISPONIBLE')
+ */
+router.post('/:id/variantes',
+  verificarToken,
+  requierePermiso('crear_productos'),
+  VarianteProductoController.crearVariante
+);
+
+/**
+ * @route   PUT /api/productos/:id/variantes/:idVariante
+ * @desc    Actualizar una variante (los campos no enviados se conservan)
+ * @access  Requiere autenticación y permiso 'actualizar_productos'
+ * @params  {number} id - ID del producto
+ * @params  {number} idVariante - ID de la variante
+ * @body    {string} sku - SKU único de la variante (opcional)
+ * @body    {Object} atributos - Atributos de la variante (opcional)
+ * @body    {number|null} precio - Precio absoluto, null para usar el ajuste de precio (opcional)
+ * @body    {number} ajuste_precio - Diferencia sobre el precio del producto (opcional)
+ * @body    {number} stock - Stock de la variante (opcional)
+ * @body    {string} estado - Estado de la variante (opcional)
+ */
+router.put('/:id/variantes/:idVariante',
+  verificarToken,
+  requierePermiso('actualizar_productos'),
+  VarianteProductoController.actualizarVariante
+);
+
+/**
+ * @route   DELETE /api/productos/:id/variantes/:idVariante
+ * @desc    Eliminar una variante sin carritos ni ventas asociadas
+ * @access  Requiere autenticación y permiso 'eliminar_productos'
+ * @params  {number} id - ID del producto
+ * @params  {number} idVariante - ID de la variante
+ */
+router.delete('/:id/variantes/:idVariante',
+  verificarToken,
+  requierePermiso('eliminar_productos'),
+  VarianteProductoController.eliminarVariante
+);
+
+/**
+ * @route   POST /api/productos/:id/variantes/:idVariante/imagenes
+ * @desc    Subir imagen para una variante de un producto
+ * @access  Requiere autenticación y permiso 'actualizar_productos'
+ * @params  {number} id - ID del producto
+ * @params  {number} idVariante - ID de la variante
+ * @body    {file} imagen - Archivo de imagen (form-data)
+ */
+router.post('/:id/variantes/:idVariante/imagenes',
+  verificarToken,
+  requierePermiso('actualizar_productos'),
+  upload.single('imagen'),
+  subirImagen
+);
+
+/**
+ * @route   GET /api/productos/:id/variantes/:idVariante/imagenes
+ * @desc    Listar imágenes de una variante de un producto
+ * @access  Requiere autenticación y permiso 'leer_productos'
+ * @params  {number} id - ID del producto
+ * @params  {number} idVariante - ID de la variante
+ */
+router.get('/:id/variantes/:idVariante/imagenes',
+  verificarToken,
+  requierePermiso('leer_productos'),
+  listarImagenes
+);
+
+/**
+ * @route   GET /api/productos/:id/materiales
+ * @desc    Obtener la lista de materiales del producto, sus horas de mano de obra y el costo de materiales
+ * @access  Requiere autenticación y permiso 'leer_materiales'
+ * @params  {number} id - ID del producto
+ */
+router.get('/:id/materiales',
+  verificarToken,
+  requierePermiso('leer_materiales'),
+  MaterialProductoController.obtenerListaMateriales
+);
+
+/**
+ * @route   PUT /api/productos/:id/materiales
+ * @desc    Reemplazar la lista de materiales del producto (se descuenta del inventario al venderlo)
+ * @access  Requiere autenticación y permiso 'actualizar_productos'
+ * @params  {number} id - ID del producto
+ * @body    {Array} componentes - [{ id_material, cantidad }] por unidad fabricada, en la unidad del material (requerido)
+ * @body    {number} horas_mano_obra - Horas de mano de obra por unidad (opcional, default: 0)
+ */
+router.put('/:id/materiales',
+  verificarToken,
+  requierePermiso('actualizar_productos'),
+  MaterialProductoController.actualizarListaMateriales
+);
+
+/**
+ * @route   GET /api/productos/:id/capacidad-fabricacion
+ * @desc    Calcular cuántas unidades del producto se pueden fabricar con el stock actual de materiales
+ * @access  Requiere autenticación y permiso 'leer_materiales'
+ * @params  {number} id - ID del producto
+ */
+router.get('/:id/capacidad-fabricacion',
+  verificarToken,
+  requierePermiso('leer_materiales'),
+  MaterialProductoController.obtenerCapacidadFabricacion
+);
+
+/**
+ * @route   GET /api/productos/:id/movimientos
+ * @desc    Obtener el historial de movimientos de stock del producto y sus variantes
+ * @access  Requiere autenticación y permiso 'leer_movimientos_stock'
+ * @params  {number} id - ID del producto
+ * @query   {string} tipo - ENTRADA, SALIDA_VENTA, DEVOLUCION, AJUSTE, MERMA, TRASLADO_SALIDA o TRASLADO_ENTRADA (opcional)
+ * @query   {number} id_variante - Solo los movimientos de una variante (opcional)
+ * @query   {number} id_ubicacion - Solo los movimientos de una ubicación (opcional)
+ * @query   {string} fecha_desde - Fecha inicial AAAA-MM-DD (opcional)
+ * @query   {string} fecha_hasta - Fecha final AAAA-MM-DD (opcional)
+ * @query   {number} pagina - Número de página (opcional, default: 1)
+ * @query   {number} limite - Registros por página (opcional, default: 20)
+ */
+router.get('/:id/movimientos',
+  verificarToken,
+  requierePermiso('leer_movimientos_stock'),
+  MovimientoStockController.obtenerMovimientos
+);
+
+/**
+ * @route   POST /api/productos/:id/movimientos
+ * @desc    Registrar una entrada, devolución, ajuste o merma de stock del producto o de una variante
+ * @access  Requiere autenticación y permiso 'crear_movimientos_stock'
+ * @params  {number} id - ID del producto
+ * @body    {string} tipo - ENTRADA, DEVOLUCION, AJUSTE o MERMA (requerido)
+ * @body    {number} cantidad - Unidades; positivas salvo en AJUSTE, donde el signo indica si suma o resta (requerido)
+ * @body    {string} motivo - Motivo del movimiento (requerido)
+ * @body    {string} referencia - Documento de referencia, ej: remisión del proveedor (opcional)
+ * @body    {number} id_variante - Variante afectada (opcional, por defecto el stock del producto)
+ * @body    {number} id_ubicacion - Ubicación afectada (opcional, por defecto la predeterminada)
+ */
+router.post('/:id/movimientos',
+  verificarToken,
+  requierePermiso('crear_movimientos_stock'),
+  MovimientoStockController.registrarMovimiento
+);
+
+/**
+ * @route   GET /api/productos/:id/ubicaciones
+ * @desc    Obtener el stock del producto y sus variantes en cada ubicación y las unidades en tránsito
+ * @access  Requiere autenticación y permiso 'leer_ubicaciones'
+ * @params  {number} id - ID del producto
+ */
+router.get('/:id/ubicaciones',
+  verificarToken,
+  requierePermiso('leer_ubicaciones'),
+  UbicacionController.obtenerStockProducto
+);
+
 export default router;
@@ -5,6 +5,7 @@
 
 import { Router } from 'express';
 import { ProveedorController } from '../controllers/ProveedorController.js';
+import { OrdenCompraController } from '../controllers/OrdenCompraController.js';
 import { verificarToken } from '../middlewares/auth/tokenMiddleware.js';
 import { requierePermiso } from '../middlewares/auth/authMiddleware.js';
 
@@ -47,6 +48,22 @@ router.get('/:id',
   ProveedorController.obtenerProveedorPorId
 );
 
+/**
+ * @route   GET /api/proveedores/:id/ordenes-compra
+ * @desc    Obtener el historial de órdenes de compra de un proveedor
+ * @access  Requiere autenticación y permiso 'leer_ordenes_compra'
+ * @params  {number} id - ID del proveedor
+ * @query   {string} estado - Estado de la orden (opcional)
+ * @query   {boolean} vencidas - Solo pendientes con entrega vencida (opcional)
+ * @query   {number} pagina - Número de página (opcional, default: 1)
+ * @query   {number} limite - Límite de registros por página (opcional, default: 20)
+ */
+router.get('/:id/ordenes-compra',
+  verificarToken,
+  requierePermiso('leer_ordenes_compra'),
+  OrdenCompraController.obtenerPorProveedor
+);
+
 /**
  * @route   POST /api/proveedores
  * @desc    Crear un nuevo proveedor
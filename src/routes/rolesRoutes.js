@@ -27,7 +27,8 @@ router.get('/:id', verificarToken, requierePermiso('leer_roles'), RolController.
 
 /**
  * @route GET /api/roles/:id/permisos
- * @desc Obtener un rol con sus permisos
+ * @desc Obtener un rol con sus permisos directos, heredados de sus roles padre y efectivos
+ *       (incluye los concedidos por comodines como 'productos:*')
  * @access Privado (requiere permiso leer_roles)
  * @param {number} id - ID del rol
  */
@@ -39,6 +40,8 @@ router.get('/:id/permisos', verificarToken, requierePermiso('leer_roles'), RolCo
  * @access Privado (requiere permiso crear_roles)
  * @body {string} nombre_rol - Nombre del rol
  * @body {string} descripcion - Descripción del rol
+ * @body {boolean} [requiere_2fa=false] - Exigir verificación en dos pasos a los usuarios del rol
+ * @body {number} [id_rol_padre] - Rol del que hereda los permisos
  */
 router.post('/', verificarToken, requierePermiso('crear_roles'), RolController.crearRol);
 
@@ -49,6 +52,8 @@ router.post('/', verificarToken, requierePermiso('crear_roles'), RolController.c
  * @param {number} id - ID del rol
  * @body {string} nombre_rol - Nombre del rol
  * @body {string} descripcion - Descripción del rol
+ * @body {boolean} [requiere_2fa] - Exigir verificación en dos pasos a los usuarios del rol
+ * @body {number|null} [id_rol_padre] - Rol del que hereda los permisos (null quita la herencia)
  */
 router.put('/:id', verificarToken, requierePermiso('actualizar_roles'), RolController.actualizarRol);
 
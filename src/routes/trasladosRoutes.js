@@ -0,0 +1,60 @@
+/**
+ * Rutas de Traslados de Stock
+ * Envío de productos terminados entre ubicaciones, con estado en tránsito hasta su recepción
+ */
+
+import express from "express";
+import { TrasladoController } from "../controllers/TrasladoController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/traslados
+ * @desc Obtener traslados con paginación
+ * @access Privado (requiere permiso leer_traslados)
+ * @query {string} [estado] - EN_TRANSITO, RECIBIDO o CANCELADO
+ * @query {number} [id_ubicacion] - Traslados con origen o destino en la ubicación
+ * @query {number} [id_producto] - Traslados que incluyen el producto
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/', verificarToken, requierePermiso('leer_traslados'), TrasladoController.obtenerTraslados);
+
+/**
+ * @route POST /api/traslados
+ * @desc Enviar stock de una ubicación a otra; las unidades quedan en tránsito hasta recibirse
+ * @access Privado (requiere permiso crear_traslados)
+ * @body {number} id_ubicacion_origen - Ubicación de la que sale el stock
+ * @body {number} id_ubicacion_destino - Ubicación a la que llega
+ * @body {Array<Object>} lineas - { id_producto, id_variante?, cantidad }
+ * @body {string} [notas] - Notas del envío
+ */
+router.post('/', verificarToken, requierePermiso('crear_traslados'), TrasladoController.crearTraslado);
+
+/**
+ * @route GET /api/traslados/:id
+ * @desc Obtener un traslado con sus líneas
+ * @access Privado (requiere permiso leer_traslados)
+ * @param {string} id - ID del traslado
+ */
+router.get('/:id', verificarToken, requierePermiso('leer_traslados'), TrasladoController.obtenerTrasladoPorId);
+
+/**
+ * @route POST /api/traslados/:id/recibir
+ * @desc Recibir un traslado en tránsito: sus unidades entran en el destino
+ * @access Privado (requiere permiso actualizar_traslados)
+ * @param {string} id - ID del traslado
+ */
+router.post('/:id/recibir', verificarToken, requierePermiso('actualizar_traslados'), TrasladoController.recibirTraslado);
+
+/**
+ * @route POST /api/traslados/:id/cancelar
+ * @desc Cancelar un traslado en tránsito: sus unidades vuelven al origen
+ * @access Privado (requiere permiso actualizar_traslados)
+ * @param {string} id - ID del traslado
+ */
+router.post('/:id/cancelar', verificarToken, requierePermiso('actualizar_traslados'), TrasladoController.cancelarTraslado);
+
+export default router;
@@ -0,0 +1,64 @@
+/**
+ * Rutas de Ubicaciones
+ * Ubicaciones de inventario (sala de exhibición, taller, bodega) y el stock guardado en cada una
+ */
+
+import express from "express";
+import { UbicacionController } from "../controllers/UbicacionController.js";
+import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
+import { requierePermiso } from "../middlewares/auth/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/ubicaciones
+ * @desc Obtener las ubicaciones con sus unidades en stock, la predeterminada primero
+ * @access Privado (requiere permiso leer_ubicaciones)
+ * @query {string} [estado] - ACTIVA o INACTIVA
+ */
+router.get('/', verificarToken, requierePermiso('leer_ubicaciones'), UbicacionController.obtenerUbicaciones);
+
+/**
+ * @route POST /api/ubicaciones
+ * @desc Crear una ubicación
+ * @access Privado (requiere permiso crear_ubicaciones)
+ * @body {string} nombre - Nombre de la ubicación
+ * @body {string} tipo - EXHIBICION, TALLER o BODEGA
+ * @body {string} [direccion] - Dirección
+ * @body {boolean} [es_predeterminada=false] - Recibe los movimientos que no indican ubicación
+ */
+router.post('/', verificarToken, requierePermiso('crear_ubicaciones'), UbicacionController.crearUbicacion);
+
+/**
+ * @route GET /api/ubicaciones/:id
+ * @desc Obtener una ubicación con sus unidades en stock
+ * @access Privado (requiere permiso leer_ubicaciones)
+ * @param {string} id - ID de la ubicación
+ */
+router.get('/:id', verificarToken, requierePermiso('leer_ubicaciones'), UbicacionController.obtenerUbicacionPorId);
+
+/**
+ * @route PUT /api/ubicaciones/:id
+ * @desc Actualizar una ubicación; no se puede desactivar si tiene stock o traslados en tránsito
+ * @access Privado (requiere permiso actualizar_ubicaciones)
+ * @param {string} id - ID de la ubicación
+ * @body {string} [nombre] - Nombre de la ubicación
+ * @body {string} [tipo] - EXHIBICION, TALLER o BODEGA
+ * @body {string} [direccion] - Dirección
+ * @body {boolean} [es_predeterminada] - true para convertirla en la predeterminada
+ * @body {string} [estado] - ACTIVA o INACTIVA
+ */
+router.put('/:id', verificarToken, requierePermiso('actualizar_ubicaciones'), UbicacionController.actualizarUbicacion);
+
+/**
+ * @route GET /api/ubicaciones/:id/stock
+ * @desc Obtener el stock de los productos y variantes guardados en la ubicación
+ * @access Privado (requiere permiso leer_ubicaciones)
+ * @param {string} id - ID de la ubicación
+ * @query {string} [busqueda] - Nombre de producto o SKU
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/:id/stock', verificarToken, requierePermiso('leer_ubicaciones'), UbicacionController.obtenerStock);
+
+export default router;
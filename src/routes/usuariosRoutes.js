@@ -8,7 +8,9 @@ import { UsuarioController } from "../controllers/UsuarioController.js";
 import { verificarToken } from "../middlewares/auth/tokenMiddleware.js";
 import { 
   requierePermiso, 
-  permisoOPropioDatos
+  permisoOPropioDatos,
+  requiereSesionUsuario,
+  prohibirEnImpersonacion
 } from "../middlewares/auth/authMiddleware.js";
 import { validarRegistro } from "../middlewares/validaciones/authValidaciones.js";
 
@@ -28,19 +30,47 @@ router.get('/estadisticas', verificarToken, requierePermiso('leer_usuarios'), Us
  */
 router.get('/buscar', verificarToken, requierePermiso('leer_usuarios'), UsuarioController.buscarUsuarios);
 
+/**
+ * @route GET /api/usuarios/eventos-seguridad
+ * @desc Consultar los eventos de seguridad de todas las cuentas para investigar actividad sospechosa
+ * @access Privado (requiere permiso leer_eventos_seguridad)
+ * @query {number} [id_usuario] - Usuario afectado
+ * @query {string} [tipo] - LOGIN, RENOVACION_TOKEN, CAMBIO_CONTRASEÑA o CAMBIO_ROL
+ * @query {boolean} [exitoso] - Filtrar por resultado
+ * @query {string} [ip] - Dirección IP
+ * @query {string} [desde] - Fecha mínima (ISO 8601)
+ * @query {string} [hasta] - Fecha máxima (ISO 8601)
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/eventos-seguridad', verificarToken, requierePermiso('leer_eventos_seguridad'), UsuarioController.obtenerEventosSeguridad);
+
 /**
  * @route GET /api/usuarios/mi-perfil
  * @desc Obtener perfil del usuario autenticado
  * @access Privado (usuario autenticado)
  */
-router.get('/mi-perfil', verificarToken, UsuarioController.obtenerMiPerfil);
+router.get('/mi-perfil', verificarToken, requiereSesionUsuario, UsuarioController.obtenerMiPerfil);
+
+/**
+ * @route GET /api/usuarios/mi-perfil/seguridad
+ * @desc Obtener los eventos de seguridad de la cuenta (logins, renovaciones de token, cambios de contraseña y de rol)
+ * @access Privado (usuario autenticado)
+ * @query {string} [tipo] - LOGIN, RENOVACION_TOKEN, CAMBIO_CONTRASEÑA o CAMBIO_ROL
+ * @query {boolean} [exitoso] - Filtrar por resultado
+ * @query {string} [desde] - Fecha mínima (ISO 8601)
+ * @query {string} [hasta] - Fecha máxima (ISO 8601)
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/mi-perfil/seguridad', verificarToken, requiereSesionUsuario, UsuarioController.obtenerMiSeguridad);
 
 /**
  * @route PUT /api/usuarios/mi-perfil
  * @desc Actualizar perfil del usuario autenticado
  * @access Privado (usuario autenticado)
  */
-router.put('/mi-perfil', verificarToken, UsuarioController.actualizarMiPerfil);
+router.put('/mi-perfil', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, UsuarioController.actualizarMiPerfil);
 
 /**
  * @route GET /api/usuarios
@@ -61,6 +91,7 @@ router.get('/', verificarToken, requierePermiso('leer_usuarios'), UsuarioControl
  * @body {string} contraseña - Contraseña del usuario
  * @body {string} [telefono] - Teléfono del usuario (opcional)
  * @body {number} [id_rol] - ID del rol a asignar (opcional, por defecto 2)
+ * @body {boolean} [debe_cambiar_contraseña] - Obligar a cambiar la contraseña en el primer login (opcional)
  */
 router.post('/', verificarToken, requierePermiso('crear_usuarios'), validarRegistro, UsuarioController.crearUsuario);
 
@@ -85,13 +116,87 @@ router.put('/:id', verificarToken, permisoOPropioDatos('actualizar_usuarios'), U
 
 /**
  * @route PATCH /api/usuarios/:id/estado
- * @desc Cambiar el estado de un usuario
+ * @desc Cambiar el estado de un usuario (al pasar a INACTIVO se cierran sus sesiones)
  * @access Privado (requiere permiso actualizar_usuarios)
  * @param {number} id - ID del usuario
  * @body {string} estado - Nuevo estado (ACTIVO, INACTIVO, PENDIENTE)
  */
 router.patch('/:id/estado', verificarToken, requierePermiso('actualizar_usuarios'), UsuarioController.cambiarEstado);
 
+/**
+ * @route POST /api/usuarios/:id/cerrar-sesiones
+ * @desc Cerrar todas las sesiones de un usuario (cierre forzado)
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ */
+router.post('/:id/cerrar-sesiones', verificarToken, requierePermiso('actualizar_usuarios'), UsuarioController.cerrarSesiones);
+
+/**
+ * @route GET /api/usuarios/:id/intentos-login
+ * @desc Obtener el historial de intentos de login y el estado de bloqueo de un usuario
+ * @access Privado (requiere permiso leer_usuarios)
+ * @param {number} id - ID del usuario
+ * @query {number} [pagina=1] - Número de página
+ * @query {number} [limite=20] - Registros por página
+ */
+router.get('/:id/intentos-login', verificarToken, requierePermiso('leer_usuarios'), UsuarioController.obtenerIntentosLogin);
+
+/**
+ * @route POST /api/usuarios/:id/desbloquear
+ * @desc Desbloquear el login de un usuario y reiniciar sus intentos fallidos
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ */
+router.post('/:id/desbloquear', verificarToken, requierePermiso('actualizar_usuarios'), UsuarioController.desbloquearUsuario);
+
+/**
+ * @route POST /api/usuarios/:id/forzar-cambio-contraseña
+ * @desc Obligar al usuario a cambiar su contraseña en el próximo inicio de sesión
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ */
+router.post('/:id/forzar-cambio-contraseña', verificarToken, requierePermiso('actualizar_usuarios'), UsuarioController.forzarCambioContraseña);
+
+/**
+ * @route GET /api/usuarios/:id/roles
+ * @desc Obtener los roles activos de un usuario y sus asignaciones de roles adicionales
+ * @access Privado (requiere permiso leer_usuarios)
+ * @param {number} id - ID del usuario
+ * @query {boolean} [incluir_vencidas=false] - Incluir asignaciones ya finalizadas
+ */
+router.get('/:id/roles', verificarToken, requierePermiso('leer_usuarios'), UsuarioController.obtenerRoles);
+
+/**
+ * @route POST /api/usuarios/:id/roles
+ * @desc Asignar un rol adicional a un usuario, opcionalmente por un periodo
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ * @body {number} id_rol - ID del rol a asignar
+ * @body {string} [fecha_inicio] - Inicio de la vigencia (ISO 8601, por defecto desde ahora)
+ * @body {string} [fecha_fin] - Fin de la vigencia (ISO 8601, por defecto indefinida)
+ */
+router.post('/:id/roles', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('actualizar_usuarios'), UsuarioController.asignarRol);
+
+/**
+ * @route PUT /api/usuarios/:id/roles/:idAsignacion
+ * @desc Modificar la vigencia de un rol asignado
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ * @param {number} idAsignacion - ID de la asignación
+ * @body {string} [fecha_inicio] - Inicio de la vigencia (ISO 8601)
+ * @body {string} [fecha_fin] - Fin de la vigencia (ISO 8601)
+ */
+router.put('/:id/roles/:idAsignacion', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('actualizar_usuarios'), UsuarioController.actualizarRol);
+
+/**
+ * @route DELETE /api/usuarios/:id/roles/:idAsignacion
+ * @desc Quitar un rol asignado a un usuario
+ * @access Privado (requiere permiso actualizar_usuarios)
+ * @param {number} id - ID del usuario
+ * @param {number} idAsignacion - ID de la asignación
+ */
+router.delete('/:id/roles/:idAsignacion', verificarToken, requiereSesionUsuario, prohibirEnImpersonacion, requierePermiso('actualizar_usuarios'), UsuarioController.quitarRol);
+
 /**
  * @route DELETE /api/usuarios/:id
  * @desc Eliminar un usuario (cambiar estado a INACTIVO)
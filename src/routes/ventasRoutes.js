@@ -6,7 +6,7 @@
 import express from 'express';
 import { VentaController } from '../controllers/VentaController.js';
 import { verificarToken } from '../middlewares/auth/tokenMiddleware.js';
-import { requierePermiso } from '../middlewares/auth/authMiddleware.js';
+import { requierePermiso, prohibirEnImpersonacion } from '../middlewares/auth/authMiddleware.js';
 
 const router = express.Router();
 
@@ -14,11 +14,37 @@ const router = express.Router();
 router.use(verificarToken);
 
 /**
- * @route POST /api/ventas/procesar-compra
- * @desc Procesa una compra desde el carrito del usuario
+ * @route POST /api/ventas/reserva
+ * @desc Inicia el pago reservando el stock del carrito durante STOCK_RESERVATION_TTL segundos
+ *       (llamarlo de nuevo renueva la reserva con el contenido actual del carrito)
+ * @access Privado (usuarios autenticados, no disponible durante una impersonación)
+ * @body {number} [id_ubicacion] - Ubicación desde la que se surtirá el pedido (p. ej. retiro en la sala de exhibición)
+ */
+router.post('/reserva', prohibirEnImpersonacion, VentaController.reservarCarrito);
+
+/**
+ * @route GET /api/ventas/reserva
+ * @desc Obtiene la reserva de stock vigente del usuario y los segundos que le quedan
  * @access Privado (usuarios autenticados)
  */
-router.post('/procesar-compra', VentaController.procesarCompra);
+router.get('/reserva', VentaController.obtenerReserva);
+
+/**
+ * @route DELETE /api/ventas/reserva
+ * @desc Libera la reserva de stock del usuario si abandona el pago
+ * @access Privado (usuarios autenticados, no disponible durante una impersonación)
+ */
+router.delete('/reserva', prohibirEnImpersonacion, VentaController.liberarReserva);
+
+/**
+ * @route POST /api/ventas/procesar-compra
+ * @desc Procesa una compra desde el carrito del usuario; la reserva vigente del usuario se confirma
+ *       y el stock reservado por otros usuarios no se puede comprar
+ * @access Privado (usuarios autenticados, no disponible durante una impersonación)
+ * @body {number} [id_ubicacion] - Ubicación desde la que se surte el pedido (por defecto la de la reserva
+ *       o, si no la tiene, la predeterminada y después las de más stock)
+ */
+router.post('/procesar-compra', prohibirEnImpersonacion, VentaController.procesarCompra);
 
 /**
  * @route GET /api/ventas/mis-compras
@@ -37,9 +63,9 @@ router.get('/:id', VentaController.obtenerDetalleCompra);
 /**
  * @route DELETE /api/ventas/:id/cancelar
  * @desc Cancela una compra
- * @access Privado (propietario)
+ * @access Privado (propietario, no disponible durante una impersonación)
  */
-router.delete('/:id/cancelar', VentaController.cancelarCompra);
+router.delete('/:id/cancelar', prohibirEnImpersonacion, VentaController.cancelarCompra);
 
 // Rutas administrativas
 /**
@@ -0,0 +1,157 @@
+/**
+ * Servicio de gestión de API keys
+ * Maneja la creación, consulta, rotación y revocación de claves de integración
+ */
+
+import { ApiKey } from "../models/ApiKey.js";
+import { Rol } from "../models/Rol.js";
+import { Permiso } from "../models/Permiso.js";
+import { Usuario } from "../models/Usuario.js";
+
+export class ApiKeyService {
+
+  /**
+   * Crea una API key asociada a un rol
+   * Quien la crea no puede otorgar permisos que no tiene
+   * @param {Object} datosApiKey - Datos de la API key
+   * @param {string} datosApiKey.nombre - Nombre descriptivo
+   * @param {number} datosApiKey.id_rol - Rol del que toma los permisos
+   * @param {number} datosApiKey.dias_validez - Días de validez (opcional, sin expiración si se omite)
+   * @param {number} idUsuarioCreador - ID del usuario que la crea
+   * @returns {Promise<Object>} - API key creada y la clave en texto plano (se muestra una sola vez)
+   */
+  static async crearApiKey({ nombre, id_rol, dias_validez = null }, idUsuarioCreador) {
+    try {
+      const rol = await Rol.buscarPorId(id_rol);
+      if (!rol) {
+        throw new Error('Rol no encontrado');
+      }
+
+      await this.verificarPermisosDelRol(id_rol, idUsuarioCreador);
+
+      const fechaExpiracion = dias_validez
+        ? new Date(Date.now() + dias_validez * 24 * 60 * 60 * 1000)
+        : null;
+
+      const { id_api_key, clave } = await ApiKey.crear({
+        nombre,
+        id_rol,
+        id_usuario_creador: idUsuarioCreador,
+        fecha_expiracion: fechaExpiracion
+      });
+
+      const apiKey = await ApiKey.buscarPorId(id_api_key);
+
+      return { api_key: apiKey, clave };
+    } catch (error) {
+      console.error('Error al crear API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene todas las API keys
+   * @param {boolean} incluirRevocadas - Si se incluyen las claves revocadas
+   * @returns {Promise<Array>} - Lista de API keys
+   */
+  static async obtenerApiKeys(incluirRevocadas = false) {
+    try {
+      return await ApiKey.obtenerTodas(incluirRevocadas);
+    } catch (error) {
+      console.error('Error al obtener API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una API key por su ID
+   * @param {number} idApiKey - ID de la API key
+   * @returns {Promise<Object>} - API key encontrada
+   */
+  static async obtenerApiKeyPorId(idApiKey) {
+    try {
+      const apiKey = await ApiKey.buscarPorId(idApiKey);
+      if (!apiKey) {
+        throw new Error('API key no encontrada');
+      }
+
+      return apiKey;
+    } catch (error) {
+      console.error('Error al obtener API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rota una API key: la clave anterior deja de funcionar inmediatamente
+   * @param {number} idApiKey - ID de la API key
+   * @returns {Promise<Object>} - API key y la nueva clave en texto plano
+   */
+  static async rotarApiKey(idApiKey) {
+    try {
+      const apiKey = await ApiKey.buscarPorId(idApiKey);
+      if (!apiKey) {
+        throw new Error('API key no encontrada');
+      }
+
+      if (apiKey.revocada) {
+        throw new Error('No se puede rotar una API key revocada');
+      }
+
+      const clave = await ApiKey.rotar(idApiKey);
+      if (!clave) {
+        throw new Error('No se puede rotar una API key revocada');
+      }
+
+      return {
+        api_key: await ApiKey.buscarPorId(idApiKey),
+        clave
+      };
+    } catch (error) {
+      console.error('Error al rotar API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoca una API key
+   * @param {number} idApiKey - ID de la API key
+   * @returns {Promise<boolean>} - True si se revocó correctamente
+   */
+  static async revocarApiKey(idApiKey) {
+    try {
+      const apiKey = await ApiKey.buscarPorId(idApiKey);
+      if (!apiKey) {
+        throw new Error('API key no encontrada');
+      }
+
+      if (apiKey.revocada) {
+        throw new Error('La API key ya está revocada');
+      }
+
+      return await ApiKey.revocar(idApiKey);
+    } catch (error) {
+      console.error('Error al revocar API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica que el usuario tenga todos los permisos del rol que asigna a la clave
+   * @param {number} idRol - ID del rol de la clave
+   * @param {number} idUsuario - ID del usuario que crea la clave
+   */
+  static async verificarPermisosDelRol(idRol, idUsuario) {
+    const permisosUsuario = (await Usuario.obtenerPermisosUsuario(idUsuario)).map(p => p.nombre_permiso);
+    if (permisosUsuario.includes('*')) {
+      return;
+    }
+
+    const permisosRol = (await Permiso.obtenerPermisosEfectivosRol(idRol)).map(p => p.nombre_permiso);
+    const faltantes = permisosRol.filter(permiso => !permisosUsuario.includes(permiso));
+
+    if (faltantes.length > 0) {
+      throw new Error('No puedes crear una API key con permisos que no tienes');
+    }
+  }
+}
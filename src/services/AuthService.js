@@ -3,71 +3,290 @@
  * Maneja login, registro, tokens JWT y validaciones de autenticación
  */
 
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { Usuario } from "../models/Usuario.js";
+import { Sesion } from "../models/Sesion.js";
+import { TokenUsuario } from "../models/TokenUsuario.js";
+import { IntentoLogin } from "../models/IntentoLogin.js";
+import { UsuarioRol } from "../models/UsuarioRol.js";
+import { CorreoService } from "./CorreoService.js";
+import { DosFactoresService } from "./DosFactoresService.js";
+import { SeguridadService } from "./SeguridadService.js";
+import {
+  obtenerPoliticaContraseñas,
+  validarPoliticaContraseña,
+  contraseñaExpirada
+} from "../utils/politicaContrasenas.js";
 
 export class AuthService {
   
   /**
    * Realiza el login de un usuario
+   * Aplica protección contra fuerza bruta: límite de fallos por IP, retraso exponencial
+   * entre fallos de una cuenta y bloqueo temporal al superar el umbral.
+   * Cada intento queda registrado en el historial de login.
+   * Si el usuario tiene verificación en dos pasos (o su rol la exige) devuelve un desafío
    * @param {string} correo - Email del usuario
    * @param {string} contraseña - Contraseña del usuario
+   * @param {Object} datosCliente - Datos del dispositivo que inicia sesión
+   * @param {string} datosCliente.user_agent - User agent del cliente (opcional)
+   * @param {string} datosCliente.ip - Dirección IP del cliente (opcional)
    * @returns {Promise<Object>} - Datos del usuario y tokens
    */
-  static async login(correo, contraseña) {
+  static async login(correo, contraseña, datosCliente = {}) {
     try {
-      // Buscar usuario por correo
-      const usuario = await Usuario.buscarPorCorreo(correo);
+      const { ip = null, user_agent = null } = datosCliente;
+      const registrarIntento = async (idUsuario, exitoso, motivo) => {
+        await IntentoLogin.registrar({ id_usuario: idUsuario, correo, ip, user_agent, exitoso, motivo });
+
+        // El desafío de dos pasos no es un fallo: el evento se registra al completarlo
+        if (motivo !== 'PENDIENTE_2FA') {
+          await SeguridadService.registrarEvento(
+            { id_usuario: idUsuario, tipo: 'LOGIN', exitoso, motivo, detalles: { correo } },
+            datosCliente
+          );
+        }
+      };
+
+      // Limitar intentos fallidos desde una misma IP
+      if (ip) {
+        const maximoPorIp = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+        const ventanaIp = parseInt(process.env.LOGIN_IP_WINDOW) || 900;
+        const fallidosIp = await IntentoLogin.contarFallidosPorIp(ip, ventanaIp);
+        if (fallidosIp >= maximoPorIp) {
+          await registrarIntento(null, false, 'IP_BLOQUEADA');
+          throw new Error('Demasiados intentos fallidos desde esta dirección, intenta más tarde');
+        }
+      }
+
+      // Buscar usuario por correo (en cualquier estado para informar cuentas sin verificar)
+      const usuario = await Usuario.buscarPorCorreo(correo, false);
       if (!usuario) {
+        await registrarIntento(null, false, 'CREDENCIALES_INVALIDAS');
         throw new Error('Credenciales inválidas');
       }
 
+      // Verificar bloqueo temporal de la cuenta
+      if (usuario.bloqueado_hasta && new Date(usuario.bloqueado_hasta) > new Date()) {
+        await registrarIntento(usuario.id_usuario, false, 'CUENTA_BLOQUEADA');
+        const minutosRestantes = Math.ceil((new Date(usuario.bloqueado_hasta) - new Date()) / 60000);
+        throw new Error(`Cuenta bloqueada temporalmente por intentos fallidos, intenta de nuevo en ${minutosRestantes} minutos`);
+      }
+
+      // Retraso exponencial entre intentos fallidos consecutivos
+      if (usuario.intentos_fallidos > 0 && usuario.fecha_ultimo_fallo) {
+        const retrasoBase = parseInt(process.env.LOGIN_DELAY_BASE) || 1;
+        const segundosRetraso = retrasoBase * Math.pow(2, usuario.intentos_fallidos - 1);
+        const permitidoDesde = new Date(usuario.fecha_ultimo_fallo).getTime() + segundosRetraso * 1000;
+        if (permitidoDesde > Date.now()) {
+          await registrarIntento(usuario.id_usuario, false, 'RETRASO_ACTIVO');
+          const segundosRestantes = Math.ceil((permitidoDesde - Date.now()) / 1000);
+          throw new Error(`Debes esperar ${segundosRestantes} segundos antes de volver a intentarlo`);
+        }
+      }
+
       // Verificar contraseña
       const contraseñaValida = await Usuario.verificarContraseña(contraseña, usuario.contraseña_hash);
       if (!contraseñaValida) {
+        await registrarIntento(usuario.id_usuario, false, 'CREDENCIALES_INVALIDAS');
+        await this.registrarFalloCuenta(usuario.id_usuario);
         throw new Error('Credenciales inválidas');
       }
 
+      // Verificar que el correo haya sido confirmado
+      if (usuario.estado === 'PENDIENTE') {
+        await registrarIntento(usuario.id_usuario, false, 'CORREO_NO_VERIFICADO');
+        throw new Error('Correo electrónico pendiente de verificación');
+      }
+
       // Verificar que el usuario esté activo
       if (usuario.estado !== 'ACTIVO') {
-        throw new Error('Usuario inactivo o pendiente de activación');
+        await registrarIntento(usuario.id_usuario, false, 'USUARIO_INACTIVO');
+        throw new Error('Usuario inactivo');
       }
 
-      // Actualizar último acceso
-      await Usuario.actualizarUltimoAcceso(usuario.id_usuario);
+      // Segundo factor: si está activado o el rol lo exige, se emite un desafío en lugar de tokens
+      if (usuario.totp_habilitado || usuario.requiere_2fa) {
+        await registrarIntento(usuario.id_usuario, false, 'PENDIENTE_2FA');
 
-      // Obtener permisos del usuario
-      const permisos = await Usuario.obtenerPermisosUsuario(usuario.id_usuario);
+        return {
+          requiere_2fa: true,
+          configuracion_pendiente: !usuario.totp_habilitado,
+          tokenDesafio: this.generarTokenDesafio2FA(usuario)
+        };
+      }
 
-      // Generar tokens
-      const { accessToken, refreshToken } = this.generarTokens(usuario);
+      return await this.completarLogin(usuario, datosCliente);
+    } catch (error) {
+      console.error('Error en login:', error);
+      throw error;
+    }
+  }
 
-      // Preparar datos del usuario (sin la contraseña)
-      const datosUsuario = {
-        id_usuario: usuario.id_usuario,
-        nombre_usuario: usuario.nombre_usuario,
-        correo: usuario.correo,
-        telefono: usuario.telefono,
-        rol: {
-          id_rol: usuario.id_rol,
-          nombre_rol: usuario.nombre_rol,
-          descripcion: usuario.descripcion_rol
-        },
-        permisos: permisos.map(p => p.nombre_permiso),
-        ultimo_acceso: new Date().toISOString()
-      };
+  /**
+   * Completa el segundo paso del login con un código TOTP o de recuperación
+   * @param {string} tokenDesafio - Token de desafío emitido en el primer paso
+   * @param {Object} credenciales - Credenciales del segundo factor
+   * @param {string} credenciales.codigo - Código TOTP (opcional)
+   * @param {string} credenciales.codigo_recuperacion - Código de recuperación (opcional)
+   * @param {Object} datosCliente - Datos del dispositivo que inicia sesión
+   * @returns {Promise<Object>} - Datos del usuario y tokens
+   */
+  static async verificarSegundoFactor(tokenDesafio, credenciales, datosCliente = {}) {
+    try {
+      const decoded = this.verificarTokenDesafio2FA(tokenDesafio);
 
-      return {
-        usuario: datosUsuario,
-        accessToken,
-        refreshToken
-      };
+      const usuario = await Usuario.buscarPorId(decoded.id_usuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (usuario.estado !== 'ACTIVO') {
+        throw new Error('Usuario inactivo');
+      }
+
+      const estadoBloqueo = await Usuario.obtenerEstadoBloqueo(usuario.id_usuario);
+      if (estadoBloqueo.bloqueado_hasta && new Date(estadoBloqueo.bloqueado_hasta) > new Date()) {
+        const minutosRestantes = Math.ceil((new Date(estadoBloqueo.bloqueado_hasta) - new Date()) / 60000);
+        throw new Error(`Cuenta bloqueada temporalmente por intentos fallidos, intenta de nuevo en ${minutosRestantes} minutos`);
+      }
+
+      const datosTotp = await Usuario.obtenerDatosTotp(usuario.id_usuario);
+      if (!datosTotp.totp_habilitado) {
+        throw new Error('La verificación en dos pasos no está configurada');
+      }
+
+      const valido = await DosFactoresService.verificarSegundoFactor(usuario.id_usuario, credenciales);
+      if (!valido) {
+        await IntentoLogin.registrar({
+          id_usuario: usuario.id_usuario,
+          correo: usuario.correo,
+          ip: datosCliente.ip,
+          user_agent: datosCliente.user_agent,
+          exitoso: false,
+          motivo: 'CODIGO_2FA_INVALIDO'
+        });
+        await SeguridadService.registrarEvento(
+          { id_usuario: usuario.id_usuario, tipo: 'LOGIN', exitoso: false, motivo: 'CODIGO_2FA_INVALIDO' },
+          datosCliente
+        );
+        await this.registrarFalloCuenta(usuario.id_usuario);
+        throw new Error('Código de verificación inválido');
+      }
+
+      return await this.completarLogin(usuario, datosCliente);
     } catch (error) {
-      console.error('Error en login:', error);
+      console.error('Error al verificar segundo factor:', error);
       throw error;
     }
   }
 
+  /**
+   * Finaliza un login exitoso: registra el intento, reinicia los fallos y emite los tokens.
+   * Si el usuario debe cambiar su contraseña (marcado o expirada) devuelve un token de cambio
+   * en lugar de los tokens de acceso
+   * @param {Object} usuario - Usuario autenticado (con datos de su rol)
+   * @param {Object} datosCliente - Datos del dispositivo que inicia sesión
+   * @param {boolean} omitirCambioContraseña - True si la contraseña se acaba de cambiar
+   * @returns {Promise<Object>} - Datos del usuario y tokens
+   */
+  static async completarLogin(usuario, datosCliente = {}, omitirCambioContraseña = false) {
+    if (!omitirCambioContraseña) {
+      const estadoContraseña = await Usuario.obtenerEstadoContraseña(usuario.id_usuario);
+      const expirada = contraseñaExpirada(estadoContraseña?.fecha_cambio_contraseña);
+
+      if (estadoContraseña?.debe_cambiar_contraseña || expirada) {
+        await IntentoLogin.registrar({
+          id_usuario: usuario.id_usuario,
+          correo: usuario.correo,
+          ip: datosCliente.ip,
+          user_agent: datosCliente.user_agent,
+          exitoso: false,
+          motivo: 'CAMBIO_CONTRASEÑA_PENDIENTE'
+        });
+
+        return {
+          requiere_cambio_contraseña: true,
+          motivo: expirada && !estadoContraseña.debe_cambiar_contraseña ? 'EXPIRADA' : 'OBLIGATORIO',
+          tokenCambioContraseña: this.generarTokenCambioContraseña(usuario)
+        };
+      }
+    }
+
+    // Login correcto: registrar y reiniciar el contador de fallos
+    await IntentoLogin.registrar({
+      id_usuario: usuario.id_usuario,
+      correo: usuario.correo,
+      ip: datosCliente.ip,
+      user_agent: datosCliente.user_agent,
+      exitoso: true,
+      motivo: 'EXITOSO'
+    });
+    await SeguridadService.registrarEvento(
+      { id_usuario: usuario.id_usuario, tipo: 'LOGIN', exitoso: true, motivo: 'EXITOSO' },
+      datosCliente
+    );
+    if (usuario.intentos_fallidos !== 0 || usuario.bloqueado_hasta) {
+      await Usuario.reiniciarIntentosFallidos(usuario.id_usuario);
+    }
+
+    // Actualizar último acceso
+    await Usuario.actualizarUltimoAcceso(usuario.id_usuario);
+
+    // Obtener permisos y roles activos del usuario
+    const permisos = await Usuario.obtenerPermisosUsuario(usuario.id_usuario);
+    const rolesActivos = await UsuarioRol.obtenerRolesActivos(usuario.id_usuario);
+
+    // Generar tokens y registrar la sesión
+    const { accessToken, refreshToken } = await this.generarTokens(usuario, datosCliente);
+
+    // Preparar datos del usuario (sin la contraseña)
+    const datosUsuario = {
+      id_usuario: usuario.id_usuario,
+      nombre_usuario: usuario.nombre_usuario,
+      correo: usuario.correo,
+      telefono: usuario.telefono,
+      rol: {
+        id_rol: usuario.id_rol,
+        nombre_rol: usuario.nombre_rol,
+        descripcion: usuario.descripcion_rol
+      },
+      roles: rolesActivos,
+      permisos: permisos.map(p => p.nombre_permiso),
+      ultimo_acceso: new Date().toISOString()
+    };
+
+    return {
+      usuario: datosUsuario,
+      accessToken,
+      refreshToken
+    };
+  }
+
+  /**
+   * Suma un fallo de contraseña a la cuenta y la bloquea si alcanza el umbral
+   * La duración del bloqueo se duplica por cada fallo adicional (máximo 24 horas)
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<number>} - Número de intentos fallidos consecutivos
+   */
+  static async registrarFalloCuenta(idUsuario) {
+    const maximoIntentos = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    const duracionBloqueo = parseInt(process.env.LOGIN_LOCKOUT_DURATION) || 900;
+
+    const intentosFallidos = await Usuario.registrarIntentoFallido(idUsuario);
+
+    if (intentosFallidos >= maximoIntentos) {
+      const segundosBloqueo = Math.min(
+        duracionBloqueo * Math.pow(2, intentosFallidos - maximoIntentos),
+        24 * 60 * 60
+      );
+      await Usuario.bloquearAcceso(idUsuario, new Date(Date.now() + segundosBloqueo * 1000));
+    }
+
+    return intentosFallidos;
+  }
+
   /**
    * Registra un nuevo usuario
    * @param {Object} datosUsuario - Datos del usuario a registrar
@@ -82,9 +301,7 @@ export class AuthService {
         throw new Error('Nombre de usuario, correo y contraseña son obligatorios');
       }
 
-      if (contraseña.length < 6) {
-        throw new Error('La contraseña debe tener al menos 6 caracteres');
-      }
+      await this.verificarPoliticaContraseña(contraseña);
 
       // Validar formato de email
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -92,13 +309,14 @@ export class AuthService {
         throw new Error('Formato de correo electrónico inválido');
       }
 
-      // Crear usuario
+      // Crear usuario pendiente de verificar su correo
       const idUsuario = await Usuario.crear({
         nombre_usuario,
         correo,
         contraseña,
         telefono,
-        id_rol
+        id_rol,
+        estado: 'PENDIENTE'
       });
 
       // Crear dirección si se proporcionan los datos
@@ -116,6 +334,13 @@ export class AuthService {
 
       // Obtener datos del usuario creado
       const usuarioCreado = await Usuario.buscarPorId(idUsuario);
+
+      // Enviar el enlace de verificación; si falla, el usuario puede solicitar un reenvío
+      try {
+        await this.emitirVerificacionCorreo(usuarioCreado);
+      } catch (errorCorreo) {
+        console.error('Error al enviar correo de verificación:', errorCorreo);
+      }
       
       // Preparar respuesta (sin contraseña)
       return {
@@ -139,21 +364,104 @@ export class AuthService {
   }
 
   /**
-   * Renueva el access token usando el refresh token
-   * @param {string} refreshToken - Refresh token
-   * @returns {Promise<Object>} - Nuevo access token
+   * Verifica el correo electrónico de un usuario y activa su cuenta
+   * @param {string} token - Token de verificación recibido por correo
+   * @returns {Promise<boolean>} - True si se verificó correctamente
    */
-  static async renovarToken(refreshToken) {
+  static async verificarCorreo(token) {
     try {
-      if (!refreshToken) {
-        throw new Error('Refresh token requerido');
+      const idUsuario = await TokenUsuario.consumir(token, 'VERIFICAR_CORREO');
+      if (!idUsuario) {
+        throw new Error('Token de verificación inválido o expirado');
       }
 
-      // Verificar refresh token
-      const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-      
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      // Solo se activan cuentas pendientes; una cuenta desactivada no se reactiva por correo
+      if (usuario.estado === 'INACTIVO') {
+        throw new Error('Usuario inactivo');
+      }
+
+      if (usuario.estado === 'PENDIENTE') {
+        await Usuario.cambiarEstado(idUsuario, 'ACTIVO');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error al verificar correo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reenvía el enlace de verificación a una cuenta pendiente
+   * Limita la frecuencia de envío por cuenta; no revela si el correo está registrado
+   * @param {string} correo - Email del usuario
+   * @returns {Promise<boolean>} - True al finalizar
+   */
+  static async reenviarVerificacionCorreo(correo) {
+    try {
+      const usuario = await Usuario.buscarPorCorreo(correo, false);
+      if (!usuario || usuario.estado !== 'PENDIENTE') {
+        return true;
+      }
+
+      const intervaloMinimo = parseInt(process.env.VERIFY_RESEND_INTERVAL) || 60;
+      const maximoPorHora = parseInt(process.env.VERIFY_RESEND_MAX_PER_HOUR) || 5;
+
+      const emisiones = await TokenUsuario.obtenerEmisionesRecientes(usuario.id_usuario, 'VERIFICAR_CORREO', 3600);
+
+      if (emisiones.total >= maximoPorHora) {
+        throw new Error('Has alcanzado el límite de reenvíos, intenta de nuevo más tarde');
+      }
+
+      if (emisiones.ultima_emision) {
+        const segundosTranscurridos = (Date.now() - new Date(emisiones.ultima_emision).getTime()) / 1000;
+        if (segundosTranscurridos < intervaloMinimo) {
+          const segundosRestantes = Math.ceil(intervaloMinimo - segundosTranscurridos);
+          throw new Error(`Debes esperar ${segundosRestantes} segundos antes de solicitar otro correo`);
+        }
+      }
+
+      await this.emitirVerificacionCorreo(usuario);
+      return true;
+    } catch (error) {
+      console.error('Error al reenviar verificación de correo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera un token de verificación y envía el enlace al correo del usuario
+   * @param {Object} usuario - Usuario (id_usuario, nombre_usuario, correo)
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async emitirVerificacionCorreo(usuario) {
+    const segundosValidez = parseInt(process.env.VERIFY_TOKEN_EXPIRATION) || 86400;
+    const token = await TokenUsuario.crear(usuario.id_usuario, 'VERIFICAR_CORREO', segundosValidez);
+
+    return await CorreoService.enviarVerificacionCorreo(
+      usuario,
+      token,
+      Math.round(segundosValidez / 3600)
+    );
+  }
+
+  /**
+   * Renueva el access token usando el refresh token
+   * Rota el refresh token: el presentado queda invalidado y se emite uno nuevo
+   * La firma y la vigencia de la sesión ya las verificó el middleware verificarRefreshToken
+   * @param {Object} tokenData - Datos del refresh token verificado (id_usuario, id_sesion, refreshToken)
+   * @param {Object} datosCliente - User agent e IP del cliente
+   * @returns {Promise<Object>} - Nuevo access token y nuevo refresh token
+   */
+  static async renovarToken({ id_usuario, id_sesion, refreshToken }, datosCliente = {}) {
+    try {
       // Buscar usuario
-      const usuario = await Usuario.buscarPorId(decoded.id_usuario);
+      const usuario = await Usuario.buscarPorId(id_usuario);
       if (!usuario) {
         throw new Error('Usuario no encontrado');
       }
@@ -162,49 +470,227 @@ export class AuthService {
         throw new Error('Usuario inactivo');
       }
 
-      // Generar nuevo access token
-      const accessToken = this.generarAccessToken(usuario);
+      // Rotar el refresh token de la sesión
+      const nuevoRefreshToken = this.generarRefreshToken(usuario, id_sesion);
+      const rotado = await Sesion.rotarToken(
+        id_sesion,
+        Sesion.hashearToken(refreshToken),
+        Sesion.hashearToken(nuevoRefreshToken),
+        this.calcularExpiracionRefresh()
+      );
+
+      // Otra petición rotó el token primero: se trata como reutilización
+      if (!rotado) {
+        await Sesion.revocar(id_sesion, 'REUTILIZACION');
+        await this.registrarReutilizacion(id_usuario, id_sesion, datosCliente);
+        throw new Error('Refresh token reutilizado, la sesión ha sido revocada');
+      }
+
+      // Generar nuevo access token con los roles vigentes en este momento
+      const rolesActivos = await UsuarioRol.obtenerRolesActivos(usuario.id_usuario);
+      const accessToken = this.generarAccessToken(usuario, id_sesion, rolesActivos);
 
-      return { accessToken };
+      await SeguridadService.registrarEvento(
+        { id_usuario: usuario.id_usuario, tipo: 'RENOVACION_TOKEN', detalles: { id_sesion } },
+        datosCliente
+      );
+
+      return { accessToken, refreshToken: nuevoRefreshToken };
     } catch (error) {
       console.error('Error al renovar token:', error);
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-        throw new Error('Refresh token inválido o expirado');
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el intento de reutilizar un refresh token ya rotado, que indica que pudo ser robado
+   * @param {number} idUsuario - Usuario dueño de la sesión
+   * @param {string} idSesion - Sesión revocada por la reutilización
+   * @param {Object} datosCliente - User agent e IP del cliente
+   * @returns {Promise<void>}
+   */
+  static async registrarReutilizacion(idUsuario, idSesion, datosCliente = {}) {
+    await SeguridadService.registrarEvento(
+      {
+        id_usuario: idUsuario,
+        tipo: 'RENOVACION_TOKEN',
+        exitoso: false,
+        motivo: 'REUTILIZACION',
+        detalles: { id_sesion: idSesion }
+      },
+      datosCliente
+    );
+  }
+
+  /**
+   * Cierra una sesión revocando su refresh token
+   * @param {string} idSesion - ID de la sesión
+   * @returns {Promise<boolean>} - True si se revocó la sesión
+   */
+  static async cerrarSesion(idSesion) {
+    try {
+      if (!idSesion) {
+        return false;
       }
+
+      return await Sesion.revocar(idSesion, 'LOGOUT');
+    } catch (error) {
+      console.error('Error al cerrar sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las sesiones activas de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} idSesionActual - ID de la sesión desde la que se consulta
+   * @returns {Promise<Array>} - Sesiones activas, marcando la actual
+   */
+  static async obtenerSesiones(idUsuario, idSesionActual = null) {
+    try {
+      const sesiones = await Sesion.obtenerActivasPorUsuario(idUsuario);
+
+      return sesiones.map(sesion => ({
+        id_sesion: sesion.id_sesion,
+        user_agent: sesion.user_agent,
+        ip: sesion.ip,
+        fecha_creacion: sesion.fecha_creacion,
+        ultimo_uso: sesion.ultimo_uso,
+        fecha_expiracion: sesion.fecha_expiracion,
+        actual: sesion.id_sesion === idSesionActual
+      }));
+    } catch (error) {
+      console.error('Error al obtener sesiones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra una sesión específica del usuario (por ejemplo, otro dispositivo)
+   * @param {number} idUsuario - ID del usuario dueño de la sesión
+   * @param {string} idSesion - ID de la sesión a cerrar
+   * @returns {Promise<boolean>} - True si se cerró la sesión
+   */
+  static async cerrarSesionDeUsuario(idUsuario, idSesion) {
+    try {
+      const sesion = await Sesion.buscarPorId(idSesion);
+
+      if (!sesion || sesion.id_usuario !== idUsuario || sesion.revocada) {
+        throw new Error('Sesión no encontrada');
+      }
+
+      return await Sesion.revocar(idSesion, 'CIERRE_REMOTO');
+    } catch (error) {
+      console.error('Error al cerrar sesión del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra todas las sesiones del usuario excepto la actual
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} idSesionActual - ID de la sesión que se conserva
+   * @returns {Promise<number>} - Número de sesiones cerradas
+   */
+  static async cerrarOtrasSesiones(idUsuario, idSesionActual) {
+    try {
+      return await Sesion.revocarTodasDeUsuario(idUsuario, 'CIERRE_REMOTO', idSesionActual);
+    } catch (error) {
+      console.error('Error al cerrar las demás sesiones:', error);
       throw error;
     }
   }
 
   /**
    * Genera access token y refresh token para un usuario
+   * Crea una nueva sesión en la que queda registrado el refresh token
    * @param {Object} usuario - Datos del usuario
-   * @returns {Object} - Tokens generados
+   * @param {Object} datosCliente - User agent e IP del dispositivo (opcional)
+   * @returns {Promise<Object>} - Tokens generados e ID de la sesión
    */
-  static generarTokens(usuario) {
-    const accessToken = this.generarAccessToken(usuario);
-    const refreshToken = this.generarRefreshToken(usuario);
+  static async generarTokens(usuario, datosCliente = {}) {
+    const idSesion = crypto.randomUUID();
+    const rolesActivos = await UsuarioRol.obtenerRolesActivos(usuario.id_usuario);
+    const accessToken = this.generarAccessToken(usuario, idSesion, rolesActivos);
+    const refreshToken = this.generarRefreshToken(usuario, idSesion);
 
-    return { accessToken, refreshToken };
+    await Sesion.crear({
+      id_sesion: idSesion,
+      id_usuario: usuario.id_usuario,
+      refresh_token_hash: Sesion.hashearToken(refreshToken),
+      fecha_expiracion: this.calcularExpiracionRefresh(),
+      user_agent: datosCliente.user_agent,
+      ip: datosCliente.ip
+    });
+
+    return { accessToken, refreshToken, idSesion };
   }
 
   /**
    * Genera un access token
+   * Incluye los nombres de los roles activos; si alguno vence antes que el token,
+   * el token expira en ese momento para no conservar un rol ya finalizado
    * @param {Object} usuario - Datos del usuario
+   * @param {string} idSesion - ID de la sesión a la que pertenece el token
+   * @param {Array} rolesActivos - Roles activos del usuario (UsuarioRol.obtenerRolesActivos)
    * @returns {string} - Access token
    */
-  static generarAccessToken(usuario) {
+  static generarAccessToken(usuario, idSesion, rolesActivos = []) {
     const payload = {
       id_usuario: usuario.id_usuario,
       correo: usuario.correo,
       id_rol: usuario.id_rol,
-      nombre_rol: usuario.nombre_rol
+      nombre_rol: usuario.nombre_rol,
+      roles: rolesActivos.length > 0 ? rolesActivos.map(rol => rol.nombre_rol) : [usuario.nombre_rol],
+      id_sesion: idSesion
     };
 
+    let expiracion = parseInt(process.env.TOKEN_EXPIRATION) || 900;
+    for (const rol of rolesActivos) {
+      if (rol.fecha_fin) {
+        const segundosRestantes = Math.ceil((new Date(rol.fecha_fin).getTime() - Date.now()) / 1000);
+        expiracion = Math.max(1, Math.min(expiracion, segundosRestantes));
+      }
+    }
+
     return jwt.sign(
       payload,
       process.env.ACCESS_TOKEN_SECRET,
       { 
-        expiresIn: `${process.env.TOKEN_EXPIRATION || 900}s`,
+        expiresIn: `${expiracion}s`,
+        issuer: 'carpinteria-api',
+        audience: 'carpinteria-frontend'
+      }
+    );
+  }
+
+  /**
+   * Genera el access token de una impersonación
+   * Lleva el claim impersonado_por y no tiene sesión ni refresh token asociados:
+   * al expirar hay que iniciar otra impersonación
+   * @param {Object} usuario - Usuario impersonado
+   * @param {number} idAdmin - ID del usuario que impersona
+   * @param {string} idImpersonacion - ID del registro de la impersonación
+   * @param {Array} rolesActivos - Roles activos del usuario impersonado
+   * @param {number} segundos - Duración del token en segundos
+   * @returns {string} - Access token de impersonación
+   */
+  static generarTokenImpersonacion(usuario, idAdmin, idImpersonacion, rolesActivos, segundos) {
+    const payload = {
+      id_usuario: usuario.id_usuario,
+      correo: usuario.correo,
+      id_rol: usuario.id_rol,
+      nombre_rol: usuario.nombre_rol,
+      roles: rolesActivos.map(rol => rol.nombre_rol),
+      impersonado_por: idAdmin,
+      id_impersonacion: idImpersonacion
+    };
+
+    return jwt.sign(
+      payload,
+      process.env.ACCESS_TOKEN_SECRET,
+      { 
+        expiresIn: `${segundos}s`,
         issuer: 'carpinteria-api',
         audience: 'carpinteria-frontend'
       }
@@ -213,13 +699,16 @@ export class AuthService {
 
   /**
    * Genera un refresh token
+   * Incluye un identificador aleatorio para que cada rotación produzca un token distinto
    * @param {Object} usuario - Datos del usuario
+   * @param {string} idSesion - ID de la sesión a la que pertenece el token
    * @returns {string} - Refresh token
    */
-  static generarRefreshToken(usuario) {
+  static generarRefreshToken(usuario, idSesion) {
     const payload = {
       id_usuario: usuario.id_usuario,
-      correo: usuario.correo
+      correo: usuario.correo,
+      id_sesion: idSesion
     };
 
     return jwt.sign(
@@ -228,11 +717,111 @@ export class AuthService {
       { 
         expiresIn: `${process.env.REFRESH_EXPIRATION || 604800}s`,
         issuer: 'carpinteria-api',
-        audience: 'carpinteria-frontend'
+        audience: 'carpinteria-frontend',
+        jwtid: crypto.randomUUID()
+      }
+    );
+  }
+
+  /**
+   * Genera el token de desafío del segundo paso del login
+   * No sirve como access token: tiene otra audiencia y una vida corta
+   * @param {Object} usuario - Datos del usuario
+   * @returns {string} - Token de desafío
+   */
+  static generarTokenDesafio2FA(usuario) {
+    const payload = {
+      id_usuario: usuario.id_usuario,
+      proposito: 'LOGIN_2FA'
+    };
+
+    return jwt.sign(
+      payload,
+      process.env.ACCESS_TOKEN_SECRET,
+      { 
+        expiresIn: `${process.env.TWO_FACTOR_CHALLENGE_EXPIRATION || 300}s`,
+        issuer: 'carpinteria-api',
+        audience: 'carpinteria-2fa'
+      }
+    );
+  }
+
+  /**
+   * Verifica un token de desafío del segundo paso del login
+   * @param {string} tokenDesafio - Token de desafío
+   * @returns {Object} - Datos decodificados del token
+   */
+  static verificarTokenDesafio2FA(tokenDesafio) {
+    try {
+      const decoded = jwt.verify(tokenDesafio, process.env.ACCESS_TOKEN_SECRET, {
+        issuer: 'carpinteria-api',
+        audience: 'carpinteria-2fa'
+      });
+
+      if (decoded.proposito !== 'LOGIN_2FA') {
+        throw new Error('Propósito de token inválido');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('Token de desafío inválido o expirado');
+    }
+  }
+
+  /**
+   * Genera el token que permite fijar una nueva contraseña cuando el login exige cambiarla
+   * No sirve como access token: tiene otra audiencia y una vida corta
+   * @param {Object} usuario - Datos del usuario
+   * @returns {string} - Token de cambio de contraseña
+   */
+  static generarTokenCambioContraseña(usuario) {
+    const payload = {
+      id_usuario: usuario.id_usuario,
+      proposito: 'CAMBIO_CONTRASEÑA'
+    };
+
+    return jwt.sign(
+      payload,
+      process.env.ACCESS_TOKEN_SECRET,
+      {
+        expiresIn: `${process.env.PASSWORD_CHANGE_TOKEN_EXPIRATION || 600}s`,
+        issuer: 'carpinteria-api',
+        audience: 'carpinteria-cambio-contraseña'
       }
     );
   }
 
+  /**
+   * Verifica un token de cambio obligatorio de contraseña
+   * @param {string} tokenCambio - Token de cambio de contraseña
+   * @returns {Object} - Datos decodificados del token
+   */
+  static verificarTokenCambioContraseña(tokenCambio) {
+    try {
+      const decoded = jwt.verify(tokenCambio, process.env.ACCESS_TOKEN_SECRET, {
+        issuer: 'carpinteria-api',
+        audience: 'carpinteria-cambio-contraseña'
+      });
+
+      if (decoded.proposito !== 'CAMBIO_CONTRASEÑA') {
+        throw new Error('Propósito de token inválido');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('Token de cambio de contraseña inválido o expirado');
+    }
+  }
+
+  /**
+   * Calcula la fecha de expiración de un refresh token emitido ahora
+   * @returns {Date} - Fecha de expiración
+   */
+  static calcularExpiracionRefresh() {
+    const segundos = parseInt(process.env.REFRESH_EXPIRATION) || 604800;
+    return new Date(Date.now() + segundos * 1000);
+  }
+
   /**
    * Verifica y decodifica un token
    * @param {string} token - Token a verificar
@@ -253,9 +842,10 @@ export class AuthService {
    * @param {number} idUsuario - ID del usuario
    * @param {string} contraseñaActual - Contraseña actual
    * @param {string} nuevaContraseña - Nueva contraseña
+   * @param {Object} datosCliente - User agent e IP del cliente (opcional)
    * @returns {Promise<boolean>} - True si se cambió correctamente
    */
-  static async cambiarContraseña(idUsuario, contraseñaActual, nuevaContraseña) {
+  static async cambiarContraseña(idUsuario, contraseñaActual, nuevaContraseña, datosCliente = {}) {
     try {
       // Buscar usuario
       const usuario = await Usuario.buscarPorCorreo(
@@ -273,22 +863,297 @@ export class AuthService {
       );
       
       if (!contraseñaValida) {
+        await SeguridadService.registrarEvento(
+          { id_usuario: idUsuario, tipo: 'CAMBIO_CONTRASEÑA', exitoso: false, motivo: 'CONTRASEÑA_ACTUAL_INCORRECTA' },
+          datosCliente
+        );
         throw new Error('Contraseña actual incorrecta');
       }
 
-      // Validar nueva contraseña
-      if (nuevaContraseña.length < 6) {
-        throw new Error('La nueva contraseña debe tener al menos 6 caracteres');
-      }
+      // Validar nueva contraseña contra la política y el historial
+      await this.verificarPoliticaContraseña(nuevaContraseña, idUsuario);
 
       // Cambiar contraseña
-      return await Usuario.cambiarContraseña(idUsuario, nuevaContraseña);
+      const cambiada = await Usuario.cambiarContraseña(idUsuario, nuevaContraseña);
+      if (cambiada) {
+        await SeguridadService.registrarEvento(
+          { id_usuario: idUsuario, tipo: 'CAMBIO_CONTRASEÑA', motivo: 'CAMBIO' },
+          datosCliente
+        );
+      }
+
+      return cambiada;
     } catch (error) {
       console.error('Error al cambiar contraseña:', error);
       throw error;
     }
   }
 
+  /**
+   * Completa un login que exigía cambiar la contraseña: fija la nueva y emite los tokens
+   * @param {string} tokenCambio - Token de cambio emitido por el login
+   * @param {string} nuevaContraseña - Nueva contraseña
+   * @param {Object} datosCliente - Datos del dispositivo que inicia sesión
+   * @returns {Promise<Object>} - Datos del usuario y tokens
+   */
+  static async cambiarContraseñaObligatoria(tokenCambio, nuevaContraseña, datosCliente = {}) {
+    try {
+      const decoded = this.verificarTokenCambioContraseña(tokenCambio);
+
+      const usuario = await Usuario.buscarPorId(decoded.id_usuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (usuario.estado !== 'ACTIVO') {
+        throw new Error('Usuario inactivo');
+      }
+
+      await this.verificarPoliticaContraseña(nuevaContraseña, usuario.id_usuario);
+
+      const cambiada = await Usuario.cambiarContraseña(usuario.id_usuario, nuevaContraseña);
+      if (!cambiada) {
+        throw new Error('No se pudo cambiar la contraseña');
+      }
+
+      // Las sesiones abiertas con la contraseña anterior dejan de ser válidas
+      await Sesion.revocarTodasDeUsuario(usuario.id_usuario, 'CAMBIO_CONTRASEÑA');
+
+      await SeguridadService.registrarEvento(
+        { id_usuario: usuario.id_usuario, tipo: 'CAMBIO_CONTRASEÑA', motivo: 'CAMBIO_OBLIGATORIO' },
+        datosCliente
+      );
+
+      return await this.completarLogin(usuario, datosCliente, true);
+    } catch (error) {
+      console.error('Error al cambiar contraseña obligatoria:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica que una contraseña nueva cumpla la política configurada
+   * y, si se indica el usuario, que no repita ninguna de sus últimas contraseñas
+   * @param {string} contraseña - Contraseña nueva en texto plano
+   * @param {number|null} idUsuario - ID del usuario (null al crear una cuenta)
+   */
+  static async verificarPoliticaContraseña(contraseña, idUsuario = null) {
+    const errores = validarPoliticaContraseña(contraseña);
+    if (errores.length > 0) {
+      throw new Error(errores[0].mensaje);
+    }
+
+    const { historial } = obtenerPoliticaContraseñas();
+    if (idUsuario && historial > 0 && await Usuario.contraseñaUsadaRecientemente(idUsuario, contraseña, historial)) {
+      throw new Error(`La contraseña no puede ser igual a ninguna de tus últimas ${historial} contraseñas`);
+    }
+  }
+
+  /**
+   * Envía un enlace de inicio de sesión sin contraseña
+   * No revela si el correo está registrado: siempre termina sin error, y si se superó
+   * el límite de envíos simplemente no se envía otro enlace
+   * @param {string} correo - Email del usuario
+   * @returns {Promise<boolean>} - True al finalizar
+   */
+  static async solicitarEnlaceMagico(correo) {
+    try {
+      const usuario = await Usuario.buscarPorCorreo(correo);
+      if (!usuario) {
+        return true;
+      }
+
+      const intervaloMinimo = parseInt(process.env.MAGIC_LINK_RESEND_INTERVAL) || 60;
+      const maximoPorHora = parseInt(process.env.MAGIC_LINK_MAX_PER_HOUR) || 5;
+
+      const emisiones = await TokenUsuario.obtenerEmisionesRecientes(usuario.id_usuario, 'ENLACE_MAGICO', 3600);
+      const esperaPendiente = emisiones.ultima_emision &&
+        (Date.now() - new Date(emisiones.ultima_emision).getTime()) / 1000 < intervaloMinimo;
+
+      if (emisiones.total >= maximoPorHora || esperaPendiente) {
+        return true;
+      }
+
+      const segundosValidez = parseInt(process.env.MAGIC_LINK_EXPIRATION) || 900;
+      const token = await TokenUsuario.crear(usuario.id_usuario, 'ENLACE_MAGICO', segundosValidez);
+
+      await CorreoService.enviarEnlaceMagico(
+        usuario,
+        token,
+        Math.round(segundosValidez / 60)
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error al solicitar enlace mágico:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Canjea un enlace mágico por los tokens de acceso
+   * Aplica las mismas comprobaciones que el login: estado de la cuenta, bloqueo temporal,
+   * verificación en dos pasos y cambio obligatorio de contraseña
+   * @param {string} token - Token del enlace recibido por correo
+   * @param {Object} datosCliente - Datos del dispositivo que inicia sesión
+   * @returns {Promise<Object>} - Datos del usuario y tokens (o el desafío pendiente)
+   */
+  static async canjearEnlaceMagico(token, datosCliente = {}) {
+    try {
+      const idUsuario = await TokenUsuario.consumir(token, 'ENLACE_MAGICO');
+      if (!idUsuario) {
+        await SeguridadService.registrarEvento(
+          { tipo: 'LOGIN', exitoso: false, motivo: 'ENLACE_MAGICO_INVALIDO' },
+          datosCliente
+        );
+        throw new Error('Enlace de inicio de sesión inválido o expirado');
+      }
+
+      const perfil = await Usuario.buscarPorId(idUsuario);
+      const usuario = perfil ? await Usuario.buscarPorCorreo(perfil.correo, false) : null;
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      const registrarFallo = async (motivo) => {
+        await IntentoLogin.registrar({
+          id_usuario: usuario.id_usuario,
+          correo: usuario.correo,
+          ip: datosCliente.ip,
+          user_agent: datosCliente.user_agent,
+          exitoso: false,
+          motivo
+        });
+        await SeguridadService.registrarEvento(
+          { id_usuario: usuario.id_usuario, tipo: 'LOGIN', exitoso: false, motivo },
+          datosCliente
+        );
+      };
+
+      if (usuario.estado !== 'ACTIVO') {
+        await registrarFallo('USUARIO_INACTIVO');
+        throw new Error('Usuario inactivo');
+      }
+
+      if (usuario.bloqueado_hasta && new Date(usuario.bloqueado_hasta) > new Date()) {
+        await registrarFallo('CUENTA_BLOQUEADA');
+        const minutosRestantes = Math.ceil((new Date(usuario.bloqueado_hasta) - new Date()) / 60000);
+        throw new Error(`Cuenta bloqueada temporalmente por intentos fallidos, intenta de nuevo en ${minutosRestantes} minutos`);
+      }
+
+      // El enlace sustituye a la contraseña, no al segundo factor
+      if (usuario.totp_habilitado || usuario.requiere_2fa) {
+        await IntentoLogin.registrar({
+          id_usuario: usuario.id_usuario,
+          correo: usuario.correo,
+          ip: datosCliente.ip,
+          user_agent: datosCliente.user_agent,
+          exitoso: false,
+          motivo: 'PENDIENTE_2FA'
+        });
+
+        return {
+          requiere_2fa: true,
+          configuracion_pendiente: !usuario.totp_habilitado,
+          tokenDesafio: this.generarTokenDesafio2FA(usuario)
+        };
+      }
+
+      return await this.completarLogin(usuario, datosCliente);
+    } catch (error) {
+      console.error('Error al canjear enlace mágico:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inicia el restablecimiento de contraseña enviando un enlace por correo
+   * No revela si el correo está registrado: siempre termina sin error
+   * Si se pidió un enlace hace poco o se alcanzó el máximo por hora no envía otro, para que nadie
+   * pueda saturar el correo ni invalidar el enlace que el usuario está por usar
+   * @param {string} correo - Email del usuario
+   * @returns {Promise<boolean>} - True al finalizar
+   */
+  static async solicitarRestablecimientoContraseña(correo) {
+    try {
+      const usuario = await Usuario.buscarPorCorreo(correo);
+      if (!usuario) {
+        return true;
+      }
+
+      const intervaloMinimo = parseInt(process.env.RESET_TOKEN_RESEND_INTERVAL) || 60;
+      const maximoPorHora = parseInt(process.env.RESET_TOKEN_MAX_PER_HOUR) || 5;
+
+      const emisiones = await TokenUsuario.obtenerEmisionesRecientes(usuario.id_usuario, 'RESTABLECER_CONTRASEÑA', 3600);
+      const esperaPendiente = emisiones.ultima_emision &&
+        (Date.now() - new Date(emisiones.ultima_emision).getTime()) / 1000 < intervaloMinimo;
+
+      if (emisiones.total >= maximoPorHora || esperaPendiente) {
+        return true;
+      }
+
+      const segundosValidez = parseInt(process.env.RESET_TOKEN_EXPIRATION) || 3600;
+      const token = await TokenUsuario.crear(usuario.id_usuario, 'RESTABLECER_CONTRASEÑA', segundosValidez);
+
+      await CorreoService.enviarRestablecimientoContraseña(
+        usuario,
+        token,
+        Math.round(segundosValidez / 60)
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error al solicitar restablecimiento de contraseña:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restablece la contraseña usando un token enviado por correo
+   * El token es de un solo uso y al restablecer se cierran todas las sesiones del usuario
+   * @param {string} token - Token de restablecimiento
+   * @param {string} nuevaContraseña - Nueva contraseña
+   * @param {Object} datosCliente - User agent e IP del cliente (opcional)
+   * @returns {Promise<boolean>} - True si se restableció correctamente
+   */
+  static async restablecerContraseña(token, nuevaContraseña, datosCliente = {}) {
+    try {
+      // Validar antes de consumir el token para que un rechazo no invalide el enlace
+      const idUsuarioToken = await TokenUsuario.obtenerUsuarioDeToken(token, 'RESTABLECER_CONTRASEÑA');
+      if (!idUsuarioToken) {
+        throw new Error('Token de restablecimiento inválido o expirado');
+      }
+
+      await this.verificarPoliticaContraseña(nuevaContraseña, idUsuarioToken);
+
+      const idUsuario = await TokenUsuario.consumir(token, 'RESTABLECER_CONTRASEÑA');
+      if (!idUsuario) {
+        throw new Error('Token de restablecimiento inválido o expirado');
+      }
+
+      const cambiada = await Usuario.cambiarContraseña(idUsuario, nuevaContraseña);
+      if (!cambiada) {
+        throw new Error('No se pudo restablecer la contraseña');
+      }
+
+      // Cerrar todas las sesiones abiertas con la contraseña anterior
+      await Sesion.revocarTodasDeUsuario(idUsuario, 'RESTABLECIMIENTO_CONTRASEÑA');
+
+      // Quien demuestra acceso al correo recupera el acceso aunque la cuenta esté bloqueada
+      await Usuario.reiniciarIntentosFallidos(idUsuario);
+
+      await SeguridadService.registrarEvento(
+        { id_usuario: idUsuario, tipo: 'CAMBIO_CONTRASEÑA', motivo: 'RESTABLECIMIENTO' },
+        datosCliente
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error al restablecer contraseña:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtiene el perfil de un usuario autenticado
    * @param {number} idUsuario - ID del usuario
@@ -302,6 +1167,7 @@ export class AuthService {
       }
 
       const permisos = await Usuario.obtenerPermisosUsuario(idUsuario);
+      const rolesActivos = await UsuarioRol.obtenerRolesActivos(idUsuario);
 
       return {
         id_usuario: usuario.id_usuario,
@@ -313,6 +1179,7 @@ export class AuthService {
           nombre_rol: usuario.nombre_rol,
           descripcion: usuario.descripcion_rol
         },
+        roles: rolesActivos,
         permisos: permisos.map(p => ({
           nombre: p.nombre_permiso,
           descripcion: p.descripcion,
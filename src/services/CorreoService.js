@@ -0,0 +1,162 @@
+/**
+ * Servicio de correos transaccionales
+ * Arma el contenido de los correos del sistema y los envía mediante MailProvider
+ */
+
+import { MailProvider } from "../providers/MailProvider.js";
+
+export class CorreoService {
+
+  /**
+   * Construye un enlace hacia el frontend
+   * @param {string} ruta - Ruta del frontend (ej: '/restablecer-contraseña')
+   * @param {string} token - Token a incluir en el enlace
+   * @returns {string} - URL completa
+   */
+  static generarEnlace(ruta, token) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${baseUrl}${ruta}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Envía el enlace para restablecer la contraseña
+   * @param {Object} usuario - Usuario destinatario (nombre_usuario, correo)
+   * @param {string} token - Token de restablecimiento en texto plano
+   * @param {number} minutosValidez - Minutos de validez del enlace
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async enviarRestablecimientoContraseña(usuario, token, minutosValidez) {
+    const enlace = this.generarEnlace('/restablecer-contraseña', token);
+
+    return await MailProvider.enviar({
+      para: usuario.correo,
+      asunto: 'Restablece tu contraseña',
+      texto: `Hola ${usuario.nombre_usuario},\n\n` +
+        `Recibimos una solicitud para restablecer tu contraseña. ` +
+        `Usa el siguiente enlace (válido por ${minutosValidez} minutos):\n\n${enlace}\n\n` +
+        `Si no solicitaste este cambio, puedes ignorar este correo.`,
+      html: this.generarHTML({
+        titulo: 'Restablece tu contraseña',
+        saludo: `Hola ${usuario.nombre_usuario},`,
+        mensaje: `Recibimos una solicitud para restablecer tu contraseña. El enlace es válido por ${minutosValidez} minutos.`,
+        textoBoton: 'Restablecer contraseña',
+        enlace,
+        nota: 'Si no solicitaste este cambio, puedes ignorar este correo.'
+      })
+    });
+  }
+
+  /**
+   * Envía el enlace para verificar el correo electrónico de una cuenta nueva
+   * @param {Object} usuario - Usuario destinatario (nombre_usuario, correo)
+   * @param {string} token - Token de verificación en texto plano
+   * @param {number} horasValidez - Horas de validez del enlace
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async enviarVerificacionCorreo(usuario, token, horasValidez) {
+    const enlace = this.generarEnlace('/verificar-correo', token);
+
+    return await MailProvider.enviar({
+      para: usuario.correo,
+      asunto: 'Verifica tu correo electrónico',
+      texto: `Hola ${usuario.nombre_usuario},\n\n` +
+        `Gracias por registrarte. Para activar tu cuenta verifica tu correo ` +
+        `con el siguiente enlace (válido por ${horasValidez} horas):\n\n${enlace}\n\n` +
+        `Si no creaste esta cuenta, puedes ignorar este correo.`,
+      html: this.generarHTML({
+        titulo: 'Verifica tu correo electrónico',
+        saludo: `Hola ${usuario.nombre_usuario},`,
+        mensaje: `Gracias por registrarte. Para activar tu cuenta verifica tu correo. El enlace es válido por ${horasValidez} horas.`,
+        textoBoton: 'Verificar correo',
+        enlace,
+        nota: 'Si no creaste esta cuenta, puedes ignorar este correo.'
+      })
+    });
+  }
+
+  /**
+   * Envía el enlace para iniciar sesión sin contraseña
+   * @param {Object} usuario - Usuario destinatario (nombre_usuario, correo)
+   * @param {string} token - Token del enlace en texto plano
+   * @param {number} minutosValidez - Minutos de validez del enlace
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async enviarEnlaceMagico(usuario, token, minutosValidez) {
+    const enlace = this.generarEnlace('/enlace-magico', token);
+
+    return await MailProvider.enviar({
+      para: usuario.correo,
+      asunto: 'Tu enlace para iniciar sesión',
+      texto: `Hola ${usuario.nombre_usuario},\n\n` +
+        `Usa el siguiente enlace para iniciar sesión sin contraseña ` +
+        `(válido por ${minutosValidez} minutos y de un solo uso):\n\n${enlace}\n\n` +
+        `Si no solicitaste este enlace, puedes ignorar este correo.`,
+      html: this.generarHTML({
+        titulo: 'Inicia sesión en tu cuenta',
+        saludo: `Hola ${usuario.nombre_usuario},`,
+        mensaje: `Usa el siguiente botón para iniciar sesión sin contraseña. El enlace es válido por ${minutosValidez} minutos y solo puede usarse una vez.`,
+        textoBoton: 'Iniciar sesión',
+        enlace,
+        nota: 'Si no solicitaste este enlace, puedes ignorar este correo.'
+      })
+    });
+  }
+
+  /**
+   * Avisa al cliente de que su cotización tiene una nueva versión para revisar
+   * @param {Object} cotizacion - Cotización (id_cotizacion, titulo, nombre_usuario, correo)
+   * @param {Object} version - Versión enviada (numero_version, total, fecha_vencimiento)
+   * @returns {Promise<Object>} - Información del envío
+   */
+  static async enviarCotizacion(cotizacion, version) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const enlace = `${baseUrl}/cotizaciones/${cotizacion.id_cotizacion}`;
+    const total = parseFloat(version.total).toFixed(2);
+    const vencimiento = new Date(version.fecha_vencimiento).toLocaleDateString('es-ES');
+
+    return await MailProvider.enviar({
+      para: cotizacion.correo,
+      asunto: `Tu cotización #${cotizacion.id_cotizacion} está lista`,
+      texto: `Hola ${cotizacion.nombre_usuario},\n\n` +
+        `Preparamos la versión ${version.numero_version} de tu cotización "${cotizacion.titulo}" ` +
+        `por un total de $${total}, válida hasta el ${vencimiento}. ` +
+        `Puedes revisarla y aceptarla aquí:\n\n${enlace}`,
+      html: this.generarHTML({
+        titulo: 'Tu cotización está lista',
+        saludo: `Hola ${cotizacion.nombre_usuario},`,
+        mensaje: `Preparamos la versión ${version.numero_version} de tu cotización "${cotizacion.titulo}" por un total de $${total}, válida hasta el ${vencimiento}.`,
+        textoBoton: 'Ver cotización',
+        enlace,
+        nota: 'Si tienes dudas sobre el presupuesto, responde a este correo.'
+      })
+    });
+  }
+
+  /**
+   * Genera el HTML base de los correos del sistema
+   * @param {Object} contenido - Contenido del correo
+   * @returns {string} - HTML del correo
+   */
+  static generarHTML({ titulo, saludo, mensaje, textoBoton, enlace, nota }) {
+    return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <title>${titulo}</title>
+</head>
+<body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #2563eb; font-size: 22px;">${titulo}</h1>
+        <p>${saludo}</p>
+        <p>${mensaje}</p>
+        <p style="text-align: center; margin: 30px 0;">
+            <a href="${enlace}" style="background: #2563eb; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">${textoBoton}</a>
+        </p>
+        <p style="color: #6b7280; font-size: 12px;">${nota}</p>
+        <p style="color: #6b7280; font-size: 12px;">Sistema de Carpintería</p>
+    </div>
+</body>
+</html>`;
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * Servicio de cotizaciones de muebles a medida
+ * Flujo: el cliente solicita, el personal prepara versiones con líneas de mano de obra
+ * y materiales, las envía con fecha de vencimiento y el cliente acepta la vigente,
+ * que se convierte en una venta con su factura
+ */
+
+import { Cotizacion } from "../models/Cotizacion.js";
+import { Factura } from "../models/Factura.js";
+import { Venta } from "../models/Venta.js";
+import { CorreoService } from "./CorreoService.js";
+import { FacturaPDFService } from "./FacturaPDFService.js";
+
+export class CotizacionService {
+
+  /**
+   * Registra la solicitud de cotización de un cliente
+   * @param {number} idUsuario - Cliente que solicita
+   * @param {Object} datosSolicitud - titulo, medidas, materiales y notas
+   * @returns {Promise<Object>} - Cotización creada
+   */
+  static async solicitar(idUsuario, datosSolicitud) {
+    try {
+      const idCotizacion = await Cotizacion.crear({ id_usuario: idUsuario, ...datosSolicitud });
+      return await this.obtenerCotizacion(idCotizacion, { idUsuario, esPersonal: false });
+    } catch (error) {
+      console.error('Error al solicitar cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una cotización con sus versiones
+   * El cliente solo ve sus cotizaciones y las versiones ya enviadas
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {Object} acceso - Quién consulta
+   * @param {number} acceso.idUsuario - Usuario autenticado
+   * @param {boolean} acceso.esPersonal - Si tiene permiso para ver todas las cotizaciones
+   * @returns {Promise<Object>} - Cotización con sus versiones
+   */
+  static async obtenerCotizacion(idCotizacion, { idUsuario, esPersonal }) {
+    try {
+      const cotizacion = await this.buscarAccesible(idCotizacion, { idUsuario, esPersonal });
+      const versiones = await Cotizacion.obtenerVersiones(idCotizacion, esPersonal);
+
+      return { ...cotizacion, versiones };
+    } catch (error) {
+      console.error('Error al obtener cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene cotizaciones con filtros y paginación
+   * @param {Object} filtros - id_usuario y estado (opcionales)
+   * @param {Object} opciones - Opciones de paginación
+   * @param {number} opciones.pagina - Número de página
+   * @param {number} opciones.limite - Registros por página
+   * @returns {Promise<Object>} - Cotizaciones y metadatos de paginación
+   */
+  static async obtenerCotizaciones(filtros, { pagina = 1, limite = 20 }) {
+    try {
+      if (pagina < 1) pagina = 1;
+      if (limite < 1 || limite > 100) limite = 20;
+
+      return await Cotizacion.obtenerTodas(filtros, pagina, limite);
+    } catch (error) {
+      console.error('Error al obtener cotizaciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crea una nueva versión en borrador para una cotización abierta
+   * Solo puede haber un borrador a la vez
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {Object} datosVersion - lineas, fecha_vencimiento (opcional) y notas (opcional)
+   * @param {number} idAutor - Usuario que prepara la versión
+   * @returns {Promise<Object>} - Versión creada
+   */
+  static async crearVersion(idCotizacion, datosVersion, idAutor) {
+    try {
+      const cotizacion = await Cotizacion.buscarPorId(idCotizacion);
+      if (!cotizacion) {
+        throw new Error('Cotización no encontrada');
+      }
+
+      if (!['SOLICITADA', 'ENVIADA'].includes(cotizacion.estado)) {
+        throw new Error(`No se pueden crear versiones de una cotización ${cotizacion.estado.toLowerCase()}`);
+      }
+
+      const versiones = await Cotizacion.obtenerVersiones(idCotizacion);
+      const borrador = versiones.find(version => version.estado === 'BORRADOR');
+      if (borrador) {
+        throw new Error(`Ya existe la versión ${borrador.numero_version} en borrador, modifícala o envíala`);
+      }
+
+      const numeroVersion = await Cotizacion.crearVersion(idCotizacion, {
+        ...this.prepararVersion(datosVersion),
+        id_usuario_autor: idAutor
+      });
+
+      return await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+    } catch (error) {
+      console.error('Error al crear versión de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reemplaza las líneas, vencimiento y notas de una versión en borrador
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} numeroVersion - Número de versión
+   * @param {Object} datosVersion - lineas, fecha_vencimiento (opcional) y notas (opcional)
+   * @returns {Promise<Object>} - Versión actualizada
+   */
+  static async actualizarVersion(idCotizacion, numeroVersion, datosVersion) {
+    try {
+      const version = await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+      if (!version) {
+        throw new Error('Versión no encontrada');
+      }
+
+      if (version.estado !== 'BORRADOR') {
+        throw new Error('Solo se pueden modificar versiones en borrador');
+      }
+
+      const actualizada = await Cotizacion.actualizarVersion(version.id_version, this.prepararVersion(datosVersion));
+      if (!actualizada) {
+        throw new Error('Solo se pueden modificar versiones en borrador');
+      }
+
+      return await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+    } catch (error) {
+      console.error('Error al actualizar versión de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Envía al cliente una versión en borrador; la versión enviada anterior queda reemplazada
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} numeroVersion - Número de versión
+   * @returns {Promise<Object>} - Versión enviada
+   */
+  static async enviarVersion(idCotizacion, numeroVersion) {
+    try {
+      const cotizacion = await Cotizacion.buscarPorId(idCotizacion);
+      if (!cotizacion) {
+        throw new Error('Cotización no encontrada');
+      }
+
+      if (!['SOLICITADA', 'ENVIADA'].includes(cotizacion.estado)) {
+        throw new Error(`No se pueden enviar versiones de una cotización ${cotizacion.estado.toLowerCase()}`);
+      }
+
+      const version = await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+      if (!version) {
+        throw new Error('Versión no encontrada');
+      }
+
+      if (version.estado !== 'BORRADOR') {
+        throw new Error('Solo se pueden enviar versiones en borrador');
+      }
+
+      if (version.vencida) {
+        throw new Error('La fecha de vencimiento de la versión ya pasó, actualízala antes de enviarla');
+      }
+
+      if (!await Cotizacion.enviarVersion(idCotizacion, version.id_version)) {
+        throw new Error('Solo se pueden enviar versiones en borrador');
+      }
+
+      const enviada = await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+
+      // Un fallo del correo no deshace el envío: el cliente también la ve en su cuenta
+      try {
+        await CorreoService.enviarCotizacion(cotizacion, enviada);
+      } catch (error) {
+        console.error('Error al enviar el correo de la cotización:', error);
+      }
+
+      return enviada;
+    } catch (error) {
+      console.error('Error al enviar versión de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acepta la versión vigente de una cotización: crea la venta y genera su factura
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idUsuario - Cliente que acepta (debe ser el dueño)
+   * @returns {Promise<Object>} - Cotización, venta y factura resultantes
+   */
+  static async aceptar(idCotizacion, idUsuario) {
+    try {
+      const version = await this.obtenerVersionVigente(idCotizacion, idUsuario);
+
+      if (version.vencida) {
+        throw new Error('La cotización está vencida, solicita una nueva versión');
+      }
+
+      const idVenta = await Cotizacion.aceptar(idCotizacion, version.id_version);
+      if (!idVenta) {
+        throw new Error('La cotización no tiene una versión enviada pendiente de respuesta');
+      }
+
+      const factura = await Factura.generarFactura(idVenta);
+
+      return {
+        cotizacion: await this.obtenerCotizacion(idCotizacion, { idUsuario, esPersonal: false }),
+        venta: await Venta.obtenerVentaPorId(idVenta),
+        factura
+      };
+    } catch (error) {
+      console.error('Error al aceptar cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rechaza la versión vigente de una cotización
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idUsuario - Cliente que rechaza (debe ser el dueño)
+   * @returns {Promise<Object>} - Cotización actualizada
+   */
+  static async rechazar(idCotizacion, idUsuario) {
+    try {
+      const version = await this.obtenerVersionVigente(idCotizacion, idUsuario);
+
+      if (!await Cotizacion.rechazar(idCotizacion, version.id_version)) {
+        throw new Error('La cotización no tiene una versión enviada pendiente de respuesta');
+      }
+
+      return await this.obtenerCotizacion(idCotizacion, { idUsuario, esPersonal: false });
+    } catch (error) {
+      console.error('Error al rechazar cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela una cotización aún no respondida (el cliente la retira o el personal la descarta)
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {Object} acceso - idUsuario y esPersonal (ver obtenerCotizacion)
+   * @returns {Promise<Object>} - Cotización cancelada
+   */
+  static async cancelar(idCotizacion, acceso) {
+    try {
+      await this.buscarAccesible(idCotizacion, acceso);
+
+      if (!await Cotizacion.cancelar(idCotizacion)) {
+        throw new Error('Solo se pueden cancelar cotizaciones solicitadas o enviadas');
+      }
+
+      return await this.obtenerCotizacion(idCotizacion, acceso);
+    } catch (error) {
+      console.error('Error al cancelar cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera el PDF de una versión de cotización
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} numeroVersion - Número de versión
+   * @param {Object} acceso - idUsuario y esPersonal (ver obtenerCotizacion)
+   * @returns {Promise<Buffer>} - Buffer del PDF
+   */
+  static async generarPDF(idCotizacion, numeroVersion, acceso) {
+    try {
+      const cotizacion = await this.buscarAccesible(idCotizacion, acceso);
+      const version = await Cotizacion.buscarVersion(idCotizacion, numeroVersion);
+
+      if (!version || (version.estado === 'BORRADOR' && !acceso.esPersonal)) {
+        throw new Error('Versión no encontrada');
+      }
+
+      return await FacturaPDFService.generarPDFCotizacion(cotizacion, version);
+    } catch (error) {
+      console.error('Error al generar PDF de cotización:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca una cotización comprobando que quien consulta pueda verla
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {Object} acceso - idUsuario y esPersonal
+   * @returns {Promise<Object>} - Cotización
+   */
+  static async buscarAccesible(idCotizacion, { idUsuario, esPersonal }) {
+    const cotizacion = await Cotizacion.buscarPorId(idCotizacion);
+
+    // A un cliente las cotizaciones ajenas le constan como inexistentes
+    if (!cotizacion || (!esPersonal && cotizacion.id_usuario !== idUsuario)) {
+      throw new Error('Cotización no encontrada');
+    }
+
+    return cotizacion;
+  }
+
+  /**
+   * Obtiene la versión enviada pendiente de respuesta de una cotización del cliente
+   * @param {number} idCotizacion - ID de la cotización
+   * @param {number} idUsuario - Cliente dueño de la cotización
+   * @returns {Promise<Object>} - Versión enviada
+   */
+  static async obtenerVersionVigente(idCotizacion, idUsuario) {
+    await this.buscarAccesible(idCotizacion, { idUsuario, esPersonal: false });
+
+    const versiones = await Cotizacion.obtenerVersiones(idCotizacion, false);
+    const version = versiones.find(version => version.estado === 'ENVIADA');
+
+    if (!version) {
+      throw new Error('La cotización no tiene una versión enviada pendiente de respuesta');
+    }
+
+    return version;
+  }
+
+  /**
+   * Calcula subtotales y totales de una versión
+   * Si no se indica fecha de vencimiento se usa QUOTE_VALIDITY_DAYS (30 días por defecto)
+   * @param {Object} datosVersion - lineas, fecha_vencimiento y notas validados
+   * @returns {Object} - Datos listos para el modelo (lineas con subtotal y totales)
+   */
+  static prepararVersion({ lineas, fecha_vencimiento = null, notas = null }) {
+    const redondear = (valor) => Math.round(valor * 100) / 100;
+
+    const lineasCalculadas = lineas.map(linea => ({
+      tipo: linea.tipo,
+      descripcion: linea.descripcion,
+      cantidad: linea.cantidad,
+      unidad: linea.unidad || null,
+      precio_unitario: linea.precio_unitario,
+      subtotal: redondear(linea.cantidad * linea.precio_unitario)
+    }));
+
+    const sumar = (tipos) => redondear(lineasCalculadas
+      .filter(linea => tipos.includes(linea.tipo))
+      .reduce((total, linea) => total + linea.subtotal, 0));
+
+    if (!fecha_vencimiento) {
+      const dias = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 30;
+      fecha_vencimiento = new Date(Date.now() + dias * 86400000).toISOString().slice(0, 10);
+    }
+
+    return {
+      fecha_vencimiento,
+      notas,
+      lineas: lineasCalculadas,
+      totales: {
+        total_mano_obra: sumar(['MANO_OBRA']),
+        total_materiales: sumar(['MATERIAL']),
+        total: sumar(['MANO_OBRA', 'MATERIAL', 'OTRO'])
+      }
+    };
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Servicio de verificación en dos pasos (TOTP)
+ * Maneja la configuración, activación, verificación y desactivación del segundo factor
+ * y los códigos de recuperación
+ */
+
+import { Usuario } from "../models/Usuario.js";
+import { CodigoRecuperacion } from "../models/CodigoRecuperacion.js";
+import {
+  generarSecreto,
+  verificarCodigo,
+  generarUriAprovisionamiento,
+  cifrarSecreto,
+  descifrarSecreto
+} from "../utils/totp.js";
+
+export class DosFactoresService {
+
+  /**
+   * Obtiene el estado de la verificación en dos pasos de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Object>} - Estado de la verificación en dos pasos
+   */
+  static async obtenerEstado(idUsuario) {
+    try {
+      const datos = await Usuario.obtenerDatosTotp(idUsuario);
+      if (!datos) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      return {
+        habilitado: !!datos.totp_habilitado,
+        requerido_por_rol: !!datos.requiere_2fa,
+        codigos_recuperacion_disponibles: datos.totp_habilitado
+          ? await CodigoRecuperacion.contarDisponibles(idUsuario)
+          : 0
+      };
+    } catch (error) {
+      console.error('Error al obtener estado de verificación en dos pasos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inicia la configuración generando un secreto nuevo (queda pendiente hasta activarlo)
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<Object>} - Secreto y URI de aprovisionamiento para el código QR
+   */
+  static async iniciarConfiguracion(idUsuario) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      const datos = await Usuario.obtenerDatosTotp(idUsuario);
+      if (!usuario || !datos) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (datos.totp_habilitado) {
+        throw new Error('La verificación en dos pasos ya está activada');
+      }
+
+      const secreto = generarSecreto();
+      await Usuario.guardarSecretoTotp(idUsuario, cifrarSecreto(secreto));
+
+      return {
+        secreto,
+        uri_aprovisionamiento: generarUriAprovisionamiento({
+          secreto,
+          cuenta: usuario.correo,
+          emisor: process.env.TOTP_ISSUER || 'Carpintería'
+        })
+      };
+    } catch (error) {
+      console.error('Error al iniciar configuración de verificación en dos pasos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activa la verificación en dos pasos confirmando un código de la aplicación
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} codigo - Código TOTP actual
+   * @returns {Promise<Array<string>>} - Códigos de recuperación generados
+   */
+  static async activar(idUsuario, codigo) {
+    try {
+      const datos = await Usuario.obtenerDatosTotp(idUsuario);
+      if (!datos) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (datos.totp_habilitado) {
+        throw new Error('La verificación en dos pasos ya está activada');
+      }
+
+      if (!datos.totp_secreto) {
+        throw new Error('Primero debes iniciar la configuración de la verificación en dos pasos');
+      }
+
+      const paso = verificarCodigo(descifrarSecreto(datos.totp_secreto), codigo);
+      if (paso === null) {
+        throw new Error('Código de verificación inválido');
+      }
+
+      await Usuario.activarTotp(idUsuario, paso);
+
+      return await CodigoRecuperacion.regenerar(idUsuario);
+    } catch (error) {
+      console.error('Error al activar verificación en dos pasos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica un código TOTP de un usuario con la verificación activada
+   * Un código ya usado no se acepta de nuevo
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} codigo - Código TOTP
+   * @returns {Promise<boolean>} - True si el código es válido
+   */
+  static async verificarCodigoTotp(idUsuario, codigo) {
+    try {
+      const datos = await Usuario.obtenerDatosTotp(idUsuario);
+      if (!datos || !datos.totp_habilitado || !datos.totp_secreto) {
+        return false;
+      }
+
+      const paso = verificarCodigo(descifrarSecreto(datos.totp_secreto), codigo);
+      if (paso === null) {
+        return false;
+      }
+
+      return await Usuario.registrarPasoTotp(idUsuario, paso);
+    } catch (error) {
+      console.error('Error al verificar código TOTP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica el segundo factor con un código TOTP o un código de recuperación
+   * @param {number} idUsuario - ID del usuario
+   * @param {Object} credenciales - Credenciales del segundo factor
+   * @param {string} credenciales.codigo - Código TOTP (opcional)
+   * @param {string} credenciales.codigo_recuperacion - Código de recuperación (opcional)
+   * @returns {Promise<boolean>} - True si alguna credencial es válida
+   */
+  static async verificarSegundoFactor(idUsuario, { codigo, codigo_recuperacion }) {
+    if (codigo) {
+      return await this.verificarCodigoTotp(idUsuario, codigo);
+    }
+
+    if (codigo_recuperacion) {
+      return await CodigoRecuperacion.consumir(idUsuario, codigo_recuperacion);
+    }
+
+    return false;
+  }
+
+  /**
+   * Desactiva la verificación en dos pasos (requiere contraseña y segundo factor)
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} contraseña - Contraseña actual
+   * @param {Object} credenciales - Código TOTP o código de recuperación
+   * @returns {Promise<boolean>} - True si se desactivó correctamente
+   */
+  static async desactivar(idUsuario, contraseña, credenciales) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      const datos = await Usuario.obtenerDatosTotp(idUsuario);
+      if (!usuario || !datos) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (!datos.totp_habilitado) {
+        throw new Error('La verificación en dos pasos no está activada');
+      }
+
+      if (datos.requiere_2fa) {
+        throw new Error('Tu rol requiere la verificación en dos pasos, no se puede desactivar');
+      }
+
+      const usuarioConHash = await Usuario.buscarPorCorreo(usuario.correo);
+      const contraseñaValida = usuarioConHash && await Usuario.verificarContraseña(contraseña, usuarioConHash.contraseña_hash);
+      if (!contraseñaValida) {
+        throw new Error('Contraseña incorrecta');
+      }
+
+      const segundoFactorValido = await this.verificarSegundoFactor(idUsuario, credenciales);
+      if (!segundoFactorValido) {
+        throw new Error('Código de verificación inválido');
+      }
+
+      await Usuario.desactivarTotp(idUsuario);
+      await CodigoRecuperacion.eliminarDeUsuario(idUsuario);
+
+      return true;
+    } catch (error) {
+      console.error('Error al desactivar verificación en dos pasos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera un juego nuevo de códigos de recuperación (invalida los anteriores)
+   * @param {number} idUsuario - ID del usuario
+   * @param {string} codigo - Código TOTP actual
+   * @returns {Promise<Array<string>>} - Códigos de recuperación generados
+   */
+  static async regenerarCodigosRecuperacion(idUsuario, codigo) {
+    try {
+      const codigoValido = await this.verificarCodigoTotp(idUsuario, codigo);
+      if (!codigoValido) {
+        throw new Error('Código de verificación inválido');
+      }
+
+      return await CodigoRecuperacion.regenerar(idUsuario);
+    } catch (error) {
+      console.error('Error al regenerar códigos de recuperación:', error);
+      throw error;
+    }
+  }
+}
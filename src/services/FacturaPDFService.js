@@ -24,17 +24,81 @@ export class FacturaPDFService {
             // Generar HTML de la factura
             const htmlContent = this.generarHTMLFactura(factura);
 
-            // Crear PDF con Puppeteer
-            const browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
+            return await this.convertirHTMLaPDF(htmlContent);
+
+        } catch (error) {
+            console.error('Error generando PDF de factura:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Genera el PDF de una versión de cotización con el mismo formato que las facturas
+     * @param {Object} cotizacion - Datos de la cotización (Cotizacion.buscarPorId)
+     * @param {Object} version - Versión con sus líneas (Cotizacion.buscarVersion)
+     * @returns {Promise<Buffer>} - Buffer del PDF generado
+     */
+    static async generarPDFCotizacion(cotizacion, version) {
+        try {
+            const htmlContent = this.generarHTMLCotizacion(cotizacion, version);
+            return await this.convertirHTMLaPDF(htmlContent);
+
+        } catch (error) {
+            console.error('Error generando PDF de cotización:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Genera el PDF de una lista de corte optimizada con un diagrama por tablero
+     * @param {Object} resultado - Resultado de ListaCorteService.optimizar
+     * @param {Array<string>} diagramas - SVG de cada tablero, en el mismo orden
+     * @returns {Promise<Buffer>} - Buffer del PDF generado
+     */
+    static async generarPDFListaCorte(resultado, diagramas) {
+        try {
+            const htmlContent = this.generarHTMLListaCorte(resultado, diagramas);
+            return await this.convertirHTMLaPDF(htmlContent);
+
+        } catch (error) {
+            console.error('Error generando PDF de lista de corte:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Genera el PDF de una orden de compra para enviar al proveedor
+     * @param {Object} orden - Orden con su proveedor y líneas (OrdenCompra.buscarPorId)
+     * @returns {Promise<Buffer>} - Buffer del PDF generado
+     */
+    static async generarPDFOrdenCompra(orden) {
+        try {
+            const htmlContent = this.generarHTMLOrdenCompra(orden);
+            return await this.convertirHTMLaPDF(htmlContent);
 
+        } catch (error) {
+            console.error('Error generando PDF de orden de compra:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convierte un documento HTML en PDF con Puppeteer
+     * @param {string} htmlContent - HTML completo del documento
+     * @returns {Promise<Buffer>} - Buffer del PDF generado
+     */
+    static async convertirHTMLaPDF(htmlContent) {
+        const browser = await puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+
+        try {
             const page = await browser.newPage();
             await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
 
             // Configurar opciones del PDF
-            const pdfBuffer = await page.pdf({
+            return await page.pdf({
                 format: 'A4',
                 printBackground: true,
                 margin: {
@@ -44,13 +108,8 @@ export class FacturaPDFService {
                     left: '15mm'
                 }
             });
-
+        } finally {
             await browser.close();
-            return pdfBuffer;
-
-        } catch (error) {
-            console.error('Error generando PDF de factura:', error);
-            throw error;
         }
     }
 
@@ -80,6 +139,523 @@ export class FacturaPDFService {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Factura #${factura.numero_factura}</title>
     <style>
+${this.obtenerEstilos()}
+    </style>
+</head>
+<body>
+    <div class="factura-container">
+        <!-- Header -->
+        <div class="header">
+            ${this.generarInfoEmpresa()}
+            <div class="factura-info">
+                <div class="factura-numero">FACTURA #${factura.numero_factura}</div>
+                <div class="factura-fecha">Fecha de Emisión: ${fechaEmision}</div>
+                <div class="factura-fecha">Estado: <span class="estado estado-${factura.estado.toLowerCase()}">${factura.estado}</span></div>
+            </div>
+        </div>
+
+        <!-- Información del Cliente y Venta -->
+        <div class="info-section">
+            <div class="cliente-info">
+                <div class="section-title">Información del Cliente</div>
+                <div class="info-row">
+                    <span class="info-label">Nombre:</span>
+                    <span class="info-value">${factura.nombre_usuario || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Email:</span>
+                    <span class="info-value">${factura.correo || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Teléfono:</span>
+                    <span class="info-value">${factura.telefono || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Rol:</span>
+                    <span class="info-value">${factura.nombre_rol || 'N/A'}</span>
+                </div>
+            </div>
+            
+            <div class="venta-info">
+                <div class="section-title">Información de la Venta</div>
+                <div class="info-row">
+                    <span class="info-label">ID Venta:</span>
+                    <span class="info-value">#${factura.id_venta}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Fecha de Venta:</span>
+                    <span class="info-value">${fechaVenta}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Estado de Venta:</span>
+                    <span class="info-value">${factura.estado_venta || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Total de Venta:</span>
+                    <span class="info-value">$${parseFloat(factura.total_venta || 0).toFixed(2)}</span>
+                </div>
+            </div>
+        </div>
+
+        <!-- Tabla de Items -->
+        <div class="section-title">Detalle de Productos</div>
+        ${factura.items && factura.items.length > 0 ? `
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Producto</th>
+                        <th>Categoría</th>
+                        <th>Proveedor</th>
+                        <th>Cantidad</th>
+                        <th>Precio Unitario</th>
+                        <th>Subtotal</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${factura.items.map(item => `
+                        <tr>
+                            <td>
+                                <strong>${item.nombre_producto}</strong>
+                                ${item.sku ? `<br><small>SKU ${item.sku}${item.atributos ? ` · ${Object.values(item.atributos).join(', ')}` : ''}</small>` : ''}
+                                ${item.producto_descripcion ? `<br><small style="color: #6b7280;">${item.producto_descripcion}</small>` : ''}
+                            </td>
+                            <td>${item.nombre_categoria || 'N/A'}</td>
+                            <td>${item.nombre_proveedor || 'N/A'}</td>
+                            <td>${item.cantidad}</td>
+                            <td class="precio">$${parseFloat(item.precio_unitario).toFixed(2)}</td>
+                            <td class="precio">$${parseFloat(item.subtotal).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : `
+            <div class="no-items">No hay productos registrados en esta factura</div>
+        `}
+
+        <!-- Total -->
+        <div class="total-section">
+            <div class="total-row">
+                <div class="total-label">Subtotal:</div>
+                <div class="total-value">$${factura.items ? factura.items.reduce((sum, item) => sum + parseFloat(item.subtotal), 0).toFixed(2) : '0.00'}</div>
+            </div>
+            <div class="total-row total-final">
+                <div class="total-label">Total:</div>
+                <div class="total-value">$${parseFloat(factura.monto_total).toFixed(2)}</div>
+            </div>
+        </div>
+
+        <!-- Footer -->
+        <div class="footer">
+            <p>Esta es una factura generada automáticamente por el Sistema de Carpintería</p>
+            <p>Fecha de generación: ${new Date().toLocaleDateString('es-ES')} - ${new Date().toLocaleTimeString('es-ES')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Genera el HTML de una versión de cotización para convertir a PDF
+     * @param {Object} cotizacion - Datos de la cotización
+     * @param {Object} version - Versión con sus líneas
+     * @returns {string} - HTML de la cotización
+     */
+    static generarHTMLCotizacion(cotizacion, version) {
+        const formatoFecha = { year: 'numeric', month: 'long', day: 'numeric' };
+        const fechaEmision = new Date(version.fecha_envio || version.fecha_creacion).toLocaleDateString('es-ES', formatoFecha);
+        const fechaVencimiento = new Date(version.fecha_vencimiento).toLocaleDateString('es-ES', formatoFecha);
+        const tiposLinea = { MANO_OBRA: 'Mano de obra', MATERIAL: 'Material', OTRO: 'Otro' };
+
+        return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cotización #${cotizacion.id_cotizacion} v${version.numero_version}</title>
+    <style>
+${this.obtenerEstilos()}
+    </style>
+</head>
+<body>
+    <div class="factura-container">
+        <!-- Header -->
+        <div class="header">
+            ${this.generarInfoEmpresa()}
+            <div class="factura-info">
+                <div class="factura-numero">COTIZACIÓN #${cotizacion.id_cotizacion}-v${version.numero_version}</div>
+                <div class="factura-fecha">Fecha de Emisión: ${fechaEmision}</div>
+                <div class="factura-fecha">Válida hasta: ${fechaVencimiento}</div>
+                <div class="factura-fecha">Estado: <span class="estado estado-${version.estado.toLowerCase()}">${version.estado}</span></div>
+            </div>
+        </div>
+
+        <!-- Información del Cliente y del Trabajo -->
+        <div class="info-section">
+            <div class="cliente-info">
+                <div class="section-title">Información del Cliente</div>
+                <div class="info-row">
+                    <span class="info-label">Nombre:</span>
+                    <span class="info-value">${cotizacion.nombre_usuario || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Email:</span>
+                    <span class="info-value">${cotizacion.correo || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Teléfono:</span>
+                    <span class="info-value">${cotizacion.telefono || 'N/A'}</span>
+                </div>
+            </div>
+
+            <div class="venta-info">
+                <div class="section-title">Trabajo Solicitado</div>
+                <div class="info-row">
+                    <span class="info-label">Trabajo:</span>
+                    <span class="info-value">${cotizacion.titulo}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Medidas:</span>
+                    <span class="info-value">${cotizacion.medidas || 'N/A'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Materiales:</span>
+                    <span class="info-value">${cotizacion.materiales || 'N/A'}</span>
+                </div>
+            </div>
+        </div>
+
+        <!-- Tabla de Líneas -->
+        <div class="section-title">Detalle de la Cotización</div>
+        ${version.lineas && version.lineas.length > 0 ? `
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Concepto</th>
+                        <th>Tipo</th>
+                        <th>Cantidad</th>
+                        <th>Precio Unitario</th>
+                        <th>Subtotal</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${version.lineas.map(linea => `
+                        <tr>
+                            <td><strong>${linea.descripcion}</strong></td>
+                            <td>${tiposLinea[linea.tipo] || linea.tipo}</td>
+                            <td>${parseFloat(linea.cantidad)}${linea.unidad ? ` ${linea.unidad}` : ''}</td>
+                            <td class="precio">$${parseFloat(linea.precio_unitario).toFixed(2)}</td>
+                            <td class="precio">$${parseFloat(linea.subtotal).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : `
+            <div class="no-items">La cotización no tiene líneas</div>
+        `}
+
+        <!-- Total -->
+        <div class="total-section">
+            <div class="total-row">
+                <div class="total-label">Mano de obra:</div>
+                <div class="total-value">$${parseFloat(version.total_mano_obra).toFixed(2)}</div>
+            </div>
+            <div class="total-row">
+                <div class="total-label">Materiales:</div>
+                <div class="total-value">$${parseFloat(version.total_materiales).toFixed(2)}</div>
+            </div>
+            <div class="total-row total-final">
+                <div class="total-label">Total:</div>
+                <div class="total-value">$${parseFloat(version.total).toFixed(2)}</div>
+            </div>
+        </div>
+
+        ${version.notas ? `
+            <div class="section-title">Notas</div>
+            <p>${version.notas}</p>
+        ` : ''}
+
+        <!-- Footer -->
+        <div class="footer">
+            <p>Esta cotización es válida hasta el ${fechaVencimiento}. Los precios pueden cambiar después de esa fecha.</p>
+            <p>Fecha de generación: ${new Date().toLocaleDateString('es-ES')} - ${new Date().toLocaleTimeString('es-ES')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Genera el HTML de una lista de corte para convertir a PDF
+     * @param {Object} resultado - Resultado de la optimización
+     * @param {Array<string>} diagramas - SVG de cada tablero
+     * @returns {string} - HTML de la lista de corte
+     */
+    static generarHTMLListaCorte(resultado, diagramas) {
+        const escapar = this.escaparHTML;
+
+        return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Lista de Corte</title>
+    <style>
+${this.obtenerEstilos()}
+        .diagrama {
+            page-break-inside: avoid;
+            margin-bottom: 25px;
+        }
+    </style>
+</head>
+<body>
+    <div class="factura-container">
+        <!-- Header -->
+        <div class="header">
+            ${this.generarInfoEmpresa()}
+            <div class="factura-info">
+                <div class="factura-numero">LISTA DE CORTE</div>
+                <div class="factura-fecha">Fecha: ${new Date().toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' })}</div>
+                <div class="factura-fecha">Espesor de corte: ${resultado.espesor_corte} mm</div>
+            </div>
+        </div>
+
+        <!-- Resumen por Material -->
+        <div class="section-title">Resumen</div>
+        <table class="items-table">
+            <thead>
+                <tr>
+                    <th>Material</th>
+                    <th>Tableros</th>
+                    <th>Área de tableros (m²)</th>
+                    <th>Área de piezas (m²)</th>
+                    <th>Desperdicio</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${resultado.por_material.map(material => `
+                    <tr>
+                        <td><strong>${escapar(material.material || 'Sin especificar')}</strong></td>
+                        <td>${material.tableros}</td>
+                        <td>${material.area_tableros}</td>
+                        <td>${material.area_piezas}</td>
+                        <td>${material.porcentaje_desperdicio}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <div class="total-section">
+            <div class="total-row">
+                <div class="total-label">Tableros necesarios:</div>
+                <div class="total-value">${resultado.total_tableros}</div>
+            </div>
+            <div class="total-row total-final">
+                <div class="total-label">Desperdicio total:</div>
+                <div class="total-value">${resultado.porcentaje_desperdicio}%</div>
+            </div>
+        </div>
+
+        ${resultado.piezas_sin_ubicar.length > 0 ? `
+            <div class="section-title">Piezas sin Ubicar</div>
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Pieza</th>
+                        <th>Material</th>
+                        <th>Medidas (mm)</th>
+                        <th>Motivo</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${resultado.piezas_sin_ubicar.map(pieza => `
+                        <tr>
+                            <td>${escapar(pieza.nombre)}</td>
+                            <td>${escapar(pieza.material || 'Sin especificar')}</td>
+                            <td>${pieza.largo} × ${pieza.ancho}</td>
+                            <td>${pieza.motivo}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+
+        <!-- Diagramas de Corte -->
+        <div class="section-title">Diagramas de Corte</div>
+        ${diagramas.map(diagrama => `<div class="diagrama">${diagrama}</div>`).join('')}
+
+        <!-- Footer -->
+        <div class="footer">
+            <p>Medidas en milímetros. El largo de cada tablero corre en el sentido de la veta; las piezas marcadas con ↻ van giradas.</p>
+            <p>Fecha de generación: ${new Date().toLocaleDateString('es-ES')} - ${new Date().toLocaleTimeString('es-ES')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Genera el HTML de una orden de compra para convertir a PDF
+     * @param {Object} orden - Orden con su proveedor y líneas
+     * @returns {string} - HTML de la orden de compra
+     */
+    static generarHTMLOrdenCompra(orden) {
+        const escapar = this.escaparHTML;
+        const formatoFecha = { year: 'numeric', month: 'long', day: 'numeric' };
+        const formatear = fecha => fecha ? new Date(fecha).toLocaleDateString('es-ES', formatoFecha) : 'N/A';
+        const conRecepciones = orden.lineas.some(linea => linea.cantidad_recibida > 0);
+
+        return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Orden de Compra ${orden.numero_orden}</title>
+    <style>
+${this.obtenerEstilos()}
+    </style>
+</head>
+<body>
+    <div class="factura-container">
+        <!-- Header -->
+        <div class="header">
+            ${this.generarInfoEmpresa()}
+            <div class="factura-info">
+                <div class="factura-numero">ORDEN DE COMPRA ${orden.numero_orden}</div>
+                <div class="factura-fecha">Fecha de Emisión: ${formatear(orden.fecha_envio || orden.fecha_creacion)}</div>
+                <div class="factura-fecha">Entrega esperada: ${formatear(orden.fecha_entrega_esperada)}</div>
+                <div class="factura-fecha">Estado: <span class="estado estado-${orden.estado.toLowerCase()}">${orden.estado}</span></div>
+            </div>
+        </div>
+
+        <!-- Información del Proveedor -->
+        <div class="info-section">
+            <div class="cliente-info">
+                <div class="section-title">Proveedor</div>
+                <div class="info-row">
+                    <span class="info-label">Nombre:</span>
+                    <span class="info-value">${escapar(orden.nombre_proveedor)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Contacto:</span>
+                    <span class="info-value">${escapar(orden.contacto_nombre || 'N/A')}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Email:</span>
+                    <span class="info-value">${escapar(orden.contacto_email || 'N/A')}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Teléfono:</span>
+                    <span class="info-value">${escapar(orden.contacto_telefono || 'N/A')}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Dirección fiscal:</span>
+                    <span class="info-value">${escapar(orden.direccion_fiscal || 'N/A')}</span>
+                </div>
+            </div>
+
+            <div class="venta-info">
+                <div class="section-title">Datos del Pedido</div>
+                <div class="info-row">
+                    <span class="info-label">Solicitado por:</span>
+                    <span class="info-value">${escapar(orden.usuario_creador)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Líneas:</span>
+                    <span class="info-value">${orden.lineas.length}</span>
+                </div>
+            </div>
+        </div>
+
+        <!-- Tabla de Líneas -->
+        <div class="section-title">Productos Solicitados</div>
+        <table class="items-table">
+            <thead>
+                <tr>
+                    <th>Producto</th>
+                    <th>Cantidad</th>
+                    ${conRecepciones ? '<th>Recibido</th>' : ''}
+                    <th>Costo Unitario</th>
+                    <th>Subtotal</th>
+                    <th>Entrega</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${orden.lineas.map(linea => `
+                    <tr>
+                        <td>
+                            <strong>${escapar(linea.nombre_producto)}</strong>
+                            ${linea.sku ? `<br><small>SKU: ${escapar(linea.sku)}</small>` : ''}
+                        </td>
+                        <td>${linea.cantidad}</td>
+                        ${conRecepciones ? `<td>${linea.cantidad_recibida}</td>` : ''}
+                        <td class="precio">$${parseFloat(linea.costo_unitario).toFixed(2)}</td>
+                        <td class="precio">$${parseFloat(linea.subtotal).toFixed(2)}</td>
+                        <td>${linea.fecha_entrega_esperada ? formatear(linea.fecha_entrega_esperada) : formatear(orden.fecha_entrega_esperada)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <!-- Total -->
+        <div class="total-section">
+            <div class="total-row total-final">
+                <div class="total-label">Total:</div>
+                <div class="total-value">$${parseFloat(orden.total).toFixed(2)}</div>
+            </div>
+        </div>
+
+        ${orden.notas ? `
+            <div class="section-title">Notas</div>
+            <p>${escapar(orden.notas)}</p>
+        ` : ''}
+
+        <!-- Footer -->
+        <div class="footer">
+            <p>Por favor indique el número ${orden.numero_orden} en la remisión de cada entrega.</p>
+            <p>Fecha de generación: ${new Date().toLocaleDateString('es-ES')} - ${new Date().toLocaleTimeString('es-ES')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Escapa los caracteres especiales de HTML/SVG en textos ingresados por el usuario
+     * @param {string} texto - Texto a escapar
+     * @returns {string} - Texto seguro para insertar en el documento
+     */
+    static escaparHTML(texto) {
+        return String(texto ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Genera el bloque con los datos de la empresa del encabezado de los documentos
+     * @returns {string} - HTML del bloque
+     */
+    static generarInfoEmpresa() {
+        return `<div class="empresa-info">
+                <h1>Sistema de Carpintería</h1>
+                <p><strong>Dirección:</strong> Calle Principal #123</p>
+                <p><strong>Teléfono:</strong> +57 123 456 7890</p>
+                <p><strong>Email:</strong> info@carpinteria.com</p>
+                <p><strong>NIT:</strong> 123.456.789-1</p>
+            </div>`;
+    }
+
+    /**
+     * Estilos comunes de los documentos PDF (facturas, cotizaciones y órdenes de compra)
+     * @returns {string} - CSS de los documentos
+     */
+    static obtenerEstilos() {
+        return `
         body {
             font-family: 'Arial', sans-serif;
             margin: 0;
@@ -281,122 +857,26 @@ export class FacturaPDFService {
             font-style: italic;
             padding: 20px;
         }
-    </style>
-</head>
-<body>
-    <div class="factura-container">
-        <!-- Header -->
-        <div class="header">
-            <div class="empresa-info">
-                <h1>Sistema de Carpintería</h1>
-                <p><strong>Dirección:</strong> Calle Principal #123</p>
-                <p><strong>Teléfono:</strong> +57 123 456 7890</p>
-                <p><strong>Email:</strong> info@carpinteria.com</p>
-                <p><strong>NIT:</strong> 123.456.789-1</p>
-            </div>
-            <div class="factura-info">
-                <div class="factura-numero">FACTURA #${factura.numero_factura}</div>
-                <div class="factura-fecha">Fecha de Emisión: ${fechaEmision}</div>
-                <div class="factura-fecha">Estado: <span class="estado estado-${factura.estado.toLowerCase()}">${factura.estado}</span></div>
-            </div>
-        </div>
 
-        <!-- Información del Cliente y Venta -->
-        <div class="info-section">
-            <div class="cliente-info">
-                <div class="section-title">Información del Cliente</div>
-                <div class="info-row">
-                    <span class="info-label">Nombre:</span>
-                    <span class="info-value">${factura.nombre_usuario || 'N/A'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Email:</span>
-                    <span class="info-value">${factura.correo || 'N/A'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Teléfono:</span>
-                    <span class="info-value">${factura.telefono || 'N/A'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Rol:</span>
-                    <span class="info-value">${factura.nombre_rol || 'N/A'}</span>
-                </div>
-            </div>
-            
-            <div class="venta-info">
-                <div class="section-title">Información de la Venta</div>
-                <div class="info-row">
-                    <span class="info-label">ID Venta:</span>
-                    <span class="info-value">#${factura.id_venta}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Fecha de Venta:</span>
-                    <span class="info-value">${fechaVenta}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Estado de Venta:</span>
-                    <span class="info-value">${factura.estado_venta || 'N/A'}</span>
-                </div>
-                <div class="info-row">
-                    <span class="info-label">Total de Venta:</span>
-                    <span class="info-value">$${parseFloat(factura.total_venta || 0).toFixed(2)}</span>
-                </div>
-            </div>
-        </div>
+        .estado-enviada, .estado-borrador {
+            background: #dbeafe;
+            color: #1e40af;
+        }
 
-        <!-- Tabla de Items -->
-        <div class="section-title">Detalle de Productos</div>
-        ${factura.items && factura.items.length > 0 ? `
-            <table class="items-table">
-                <thead>
-                    <tr>
-                        <th>Producto</th>
-                        <th>Categoría</th>
-                        <th>Proveedor</th>
-                        <th>Cantidad</th>
-                        <th>Precio Unitario</th>
-                        <th>Subtotal</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${factura.items.map(item => `
-                        <tr>
-                            <td>
-                                <strong>${item.nombre_producto}</strong>
-                                ${item.producto_descripcion ? `<br><small style="color: #6b7280;">${item.producto_descripcion}</small>` : ''}
-                            </td>
-                            <td>${item.nombre_categoria || 'N/A'}</td>
-                            <td>${item.nombre_proveedor || 'N/A'}</td>
-                            <td>${item.cantidad}</td>
-                            <td class="precio">$${parseFloat(item.precio_unitario).toFixed(2)}</td>
-                            <td class="precio">$${parseFloat(item.subtotal).toFixed(2)}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        ` : `
-            <div class="no-items">No hay productos registrados en esta factura</div>
-        `}
+        .estado-parcial {
+            background: #fef3c7;
+            color: #92400e;
+        }
 
-        <!-- Total -->
-        <div class="total-section">
-            <div class="total-row">
-                <div class="total-label">Subtotal:</div>
-                <div class="total-value">$${factura.items ? factura.items.reduce((sum, item) => sum + parseFloat(item.subtotal), 0).toFixed(2) : '0.00'}</div>
-            </div>
-            <div class="total-row total-final">
-                <div class="total-label">Total:</div>
-                <div class="total-value">$${parseFloat(factura.monto_total).toFixed(2)}</div>
-            </div>
-        </div>
+        .estado-aceptada, .estado-recibida {
+            background: #d1fae5;
+            color: #065f46;
+        }
 
-        <!-- Footer -->
-        <div class="footer">
-            <p>Esta es una factura generada automáticamente por el Sistema de Carpintería</p>
-            <p>Fecha de generación: ${new Date().toLocaleDateString('es-ES')} - ${new Date().toLocaleTimeString('es-ES')}</p>
-        </div>
-    </div>
-</body>
-</html>`;
+        .estado-rechazada, .estado-reemplazada, .estado-cancelada {
+            background: #fee2e2;
+            color: #991b1b;
+        }
+`;
     }
 }
@@ -0,0 +1,153 @@
+/**
+ * Servicio de impersonación de usuarios
+ * Permite al personal de soporte ver la aplicación exactamente como la ve un cliente,
+ * con un token marcado (impersonado_por) y de vida corta cuyo uso queda auditado
+ */
+
+import crypto from "crypto";
+import { Impersonacion } from "../models/Impersonacion.js";
+import { Usuario } from "../models/Usuario.js";
+import { UsuarioRol } from "../models/UsuarioRol.js";
+import { AuthService } from "./AuthService.js";
+
+export class ImpersonacionService {
+
+  /**
+   * Inicia la impersonación de un usuario
+   * @param {number} idAdmin - ID del usuario que impersona
+   * @param {Object} datosImpersonacion - Datos de la impersonación
+   * @param {number} datosImpersonacion.id_usuario - Usuario a impersonar
+   * @param {string} datosImpersonacion.motivo - Motivo (p. ej. número de incidencia)
+   * @param {Object} datosCliente - User agent e IP del administrador (opcional)
+   * @returns {Promise<Object>} - Access token de impersonación y datos de la impersonación
+   */
+  static async iniciar(idAdmin, { id_usuario, motivo }, datosCliente = {}) {
+    try {
+      if (id_usuario === idAdmin) {
+        throw new Error('No puedes impersonarte a ti mismo');
+      }
+
+      const usuario = await Usuario.buscarPorId(id_usuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      if (usuario.estado !== 'ACTIVO') {
+        throw new Error('Solo se pueden impersonar usuarios activos');
+      }
+
+      await this.verificarPermisosImpersonables(id_usuario, idAdmin);
+
+      const segundos = parseInt(process.env.IMPERSONATION_EXPIRATION) || 1800;
+      const idImpersonacion = crypto.randomUUID();
+
+      await Impersonacion.crear({
+        id_impersonacion: idImpersonacion,
+        id_usuario_admin: idAdmin,
+        id_usuario_objetivo: id_usuario,
+        motivo,
+        fecha_expiracion: new Date(Date.now() + segundos * 1000),
+        ip: datosCliente.ip,
+        user_agent: datosCliente.user_agent
+      });
+
+      const rolesActivos = await UsuarioRol.obtenerRolesActivos(id_usuario);
+      const accessToken = AuthService.generarTokenImpersonacion(
+        usuario,
+        idAdmin,
+        idImpersonacion,
+        rolesActivos,
+        segundos
+      );
+
+      return {
+        accessToken,
+        expira_en: segundos,
+        impersonacion: await Impersonacion.buscarPorId(idImpersonacion)
+      };
+    } catch (error) {
+      console.error('Error al iniciar impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finaliza una impersonación; su token deja de ser aceptado inmediatamente
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<Object>} - Impersonación finalizada
+   */
+  static async finalizar(idImpersonacion) {
+    try {
+      const finalizada = await Impersonacion.finalizar(idImpersonacion);
+      if (!finalizada) {
+        throw new Error('Impersonación no encontrada o ya finalizada');
+      }
+
+      return await Impersonacion.buscarPorId(idImpersonacion);
+    } catch (error) {
+      console.error('Error al finalizar impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el registro de impersonaciones con filtros y paginación
+   * @param {Object} filtros - id_usuario_admin e id_usuario_objetivo (opcionales)
+   * @param {Object} opciones - Opciones de paginación
+   * @param {number} opciones.pagina - Número de página
+   * @param {number} opciones.limite - Registros por página
+   * @returns {Promise<Object>} - Impersonaciones y metadatos de paginación
+   */
+  static async obtenerImpersonaciones(filtros, { pagina = 1, limite = 20 }) {
+    try {
+      if (pagina < 1) pagina = 1;
+      if (limite < 1 || limite > 100) limite = 20;
+
+      return await Impersonacion.obtenerTodas(filtros, pagina, limite);
+    } catch (error) {
+      console.error('Error al obtener impersonaciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una impersonación con todas las peticiones realizadas durante ella
+   * @param {string} idImpersonacion - ID de la impersonación
+   * @returns {Promise<Object>} - Impersonación y sus peticiones
+   */
+  static async obtenerImpersonacionPorId(idImpersonacion) {
+    try {
+      const impersonacion = await Impersonacion.buscarPorId(idImpersonacion);
+      if (!impersonacion) {
+        throw new Error('Impersonación no encontrada');
+      }
+
+      return {
+        ...impersonacion,
+        peticiones: await Impersonacion.obtenerPeticiones(idImpersonacion)
+      };
+    } catch (error) {
+      console.error('Error al obtener impersonación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica que quien impersona tenga todos los permisos del usuario impersonado,
+   * para que la impersonación no sirva para obtener privilegios
+   * @param {number} idUsuario - ID del usuario a impersonar
+   * @param {number} idAdmin - ID del usuario que impersona
+   */
+  static async verificarPermisosImpersonables(idUsuario, idAdmin) {
+    const permisosAdmin = (await Usuario.obtenerPermisosUsuario(idAdmin)).map(p => p.nombre_permiso);
+    if (permisosAdmin.includes('*')) {
+      return;
+    }
+
+    const permisosUsuario = (await Usuario.obtenerPermisosUsuario(idUsuario)).map(p => p.nombre_permiso);
+
+    if (permisosUsuario.some(permiso => !permisosAdmin.includes(permiso))) {
+      throw new Error('No puedes impersonar a un usuario con permisos que no tienes');
+    }
+  }
+}
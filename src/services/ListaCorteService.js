@@ -0,0 +1,353 @@
+/**
+ * Servicio de optimización de listas de corte
+ * Reparte las piezas de un trabajo en tableros o placas estándar (p. ej. contrachapado de 2440×1220)
+ * con cortes de guillotina, como los de una escuadradora o sierra de panel, y calcula el desperdicio
+ */
+
+import { FacturaPDFService } from "./FacturaPDFService.js";
+
+export const ESPESOR_CORTE_DEFECTO = 3;
+
+/**
+ * Colores de las piezas en los diagramas (se repiten cíclicamente)
+ */
+const COLORES_PIEZA = ['#bfdbfe', '#bbf7d0', '#fde68a', '#fecaca', '#ddd6fe', '#fbcfe8', '#a5f3fc', '#fed7aa'];
+
+export class ListaCorteService {
+
+  /**
+   * Calcula la distribución de las piezas en los tableros
+   * Cada pieza ocupa su medida más el espesor de corte; el tablero también se amplía en ese espesor
+   * para que las piezas pegadas al borde no pierdan el corte que no se hace
+   * La veta de los tableros corre a lo largo: una pieza con veta LARGO no se gira, con veta ANCHO
+   * siempre se gira y SIN_VETA se coloca como aproveche mejor el tablero
+   * @param {Object} datos - Datos validados
+   * @param {Array} datos.piezas - [{ nombre, largo, ancho, cantidad, veta, material }] en mm
+   * @param {Array} datos.tableros - [{ nombre, largo, ancho, material, cantidad }] en mm (cantidad null = sin límite)
+   * @param {number} datos.espesor_corte - Espesor de la hoja de sierra en mm
+   * @returns {Object} - Tableros con las piezas colocadas, totales y piezas sin ubicar
+   */
+  static optimizar({ piezas, tableros, espesor_corte = ESPESOR_CORTE_DEFECTO }) {
+    const unidades = this.expandirPiezas(piezas);
+    const disponibles = tableros.map(tablero => ({ ...tablero, restantes: tablero.cantidad ?? Infinity }));
+    const resultado = [];
+    const sinUbicar = [];
+
+    const materiales = [...new Set(unidades.map(pieza => pieza.clave_material))];
+
+    for (const claveMaterial of materiales) {
+      const candidatos = disponibles.filter(tablero => this.claveMaterial(tablero.material) === claveMaterial);
+      let pendientes = unidades.filter(pieza => pieza.clave_material === claveMaterial);
+
+      if (candidatos.length === 0) {
+        pendientes.forEach(pieza => sinUbicar.push(this.piezaSinUbicar(pieza, 'No hay tableros de este material')));
+        continue;
+      }
+
+      // Descartar desde el inicio las piezas que no entran en ningún tamaño de tablero
+      pendientes = pendientes.filter(pieza => {
+        const entra = candidatos.some(tablero => this.orientaciones(pieza, espesor_corte)
+          .some(({ largo, ancho }) => largo <= tablero.largo + espesor_corte && ancho <= tablero.ancho + espesor_corte));
+
+        if (!entra) {
+          sinUbicar.push(this.piezaSinUbicar(pieza, 'La pieza es más grande que los tableros disponibles'));
+        }
+
+        return entra;
+      });
+
+      while (pendientes.length > 0) {
+        // Probar cada tamaño disponible y quedarse con el que mejor se aprovecha
+        let mejor = null;
+
+        for (const tablero of candidatos.filter(candidato => candidato.restantes > 0)) {
+          const prueba = this.llenarTablero(tablero, pendientes, espesor_corte);
+          if (prueba.colocadas.length === 0) continue;
+
+          const aprovechamiento = prueba.area_piezas / (tablero.largo * tablero.ancho);
+          if (!mejor || aprovechamiento > mejor.aprovechamiento ||
+              (aprovechamiento === mejor.aprovechamiento && prueba.colocadas.length > mejor.prueba.colocadas.length)) {
+            mejor = { tablero, prueba, aprovechamiento };
+          }
+        }
+
+        if (!mejor) {
+          pendientes.forEach(pieza => sinUbicar.push(this.piezaSinUbicar(pieza, 'No quedan tableros disponibles')));
+          break;
+        }
+
+        mejor.tablero.restantes--;
+
+        const areaTablero = mejor.tablero.largo * mejor.tablero.ancho;
+        resultado.push({
+          numero: resultado.length + 1,
+          nombre: mejor.tablero.nombre,
+          material: mejor.tablero.material,
+          largo: mejor.tablero.largo,
+          ancho: mejor.tablero.ancho,
+          piezas: mejor.prueba.colocadas,
+          area_piezas: this.aMetrosCuadrados(mejor.prueba.area_piezas),
+          porcentaje_desperdicio: this.redondear((1 - mejor.prueba.area_piezas / areaTablero) * 100, 2)
+        });
+
+        const colocadas = new Set(mejor.prueba.colocadas.map(colocada => colocada.indice));
+        pendientes = pendientes.filter(pieza => !colocadas.has(pieza.indice));
+      }
+    }
+
+    resultado.forEach(tablero => tablero.piezas.forEach(pieza => delete pieza.indice));
+
+    return {
+      espesor_corte,
+      ...this.calcularTotales(resultado),
+      tableros: resultado,
+      piezas_sin_ubicar: sinUbicar
+    };
+  }
+
+  /**
+   * Coloca en un tablero todas las piezas que entren, con el algoritmo de guillotina
+   * (mejor ajuste por área y división por el eje sobrante más corto)
+   * @param {Object} tablero - Tamaño del tablero
+   * @param {Array} piezas - Piezas pendientes, ordenadas de mayor a menor
+   * @param {number} espesorCorte - Espesor de corte en mm
+   * @returns {Object} - { colocadas, area_piezas }
+   */
+  static llenarTablero(tablero, piezas, espesorCorte) {
+    let libres = [{ x: 0, y: 0, largo: tablero.largo + espesorCorte, ancho: tablero.ancho + espesorCorte }];
+    const colocadas = [];
+    let areaPiezas = 0;
+
+    for (const pieza of piezas) {
+      let mejor = null;
+
+      for (const [indiceLibre, libre] of libres.entries()) {
+        for (const orientacion of this.orientaciones(pieza, espesorCorte)) {
+          if (orientacion.largo > libre.largo || orientacion.ancho > libre.ancho) continue;
+
+          const sobrante = libre.largo * libre.ancho - orientacion.largo * orientacion.ancho;
+          if (!mejor || sobrante < mejor.sobrante) {
+            mejor = { indiceLibre, libre, orientacion, sobrante };
+          }
+        }
+      }
+
+      if (!mejor) continue;
+
+      const { libre, orientacion } = mejor;
+      const sobranteLargo = libre.largo - orientacion.largo;
+      const sobranteAncho = libre.ancho - orientacion.ancho;
+
+      // El corte sigue el eje con menos sobrante para dejar libre el rectángulo más grande posible
+      const divisiones = sobranteLargo < sobranteAncho
+        ? [
+          { x: libre.x + orientacion.largo, y: libre.y, largo: sobranteLargo, ancho: orientacion.ancho },
+          { x: libre.x, y: libre.y + orientacion.ancho, largo: libre.largo, ancho: sobranteAncho }
+        ]
+        : [
+          { x: libre.x + orientacion.largo, y: libre.y, largo: sobranteLargo, ancho: libre.ancho },
+          { x: libre.x, y: libre.y + orientacion.ancho, largo: orientacion.largo, ancho: sobranteAncho }
+        ];
+
+      libres = [
+        ...libres.filter((_, indice) => indice !== mejor.indiceLibre),
+        ...divisiones.filter(division => division.largo > espesorCorte && division.ancho > espesorCorte)
+      ];
+
+      colocadas.push({
+        indice: pieza.indice,
+        nombre: pieza.nombre,
+        largo: pieza.largo,
+        ancho: pieza.ancho,
+        x: this.redondear(libre.x, 1),
+        y: this.redondear(libre.y, 1),
+        rotada: orientacion.rotada
+      });
+
+      areaPiezas += pieza.largo * pieza.ancho;
+    }
+
+    return { colocadas, area_piezas: areaPiezas };
+  }
+
+  /**
+   * Orientaciones permitidas de una pieza según su veta, con el espesor de corte incluido
+   * @param {Object} pieza - Pieza
+   * @param {number} espesorCorte - Espesor de corte en mm
+   * @returns {Array} - [{ largo, ancho, rotada }] medidas a lo largo y a lo ancho del tablero
+   */
+  static orientaciones(pieza, espesorCorte) {
+    const normal = { largo: pieza.largo + espesorCorte, ancho: pieza.ancho + espesorCorte, rotada: false };
+    const girada = { largo: pieza.ancho + espesorCorte, ancho: pieza.largo + espesorCorte, rotada: true };
+
+    if (pieza.veta === 'LARGO') return [normal];
+    if (pieza.veta === 'ANCHO') return [girada];
+    return pieza.largo === pieza.ancho ? [normal] : [normal, girada];
+  }
+
+  /**
+   * Convierte las piezas con cantidad en unidades individuales ordenadas de mayor a menor
+   * @param {Array} piezas - Piezas con cantidad
+   * @returns {Array} - Una entrada por unidad, con índice único
+   */
+  static expandirPiezas(piezas) {
+    return piezas
+      .flatMap((pieza, posicion) => Array.from({ length: pieza.cantidad }, (_, copia) => ({
+        nombre: pieza.nombre || `Pieza ${posicion + 1}`,
+        largo: pieza.largo,
+        ancho: pieza.ancho,
+        veta: pieza.veta,
+        material: pieza.material,
+        clave_material: this.claveMaterial(pieza.material),
+        orden: posicion * 10000 + copia
+      })))
+      .sort((a, b) => (b.largo * b.ancho) - (a.largo * a.ancho) ||
+        Math.max(b.largo, b.ancho) - Math.max(a.largo, a.ancho) ||
+        a.orden - b.orden)
+      .map((pieza, indice) => ({ ...pieza, indice }));
+  }
+
+  /**
+   * Calcula los totales generales y por material
+   * @param {Array} tableros - Tableros usados
+   * @returns {Object} - Totales de tableros, áreas y desperdicio
+   */
+  static calcularTotales(tableros) {
+    const areaTableros = tableros.reduce((total, tablero) => total + tablero.largo * tablero.ancho, 0);
+    const areaPiezas = tableros.reduce((total, tablero) =>
+      total + tablero.piezas.reduce((suma, pieza) => suma + pieza.largo * pieza.ancho, 0), 0);
+
+    const porMaterial = new Map();
+    for (const tablero of tableros) {
+      const clave = this.claveMaterial(tablero.material);
+      const acumulado = porMaterial.get(clave) || { material: tablero.material, tableros: 0, area_tableros: 0, area_piezas: 0 };
+
+      acumulado.tableros++;
+      acumulado.area_tableros += tablero.largo * tablero.ancho;
+      acumulado.area_piezas += tablero.piezas.reduce((suma, pieza) => suma + pieza.largo * pieza.ancho, 0);
+      porMaterial.set(clave, acumulado);
+    }
+
+    return {
+      total_tableros: tableros.length,
+      area_tableros: this.aMetrosCuadrados(areaTableros),
+      area_piezas: this.aMetrosCuadrados(areaPiezas),
+      porcentaje_desperdicio: areaTableros > 0 ? this.redondear((1 - areaPiezas / areaTableros) * 100, 2) : 0,
+      por_material: [...porMaterial.values()].map(material => ({
+        material: material.material,
+        tableros: material.tableros,
+        area_tableros: this.aMetrosCuadrados(material.area_tableros),
+        area_piezas: this.aMetrosCuadrados(material.area_piezas),
+        porcentaje_desperdicio: this.redondear((1 - material.area_piezas / material.area_tableros) * 100, 2)
+      }))
+    };
+  }
+
+  /**
+   * Genera el diagrama SVG de un tablero con sus piezas (1 unidad = 1 mm)
+   * @param {Object} tablero - Tablero del resultado de optimizar
+   * @param {number} desplazamientoY - Posición vertical del tablero dentro de un SVG mayor (opcional)
+   * @returns {string} - Grupo SVG del tablero
+   */
+  static generarGrupoSVG(tablero, desplazamientoY = 0) {
+    const escapar = FacturaPDFService.escaparHTML;
+    const tamañoTexto = Math.max(18, Math.round(Math.min(tablero.largo, tablero.ancho) / 40));
+    const titulo = `Tablero ${tablero.numero}: ${tablero.nombre || tablero.material || ''} ` +
+      `${tablero.largo}×${tablero.ancho} mm - desperdicio ${tablero.porcentaje_desperdicio}%`;
+
+    const piezas = tablero.piezas.map((pieza, indice) => {
+      const largo = pieza.rotada ? pieza.ancho : pieza.largo;
+      const ancho = pieza.rotada ? pieza.largo : pieza.ancho;
+      const texto = Math.min(tamañoTexto, Math.max(8, Math.floor(Math.min(largo / 6, ancho / 3))));
+
+      return `
+    <g>
+      <rect x="${pieza.x}" y="${pieza.y}" width="${largo}" height="${ancho}" fill="${COLORES_PIEZA[indice % COLORES_PIEZA.length]}" stroke="#1e3a8a" stroke-width="2"/>
+      <text x="${pieza.x + largo / 2}" y="${pieza.y + ancho / 2}" font-size="${texto}" text-anchor="middle" dominant-baseline="middle" fill="#1f2937">${escapar(pieza.nombre)} ${pieza.largo}×${pieza.ancho}${pieza.rotada ? ' ↻' : ''}</text>
+    </g>`;
+    }).join('');
+
+    return `
+  <g transform="translate(0, ${desplazamientoY})">
+    <text x="0" y="${tamañoTexto}" font-size="${tamañoTexto}" font-weight="bold" fill="#1f2937">${escapar(titulo)}</text>
+    <g transform="translate(0, ${tamañoTexto * 1.5})">
+      <rect x="0" y="0" width="${tablero.largo}" height="${tablero.ancho}" fill="#f3f4f6" stroke="#374151" stroke-width="4"/>${piezas}
+    </g>
+  </g>`;
+  }
+
+  /**
+   * Genera el diagrama SVG de uno o varios tableros, uno debajo del otro
+   * @param {Array} tableros - Tableros del resultado de optimizar
+   * @returns {string} - Documento SVG
+   */
+  static generarSVG(tableros) {
+    const separacion = 80;
+    let desplazamientoY = 0;
+    let anchoTotal = 0;
+
+    const grupos = tableros.map(tablero => {
+      const tamañoTexto = Math.max(18, Math.round(Math.min(tablero.largo, tablero.ancho) / 40));
+      const grupo = this.generarGrupoSVG(tablero, desplazamientoY);
+
+      desplazamientoY += tablero.ancho + tamañoTexto * 1.5 + separacion;
+      anchoTotal = Math.max(anchoTotal, tablero.largo);
+      return grupo;
+    }).join('');
+
+    const altoTotal = Math.max(desplazamientoY - separacion, 1);
+    anchoTotal = Math.max(anchoTotal, 1);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-10 -10 ${anchoTotal + 20} ${altoTotal + 20}" width="100%" font-family="Arial, sans-serif">${grupos}
+</svg>`;
+  }
+
+  /**
+   * Genera el PDF de la lista de corte con un diagrama por tablero
+   * @param {Object} resultado - Resultado de optimizar
+   * @returns {Promise<Buffer>} - Buffer del PDF
+   */
+  static async generarPDF(resultado) {
+    const diagramas = resultado.tableros.map(tablero => this.generarSVG([tablero]));
+    return await FacturaPDFService.generarPDFListaCorte(resultado, diagramas);
+  }
+
+  /**
+   * Normaliza el nombre de un material para emparejar piezas y tableros
+   * @param {string} material - Material (opcional)
+   * @returns {string} - Clave sin mayúsculas ni espacios sobrantes
+   */
+  static claveMaterial(material) {
+    return (material || '').trim().toLowerCase();
+  }
+
+  /**
+   * Datos de una pieza que no se pudo ubicar
+   * @param {Object} pieza - Pieza
+   * @param {string} motivo - Motivo
+   * @returns {Object} - Pieza sin ubicar
+   */
+  static piezaSinUbicar(pieza, motivo) {
+    return { nombre: pieza.nombre, material: pieza.material, largo: pieza.largo, ancho: pieza.ancho, motivo };
+  }
+
+  /**
+   * Convierte mm² a m² con tres decimales
+   * @param {number} areaMilimetros - Área en mm²
+   * @returns {number} - Área en m²
+   */
+  static aMetrosCuadrados(areaMilimetros) {
+    return this.redondear(areaMilimetros / 1000000, 3);
+  }
+
+  /**
+   * Redondea a la cantidad de decimales indicada
+   * @param {number} valor - Valor
+   * @param {number} decimales - Decimales
+   * @returns {number} - Valor redondeado
+   */
+  static redondear(valor, decimales) {
+    const factor = 10 ** decimales;
+    return Math.round(valor * factor) / factor;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Servicio de eventos de seguridad
+ * Registra y consulta la actividad relevante para la seguridad de las cuentas
+ */
+
+import { EventoSeguridad } from "../models/EventoSeguridad.js";
+
+export class SeguridadService {
+
+  /**
+   * Registra un evento de seguridad
+   * Un fallo al registrar no interrumpe la operación que lo originó, que ya se completó
+   * @param {Object} datosEvento - Datos del evento (ver EventoSeguridad.registrar)
+   * @param {Object} datosCliente - User agent e IP del cliente (opcional)
+   * @returns {Promise<number|null>} - ID del evento o null si no se pudo registrar
+   */
+  static async registrarEvento(datosEvento, datosCliente = {}) {
+    try {
+      return await EventoSeguridad.registrar({
+        ...datosEvento,
+        ip: datosCliente.ip || null,
+        user_agent: datosCliente.user_agent || null
+      });
+    } catch (error) {
+      console.error('Error al registrar evento de seguridad:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene los eventos de seguridad con filtros y paginación
+   * @param {Object} filtros - id_usuario, tipo, exitoso, ip, desde y hasta (opcionales)
+   * @param {Object} opciones - Opciones de paginación
+   * @param {number} opciones.pagina - Número de página
+   * @param {number} opciones.limite - Registros por página
+   * @returns {Promise<Object>} - Eventos y metadatos de paginación
+   */
+  static async obtenerEventos(filtros, { pagina = 1, limite = 20 }) {
+    try {
+      if (pagina < 1) pagina = 1;
+      if (limite < 1 || limite > 100) limite = 20;
+
+      return await EventoSeguridad.obtenerTodos(filtros, pagina, limite);
+    } catch (error) {
+      console.error('Error al obtener eventos de seguridad:', error);
+      throw error;
+    }
+  }
+}
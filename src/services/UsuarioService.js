@@ -5,7 +5,13 @@
 
 import { Usuario } from "../models/Usuario.js";
 import { Rol } from "../models/Rol.js";
+import { Sesion } from "../models/Sesion.js";
+import { IntentoLogin } from "../models/IntentoLogin.js";
+import { UsuarioRol } from "../models/UsuarioRol.js";
+import { Permiso } from "../models/Permiso.js";
 import Direccion from "../models/Direccion.js";
+import { AuthService } from "./AuthService.js";
+import { SeguridadService } from "./SeguridadService.js";
 
 export class UsuarioService {
   
@@ -65,6 +71,7 @@ export class UsuarioService {
       }
 
       const permisos = await Usuario.obtenerPermisosUsuario(idUsuario);
+      const rolesActivos = await UsuarioRol.obtenerRolesActivos(idUsuario);
 
       return {
         id_usuario: usuario.id_usuario,
@@ -74,6 +81,8 @@ export class UsuarioService {
         estado: usuario.estado,
         fecha_registro: usuario.fecha_registro,
         ultimo_acceso: usuario.ultimo_acceso,
+        fecha_cambio_contraseña: usuario.fecha_cambio_contraseña,
+        debe_cambiar_contraseña: !!usuario.debe_cambiar_contraseña,
         direccion: usuario.direccion,
         ciudad: usuario.ciudad,
         departamento: usuario.departamento,
@@ -84,6 +93,7 @@ export class UsuarioService {
           nombre_rol: usuario.nombre_rol,
           descripcion: usuario.descripcion_rol
         },
+        roles: rolesActivos,
         permisos: permisos.map(p => ({
           nombre: p.nombre_permiso,
           descripcion: p.descripcion,
@@ -103,7 +113,7 @@ export class UsuarioService {
    */
   static async crearUsuario(datosUsuario) {
     try {
-  const { nombre_usuario, correo, contraseña, telefono, id_rol, direccion, ciudad, departamento, codigo_postal, pais } = datosUsuario;
+  const { nombre_usuario, correo, contraseña, telefono, id_rol, direccion, ciudad, departamento, codigo_postal, pais, debe_cambiar_contraseña } = datosUsuario;
 
       // Validaciones
       if (!nombre_usuario || nombre_usuario.trim().length < 2) {
@@ -114,10 +124,12 @@ export class UsuarioService {
         throw new Error('Correo electrónico inválido');
       }
 
-      if (!contraseña || contraseña.length < 6) {
-        throw new Error('La contraseña debe tener al menos 6 caracteres');
+      if (!contraseña) {
+        throw new Error('La contraseña es obligatoria');
       }
 
+      await AuthService.verificarPoliticaContraseña(contraseña);
+
       // Verificar que el rol existe
       if (id_rol) {
         const rol = await Rol.buscarPorId(id_rol);
@@ -132,7 +144,8 @@ export class UsuarioService {
         correo: correo.toLowerCase().trim(),
         contraseña,
         telefono: telefono ? telefono.trim() : null,
-        id_rol: id_rol || 2 // Por defecto rol de usuario
+        id_rol: id_rol || 2, // Por defecto rol de usuario
+        debe_cambiar_contraseña: debe_cambiar_contraseña === true
       });
 
       // Si hay dirección, crearla
@@ -159,9 +172,10 @@ export class UsuarioService {
    * Actualiza un usuario existente
    * @param {number} idUsuario - ID del usuario a actualizar
    * @param {Object} datosActualizar - Datos a actualizar
+   * @param {number} idUsuarioAutor - ID del usuario que realiza el cambio (opcional)
    * @returns {Promise<Object>} - Usuario actualizado
    */
-  static async actualizarUsuario(idUsuario, datosActualizar) {
+  static async actualizarUsuario(idUsuario, datosActualizar, idUsuarioAutor = null) {
     try {
   const { nombre_usuario, telefono, id_rol, direccion, ciudad, departamento, codigo_postal, pais } = datosActualizar;
 
@@ -197,6 +211,16 @@ export class UsuarioService {
         throw new Error('No se pudo actualizar el usuario');
       }
 
+      if (datosParaActualizar.id_rol !== usuarioExistente.id_rol) {
+        await SeguridadService.registrarEvento({
+          id_usuario: idUsuario,
+          tipo: 'CAMBIO_ROL',
+          motivo: 'ROL_PRINCIPAL',
+          id_usuario_autor: idUsuarioAutor,
+          detalles: { id_rol_anterior: usuarioExistente.id_rol, id_rol_nuevo: datosParaActualizar.id_rol }
+        });
+      }
+
       // Actualizar o crear dirección si se envía algún dato de dirección
       if (direccion || ciudad || departamento || codigo_postal || pais) {
         await Direccion.actualizarDireccion(idUsuario, {
@@ -243,6 +267,11 @@ export class UsuarioService {
         throw new Error('No se pudo cambiar el estado del usuario');
       }
 
+      // Un usuario desactivado no debe conservar sesiones abiertas
+      if (nuevoEstado === 'INACTIVO') {
+        await Sesion.revocarTodasDeUsuario(idUsuario, 'USUARIO_INACTIVO');
+      }
+
       // Retornar usuario actualizado
       return await this.obtenerUsuarioPorId(idUsuario);
     } catch (error) {
@@ -272,6 +301,284 @@ export class UsuarioService {
     }
   }
 
+  /**
+   * Cierra todas las sesiones de un usuario (cierre forzado por un administrador)
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<number>} - Número de sesiones cerradas
+   */
+  static async cerrarSesionesUsuario(idUsuario) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      return await Sesion.revocarTodasDeUsuario(idUsuario, 'CIERRE_ADMINISTRATIVO');
+    } catch (error) {
+      console.error('Error al cerrar sesiones del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el historial de intentos de login y el estado de bloqueo de un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @param {Object} opciones - Opciones de paginación
+   * @param {number} opciones.pagina - Número de página
+   * @param {number} opciones.limite - Límite de registros por página
+   * @returns {Promise<Object>} - Estado de bloqueo, intentos y metadatos de paginación
+   */
+  static async obtenerIntentosLogin(idUsuario, { pagina = 1, limite = 20 }) {
+    try {
+      if (pagina < 1) pagina = 1;
+      if (limite < 1 || limite > 100) limite = 20;
+
+      const estadoBloqueo = await Usuario.obtenerEstadoBloqueo(idUsuario);
+      if (!estadoBloqueo) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      const resultado = await IntentoLogin.obtenerPorUsuario(idUsuario, pagina, limite);
+
+      return {
+        bloqueo: {
+          bloqueado: !!estadoBloqueo.bloqueado_hasta && new Date(estadoBloqueo.bloqueado_hasta) > new Date(),
+          bloqueado_hasta: estadoBloqueo.bloqueado_hasta,
+          intentos_fallidos: estadoBloqueo.intentos_fallidos,
+          fecha_ultimo_fallo: estadoBloqueo.fecha_ultimo_fallo
+        },
+        intentos: resultado.intentos,
+        paginacion: resultado.paginacion
+      };
+    } catch (error) {
+      console.error('Error al obtener intentos de login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desbloquea el login de un usuario y reinicia sus intentos fallidos
+   * @param {number} idUsuario - ID del usuario
+   * @returns {Promise<boolean>} - True si se desbloqueó correctamente
+   */
+  static async desbloquearUsuario(idUsuario) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      return await Usuario.reiniciarIntentosFallidos(idUsuario);
+    } catch (error) {
+      console.error('Error al desbloquear usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obliga a un usuario a cambiar su contraseña en el próximo login
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idUsuarioAutor - ID del usuario que lo exige (opcional)
+   * @returns {Promise<boolean>} - True si se marcó correctamente
+   */
+  static async forzarCambioContraseña(idUsuario, idUsuarioAutor = null) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      const marcado = await Usuario.marcarCambioContraseña(idUsuario, true);
+
+      await SeguridadService.registrarEvento({
+        id_usuario: idUsuario,
+        tipo: 'CAMBIO_CONTRASEÑA',
+        motivo: 'CAMBIO_EXIGIDO',
+        id_usuario_autor: idUsuarioAutor
+      });
+
+      return marcado;
+    } catch (error) {
+      console.error('Error al forzar cambio de contraseña:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los roles de un usuario: los activos y sus asignaciones adicionales
+   * @param {number} idUsuario - ID del usuario
+   * @param {boolean} incluirVencidas - Si se incluyen las asignaciones ya finalizadas
+   * @returns {Promise<Object>} - Roles activos y asignaciones
+   */
+  static async obtenerRolesUsuario(idUsuario, incluirVencidas = false) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      return {
+        rol_principal: {
+          id_rol: usuario.id_rol,
+          nombre_rol: usuario.nombre_rol
+        },
+        roles_activos: await UsuarioRol.obtenerRolesActivos(idUsuario),
+        asignaciones: await UsuarioRol.obtenerPorUsuario(idUsuario, incluirVencidas)
+      };
+    } catch (error) {
+      console.error('Error al obtener roles del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna un rol adicional a un usuario, opcionalmente por un periodo
+   * @param {number} idUsuario - ID del usuario
+   * @param {Object} datosAsignacion - Datos de la asignación
+   * @param {number} datosAsignacion.id_rol - ID del rol
+   * @param {Date|null} datosAsignacion.fecha_inicio - Inicio de la vigencia (null = desde ahora)
+   * @param {Date|null} datosAsignacion.fecha_fin - Fin de la vigencia (null = indefinida)
+   * @param {number} idUsuarioAsignador - ID del usuario que realiza la asignación
+   * @returns {Promise<Object>} - Asignación creada
+   */
+  static async asignarRolUsuario(idUsuario, { id_rol, fecha_inicio = null, fecha_fin = null }, idUsuarioAsignador) {
+    try {
+      const usuario = await Usuario.buscarPorId(idUsuario);
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      const rol = await Rol.buscarPorId(id_rol);
+      if (!rol) {
+        throw new Error('Rol no encontrado');
+      }
+
+      if (usuario.id_rol === id_rol) {
+        throw new Error('El rol ya es el rol principal del usuario');
+      }
+
+      await this.verificarPermisosAsignables(id_rol, idUsuarioAsignador);
+
+      // Sin fecha de inicio la asignación rige desde ahora; las vencidas no cuentan como solapadas
+      if (await UsuarioRol.existeSolapamiento(idUsuario, id_rol, fecha_inicio || new Date(), fecha_fin)) {
+        throw new Error('El usuario ya tiene ese rol asignado en un periodo que se solapa');
+      }
+
+      const idAsignacion = await UsuarioRol.crear({
+        id_usuario: idUsuario,
+        id_rol,
+        fecha_inicio,
+        fecha_fin,
+        id_usuario_asignador: idUsuarioAsignador
+      });
+
+      await SeguridadService.registrarEvento({
+        id_usuario: idUsuario,
+        tipo: 'CAMBIO_ROL',
+        motivo: 'ROL_ASIGNADO',
+        id_usuario_autor: idUsuarioAsignador,
+        detalles: { id_asignacion: idAsignacion, id_rol, fecha_inicio, fecha_fin }
+      });
+
+      return await UsuarioRol.buscarPorId(idAsignacion);
+    } catch (error) {
+      console.error('Error al asignar rol al usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Modifica la vigencia de una asignación de rol
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idAsignacion - ID de la asignación
+   * @param {Object} vigencia - Nuevas fechas
+   * @param {Date|null} vigencia.fecha_inicio - Inicio de la vigencia
+   * @param {Date|null} vigencia.fecha_fin - Fin de la vigencia
+   * @param {number} idUsuarioAutor - ID del usuario que realiza el cambio (opcional)
+   * @returns {Promise<Object>} - Asignación actualizada
+   */
+  static async actualizarRolUsuario(idUsuario, idAsignacion, { fecha_inicio = null, fecha_fin = null }, idUsuarioAutor = null) {
+    try {
+      const asignacion = await UsuarioRol.buscarPorId(idAsignacion);
+      if (!asignacion || asignacion.id_usuario !== idUsuario) {
+        throw new Error('Asignación de rol no encontrada');
+      }
+
+      if (await UsuarioRol.existeSolapamiento(idUsuario, asignacion.id_rol, fecha_inicio || new Date(), fecha_fin, idAsignacion)) {
+        throw new Error('El usuario ya tiene ese rol asignado en un periodo que se solapa');
+      }
+
+      await UsuarioRol.actualizarVigencia(idAsignacion, idUsuario, fecha_inicio, fecha_fin);
+
+      await SeguridadService.registrarEvento({
+        id_usuario: idUsuario,
+        tipo: 'CAMBIO_ROL',
+        motivo: 'VIGENCIA_MODIFICADA',
+        id_usuario_autor: idUsuarioAutor,
+        detalles: {
+          id_asignacion: idAsignacion,
+          id_rol: asignacion.id_rol,
+          vigencia_anterior: { fecha_inicio: asignacion.fecha_inicio, fecha_fin: asignacion.fecha_fin },
+          vigencia_nueva: { fecha_inicio, fecha_fin }
+        }
+      });
+
+      return await UsuarioRol.buscarPorId(idAsignacion);
+    } catch (error) {
+      console.error('Error al actualizar rol del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quita una asignación de rol a un usuario
+   * @param {number} idUsuario - ID del usuario
+   * @param {number} idAsignacion - ID de la asignación
+   * @param {number} idUsuarioAutor - ID del usuario que realiza el cambio (opcional)
+   * @returns {Promise<boolean>} - True si se quitó correctamente
+   */
+  static async quitarRolUsuario(idUsuario, idAsignacion, idUsuarioAutor = null) {
+    try {
+      const asignacion = await UsuarioRol.buscarPorId(idAsignacion);
+
+      const eliminado = await UsuarioRol.eliminar(idAsignacion, idUsuario);
+      if (!eliminado) {
+        throw new Error('Asignación de rol no encontrada');
+      }
+
+      await SeguridadService.registrarEvento({
+        id_usuario: idUsuario,
+        tipo: 'CAMBIO_ROL',
+        motivo: 'ROL_QUITADO',
+        id_usuario_autor: idUsuarioAutor,
+        detalles: { id_asignacion: idAsignacion, id_rol: asignacion.id_rol }
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error al quitar rol del usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica que quien asigna un rol tenga todos los permisos que el rol concede
+   * @param {number} idRol - ID del rol a asignar
+   * @param {number} idUsuarioAsignador - ID del usuario que asigna el rol
+   */
+  static async verificarPermisosAsignables(idRol, idUsuarioAsignador) {
+    const permisosAsignador = (await Usuario.obtenerPermisosUsuario(idUsuarioAsignador)).map(p => p.nombre_permiso);
+    if (permisosAsignador.includes('*')) {
+      return;
+    }
+
+    const permisosRol = (await Permiso.obtenerPermisosEfectivosRol(idRol)).map(p => p.nombre_permiso);
+
+    if (permisosRol.some(permiso => !permisosAsignador.includes(permiso))) {
+      throw new Error('No puedes asignar un rol con permisos que no tienes');
+    }
+  }
+
   /**
    * Obtiene las estadísticas de usuarios
    * @returns {Promise<Object>} - Estadísticas de usuarios
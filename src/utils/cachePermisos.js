@@ -0,0 +1,97 @@
+/**
+ * Caché en memoria de los permisos efectivos de usuarios y roles
+ * Evita consultar Roles_Permisos en cada petición autenticada.
+ * Las entradas se invalidan al cambiar los permisos de un rol o los roles de un usuario,
+ * y expiran tras PERMISSIONS_CACHE_TTL segundos como respaldo (p. ej. con varias instancias)
+ */
+
+const cache = new Map();
+
+/**
+ * Versión de la caché: se incrementa en cada invalidación para descartar
+ * cargas que empezaron antes del cambio y terminan después
+ */
+let version = 0;
+
+/**
+ * Obtiene el tiempo de vida de las entradas en milisegundos
+ * @returns {number} - Tiempo de vida
+ */
+const obtenerTtl = () => (parseInt(process.env.PERMISSIONS_CACHE_TTL) || 300) * 1000;
+
+/**
+ * Clave de caché para los permisos de un usuario
+ * @param {number} idUsuario - ID del usuario
+ * @returns {string} - Clave de caché
+ */
+export const claveUsuario = (idUsuario) => `usuario:${idUsuario}`;
+
+/**
+ * Clave de caché para los permisos de un rol
+ * @param {number} idRol - ID del rol
+ * @returns {string} - Clave de caché
+ */
+export const claveRol = (idRol) => `rol:${idRol}`;
+
+/**
+ * Obtiene los permisos de la caché o los carga si no están o expiraron
+ * @param {string} clave - Clave de caché (claveUsuario o claveRol)
+ * @param {Function} cargarPermisos - Función async que devuelve { permisos, roles, validoHasta }
+ *   donde permisos es un array de nombres, roles los IDs de rol de los que provienen
+ *   y validoHasta (opcional) la fecha en la que cambian por sí solos (p. ej. un rol temporal que vence)
+ * @returns {Promise<Array<string>>} - Nombres de los permisos
+ */
+export const obtenerPermisos = async (clave, cargarPermisos) => {
+  const entrada = cache.get(clave);
+  if (entrada && entrada.expira > Date.now()) {
+    return entrada.permisos;
+  }
+
+  const versionInicial = version;
+  const { permisos, roles, validoHasta = null } = await cargarPermisos();
+
+  // Solo guardar si no hubo invalidaciones mientras se cargaba
+  if (versionInicial === version) {
+    const expira = Date.now() + obtenerTtl();
+
+    cache.set(clave, {
+      permisos,
+      roles,
+      expira: validoHasta ? Math.min(expira, validoHasta.getTime()) : expira
+    });
+  }
+
+  return permisos;
+};
+
+/**
+ * Invalida los permisos cacheados de un usuario (p. ej. al cambiar su rol)
+ * @param {number} idUsuario - ID del usuario
+ */
+export const invalidarUsuario = (idUsuario) => {
+  version++;
+  cache.delete(claveUsuario(idUsuario));
+};
+
+/**
+ * Invalida los permisos cacheados del rol y de todos los usuarios que lo tienen
+ * @param {number} idRol - ID del rol
+ */
+export const invalidarRol = (idRol) => {
+  version++;
+  const id = parseInt(idRol);
+
+  for (const [clave, entrada] of cache) {
+    if (entrada.roles.includes(id)) {
+      cache.delete(clave);
+    }
+  }
+};
+
+/**
+ * Vacía toda la caché de permisos
+ */
+export const invalidarTodo = () => {
+  version++;
+  cache.clear();
+};
@@ -0,0 +1,91 @@
+/**
+ * Modo de entrega del refresh token
+ * En modo 'body' (por defecto) los tokens viajan en el cuerpo JSON.
+ * En modo 'cookie' el refresh token viaja en una cookie HttpOnly limitada a /api/auth
+ * y las peticiones que la envían se protegen contra CSRF con un token de doble envío
+ * (cookie legible por el frontend que debe repetirse en la cabecera X-CSRF-Token)
+ */
+
+import crypto from "crypto";
+
+export const COOKIE_REFRESH = 'refreshToken';
+export const COOKIE_CSRF = 'csrfToken';
+export const CABECERA_CSRF = 'x-csrf-token';
+export const RUTA_COOKIE_REFRESH = '/api/auth';
+
+/**
+ * Indica si el refresh token se entrega en una cookie
+ * USE_REFRESH_COOKIE=true se mantiene como equivalente de AUTH_TOKEN_MODE=cookie
+ * @returns {boolean} - True en modo cookie
+ */
+export const usaModoCookie = () =>
+  process.env.AUTH_TOKEN_MODE === 'cookie' || process.env.USE_REFRESH_COOKIE === 'true';
+
+/**
+ * Opciones comunes de las cookies de autenticación
+ * @returns {Object} - Opciones para res.cookie / res.clearCookie
+ */
+const opcionesBase = () => {
+  const sameSite = ['strict', 'lax', 'none'].includes(process.env.COOKIE_SAME_SITE)
+    ? process.env.COOKIE_SAME_SITE
+    : 'strict';
+
+  const opciones = {
+    // SameSite=None solo es aceptado por los navegadores junto con Secure
+    secure: sameSite === 'none' || (process.env.COOKIE_SECURE
+      ? process.env.COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production'),
+    sameSite
+  };
+
+  if (process.env.COOKIE_DOMAIN) {
+    opciones.domain = process.env.COOKIE_DOMAIN;
+  }
+
+  return opciones;
+};
+
+/**
+ * Guarda el refresh token en su cookie HttpOnly y emite un nuevo token CSRF
+ * @param {Object} res - Response object
+ * @param {string} refreshToken - Refresh token a guardar
+ * @returns {string} - Token CSRF que el cliente debe enviar en la cabecera X-CSRF-Token
+ */
+export const establecerCookiesSesion = (res, refreshToken) => {
+  const maxAge = (parseInt(process.env.REFRESH_EXPIRATION) || 604800) * 1000;
+  const tokenCsrf = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(COOKIE_REFRESH, refreshToken, {
+    ...opcionesBase(),
+    httpOnly: true,
+    path: RUTA_COOKIE_REFRESH,
+    maxAge
+  });
+
+  // Legible por el frontend para poder repetirlo en la cabecera
+  res.cookie(COOKIE_CSRF, tokenCsrf, {
+    ...opcionesBase(),
+    httpOnly: false,
+    path: '/',
+    maxAge
+  });
+
+  return tokenCsrf;
+};
+
+/**
+ * Elimina las cookies de autenticación
+ * @param {Object} res - Response object
+ */
+export const limpiarCookiesSesion = (res) => {
+  res.clearCookie(COOKIE_REFRESH, { ...opcionesBase(), httpOnly: true, path: RUTA_COOKIE_REFRESH });
+  res.clearCookie(COOKIE_CSRF, { ...opcionesBase(), path: '/' });
+};
+
+/**
+ * Obtiene el refresh token de la petición según el modo configurado
+ * @param {Object} req - Request object
+ * @returns {string|undefined} - Refresh token presentado
+ */
+export const obtenerRefreshToken = (req) =>
+  usaModoCookie() ? req.cookies?.[COOKIE_REFRESH] : req.body?.refreshToken;
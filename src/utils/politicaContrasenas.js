@@ -0,0 +1,166 @@
+/**
+ * Política de contraseñas configurable
+ * Las reglas (longitud mínima, clases de caracteres, lista de contraseñas comunes,
+ * historial y antigüedad máxima) se leen de las variables de entorno PASSWORD_*
+ */
+
+import fs from "fs";
+
+/**
+ * Longitud máxima admitida, independiente de la configuración
+ */
+const LONGITUD_MAXIMA = 128;
+
+/**
+ * Contraseñas comunes que nunca se aceptan, además de las de PASSWORD_BLOCKLIST_FILE
+ */
+const CONTRASEÑAS_COMUNES = [
+  '123456', '1234567', '12345678', '123456789', '1234567890', '12345678910',
+  '111111', '000000', '123123', '654321', '987654321', '112233',
+  'password', 'password1', 'password123', 'passw0rd', 'contraseña', 'contraseña1',
+  'contrasena', 'contrasena1', 'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh',
+  'abc123', 'abcd1234', 'a1b2c3d4', 'iloveyou', 'teamo123', 'admin', 'admin123',
+  'administrador', 'welcome', 'welcome1', 'bienvenido', 'bienvenido1', 'letmein',
+  'monkey', 'dragon', 'football', 'futbol123', 'superman', 'carpinteria', 'carpinteria1',
+  'carpinteria123', 'madera123', 'usuario', 'usuario1', 'usuario123'
+];
+
+/**
+ * Lista de contraseñas bloqueadas cargada una sola vez
+ */
+let listaBloqueada = null;
+
+/**
+ * Interpreta una variable de entorno booleana
+ * @param {string} valor - Valor de la variable
+ * @param {boolean} porDefecto - Valor si la variable no está definida
+ * @returns {boolean} - Valor interpretado
+ */
+const leerBooleano = (valor, porDefecto) => {
+  if (valor === undefined || valor === '') {
+    return porDefecto;
+  }
+  return valor === 'true';
+};
+
+/**
+ * Obtiene la política de contraseñas vigente
+ * @returns {Object} - Reglas de la política
+ */
+export const obtenerPoliticaContraseñas = () => {
+  const longitudMinima = parseInt(process.env.PASSWORD_MIN_LENGTH);
+  const historial = parseInt(process.env.PASSWORD_HISTORY_SIZE);
+  const diasMaximos = parseInt(process.env.PASSWORD_MAX_AGE_DAYS);
+
+  return {
+    longitud_minima: Math.min(longitudMinima > 0 ? longitudMinima : 8, LONGITUD_MAXIMA),
+    longitud_maxima: LONGITUD_MAXIMA,
+    requiere_letra: leerBooleano(process.env.PASSWORD_REQUIRE_LETTER, true),
+    requiere_mayuscula: leerBooleano(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+    requiere_minuscula: leerBooleano(process.env.PASSWORD_REQUIRE_LOWERCASE, false),
+    requiere_numero: leerBooleano(process.env.PASSWORD_REQUIRE_NUMBER, true),
+    requiere_simbolo: leerBooleano(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    historial: historial >= 0 ? historial : 5,
+    dias_maximos: diasMaximos > 0 ? diasMaximos : 0
+  };
+};
+
+/**
+ * Obtiene la lista de contraseñas bloqueadas (en minúsculas)
+ * Si PASSWORD_BLOCKLIST_FILE apunta a un archivo, se añaden sus líneas a la lista integrada
+ * @returns {Set<string>} - Contraseñas bloqueadas
+ */
+const obtenerListaBloqueada = () => {
+  if (listaBloqueada) {
+    return listaBloqueada;
+  }
+
+  listaBloqueada = new Set(CONTRASEÑAS_COMUNES);
+
+  const archivo = process.env.PASSWORD_BLOCKLIST_FILE;
+  if (archivo) {
+    try {
+      const lineas = fs.readFileSync(archivo, 'utf8').split(/\r?\n/);
+      for (const linea of lineas) {
+        const contraseña = linea.trim().toLowerCase();
+        if (contraseña) {
+          listaBloqueada.add(contraseña);
+        }
+      }
+    } catch (error) {
+      console.error('Error al cargar la lista de contraseñas bloqueadas:', error);
+    }
+  }
+
+  return listaBloqueada;
+};
+
+/**
+ * Valida una contraseña contra la política configurada
+ * No comprueba el historial, que depende del usuario
+ * @param {string} contraseña - Contraseña a validar
+ * @returns {Array} - Array de errores de validación ({ campo, mensaje })
+ */
+export const validarPoliticaContraseña = (contraseña) => {
+  const politica = obtenerPoliticaContraseñas();
+  const errores = [];
+  const agregarError = (mensaje) => errores.push({ campo: 'contraseña', mensaje });
+
+  if (typeof contraseña !== 'string') {
+    agregarError('La contraseña es inválida');
+    return errores;
+  }
+
+  if (contraseña.length < politica.longitud_minima) {
+    agregarError(`La contraseña debe tener al menos ${politica.longitud_minima} caracteres`);
+  }
+
+  if (contraseña.length > politica.longitud_maxima) {
+    agregarError(`La contraseña no puede tener más de ${politica.longitud_maxima} caracteres`);
+  }
+
+  if (politica.requiere_letra && !/\p{L}/u.test(contraseña)) {
+    agregarError('La contraseña debe contener al menos una letra');
+  }
+
+  if (politica.requiere_mayuscula && !/\p{Lu}/u.test(contraseña)) {
+    agregarError('La contraseña debe contener al menos una letra mayúscula');
+  }
+
+  if (politica.requiere_minuscula && !/\p{Ll}/u.test(contraseña)) {
+    agregarError('La contraseña debe contener al menos una letra minúscula');
+  }
+
+  if (politica.requiere_numero && !/[0-9]/.test(contraseña)) {
+    agregarError('La contraseña debe contener al menos un número');
+  }
+
+  if (politica.requiere_simbolo && !/[^\p{L}\p{N}\s]/u.test(contraseña)) {
+    agregarError('La contraseña debe contener al menos un símbolo');
+  }
+
+  // Verificar que no contenga espacios
+  if (/\s/.test(contraseña)) {
+    agregarError('La contraseña no puede contener espacios');
+  }
+
+  if (obtenerListaBloqueada().has(contraseña.toLowerCase())) {
+    agregarError('La contraseña es demasiado común, elige otra');
+  }
+
+  return errores;
+};
+
+/**
+ * Indica si una contraseña superó la antigüedad máxima de la política
+ * @param {Date|string|null} fechaCambio - Fecha del último cambio de contraseña
+ * @returns {boolean} - True si la contraseña expiró
+ */
+export const contraseñaExpirada = (fechaCambio) => {
+  const { dias_maximos } = obtenerPoliticaContraseñas();
+  if (!dias_maximos || !fechaCambio) {
+    return false;
+  }
+
+  return new Date(fechaCambio).getTime() + dias_maximos * 86400000 <= Date.now();
+};
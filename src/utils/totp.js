@@ -0,0 +1,183 @@
+/**
+ * Utilidades para contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ * Compatible con aplicaciones de autenticación (Google Authenticator, Authy, etc.)
+ * Los secretos se guardan cifrados con AES-256-GCM
+ */
+
+import crypto from "crypto";
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIODO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+/**
+ * Codifica un buffer en Base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} - Texto en Base32
+ */
+export const codificarBase32 = (buffer) => {
+  let bits = 0;
+  let valor = 0;
+  let salida = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      salida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    salida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+
+  return salida;
+};
+
+/**
+ * Decodifica un texto Base32 a buffer
+ * @param {string} texto - Texto en Base32
+ * @returns {Buffer} - Datos decodificados
+ */
+export const decodificarBase32 = (texto) => {
+  const limpio = texto.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+
+  for (const caracter of limpio) {
+    const indice = ALFABETO_BASE32.indexOf(caracter);
+    if (indice === -1) {
+      throw new Error('Secreto Base32 inválido');
+    }
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto TOTP aleatorio de 160 bits
+ * @returns {string} - Secreto en Base32
+ */
+export const generarSecreto = () => {
+  return codificarBase32(crypto.randomBytes(20));
+};
+
+/**
+ * Calcula el código TOTP de un paso de tiempo (HOTP con contador = paso)
+ * @param {string} secreto - Secreto en Base32
+ * @param {number} paso - Paso de tiempo (segundos Unix / 30)
+ * @returns {string} - Código de 6 dígitos
+ */
+export const generarCodigo = (secreto, paso = Math.floor(Date.now() / 1000 / PERIODO_SEGUNDOS)) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(secreto)).update(contador).digest();
+
+  // Truncamiento dinámico (RFC 4226, sección 5.3)
+  const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+  const binario = ((hmac[desplazamiento] & 0x7f) << 24) |
+    (hmac[desplazamiento + 1] << 16) |
+    (hmac[desplazamiento + 2] << 8) |
+    hmac[desplazamiento + 3];
+
+  return (binario % 10 ** DIGITOS).toString().padStart(DIGITOS, '0');
+};
+
+/**
+ * Verifica un código TOTP tolerando un desfase de reloj de ±ventana pasos
+ * @param {string} secreto - Secreto en Base32
+ * @param {string} codigo - Código ingresado por el usuario
+ * @param {number} ventana - Pasos de tolerancia hacia atrás y adelante
+ * @returns {number|null} - Paso de tiempo que coincidió o null si el código es inválido
+ */
+export const verificarCodigo = (secreto, codigo, ventana = 1) => {
+  if (typeof codigo !== 'string' || !/^\d{6}$/.test(codigo)) {
+    return null;
+  }
+
+  const pasoActual = Math.floor(Date.now() / 1000 / PERIODO_SEGUNDOS);
+
+  for (let desfase = -ventana; desfase <= ventana; desfase++) {
+    const paso = pasoActual + desfase;
+    const esperado = generarCodigo(secreto, paso);
+
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(codigo))) {
+      return paso;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Genera la URI otpauth:// para mostrar como código QR en la aplicación de autenticación
+ * @param {Object} datos - Datos de la URI
+ * @param {string} datos.secreto - Secreto en Base32
+ * @param {string} datos.cuenta - Identificador de la cuenta (correo del usuario)
+ * @param {string} datos.emisor - Nombre del emisor mostrado en la aplicación
+ * @returns {string} - URI de aprovisionamiento
+ */
+export const generarUriAprovisionamiento = ({ secreto, cuenta, emisor }) => {
+  const etiqueta = `${encodeURIComponent(emisor)}:${encodeURIComponent(cuenta)}`;
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS)
+  });
+
+  return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+};
+
+/**
+ * Obtiene la clave de cifrado de secretos a partir de la configuración
+ * @returns {Buffer} - Clave de 256 bits
+ */
+const obtenerClaveCifrado = () => {
+  const clave = process.env.TOTP_ENCRYPTION_KEY || process.env.ACCESS_TOKEN_SECRET;
+  return crypto.createHash('sha256').update(String(clave)).digest();
+};
+
+/**
+ * Cifra un secreto TOTP para almacenarlo en la base de datos
+ * @param {string} secreto - Secreto en Base32
+ * @returns {string} - Secreto cifrado (iv:tag:datos en hexadecimal)
+ */
+export const cifrarSecreto = (secreto) => {
+  const iv = crypto.randomBytes(12);
+  const cifrador = crypto.createCipheriv('aes-256-gcm', obtenerClaveCifrado(), iv);
+  const datos = Buffer.concat([cifrador.update(secreto, 'utf8'), cifrador.final()]);
+  const tag = cifrador.getAuthTag();
+
+  return `${iv.toString('hex')}:${tag.toString('hex')}:${datos.toString('hex')}`;
+};
+
+/**
+ * Descifra un secreto TOTP almacenado
+ * @param {string} secretoCifrado - Secreto cifrado con cifrarSecreto
+ * @returns {string} - Secreto en Base32
+ */
+export const descifrarSecreto = (secretoCifrado) => {
+  const [iv, tag, datos] = secretoCifrado.split(':');
+  const descifrador = crypto.createDecipheriv('aes-256-gcm', obtenerClaveCifrado(), Buffer.from(iv, 'hex'));
+  descifrador.setAuthTag(Buffer.from(tag, 'hex'));
+
+  return Buffer.concat([
+    descifrador.update(Buffer.from(datos, 'hex')),
+    descifrador.final()
+  ]).toString('utf8');
+};